@@ -0,0 +1 @@
+import{a as c}from"./chunk-TK4CVUNX.js";var s=()=>import("./session-file-PRWIFDS3.js").then(e=>e.SessionFile);function r(e,n){let t=e.sessionId;if(!n){c.go("quiz",{mode:e.mode||"basic",sid:t});return}let o=Array.isArray(e.banks)&&e.banks.length?e.banks:[e.mode],i=o.length===1&&o[0]==="basic";c.go(i?"result_basic":"result_advanced",{sid:t,mode:e.mode})}async function d(e){try{let n=await s(),t=await n.build(e),o=new Blob([JSON.stringify(t,null,2)],{type:"application/json"}),i=URL.createObjectURL(o),a=document.createElement("a");a.href=i,a.download=n.fileName(e),a.click(),setTimeout(()=>URL.revokeObjectURL(i),0)}catch(n){console.error("[session-file] export failed:",n),alert(`\u7121\u6CD5\u532F\u51FA\u4F5C\u7B54\uFF1A${n?.message||n}`)}}function p(){let e=document.createElement("input");e.type="file",e.accept="application/json,.json",e.addEventListener("change",async()=>{let n=e.files?.[0];if(n)try{let t=await s(),{session:o,finished:i}=await t.importText(await n.text());r(o,i)}catch(t){console.warn("[session-file] import failed:",t),alert(`\u7121\u6CD5\u8F09\u5165\u4F5C\u7B54\u6A94\uFF1A${t?.message||t}`)}}),e.click()}export{r as a,d as b,p as c};
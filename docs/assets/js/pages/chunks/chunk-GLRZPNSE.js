@@ -0,0 +1 @@
+import{a as S}from"./chunk-TK4CVUNX.js";function V(e){return e===void 0?"null":e===null||typeof e!="object"?JSON.stringify(e):Array.isArray(e)?`[${e.map(t=>t===void 0?"null":V(t)).join(",")}]`:`{${Object.keys(e).filter(t=>e[t]!==void 0).sort().map(t=>`${JSON.stringify(t)}:${V(e[t])}`).join(",")}}`}function re(e){let n=2166136261,t=String(e);for(let o=0;o<t.length;o++)n^=t.charCodeAt(o),n=Math.imul(n,16777619)>>>0;return n.toString(16).padStart(8,"0")}async function ve(e){let n=globalThis.crypto?.subtle;if(!n||typeof TextEncoder>"u")return null;try{let t=await n.digest("SHA-256",new TextEncoder().encode(String(e)));return Array.from(new Uint8Array(t),o=>o.toString(16).padStart(2,"0")).join("")}catch{return null}}var X={canonical:V,fnv1a:re,async checksum(e){let n=V(e),t=await ve(n);return t?`sha256:${t}`:`fnv1a:${re(n)}`},async verify(e,n){let[t,o]=String(n||"").split(":");if(!o)return!1;let s=V(e);if(t==="fnv1a")return re(s)===o;if(t==="sha256"){let r=await ve(s);return r===null?null:r===o}return!1}};function J(e){function n(u,f=2166136261){let d=f;for(let p=0;p<u.length;p++)d^=u.charCodeAt(p),d=Math.imul(d,16777619);return d>>>0}let t=n(e,2654435769),o=n(e,2246822519),s=n(e,3266489917),r=n(e,668265263),l=t|1,i=o|1,c=s|1,a=r|1;return function(){let f=l^l<<11;return l=i,i=c,c=a,a=(a^a>>>19^(f^f>>>8))>>>0,(a>>>0)/4294967296}}function cn(e){let n={},t=0;for(let o of e)n[o]=(n[o]||0)+1,n[o]>t&&(t=n[o]);return e.length?t/e.length:0}function ln(e){if(e.length<4)return 0;let n=0;for(let t=2;t<e.length;t++)e[t]===e[t-2]&&e[t]!==e[t-1]&&n++;return n/(e.length-2)}function un(e,n){if(!e)return 0;if(Number(e.A?.[n]||0)>0)return 1;if(Number(e.B?.[n]||0)>0)return-1;for(let t of Object.values(e.dims?.A||{}))if(Number(t?.[n]||0)>0)return 1;for(let t of Object.values(e.dims?.B||{}))if(Number(t?.[n]||0)>0)return-1;return 0}function fn(e){let n={};for(let s of e)!s.facet||!s.wid||s.y===0||(n[s.facet]=n[s.facet]||[]).push(s);let t=0,o=0;for(let[s,r]of Object.entries(n)){if(r.length<3)continue;let l=s.split("|")[0],i=0,c=0;for(let a of r){let u=un(a.wid,l)*a.y;u>0?i+=Math.abs(a.y):u<0&&(c+=Math.abs(a.y))}i+c!==0&&(t+=Math.min(i,c)/(i+c)*r.length,o+=r.length)}return o?t/o:null}function ie(e){return`${Math.round(e*100)}%`}var Ee={assess(e){let n=(Array.isArray(e)?e:[]).filter(c=>c&&c.y!==null&&c.y!==void 0&&!Number.isNaN(Number(c.y))).map(c=>({...c,y:Number(c.y),pos:Number(c.pos??c.y)})),t=n.map(c=>c.pos),o=t.length,s={answered:o,neutralShare:o?t.filter(c=>c===0).length/o:0,modalShare:cn(t),alternation:ln(t),inconsistency:fn(n)},r=[];return o>=8&&(s.modalShare>=.85&&s.neutralShare<.5&&r.push({code:"straightLining",severity:s.modalShare>=1?"poor":"caution",value:s.modalShare,message:`\u6709 ${ie(s.modalShare)} \u7684\u984C\u76EE\u9078\u4E86\u540C\u4E00\u500B\u9078\u9805\u3002`}),s.neutralShare>=.5&&r.push({code:"mostlyNeutral",severity:s.neutralShare>=.75?"poor":"caution",value:s.neutralShare,message:`\u6709 ${ie(s.neutralShare)} \u7684\u984C\u76EE\u9078\u4E86\u300C\u4E2D\u7ACB\u300D\uFF0C\u53EF\u7528\u4F86\u5224\u8B80\u7684\u8A0A\u606F\u504F\u5C11\u3002`}),s.alternation>=.8&&r.push({code:"alternating",severity:"caution",value:s.alternation,message:"\u4F5C\u7B54\u5448\u73FE\u898F\u5F8B\u7684\u4F86\u56DE\u4EA4\u66FF\uFF0C\u53EF\u80FD\u6C92\u6709\u9010\u984C\u95B1\u8B80\u3002"}),s.inconsistency!==null&&s.inconsistency>=.3&&r.push({code:"inconsistent",severity:s.inconsistency>=.4?"poor":"caution",value:s.inconsistency,message:`\u6E2C\u91CF\u540C\u4E00\u529F\u80FD\u7684\u984C\u76EE\u6709 ${ie(s.inconsistency)} \u7684\u4F5C\u7B54\u65B9\u5411\u4E92\u76F8\u77DB\u76FE\u3002`})),{severity:r.some(c=>c.severity==="poor")||r.length>=2?"poor":r.length?"caution":"ok",flags:r,stats:s}}};var Be=[{key:"Se",name:"\u5916\u50BE\u611F\u89BA\uFF08Se\uFF09"},{key:"Si",name:"\u5167\u50BE\u611F\u89BA\uFF08Si\uFF09"},{key:"Ne",name:"\u5916\u50BE\u76F4\u89BA\uFF08Ne\uFF09"},{key:"Ni",name:"\u5167\u50BE\u76F4\u89BA\uFF08Ni\uFF09"},{key:"Te",name:"\u5916\u50BE\u601D\u8003\uFF08Te\uFF09"},{key:"Ti",name:"\u5167\u50BE\u601D\u8003\uFF08Ti\uFF09"},{key:"Fe",name:"\u5916\u50BE\u60C5\u611F\uFF08Fe\uFF09"},{key:"Fi",name:"\u5167\u50BE\u60C5\u611F\uFF08Fi\uFF09"}],le={basic:"weights_32",advA:"weights_adv_A",advB:"weights_adv_B",advC:"weights_adv_C"},pe=["basic","advA","advB","advC"],E=null,Ne=new Set,Ie=null,Me=null,U={},R=null,G=null,j=null,I=null,T=null;function Q(e){if(e==null)return{dir:0,mag:0};let n=Number(e);if(Number.isNaN(n))return{dir:0,mag:0};let t=n;n>=1&&n<=5&&(t=n-1),n>=-2&&n<=2&&(t=n+2);let o=t-2,s=o===0?0:o>0?1:-1,r=Math.min(1,Math.abs(o)/2);return{dir:s,mag:r}}function q(e){return Array.isArray(e)?e.length&&typeof e[0]=="object"&&"id"in e[0]?e.map(n=>{if(!n.swapped||n.value===null||n.value===void 0)return{id:String(n.id),value:n.value};let{dir:t,mag:o}=Q(n.value),s=t*o*2;return{id:String(n.id),value:-s,pressed:s}}):e.map((n,t)=>({id:String(t),value:n})):[]}function dn(e){let n=e&&typeof e=="object"&&!e.list?Object.keys(e).filter(r=>!isNaN(+r)).sort((r,l)=>r-l):[],t=e?.list&&e.list.length>=8?e.list.map((r,l)=>({idx:l,key:r.key,name:r.name||r.key,desc:r.desc||""})):n.length>=8?n.map((r,l)=>{let i=e[r]||{},c=i.key||i.code||`f${l}`;return{idx:l,key:c,name:i.name||(i.label_zh?`${i.label_zh}\uFF08${c}\uFF09`:c),desc:i.desc||""}}):Be.map((r,l)=>({idx:l,key:r.key,name:r.name,desc:""})),o=Object.fromEntries(t.map((r,l)=>[r.key,l])),s=Object.fromEntries(t.map((r,l)=>[l,r.key]));return{list:t,keyToIndex:o,indexToKey:s}}function pn(e,n){let t={};if(e&&typeof e=="object")for(let[s,r]of Object.entries(e)){let l=Array.isArray(r)?r:Array.isArray(r?.keys)?r.keys:[];l.length&&(t[s]={keys:l.map(String),typeField:r?.typeField||s,names:r?.names||{}})}if(!t.temperament&&n&&typeof n=="object"){let s=n.byCode||n,r=[...new Set(Object.values(s).map(l=>l?.temperament).filter(Boolean).map(String))];r.length&&(t.temperament={keys:r,typeField:"temperament",names:{}})}let o={};for(let[s,r]of Object.entries(t))r.keys.forEach(l=>{o[l]=s});return{dims:t,dimOf:o}}function mn(e){let n=e.keyToIndex||{},t=d=>n[d]??-1,o=t("Fe"),s=t("Te"),r=t("Se"),l=t("Ne"),i=t("Fi"),c=t("Ti"),a=t("Si"),u=t("Ni"),f=(...d)=>new Set(d.filter(p=>p>=0));return{EXTV:f(o,s,r,l),INTV:f(i,c,a,u),NSET:f(u,l),SSET:f(r,a),TSET:f(c,s),FSET:f(o,i),JEXT:f(o,s),PEXT:f(r,l)}}function Te(e){let n=Object.keys(e||{}),t=null,o=null;for(let s of n){let r=s.toLowerCase();!t&&(r==="a"||r==="pos"||r==="positive"||r==="agree")&&(t=s),!o&&(r==="b"||r==="neg"||r==="negative"||r==="disagree")&&(o=s)}return{A:t,B:o}}function C(e,n){let t=Array(8).fill(0);if(!e)return Object.fromEntries(t.map((o,s)=>[s,0]));if(Array.isArray(e)){for(let o=0;o<8;o++)t[o]=Number(e[o]||0);return Object.fromEntries(t.map((o,s)=>[s,o]))}for(let o of Object.keys(e))isNaN(+o)?n&&o in n&&(t[n[o]]=Number(e[o]||0)):t[+o]=Number(e[o]||0);return Object.fromEntries(t.map((o,s)=>[s,o]))}function ae(e,n){let t={};if(!e||Array.isArray(e)||typeof e!="object"||!n)return t;for(let o of Object.keys(e)){let s=n[o];s&&((t[s]=t[s]||{})[o]=Number(e[o]||0))}return t}function hn(e,n,t=null){let o=n.keyToIndex||{},s={},r=(i,c,a)=>{let u=ae(c,t),f=ae(a,t);return(Object.keys(u).length||Object.keys(f).length)&&(i.dims={A:u,B:f}),i},l=(i,c,a)=>{s[i]=s[i]||{A:{},B:{}},s[i][c]=C(a,o);let u=ae(a,t);Object.keys(u).length&&(s[i].dims=s[i].dims||{A:{},B:{}},s[i].dims[c]=u)};if(!e)return s;if(Array.isArray(e)){for(let i=0;i<e.length;i++){let c=e[i]||{},a=String(c.id??c.qid??c.questionId??i);if(c.side&&c.weights){let u=String(c.side).toUpperCase().startsWith("A")?"A":"B";l(a,u,c.weights)}else if(c.A||c.B||c.pos||c.neg||c.positive||c.negative){let u=Te(c),f=u.A?c[u.A]:c.A||c.pos||c.positive||{},d=u.B?c[u.B]:c.B||c.neg||c.negative||{};s[a]=r({A:C(f,o),B:C(d,o)},f,d)}else Array.isArray(c)&&(s[a]={A:C(c,o),B:C(Array(8).fill(0),o)})}return s}for(let i of Object.keys(e)){let c=String(i),a=e[i]||{};if(a.side&&a.weights){let u=String(a.side).toUpperCase().startsWith("A")?"A":"B";l(c,u,a.weights)}else{let u=Te(a),f=u.A?a[u.A]:a.A||a.pos||a.positive||{},d=u.B?a[u.B]:a.B||a.neg||a.negative||{};s[c]=r({A:C(f,o),B:C(d,o)},f,d)}}return s}function _e(e){return e==="adaptive"?pe:[e]}async function K(e,n=e?_e(e):[]){let o=n.flatMap(_e).map(s=>{if(!le[s])throw new Error(`Unknown mode: ${s}`);return le[s]}).filter(s=>!Ne.has(s));if(!E||o.length){let s=globalThis.__getWeights?.(o),r=s&&typeof s.then=="function"?await s:s;if(r){let l=!E;E={...E||r,weights:{...E?.weights||{},...r.weights||{}}},o.forEach(i=>Ne.add(i)),l&&(R=dn(E?.mapping?.funcs),G=E?.mapping?.types||null,j=mn(R),T=pn(E?.mapping?.dimensions,G),I=yn(G,R))}}if(!E)throw new Error("weights payload not available (__getWeights not ready)");e&&Ie!==e&&(Me=D(e),Ie=e)}function D(e){if(e==="adaptive")return U.adaptive||(U.adaptive=Ce(pe)),U.adaptive;let n=le[e];if(!n)throw new Error(`Unknown mode: ${e}`);return U[e]||(U[e]=hn(E?.weights?.[n],R,T.dimOf)),U[e]}function Ce(e){let n={};for(let t of e){let o=D(t);for(let s of Object.keys(o))s in n&&console.warn(`[scorer] duplicate item id "${s}" in ${t}; later bank wins`),n[s]=o[s]}return n}function x(e,n){let t=0,o=0;for(let r=0;r<n.length;r++)e.has(r)&&(t+=n[r].raw,o+=n[r].max);let s=o>0?t/o:0;return{score:t,max:o,pct:s}}function ue(e){return Math.max(0,Math.min(1,e))}var gn=[4,3,2,1];function yn(e,n){let t=e?.byCode||e||{},o=n?.keyToIndex||{},s=[];for(let[r,l]of Object.entries(t)){let i=Array.isArray(l?.stack)?l.stack:null;if(!i||i.length!==4)continue;let c=i.map(a=>o[a]);c.some(a=>a===void 0)||s.push({code:r,stack:i.slice(),idx:c,record:l})}return s}function wn(e,n){let t=e.length,o=e.reduce((c,a)=>c+a,0)/t,s=n.reduce((c,a)=>c+a,0)/t,r=0,l=0,i=0;for(let c=0;c<t;c++){let a=e[c]-o,u=n[c]-s;r+=a*u,l+=a*a,i+=u*u}return l===0||i===0?0:r/Math.sqrt(l*i)}function bn(e,n){let t=Array(8).fill(0);return e.forEach(o=>{t[o.idx]=o.pct}),n.map(o=>{let s=Array(8).fill(0);o.idx.forEach((l,i)=>{s[l]=gn[i]});let r=wn(t,s);return{code:o.code,fit:Math.round((r+1)/2*1e3)/10,stack:o.stack,name:o.record?.name||o.record?.name_zh}}).sort((o,s)=>s.fit-o.fit)}var An=[1,.75,.5,.25],fe=[-2,-1,0,1,2],kn=[.3,.4,.5,.6,.7,.8,1,1.2,1.5],je=.3,Sn=.6,Re=.6,Pe=.2;function Fe(e){let n=Math.max(...e);return Number.isFinite(n)?n+Math.log(e.reduce((t,o)=>t+Math.exp(o-n),0)):n}function Le(e,n,t){let o=Array(8).fill(0);n.idx.forEach((l,i)=>{o[l]=An[i]});let s=0,r=0;for(let l=0;l<8;l++){let i=Number(e.A?.[l]||0),c=Number(e.B?.[l]||0);s+=(i-c)*o[l],r+=(i+c)/2}for(let[l,i]of Object.entries(t||{})){let c=e.dims?.A?.[l]||{},a=e.dims?.B?.[l]||{},u=n.record?.[i.typeField];for(let f of i.keys){let d=Number(c[f]||0),p=Number(a[f]||0);s+=(d-p)*(u===f?1:0),r+=(d+p)/2}}return r===0?null:Math.max(-1,Math.min(1,s/r))}function Ue(e,n,t){let o=s=>-((s/2-n)**2)/(2*t*t);return o(e)-Fe(fe.map(o))}function Y(e){let n=[];for(let t=0;t<8;t++)(Number(e.A?.[t]||0)||Number(e.B?.[t]||0))&&n.push(t);for(let t of["A","B"])for(let o of Object.values(e.dims?.[t]||{}))n.push(...Object.keys(o));return[...new Set(n.map(String))].sort().join("|")}function de(e,n,t,o){let s=[];for(let{id:a,value:u}of n){if(u==null)continue;let f=e[String(a)];if(!f)continue;let{dir:d,mag:p}=Q(u);s.push({wid:f,y:d*p*2,facet:Y(f)})}let r={};s.forEach(a=>{r[a.facet]=(r[a.facet]||0)+1}),s.forEach(a=>{a.w=1/(1+(r[a.facet]-1)*je)});let l=-Math.log(t.length);if(!s.length)return{obs:s,facetCount:r,sigma:Sn,logPost:t.map(()=>l)};let i=t.map(a=>s.map(u=>Le(u.wid,a,o?.dims))),c=null;for(let a of kn){let u=i.map(d=>d.reduce((p,w,y)=>w===null?p:p+s[y].w*Ue(s[y].y,w,a),0)),f=Fe(u.map(d=>d+l));(!c||f>c.logMarg)&&(c={sigma:a,logL:u,logMarg:f})}return{obs:s,facetCount:r,sigma:c.sigma,logPost:c.logL.map(a=>a+l-c.logMarg)}}function vn(e,n,t,o){if(!t?.length)return null;let s=de(e,n,t,o);if(!s.obs.length)return null;let r=t.map((a,u)=>({code:a.code,name:a.record?.name||a.record?.name_zh,p:Math.exp(s.logPost[u])})).sort((a,u)=>u.p-a.p),l=r[0]?.p??0,i=r[1]?.p??0,c=-r.reduce((a,u)=>a+(u.p>0?u.p*Math.log2(u.p):0),0);return{probs:r,top:r[0]?.code,margin:l-i,borderline:l<Re||l-i<Pe,entropy:c,sigma:s.sigma,items:s.obs.length}}function Oe(e,n,t,o,s,r){let l=fe.length,i=Array(l).fill(0),c=0,a=!1;if(n.forEach((d,p)=>{if(t[p]<1e-9)return;let w=Le(e,d,s);if(w===null)return;a=!0,fe.map(b=>Ue(b,w,o)).forEach((b,h)=>{let v=Math.exp(b);i[h]+=t[p]*v,v>0&&(c-=t[p]*v*Math.log2(v))})}),!a)return 0;let u=-i.reduce((d,p)=>d+(p>0?p*Math.log2(p):0),0),f=r[Y(e)]||0;return Math.max(0,u-c)/(1+f*je)}function En(e,n,t,o=[]){let s=[...e].sort((f,d)=>d.pct-f.pct),r=s[0],l=s[1],i=s[2],c=s[3],a={code:"Unknown",how:"fallback"};if(n){let f=n.byPair||n.pairs;if(f){let d=`${r.idx}-${l.idx}`,p=`${l.idx}-${r.idx}`;f[d]?a={...f[d],how:"byPair"}:f[p]&&(a={...f[p],how:"byPair"})}if(a.code==="Unknown"&&n.byDominant&&n.byDominant[r.idx]&&(a={...n.byDominant[r.idx],how:"byDominant"}),a.code==="Unknown"&&Array.isArray(n.rules))for(let d of n.rules){let p=d?.if?.dom===void 0||d.if.dom===r.idx,w=d?.if?.aux===void 0||d.if.aux===l.idx;if(p&&w){a={code:d.code,name:d.name,description:d.description,how:"rules"};break}}if(a.code==="Unknown"&&n.byCodeHint){let d=n.byCodeHint({byFunction:e,dom:r,aux:l});d&&d.code&&(a={...d,how:"byCodeHint"})}}let u=o.length?bn(e,o):[];if(a.code==="Unknown"&&u.length){let f=u[0],d=o.find(p=>p.code===f.code)?.record||{};a={code:f.code,name:d.name||d.name_zh,description:d.description||d.brief,fit:f.fit,alternatives:u.slice(1,3).map(p=>p.code),how:"stackFit"}}if(a.code==="Unknown"){let f=x(t?.EXTV||new Set,e).pct,d=x(t?.NSET||new Set,e).pct,p=x(t?.TSET||new Set,e).pct,w=x(t?.JEXT||new Set,e).pct;a={code:(f>=.5?"E":"I")+(d>=.5?"N":"S")+(p>=.5?"T":"F")+(w>=.5?"J":"P"),name:void 0,description:void 0,how:"heuristic"}}return{type:a,ranking:u,top:{dominant:r,auxiliary:l,tertiary:i,inferior:c}}}function De(e,n){let t=Array(8).fill(0),o=Array(8).fill(0),s=[],r=0,l={};for(let[i,c]of Object.entries(T?.dims||{}))l[i]=Object.fromEntries(c.keys.map(a=>[a,{raw:0,max:0}]));for(let{id:i,value:c}of n){if(c==null)continue;let a=e[String(i)];if(!a){s.push({id:i,skipped:!0});continue}let{dir:u,mag:f}=Q(c);if(f===0||u===0){s.push({id:i,neutral:!0});continue}let d=u>0?"A":"B",p=a[d]||{},w=y=>{let b=Number((a.A||{})[y]||0),h=Number((a.B||{})[y]||0);return Math.max(b,h)};for(let y=0;y<8;y++){let b=Number(p[y]||0);t[y]+=f*b,o[y]+=w(y)}if(a.dims)for(let[y,b]of Object.entries(l)){let h=a.dims.A?.[y]||{},v=a.dims.B?.[y]||{},se=d==="A"?h:v;for(let M of Object.keys(b))b[M].raw+=f*Number(se[M]||0),b[M].max+=Math.max(Number(h[M]||0),Number(v[M]||0))}r++,s.push({id:i,side:d,mag:f,applied:!0})}return{raw:t,max:o,perItem:s,used:r,dimAcc:l}}var Nn=400,xe=.95;function $e(e,n){if(!e.length)return 0;let t=(e.length-1)*n,o=Math.floor(t),s=Math.ceil(t);return e[o]+(e[s]-e[o])*(t-o)}function In(e,n,t){let o=n.filter(i=>i.value!==null&&i.value!==void 0&&e[String(i.id)]);if(o.length<2)return null;let s=J(`${t??o.map(i=>`${i.id}=${i.value}`).join(",")}:bootstrap`),r=Array.from({length:8},()=>[]);for(let i=0;i<Nn;i++){let c=[];for(let f=0;f<o.length;f++)c.push(o[Math.floor(s()*o.length)]);let{raw:a,max:u}=De(e,c);for(let f=0;f<8;f++)u[f]>0&&r[f].push(ue(a[f]/u[f])*100)}let l=(1-xe)/2;return r.map(i=>{if(!i.length)return null;i.sort((u,f)=>u-f);let c=i.reduce((u,f)=>u+f,0)/i.length,a=Math.sqrt(i.reduce((u,f)=>u+(f-c)**2,0)/i.length);return{lo:$e(i,l),hi:$e(i,1-l),se:a,level:xe}})}function ce(e,n,t){let o=R.list||Be.map((A,k)=>({idx:k,key:A.key,name:A.name,desc:""})),{raw:s,max:r,perItem:l,used:i,dimAcc:c}=De(e,n),a=In(e,n,t),u=s.map((A,k)=>{let F=r[k]||1e-9,O=ue(A/F),$=o[k]||{key:`f${k}`,name:`Function ${k}`,desc:""};return{idx:k,key:$.key||`f${k}`,name:$.name||`Function ${k}`,desc:$.desc||"",raw:A,max:F,pct:O*100,ci:a?.[k]||null}}),f=x(j.EXTV,u),d=x(j.NSET,u),p=x(j.TSET,u),w=x(j.JEXT,u),y=x(j.PEXT,u),b=w.max+y.max||1e-9,h=w.score/(w.score+y.score||1e-9),v={EI:{E:f.pct,I:1-f.pct,pctE:f.pct},NS:{N:d.pct,S:1-d.pct,pctN:d.pct},TF:{T:p.pct,F:1-p.pct,pctT:p.pct},JP:{J:h,P:1-h,pctJ:h}},{type:se,top:M,ranking:on}=En(u,G,j,I),ke={};for(let[A,k]of Object.entries(c)){let F=T.dims[A].names||{};ke[A]=Object.entries(k).map(([O,{raw:$,max:L}])=>({key:O,name:F[O]||O,raw:$,max:L,pct:L>0?ue($/L)*100:0,measured:L>0}))}let sn=vn(e,n,I,T),rn=Ee.assess(n.filter(A=>A.value!==null&&A.value!==void 0).map(({id:A,value:k,pressed:F})=>{let O=e[String(A)]||null,{dir:$,mag:L}=Q(k),Se=$*L*2;return{id:A,y:Se,pos:F??Se,wid:O,facet:O?Y(O):null}})),an=r.some(A=>A>0);return{byFunction:u,top:M,type:se,ranking:on,posterior:sn,validity:rn,axes:v,dimensions:ke,perItem:l,used:i,measured:an}}var me={async init(e){await K(e)},async score({mode:e,answers:n,seed:t}){await K(e);let o=ce(Me||{},q(n),t);return{mode:e,byFunction:o.byFunction,top:o.top,type:o.type,typeRanking:o.ranking,posterior:o.posterior,validity:o.validity,axes:o.axes,dimensions:o.dimensions,byTemperament:o.dimensions.temperament||null,debug:{perItem:o.perItem,usedItems:o.used}}},async scoreBanks(e,{seed:n}={}){let t=(Array.isArray(e)?e:[]).filter(i=>i&&i.mode);if(!t.length)throw new Error("scoreBanks requires at least one { mode, answers }");let o=t.map(i=>i.mode);await K(null,o);let s=t.flatMap(i=>q(i.answers)),r=ce(Ce(o),s,n),l=t.map(i=>{let c=ce(D(i.mode),q(i.answers),n&&`${n}:${i.mode}`);return{mode:i.mode,byFunction:c.byFunction,top:c.measured?c.top:null,type:c.measured?c.type:null,measured:c.measured,byTemperament:c.dimensions.temperament||null,usedItems:c.used}});return{mode:o.join("+"),modes:o,byFunction:r.byFunction,top:r.top,type:r.type,typeRanking:r.ranking,posterior:r.posterior,validity:r.validity,axes:r.axes,dimensions:r.dimensions,byTemperament:r.dimensions.temperament||null,byBank:l,debug:{perItem:r.perItem,usedItems:r.used}}},rankAdaptive({answers:e,candidates:n}){if(!E||!I?.length)throw new Error("Scorer not initialised; call await Scorer.init('adaptive') first");let t=D("adaptive"),o=de(t,q(e),I,T),s=o.logPost.map(a=>Math.exp(a)),r=[];for(let a of n||[]){let u=t[String(a)];u&&r.push({id:String(a),info:Oe(u,I,s,o.sigma,T?.dims,o.facetCount)})}r.sort((a,u)=>u.info-a.info);let l=s.map((a,u)=>({code:I[u].code,p:a})).sort((a,u)=>u.p-a.p),i=l[0]?.p??0,c=l[1]?.p??0;return{ranked:r,posterior:{top:l[0]?.code,p:i,margin:i-c,borderline:i<Re||i-c<Pe,items:o.obs.length}}},async rankBanks({answers:e,modes:n=["advA","advB","advC"]}={}){if(await K(null,pe),!I?.length)return[];let t=de(D("adaptive"),q(e),I,T),o=t.logPost.map(s=>Math.exp(s));return n.map(s=>{let r={...t.facetCount},l={},i=0,c=0;for(let a of Object.values(D(s))){let u=Y(a),f=Oe(a,I,o,t.sigma,T?.dims,r);r[u]=(r[u]||0)+1,l[u]||(l[u]={keys:u.split("|").map(d=>R.indexToKey[d]??d),info:0,items:0}),l[u].info+=f,l[u].items++,i+=f,c++}return{mode:s,info:i,items:c,facets:Object.values(l).sort((a,u)=>u.info-a.info)}}).sort((s,r)=>r.info-s.info)},getFuncMeta(){return R},getDimensions(){return T?.dims||{}},getTypeMap(){return G}};var Tn=["id","stem","options","tags","group","func","locale"],_n=["locale","items"],ze=/^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;function P(e){return typeof e=="string"&&e.trim()!==""}function he(e){return Array.isArray(e)?e:Array.isArray(e?.items)?e.items:null}function On(e,n){if(!Array.isArray(e)){if(!e||typeof e!="object"){n(null,null,"(bank)","\u984C\u5EAB\u5FC5\u9808\u662F\u984C\u76EE\u9663\u5217\uFF0C\u6216 { items: [...] } \u7269\u4EF6");return}Array.isArray(e.items)||n(null,null,"items","\u7F3A\u5C11\u984C\u76EE\u9663\u5217 items");for(let t of Object.keys(e))_n.includes(t)||n(null,null,t,`\u672A\u77E5\u7684\u984C\u5EAB\u6B04\u4F4D\u300C${t}\u300D`);e.locale!==void 0&&!(typeof e.locale=="string"&&ze.test(e.locale))&&n(null,null,"locale",`locale \u5FC5\u9808\u662F BCP 47 \u8A9E\u8A00\u6A19\u7C64\uFF08\u4F8B\u5982 zh-Hant\uFF09\uFF0C\u76EE\u524D\u70BA ${JSON.stringify(e.locale)}`)}}function xn(e,n,t){if(!e||typeof e!="object"||Array.isArray(e))return t(n,null,"(item)","\u984C\u76EE\u5FC5\u9808\u662F\u7269\u4EF6"),null;let o=P(e.id)?e.id:null,s=(r,l)=>t(n,o,r,l);if(e.id===void 0||e.id===null?s("id","\u7F3A\u5C11 id"):o||s("id",`id \u5FC5\u9808\u662F\u975E\u7A7A\u5B57\u4E32\uFF0C\u76EE\u524D\u70BA ${JSON.stringify(e.id)}`),e.stem===void 0?s("stem","\u7F3A\u5C11\u984C\u5E79 stem"):P(e.stem)||s("stem","\u984C\u5E79 stem \u5FC5\u9808\u662F\u975E\u7A7A\u5B57\u4E32"),e.options===void 0)s("options","\u7F3A\u5C11\u9078\u9805 options");else if(!Array.isArray(e.options)||e.options.length!==2){let r=Array.isArray(e.options)?`${e.options.length} \u500B`:JSON.stringify(e.options);s("options",`options \u5FC5\u9808\u6070\u597D\u6709\u5169\u500B\u9078\u9805\uFF08A\u3001B\uFF09\uFF0C\u76EE\u524D\u70BA ${r}`)}else e.options.forEach((r,l)=>{P(r)||s(`options[${l}]`,`\u9078\u9805 ${l===0?"A":"B"} \u5FC5\u9808\u662F\u975E\u7A7A\u5B57\u4E32`)});e.tags!==void 0&&!(Array.isArray(e.tags)&&e.tags.every(P))&&s("tags","tags \u5FC5\u9808\u662F\u975E\u7A7A\u5B57\u4E32\u7684\u9663\u5217"),e.group!==void 0&&!(P(e.group)||Number.isFinite(e.group))&&s("group","group \u5FC5\u9808\u662F\u975E\u7A7A\u5B57\u4E32\u6216\u6578\u5B57"),e.func!==void 0&&!P(e.func)&&s("func","func \u5FC5\u9808\u662F\u975E\u7A7A\u5B57\u4E32"),e.locale!==void 0&&!(typeof e.locale=="string"&&ze.test(e.locale))&&s("locale",`locale \u5FC5\u9808\u662F BCP 47 \u8A9E\u8A00\u6A19\u7C64\uFF08\u4F8B\u5982 zh-Hant\uFF09\uFF0C\u76EE\u524D\u70BA ${JSON.stringify(e.locale)}`);for(let r of Object.keys(e))Tn.includes(r)||s(r,`\u672A\u77E5\u7684\u6B04\u4F4D\u300C${r}\u300D`);return o}var Ve={validate(e,{name:n="bank"}={}){let t=[],o=(l,i,c,a)=>t.push({bank:n,index:l,id:i,field:c,message:a});On(e,o);let s=he(e);if(!s)return t;s.length||o(null,null,"items","\u984C\u5EAB\u6C92\u6709\u4EFB\u4F55\u984C\u76EE");let r=new Map;return s.forEach((l,i)=>{let c=xn(l,i,o);c!==null&&(r.has(c)?o(i,c,"id",`id \u91CD\u8907\uFF08\u8207\u7B2C ${r.get(c)+1} \u984C\u76F8\u540C\uFF09`):r.set(c,i))}),t},validateAll(e){let n=[],t=new Map;for(let[o,s]of Object.entries(e||{}))n.push(...this.validate(s,{name:o})),(he(s)||[]).forEach((r,l)=>{if(!P(r?.id))return;let i=t.get(r.id);i&&i!==o?n.push({bank:o,index:l,id:r.id,field:"id",message:`id \u8207\u984C\u5EAB ${i} \u91CD\u8907`}):i||t.set(r.id,o)});return n},items(e,{name:n="bank"}={}){let t=this.validate(e,{name:n});if(t.length){let o=new Error(`\u984C\u5EAB ${n} \u683C\u5F0F\u932F\u8AA4\uFF1A${this.format(t[0])}${t.length>1?`\uFF08\u5171 ${t.length} \u500B\u554F\u984C\uFF09`:""}`);throw o.code="schema",o.errors=t,o}return he(e)},format(e){return`${e.index===null||e.index===void 0?e.bank:`${e.bank} \u7B2C ${e.index+1} \u984C${e.id?`\uFF08id ${e.id}\uFF09`:""}`}\uFF0E${e.field}\uFF1A${e.message}`}};var $n="data",Z={basic:"items_public_32.json",advA:"items_public_adv_A.json",advB:"items_public_adv_B.json",advC:"items_public_adv_C.json"},Je=["advA","advB","advC"],_={banks:["basic","advA","advB","advC"],minItems:12,maxItems:40,stopTop:.85,randomesque:.9};function We(e,n){let t=e.slice();for(let o=t.length-1;o>0;o--){let s=Math.floor(n()*(o+1));[t[o],t[s]]=[t[s],t[o]]}return t}function Bn(e,n){return We(e,J(n))}var Mn=3,Cn=50;function jn(e){let n=[],t=/^([A-Za-z]+)\d/.exec(String(e?.id??""));t&&n.push(`p:${t[1]}`);let o=e?.func??e?.function;o!=null&&o!==""&&n.push(`f:${o}`);let s=Array.isArray(e?.tags)?e.tags:[];for(let r of s)n.push(`t:${r}`);return e?.group!==void 0&&e?.group!==null&&n.push(`t:${e.group}`),n}function Rn(e){let n={};for(let s of e)for(let r of s.keys)n[r]=(n[r]||0)+1;let t=e.length,o={};for(let[s,r]of Object.entries(n)){let l=r>1?Math.min(Mn,Math.floor((t-1)/(r-1))):1;l>1&&(o[s]=l)}return o}function Pn(e,n){let t=new Map;for(let r of e){let l=r.keys.find(i=>i.startsWith("f:"))||r.keys.find(i=>i.startsWith("p:"))||"";t.has(l)||t.set(l,[]),t.get(l).push(r)}let o=[[],[]],s=n()<.5?0:1;for(let r of t.values())r.forEach((l,i)=>o[(i+s)%2].push(l)),r.length%2&&(s^=1);return o}function Fn(e,n,t,o){let s=0;for(let r of e.keys)!(r in o)||t[r]===void 0||(s+=Math.max(0,o[r]-(n-t[r])));return s}function Ln(e,n,t){let o=[],s={},r=0;for(let l of Pn(We(e,t),t)){let i=l.slice(),c={};for(let a of i)for(let u of a.keys)c[u]=(c[u]||0)+1;for(;i.length;){let a=o.length,u=i.map(h=>({e:h,v:Fn(h,a,s,n)})),f=Math.min(...u.map(h=>h.v)),d=u.filter(h=>h.v===f).map(h=>h.e),p=d.map(h=>1+Math.max(0,...h.keys.map(v=>c[v]||0))**2),w=t()*p.reduce((h,v)=>h+v,0),y=d.length-1;for(let h=0;h<d.length;h++)if(w-=p[h],w<0){y=h;break}let b=d[y];r+=f,i.splice(i.indexOf(b),1);for(let h of b.keys)s[h]=a,c[h]--;o.push(b)}}return{out:o,violations:r}}function Un(e,n){let t=J(`${n}:order`),o=e.map(l=>({it:l,keys:jn(l)})),s=Rn(o),r=null;for(let l=0;l<Cn;l++){let i=Ln(o,s,t);if((!r||i.violations<r.violations)&&(r=i),r.violations===0)break}return r.out.map(l=>l.it)}var m=null,g=[],ne=[],N="basic",z=null,B=[],ee=null;async function Dn(e){return S.adapter().fetchJSON(`${$n}/${e}`)}async function W(e){let n=e==="basic"?Z.basic:e==="advA"?Z.advA:e==="advB"?Z.advB:e==="advC"?Z.advC:null;if(!n)throw new Error(`Unknown quiz mode: ${e}`);return Ve.items(await Dn(n),{name:n})}function Xe(e,n,t="constrained"){return t==="shuffle"?Bn(e,n):Un(e,n)}function Ke(e){let n=parseInt(X.fnv1a(e),16);return n^=n>>>16,n=Math.imul(n,2246822507),n^=n>>>13,n=Math.imul(n,3266489909),n^=n>>>16,(n>>>0)/4294967296}function zn(e,n){return Ke(`${e}:swap:${n}`)<.5}function te(e,n,t,o=!1){let s={...t||{}};for(let r of e){let l=String(r.id);l in s||(s[l]=o?!1:zn(n,l))}return s}function oe(e,n){return e.map(t=>({...t,swapped:!!n?.[String(t.id)]}))}async function ge(){let e=new Map;for(let n of _.banks)for(let t of await W(n))e.has(String(t.id))||e.set(String(t.id),t);return e}function ye(e,n,t){return oe(n.map(o=>e.get(String(o))).filter(Boolean),t)}function Qe(){let e=m.adaptive||{sequence:[],stop:null};if(e.stop)return;let n=m.answers||[];if(n.some(p=>p==null))return;let t=n.length,o=g.map((p,w)=>({id:String(p.id),value:Gn(n[w]),swapped:!!p.swapped})),s=new Set(e.sequence.map(String)),r=[...z.keys()].filter(p=>!s.has(p)),{ranked:l,posterior:i}=me.rankAdaptive({answers:o,candidates:r}),c=null;if(t>=_.maxItems?c="maxItems":t>=_.minItems&&i.p>=_.stopTop&&!i.borderline?c="confident":(!l.length||l[0].info<=0)&&(c="exhausted"),c){let p={reason:c,top:i.top,p:i.p,items:t};m=S.updateSession(m.sessionId,{adaptive:{...e,stop:p}});return}let a=l.filter(p=>p.info>=l[0].info*_.randomesque),u=a[Math.floor(Ke(`${m.seed}:adaptive:${t}`)*a.length)],f=te([z.get(u.id)],m.seed,m.swaps),d=[...e.sequence,u.id];g=ye(z,d,f),ne=g.map((p,w)=>w),B=[{mode:"adaptive",start:0,end:g.length}],m=S.updateSession(m.sessionId,{answers:n.concat([null]),swaps:f,adaptive:{sequence:d,stop:null}})}async function Vn(){z=await ge(),await me.init("adaptive");let{patch:e,migration:n}=await tn(m,z);ee=n,g=ye(z,e.adaptive.sequence,e.swaps),ne=g.map((t,o)=>o),B=[{mode:"adaptive",start:0,end:g.length}],m=S.updateSession(m.sessionId,{...e,step:Ae(e.answers)}),Qe()}function qe(){return N==="adaptive"&&!m?.adaptive?.stop?Math.max(0,g.length-1):g.length}async function we(e){if(Array.isArray(e?.banks)&&e.banks.length)return e.banks.slice();let n=e?.mode||"basic";if(n==="basic")return["basic"];let t=(await W(n)).length;return(Array.isArray(e?.answers)?e.answers.length:0)>t?["basic",n]:[n]}async function Ye(e,n,t){let o=[],s=[];for(let r=0;r<e.length;r++){let l=e[r],i=await W(l);if(i.length===0)throw new Error(`Empty item list for mode=${l}`);let c=Xe(i,n,t);s.push({mode:l,start:o.length,end:o.length+c.length}),o=o.concat(c)}return{items:o,segments:s}}async function Ze(e){return X.fnv1a(X.canonical(await W(e)))}async function be(e){let n={};for(let t of e)n[t]=await Ze(t);return n}function H(e){return e!=null}function en(e,n){return e?Object.keys(n).filter(t=>e[t]!==n[t]):[]}function Jn(e,n,t){let o=Array.isArray(e.answers)?e.answers:[],s=en(e.bankVersions,t);if(!Array.isArray(e.itemIds)){let a=n.map((u,f)=>o[f]??null);return o.length===n.length||!o.some(H)?{answers:a,migration:null}:{answers:a,migration:{banks:Object.keys(t),kept:Math.min(o.length,n.length),removed:[],added:n.slice(o.length),dropped:o.slice(n.length).filter(H).length,legacy:!0}}}let r=e.itemIds.map(String);if(r.length===n.length&&r.every((a,u)=>a===n[u])&&!s.length)return{answers:n.map((a,u)=>o[u]??null),migration:null};let i=new Map(r.map((a,u)=>[a,o[u]??null])),c=new Set(n);return{answers:n.map(a=>i.has(a)?i.get(a):null),migration:{banks:s,kept:n.filter(a=>i.has(a)).length,removed:r.filter(a=>!c.has(a)),added:n.filter(a=>!i.has(a)),dropped:r.filter((a,u)=>!c.has(a)&&H(o[u])).length,legacy:!1}}}async function nn(e){let n=(e.answers||[]).some(H),t=e.order||(n?"shuffle":"constrained"),o=await we(e),{items:s,segments:r}=await Ye(o,e.seed,t),l=await be(o),i=s.map(f=>String(f.id)),{answers:c,migration:a}=Jn(e,i,l),u=te(s,e.seed,e.swaps,n&&!e.swaps);return{items:oe(s,u),segments:r,patch:{answers:c,swaps:u,order:t,banks:o,itemIds:i,bankVersions:l},migration:a}}async function tn(e,n){let t=e.adaptive||{sequence:[],stop:null},o=await be(_.banks),s=Array.isArray(e.answers)?e.answers:[],r=[],l=[],i=[],c=0;t.sequence.forEach((d,p)=>{n.has(String(d))?(r.push(d),l.push(s[p]??null)):(i.push(String(d)),H(s[p])&&c++)});let a=en(e.bankVersions,o),u=a.length||i.length?{banks:a,kept:r.length,removed:i,added:[],dropped:c,legacy:!e.bankVersions}:null,f=te(r.map(d=>({id:d})),e.seed,e.swaps);return{patch:{answers:l,swaps:f,adaptive:i.length?{sequence:r,stop:null}:t,bankVersions:o},migration:u}}function Ge(e){let n=Number(e);return Number.isNaN(n)?null:n>=1&&n<=5?n-1:n>=0&&n<=4?n:null}function He(e,n,t){return Math.max(n,Math.min(t,e))}function Ae(e){let n=e.findIndex(t=>t==null);return n===-1?e.length:n}var qn={init({adapter:e}={}){return e&&S.init(e),qn},async bootstrap({mode:e,sid:n,seed:t}={}){await S.ready();let o=S.ensureSession({mode:e,sid:n,seed:t});if(m=o,N=o.mode,ee=null,N==="adaptive")return await Vn(),this.getState();let{items:s,segments:r,patch:l,migration:i}=await nn(m);g=s,B=r,ne=g.map((a,u)=>u),ee=i;let c=Ae(l.answers);return m=S.updateSession(m.sessionId,{...l,step:c}),this.getState()},getState(){if(!m)throw new Error("QuizEngine not bootstrapped");let{sessionId:e,step:n,answers:t,seed:o,meta:s}=m,r=g.length,l=He(n,0,qe()),i=l<r?g[l]:null,c=N==="adaptive"?{minItems:_.minItems,maxItems:_.maxItems,stop:m.adaptive?.stop||null}:null,a=c&&!c.stop?_.maxItems:r,u=B.map(f=>f.mode);return{sessionId:e,mode:N,seed:o,meta:s,total:r,step:l,done:l>=r,progress:a?Math.min(1,l/a):0,current:i,items:g,answers:t,adaptive:c,banks:u,segments:B.map(f=>({...f})),remaining:c?[]:Je.filter(f=>!u.includes(f)),migration:ee}},answer(e){if(!m)throw new Error("QuizEngine not bootstrapped");let n=Ge(e);if(n===null)throw new Error("answer(value) expects 0..4 or 1..5");let{step:t,answers:o}=m;if(t>=g.length)return this.getState();let s=o.slice();s[t]=n;let r=t+1;return m=S.updateSession(m.sessionId,{answers:s,step:r}),N==="adaptive"&&Qe(),this.getState()},go(e){if(!m)throw new Error("QuizEngine not bootstrapped");let n=He(e,0,qe());return m=S.updateSession(m.sessionId,{step:n}),this.getState()},isComplete(){return!m||N==="adaptive"&&!m.adaptive?.stop?!1:m.step>=g.length},finish(e={}){if(!m)throw new Error("QuizEngine not bootstrapped");if(m.answers.some(t=>t==null))throw new Error("Cannot finish: some answers are empty");return m=S.finishSession(m.sessionId,{...e}),{sessionId:m.sessionId,mode:N,total:g.length,answers:this.exportAnswers(),seed:m.seed,meta:m.meta}},async continueToAdvanced(e){if(!m)throw new Error("QuizEngine not bootstrapped");if(N==="adaptive")throw new Error("continueToAdvanced is not available in adaptive mode");let n=Je.includes(e)?e:null;if(!n)throw new Error("Invalid advanced kind. Use advA | advB | advC");let t=B.map(a=>a.mode);if(t.includes(n))throw new Error(`${n} is already part of this session`);let o=await W(n);if(o.length===0)throw new Error(`Empty item list for ${n}`);let s=Xe(o,m.seed,m.order),r=te(s,m.seed,m.swaps),l=oe(s,r);B=B.concat([{mode:n,start:g.length,end:g.length+l.length}]),g=g.concat(l),ne=g.map((a,u)=>u);let i=m.answers.slice(),c=l.length;return i.push(...Array(c).fill(null)),N=n,m=S.updateSession(m.sessionId,{mode:N,banks:t.concat([n]),answers:i,swaps:r,itemIds:g.map(a=>String(a.id)),bankVersions:{...m.bankVersions,[n]:await Ze(n)}}),this.getState()},exportAnswers(){if(!m)throw new Error("QuizEngine not bootstrapped");return g.map((e,n)=>{let t=m.answers[n],o=Ge(t);return{id:String(e.id),value:o===null?null:o,swapped:!!e.swapped}})}};async function rt(e){if(!e)throw new Error("rebuildSessionItems requires a session");if(e.mode==="adaptive"){let o=ye(await ge(),e.adaptive?.sequence||[],e.swaps);return{items:o,segments:[{mode:"adaptive",start:0,end:o.length}]}}let{items:n,segments:t}=await Ye(await we(e),e.seed,e.order||"shuffle");return{items:oe(n,e.swaps),segments:t}}async function it(e){let n=e?.mode==="adaptive"?_.banks.slice():await we(e);return{banks:n,versions:await be(n)}}async function at(e){if(!e)throw new Error("migrateSession requires a session");let{patch:n,migration:t}=e.mode==="adaptive"?await tn(e,await ge()):await nn(e);if(!t)return{session:e,migration:null};let o={...n,step:Ae(n.answers)};return{session:e.sessionId?S.updateSession(e.sessionId,o):{...e,...o},migration:t}}function ct(e){if(!e)return"";let n={basic:"32 \u984C",advA:"\u9032\u968E A",advB:"\u9032\u968E B",advC:"\u9032\u968E C"},t=(e.banks||[]).map(s=>n[s]||s).join("\u3001");if(e.legacy)return`\u984C\u5EAB${t?`\uFF08${t}\uFF09`:""}\u5DF2\u66F4\u65B0\uFF0C\u9019\u4EFD\u8F03\u65E9\u7684\u4F5C\u7B54\u6C92\u6709\u984C\u76EE\u5C0D\u61C9\u7D00\u9304\uFF0C\u5DF2\u4F9D\u76EE\u524D\u7684\u984C\u76EE\u9806\u5E8F\u4FDD\u7559\uFF1B\u5EFA\u8B70\u6AA2\u67E5\u4F5C\u7B54\u6216\u91CD\u65B0\u6E2C\u9A57\u3002`;let o=[`\u4FDD\u7559 ${e.kept} \u984C`];return e.removed.length&&o.push(`\u79FB\u9664 ${e.removed.length} \u984C${e.dropped?`\uFF08\u542B ${e.dropped} \u500B\u4F5C\u7B54\uFF09`:""}`),e.added.length&&o.push(`\u65B0\u589E ${e.added.length} \u984C\u5F85\u4F5C\u7B54`),`\u984C\u5EAB${t?`\uFF08${t}\uFF09`:""}\u5DF2\u66F4\u65B0\uFF0C\u4F5C\u7B54\u5DF2\u4F9D\u984C\u76EE\u5C0D\u61C9\u5230\u65B0\u7248\uFF1A${o.join("\u3001")}\u3002`}function Gn(e){if(e==null)return null;let n=Number(e);return!Number.isInteger(n)||n<0||n>4?null:2-n}export{me as a,X as b,qn as c,rt as d,it as e,at as f,ct as g,Gn as h};
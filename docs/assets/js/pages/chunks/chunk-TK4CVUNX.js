@@ -0,0 +1 @@
+var q="jung8v",et=`${q}-sessions`,tt=1,E="sessions",nt=`${q}:sessions`,ue=e=>`${q}:sess:v1:${e}`,st=`${q}:sess:v1:`,Re=`${Date.now().toString(36)}_${Math.random().toString(36).slice(2)}`,v=new Map,$=null,Y=null,_e=null,R=Promise.resolve(),U=new Map,ce=new Set;function De(e){try{let t=sessionStorage.getItem(ue(e));return t?JSON.parse(t):null}catch{return null}}function Oe(e){try{sessionStorage.setItem(ue(e.sessionId),JSON.stringify(e))}catch{}}function Te(e){try{sessionStorage.removeItem(ue(e))}catch{}}function ke(){let e=[];try{for(let t=0;t<sessionStorage.length;t++){let n=sessionStorage.key(t);if(!n||!n.startsWith(st))continue;let s=JSON.parse(sessionStorage.getItem(n)||"null");s?.sessionId&&e.push(s)}}catch{}return e}function fe(e,t){return!t||(e?.rev||0)>(t?.rev||0)}function rt(e){return new Promise((t,n)=>{e.onsuccess=()=>t(e.result),e.onerror=()=>n(e.error)})}function ot(){return typeof indexedDB>"u"||!indexedDB?Promise.resolve(null):new Promise(e=>{let t;try{t=indexedDB.open(et,tt)}catch{e(null);return}t.onupgradeneeded=()=>{let n=t.result;n.objectStoreNames.contains(E)||n.createObjectStore(E,{keyPath:"sessionId"}).createIndex("updatedAt","updatedAt")},t.onsuccess=()=>e(t.result),t.onerror=()=>e(null),t.onblocked=()=>e(null)})}function it(){if(!$)return Promise.resolve([]);let e=$.transaction(E,"readonly");return rt(e.objectStore(E).getAll()).catch(()=>[])}function at(e){return $?new Promise(t=>{let n=$.transaction(E,"readwrite"),s=n.objectStore(E),r=null,a=s.get(e.sessionId);a.onsuccess=()=>{let i=a.result;if(i&&!fe(e,i)){r=i;return}s.put(e)},n.oncomplete=()=>t(r),n.onerror=()=>t(null),n.onabort=()=>t(null)}):Promise.resolve(null)}function ct(e){return $?new Promise(t=>{let n=$.transaction(E,"readwrite");n.objectStore(E).delete(e),n.oncomplete=()=>t(),n.onerror=()=>t(),n.onabort=()=>t()}):Promise.resolve()}function $e(e){return R=R.then(async()=>{let t=await at(e);t&&(z(t),le({type:"put",sessionId:t.sessionId,conflict:!0}))}).catch(()=>{}),R}function z(e){e?.sessionId&&fe(e,v.get(e.sessionId))&&(v.set(e.sessionId,e),De(e.sessionId)&&Oe(e))}function le(e){ce.forEach(t=>{try{t(e)}catch{}})}function Pe(e){try{_e?.postMessage({...e,from:Re})}catch{}}function lt(){if(typeof BroadcastChannel>"u")return null;try{let e=new BroadcastChannel(nt);return e.onmessage=t=>{let n=t.data||{};n.from!==Re&&(n.type==="put"&&n.session?(z(n.session),le({type:"put",sessionId:n.session.sessionId})):n.type==="remove"&&n.sessionId&&(v.delete(n.sessionId),Te(n.sessionId),le({type:"remove",sessionId:n.sessionId})))},e}catch{return null}}function ut(e){return`${q}:sess:${e}`}var y={init(){return Y||(Y=(async()=>{$=await ot();let e=new Map((await it()).map(t=>[t.sessionId,t]));e.forEach(z);for(let t of ke())fe(t,e.get(t.sessionId))&&(z(t),$e(t));_e=lt()})(),Y)},get(e){if(!e)return null;if(v.has(e))return v.get(e);let t=De(e);return t&&v.set(e,t),t},put(e){let t=this.get(e.sessionId),n={...e,rev:Math.max(t?.rev||0,e.rev||0)+1,updatedAt:new Date().toISOString()};return v.set(n.sessionId,n),Oe(n),$e(n),Pe({type:"put",session:n}),n},remove(e){v.delete(e),Te(e),R=R.then(()=>ct(e)),Pe({type:"remove",sessionId:e})},list(){let e=new Map(v);for(let t of ke())e.has(t.sessionId)||e.set(t.sessionId,t);return[...e.values()].sort((t,n)=>String(n.updatedAt||n.meta?.startedAt||"").localeCompare(String(t.updatedAt||t.meta?.startedAt||"")))},claim(e,{steal:t=!1,onLost:n}={}){if(U.has(e))return Promise.resolve(!0);let s=typeof navigator<"u"?navigator.locks:null;return s?.request?new Promise(r=>{s.request(ut(e),t?{steal:!0}:{ifAvailable:!0},a=>{if(!a){r(!1);return}return r(!0),new Promise(i=>{U.set(e,i)})}).catch(a=>{U.delete(e),n?.(a)})}):Promise.resolve(!0)},release(e){let t=U.get(e);U.delete(e),t?.()},onRemoteChange(e){return ce.add(e),()=>ce.delete(e)},flush(){return R}};var ft="jung8v",H=`${ft}:sess:v1:`;function b(e){return e===void 0?void 0:JSON.parse(JSON.stringify(e))}function Ne(e,t,n){return{...t,rev:Math.max(e?.rev||0,t.rev||0)+1,updatedAt:n()}}function Ce(e,t){let n=String(e.updatedAt||e.meta?.startedAt||"");return String(t.updatedAt||t.meta?.startedAt||"").localeCompare(n)}function xe(){return new Date().toISOString()}function W(e){return{get(t){try{let n=e.getItem(t);return n?JSON.parse(n):null}catch{return null}},set(t,n){try{e.setItem(t,JSON.stringify(n))}catch{}},remove(t){try{e.removeItem(t)}catch{}},keys(){let t=[];try{for(let n=0;n<e.length;n++)t.push(e.key(n))}catch{}return t.filter(Boolean)}}}function Me(){return{pathname:()=>window.location.pathname,search:()=>window.location.search,hash:()=>window.location.hash,go(e,{replace:t=!1}={}){t?window.location.replace(e):window.location.href=e}}}function Ke(e,t){window.addEventListener(e,t)}async function Ue(e){let t=await fetch(e,{cache:"no-cache"});if(!t.ok)throw new Error(`Failed to load ${e}: ${t.status}`);return t.json()}function dt({url:e="index.html",files:t={},fetchJSON:n=null,now:s=xe}={}){let r=new Map,a=new Map,i=new Map,u=new URL(e,"memory://app/"),d=[];return{name:"memory",visits:d,app:{get:c=>r.has(c)?b(r.get(c)):null,set:(c,S)=>{r.set(c,b(S))},remove:c=>{r.delete(c)},keys:()=>[...r.keys()]},tab:{get:c=>a.has(c)?b(a.get(c)):null,set:(c,S)=>{a.set(c,b(S))},remove:c=>{a.delete(c)},keys:()=>[...a.keys()]},sessions:{init:async()=>{},get:c=>i.has(c)?b(i.get(c)):null,put(c){let S=Ne(i.get(c.sessionId),c,s);return i.set(S.sessionId,b(S)),S},remove:c=>{i.delete(c)},list:()=>[...i.values()].map(b).sort(Ce),flush:async()=>{}},location:{pathname:()=>u.pathname,search:()=>u.search,hash:()=>u.hash,go(c){u=new URL(c,u),d.push(`${u.pathname.split("/").pop()}${u.search}`)}},on(){},fetchJSON:n||(async c=>{if(!(c in t))throw new Error(`Failed to load ${c}: not in memory adapter files`);return b(t[c])})}}function pt(){let e=W(localStorage),t=W(sessionStorage);return{name:"webstorage",app:{get:e.get,set:e.set,remove:e.remove,keys:e.keys},tab:{get:t.get,set:t.set,remove:t.remove,keys:t.keys},sessions:{init:async()=>{},get:n=>t.get(`${H}${n}`),put(n){let s=`${H}${n.sessionId}`,r=Ne(t.get(s),n,xe);return t.set(s,r),r},remove:n=>t.remove(`${H}${n}`),list:()=>t.keys().filter(n=>n.startsWith(H)).map(n=>t.get(n)).filter(n=>n?.sessionId).sort(Ce),flush:async()=>{}},location:Me(),on:Ke,fetchJSON:Ue}}function ht(){let e=W(localStorage),t=W(sessionStorage);return{name:"indexeddb",app:{get:e.get,set:e.set,remove:e.remove,keys:e.keys},tab:{get:t.get,set:t.set,remove:t.remove,keys:t.keys},sessions:{init:()=>y.init(),get:n=>y.get(n),put:n=>y.put(n),remove:n=>y.remove(n),list:()=>y.list(),claim:(n,s)=>y.claim(n,s),release:n=>y.release(n),onRemoteChange:n=>y.onRemoteChange(n),flush:()=>y.flush()},location:Me(),on:Ke,fetchJSON:Ue}}function qe(){return typeof window>"u"||!window.location?dt():typeof indexedDB<"u"&&indexedDB?ht():pt()}var Ve="jung8v";function X(e){let t="",n=new Uint8Array(e);for(let s=0;s<n.length;s++)t+=String.fromCharCode(n[s]);return btoa(t)}function Q(e){return Uint8Array.from(atob(String(e)),t=>t.charCodeAt(0))}function _(){let e=globalThis.crypto?.subtle;if(!e)throw new Error("WebCrypto is not available (privacy mode needs a secure context)");return e}async function Be(e,t,n){let s=await _().importKey("raw",new TextEncoder().encode(String(e)),"PBKDF2",!1,["deriveKey"]);return _().deriveKey({name:"PBKDF2",salt:t,iterations:n,hash:"SHA-256"},s,{name:"AES-GCM",length:256},!0,["encrypt","decrypt"])}async function B(e,t){let n=globalThis.crypto.getRandomValues(new Uint8Array(12)),s=await _().encrypt({name:"AES-GCM",iv:n},e,new TextEncoder().encode(JSON.stringify(t)));return{$sealed:1,iv:X(n),ct:X(s)}}async function L(e,t){let n=await _().decrypt({name:"AES-GCM",iv:Q(t.iv)},e,Q(t.ct));return JSON.parse(new TextDecoder().decode(n))}function pe(e){return!!e&&typeof e=="object"&&e.$sealed===1&&typeof e.ct=="string"}function de(e){return pe(e?.sealed)}function V(e){return e?.profile||"default"}async function mt(e,{key:t,profile:n,appKeys:s=[]}){let r=new Set(s),a=new Map,i=new Map,u=Promise.resolve(),d=o=>(u=u.then(o).catch(l=>{console.warn("[vault] write failed:",l)}),u);for(let o of r){let l=e.app.get(o);if(l!=null)if(pe(l))try{a.set(o,await L(t,l))}catch{}else a.set(o,l),d(async()=>e.app.set(o,await B(t,l)))}for(let o of e.sessions.list())if(V(o)===n)if(de(o))try{i.set(o.sessionId,{...await L(t,o.sealed),rev:o.rev,updatedAt:o.updatedAt})}catch{}else{i.set(o.sessionId,o);let l=o;d(async()=>e.sessions.put(await c(l)))}async function c(o){let{rev:l,updatedAt:I,...Ze}=o;return{sessionId:o.sessionId,profile:V(o),rev:Math.max(0,(l||1)-1),updatedAt:I,sealed:await B(t,Ze)}}async function S(o){let l=e.sessions.get(o);if(!l)i.delete(o);else if(V(l)===n&&de(l))try{i.set(o,{...await L(t,l.sealed),rev:l.rev,updatedAt:l.updatedAt})}catch{}}let be=o=>i.has(o);return{...e,name:`${e.name}+vault`,app:{get:o=>r.has(o)?a.has(o)?a.get(o):null:e.app.get(o),set(o,l){if(!r.has(o))return e.app.set(o,l);a.set(o,l),d(async()=>e.app.set(o,await B(t,l)))},remove(o){a.delete(o),e.app.remove?.(o)},keys:()=>e.app.keys?.()||[]},sessions:{...e.sessions,get:o=>be(o)?i.get(o):e.sessions.get(o),put(o){if(V(o)!==n)return e.sessions.put(o);let l=i.get(o.sessionId)||e.sessions.get(o.sessionId),I={...o,rev:Math.max(l?.rev||0,o.rev||0)+1,updatedAt:new Date().toISOString()};return i.set(I.sessionId,I),d(async()=>e.sessions.put(await c(I))),I},remove(o){i.delete(o),e.sessions.remove(o)},list(){let o=e.sessions.list().filter(l=>!be(l.sessionId)&&V(l)!==n);return[...i.values(),...o].sort((l,I)=>String(I.updatedAt||"").localeCompare(String(l.updatedAt||"")))},onRemoteChange:e.sessions.onRemoteChange?o=>e.sessions.onRemoteChange(async l=>{await S(l.sessionId),o(l)}):void 0,flush:async()=>{await u,await e.sessions.flush?.()}}}}var w={async createConfig(e){let t=globalThis.crypto.getRandomValues(new Uint8Array(16)),n=await Be(e,t,6e5);return{config:{v:1,kdf:"PBKDF2-SHA-256",iterations:6e5,salt:X(t),check:await B(n,Ve)},key:n}},async unlock(e,t){let n=await Be(t,Q(e.salt),e.iterations||6e5);try{return await L(n,e.check)===Ve?n:null}catch{return null}},seal:B,open:L,isSealed:pe,isSealedSession:de,async exportKey(e){return X(await _().exportKey("raw",e))},async importKey(e){return _().importKey("raw",Q(e),{name:"AES-GCM"},!0,["encrypt","decrypt"])},wrapAdapter:mt};var G=1,me="jung8v",ze=`${me}:profiles:v${G}`,ie=`app:v${G}`,ae=`results:v${G}`,ne=`vault:v${G}`,x=`vaultKey:v${G}`,wt=100,k="default",gt=1440*60*1e3,D={home:"index.html",quiz:"quiz.html",result_basic:"result_basic.html",result_advanced:"result_advanced.html",history:"history.html"},p=null,A=null,Le=null;function f(){return A||He(qe()),A}function He(e){p=e,M=null,T=null,ge=!1,ve(e),p.on?.("beforeunload",Pt),p.on?.("popstate",()=>h()),Rt()}function ve(e){Le?.(),A=e,Le=A.sessions.onRemoteChange?.(()=>h())||null}function we(e=f().location.search()){let t=new URLSearchParams(e),n={};for(let[s,r]of t.entries())n[s]=r;return n}function yt(e={}){let t=new URLSearchParams;Object.entries(e).forEach(([s,r])=>{r!=null&&r!==""&&t.set(s,String(r))});let n=t.toString();return n?`?${n}`:""}function We(){let e=f().location.pathname().split("/");return e[e.length-1]||"index.html"}function Ae(e,t){try{let n=f().app.get(e);return n==null||w.isSealed(n)?t:n}catch{return t}}function Ie(e,t){if(!(K()&&Ee().includes(e)))try{f().app.set(e,t)}catch{}}var M=null;function O(){let e={id:k,name:"\u9810\u8A2D",createdAt:null},t=Ae(ze,null),n=Array.isArray(t?.list)?t.list.filter(r=>r?.id):[];return n.some(r=>r.id===k)||n.unshift(e),{active:n.some(r=>r.id===t?.active)?t.active:k,list:n}}function Z(e){Ie(ze,e)}function g(){return M===null&&(M=O().active),M}function m(e,t=g()){return t===k?`${me}:${e}`:`${me}:p:${t}:${e}`}function F(e){return e?.profile||k}var T=null;function N(e=g()){let t=p?p.app.get(m(ne,e)):null;return t?.salt&&t?.check?t:null}function P(){return!!A&&A!==p}function K(){return!!p&&!P()&&!!N()}function Ee(){return[m(ie),m(ae)]}async function se(e){ve(await w.wrapAdapter(p,{key:e,profile:g(),appKeys:Ee()})),p.tab?.set(m(x),await w.exportKey(e))}function ee(){P()&&ve(p)}function St(){return T||(T=(async()=>{if(!N()||P())return;let e=p.tab?.get(m(x));if(e)try{await se(await w.importKey(e))}catch{p.tab?.remove(m(x))}})().finally(()=>{T=null}),T)}var ge=!1;function vt(e){return e.updatedAt||e.meta?.finishedAt||e.meta?.startedAt||null}function je(e){let t={sessions:0,results:0,visits:0};if(!(e>0)||K())return t;let n=Date.now()-e*gt,s=d=>{let c=typeof d=="number"?d:Date.parse(d||"");return Number.isFinite(c)&&c<n};f().sessions.list().filter(d=>F(d)===g()&&!w.isSealedSession(d)&&s(vt(d))).forEach(d=>{Xe(d.sessionId),t.sessions++});let r=oe(),a=r.filter(d=>!s(d.date));t.results=r.length-a.length,t.results&&ye(a);let i=j(),u=i.history.filter(d=>!s(d.ts));return t.visits=i.history.length-u.length,(t.visits||s(i.lastVisited?.ts))&&re({...i,history:u,lastVisited:s(i.lastVisited?.ts)?null:i.lastVisited}),t}function j(){let e={lastVisited:null,history:[],settings:{autoAdvance:!1}},t=Ae(m(ie),e);return{...e,...t,settings:{...e.settings,...t?.settings||{}}}}function re(e){Ie(m(ie),e)}function oe(){let e=Ae(m(ae),[]);return Array.isArray(e)?e:[]}function ye(e){Ie(m(ae),e)}function At({mode:e,seed:t,sessionId:n}){return{sessionId:n,profile:g(),mode:e,step:0,answers:[],seed:t||String(Math.random()).slice(2),meta:{startedAt:new Date().toISOString()}}}function he(){return globalThis.crypto?.randomUUID?.()||`${Date.now()}_${Math.random().toString(36).slice(2)}`}function J(e){let t=f().sessions.get(e);return t&&!w.isSealedSession(t)&&F(t)===g()?t:null}function Je(e){return!!f().sessions.get(e)}function te(e){if(K())throw new Error("Privacy mode is locked");return f().sessions.put(e)}function Xe(e){J(e)&&f().sessions.remove(e)}var Fe="r",Ge=1;function Ye(e){let t="";for(let n=0;n<e.length;n++)t+=String.fromCharCode(e[n]);return btoa(t).replace(/\+/g,"-").replace(/\//g,"_").replace(/=+$/,"")}function It(e){let t=e.replace(/-/g,"+").replace(/_/g,"/"),n=atob(t+"=".repeat((4-t.length%4)%4));return Uint8Array.from(n,s=>s.charCodeAt(0))}function Et(e,t){return e.map((n,s)=>n==null?"-":String(Number(n)+(t[s]?5:0))).join("")}function bt(e){let t=[],n=[];for(let s of String(e)){if(s==="-"){t.push(null),n.push(!1);continue}let r=Number(s);if(!Number.isInteger(r)||r<0||r>9)throw new Error(`Invalid answer vector character: ${s}`);t.push(r%5),n.push(r>=5)}return{answers:t,swapped:n}}function kt(e){let t=JSON.stringify(e),n=globalThis.pako;return n?.deflateRaw?`z${Ye(n.deflateRaw(t,{level:9}))}`:`j${Ye(new TextEncoder().encode(t))}`}function $t(e){let t=e[0],n=It(e.slice(1)),s;if(t==="z"){if(!globalThis.pako?.inflateRaw)throw new Error("pako is required to open this shared link");s=globalThis.pako.inflateRaw(n,{to:"string"})}else if(t==="j")s=new TextDecoder().decode(n);else throw new Error("Unknown shared link format");return JSON.parse(s)}var Se=new Set;function h(){let e=C.current();Se.forEach(t=>{try{t(e)}catch{}})}var Qe=!0;function Pt(e){if(!Qe)return;let t=C.current();if(t.page==="quiz"&&t.session?.answers?.length>0&&!t.session?.meta?.finishedAt)return e.preventDefault(),e.returnValue="",""}function Rt(){We()!==D.quiz||we().sid}var C={init(e){if(!e?.sessions||!e?.location)throw new Error("Router.init requires an adapter with sessions and location");return He(e),C},adapter(){return f()},current(){let e=We(),t=Object.entries(D).find(([,a])=>a===e)?.[0]||"home",n=we(),s=n.sid||null,r=s?J(s):null;return{page:t,file:e,query:n,session:r}},go(e,t={},{replace:n=!1}={}){if(!D[e])throw new Error(`Unknown page: ${e}`);let s=D[e],r=yt(t),a=`${s}${r}`,i=j();i.lastVisited={ts:Date.now(),page:e,query:t},i.history.push({ts:Date.now(),page:e,query:t}),i.history.length>50&&(i.history=i.history.slice(-50)),re(i);let u=()=>f().location.go(a,{replace:n});P()?f().sessions.flush().then(u,u):u()},shareLink(e,t,{swapped:n=[],bankVersions:s={}}={}){if(!D[e])throw new Error(`Unknown page: ${e}`);let r=Array.isArray(t?.answers)?t.answers:[],a={v:Ge,m:t.mode,s:t.seed,o:t.order||"shuffle",a:Et(r,n),bv:s};return t.mode==="adaptive"?a.q=t.adaptive?.sequence||[]:a.b=t.banks||[t.mode],t.meta?.finishedAt&&(a.f=t.meta.finishedAt),`${D[e]}#${Fe}=${kt(a)}`},readShare(){let e=String(f().location.hash?.()||"").replace(/^#/,""),t=new URLSearchParams(e).get(Fe);if(!t)return null;let n=$t(t);if(n?.v!==Ge||!n.m||!n.s||typeof n.a!="string")throw new Error("Invalid shared link");let{answers:s,swapped:r}=bt(n.a);return{session:{sessionId:null,shared:!0,mode:n.m,banks:Array.isArray(n.b)?n.b:void 0,seed:n.s,order:n.o,adaptive:Array.isArray(n.q)?{sequence:n.q,stop:null}:void 0,step:s.length,answers:s,meta:{finishedAt:n.f||null}},swapped:r,bankVersions:n.bv||{}}},async ready(){if(await f().sessions.init(),await St(),!ge&&!K()){ge=!0;let e=je(C.getSetting("retentionDays",0));(e.sessions||e.results)&&h()}},applyRetention(e=C.getSetting("retentionDays",0)){let t=je(e);return h(),t},privacy(){return f(),{enabled:!!N(),locked:K()}},async enablePrivacy(e){if(f(),N())throw new Error("Privacy mode is already enabled");if(!String(e||""))throw new Error("enablePrivacy requires a passphrase");let{config:t,key:n}=await w.createConfig(e);p.app.set(m(ne),t),await se(n),await A.sessions.flush(),h()},async unlock(e){f();let t=N();if(!t||P())return!0;let n=await w.unlock(t,e);return n?(await se(n),h(),!0):!1},async lock(){P()&&(await A.sessions.flush(),p.tab?.remove(m(x)),ee(),h())},async disablePrivacy(e){f();let t=N();if(!t)return!0;let n=await w.unlock(t,e);if(!n)return!1;P()||await se(n);let s=A;await s.sessions.flush();let r=s.sessions.list().filter(i=>F(i)===g()&&!w.isSealedSession(i)),a=Ee().map(i=>[i,s.app.get(i)]);return ee(),r.forEach(i=>p.sessions.put(i)),a.forEach(([i,u])=>{u!=null&&p.app.set(i,u)}),p.app.remove?.(m(ne)),p.tab?.remove(m(x)),await p.sessions.flush?.(),h(),!0},listSessions(){return f().sessions.list().filter(e=>F(e)===g()&&!w.isSealedSession(e)).map(e=>{let t=Array.isArray(e.answers)?e.answers:[];return{sessionId:e.sessionId,mode:e.mode,banks:e.banks||[e.mode],answered:t.filter(n=>n!=null).length,total:t.length,finished:!!e.meta?.finishedAt,startedAt:e.meta?.startedAt||null,updatedAt:e.updatedAt||e.meta?.finishedAt||e.meta?.startedAt||null,session:e}})},claimSession(e,t){let{sessions:n}=f();return n.claim?n.claim(e,t):Promise.resolve(!0)},releaseSession(e){f().sessions.release?.(e)},ensureSession({mode:e,sid:t,seed:n}={}){if(!e)throw new Error("ensureSession requires mode");if(K())throw new Error("Privacy mode is locked");let s=t||he(),r=t?J(t):null;if(!r&&t&&Je(t))throw new Error("Session belongs to another profile");return r||(r=te(At({mode:e,seed:n,sessionId:s}))),r},importSession(e){if(!e?.mode)throw new Error("importSession requires a session with mode");let{rev:t,updatedAt:n,...s}=e,r=e.sessionId&&!Je(e.sessionId)?e.sessionId:he(),a=te({...s,sessionId:r,profile:g()});return h(),a},updateSession(e,t){let n=J(e);if(!n)throw new Error("Session not found");let s=te({...n,...t});return h(),s},finishSession(e,t={}){let n=J(e);if(!n)return null;let s=te({...n,meta:{...n.meta,finishedAt:new Date().toISOString(),...t}});return h(),s},clearSession(e){Xe(e),h()},setLeaveGuard(e){Qe=!!e},onChange(e){return Se.add(e),()=>Se.delete(e)},getSetting(e,t=null){let n=j().settings[e];return n===void 0?t:n},setSetting(e,t){let n=j();n.settings={...n.settings,[e]:t},re(n)},recordResult(e){if(!e?.id)throw new Error("recordResult requires a snapshot with id");let t=oe().filter(n=>n.id!==e.id);return t.push(e),t.sort((n,s)=>String(s.date||"").localeCompare(String(n.date||""))),ye(t.slice(0,wt)),h(),e},listResults(){return oe()},removeResult(e){ye(oe().filter(t=>t.id!==e)),h()},listProfiles(){let e=g();return O().list.map(t=>({...t,active:t.id===e}))},activeProfile(){return C.listProfiles().find(e=>e.active)},createProfile(e){let t=String(e||"").trim();if(!t)throw new Error("createProfile requires a name");let n=O(),s={id:he().replace(/[^a-zA-Z0-9]/g,"").slice(0,12),name:t,createdAt:new Date().toISOString()};return Z({...n,list:n.list.concat([s])}),s},renameProfile(e,t){let n=String(t||"").trim();if(!n)throw new Error("renameProfile requires a name");let s=O();if(!s.list.some(r=>r.id===e))throw new Error(`Unknown profile: ${e}`);Z({...s,list:s.list.map(r=>r.id===e?{...r,name:n}:r)})},switchProfile(e){let t=O();if(!t.list.some(n=>n.id===e))throw new Error(`Unknown profile: ${e}`);Z({...t,active:e}),ee(),M=e,h()},deleteProfile(e){if(e===k)throw new Error("The default profile cannot be deleted");let t=O();if(!t.list.some(a=>a.id===e))throw new Error(`Unknown profile: ${e}`);let{sessions:n,app:s}=f();n.list().filter(a=>F(a)===e).forEach(a=>n.remove(a.sessionId)),[ie,ae,ne].forEach(a=>{try{s.remove(m(a,e))}catch{}}),p.tab?.remove(m(x,e));let r=t.active===e?k:t.active;Z({active:r,list:t.list.filter(a=>a.id!==e)}),g()===e&&(ee(),M=k),h()},markVisited(e){let t=j();t.lastVisited={ts:Date.now(),page:e,query:we()},re(t)}};export{C as a};
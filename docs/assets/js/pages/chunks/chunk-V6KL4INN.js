@@ -0,0 +1 @@
+var t=(s,o={},c=[])=>{let r=document.createElement(s);for(let[n,a]of Object.entries(o))n==="class"?r.className=a:n==="text"?r.textContent=a:r.setAttribute(n,a);return c.forEach(n=>r.appendChild(n)),r};function l(s){return s?.code==="schema"&&Array.isArray(s.errors)}function i(s,o){let c=o.errors.slice(0,50),r=t("tr",{},["\u984C\u5EAB","\u984C\u76EE","id","\u6B04\u4F4D","\u554F\u984C"].map(e=>t("th",{text:e}))),n=c.map(e=>t("tr",{},[t("td",{text:e.bank}),t("td",{text:e.index===null||e.index===void 0?"\u2014":`\u7B2C ${e.index+1} \u984C`}),t("td",{text:e.id||"\u2014"}),t("td",{class:"field",text:e.field}),t("td",{text:e.message})])),a=o.errors.length-c.length,d=t("section",{class:"card warn bank-error",role:"alert"},[t("h2",{text:"\u984C\u5EAB\u683C\u5F0F\u932F\u8AA4\uFF0C\u7121\u6CD5\u958B\u59CB\u6E2C\u9A57"}),t("p",{text:`\u984C\u5EAB\u6A94\u6848\u6709 ${o.errors.length} \u500B\u554F\u984C\uFF0C\u4FEE\u6B63\u5F8C\u91CD\u65B0\u6574\u7406\u9801\u9762\u5373\u53EF\u3002\u4F60\u7684\u4F5C\u7B54\u7D00\u9304\u4E0D\u53D7\u5F71\u97FF\u3002`}),t("table",{class:"bank-error-table"},[t("thead",{},[r]),t("tbody",{},n)])]);a>0&&d.appendChild(t("p",{class:"muted",text:`\u53E6\u6709 ${a} \u500B\u554F\u984C\u672A\u5217\u51FA\u3002`})),d.appendChild(t("div",{class:"actions"},[t("a",{class:"btn primary",href:"./index.html",text:"\u56DE\u9996\u9801"})])),s.replaceChildren(d)}export{l as a,i as b};
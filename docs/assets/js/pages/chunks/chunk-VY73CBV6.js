@@ -0,0 +1 @@
+function C(t){return t?typeof t=="string"?document.querySelector(t):t:null}function w(){if(typeof window>"u"||!window.Chart)throw new Error("Chart.js not found. Call await Vendor.load('chart') before rendering charts.");return window.Chart}var m={mode:"auto"};function v(){return m.mode==="dark"?!0:m.mode==="light"?!1:window.matchMedia&&window.matchMedia("(prefers-color-scheme: dark)").matches}function g(){let t=v();return{text:t?"rgba(255,255,255,0.85)":"rgba(0,0,0,0.75)",grid:t?"rgba(255,255,255,0.15)":"rgba(0,0,0,0.1)",border:t?"rgba(255,255,255,0.35)":"rgba(0,0,0,0.3)",fill:t?"rgba(255,255,255,0.08)":"rgba(0,0,0,0.04)",band:t?"rgba(255,255,255,0.14)":"rgba(0,0,0,0.09)"}}function f(t){return`${Math.round(typeof t=="number"?t:0)}%`}function x(t){let a=C(t);if(!a)throw new Error("Canvas element not found.");if(a.tagName!=="CANVAS")throw new Error("Target must be a <canvas>.");return a.getContext("2d")}var p=new Set;function k(t){return p.add(t),t}function h(t){try{t?.destroy?.()}catch{}p.delete(t)}function F(t,a={}){let n=(t?.byFunction||[]).map(r=>Math.max(0,Math.min(100,r.pct||0)));return{label:a.label||"\u516B\u529F\u80FD",data:n,fill:!0,backgroundColor:g().fill,borderWidth:2,tension:.2,pointRadius:2}}function A(t){let a=t?.byFunction||[];if(!a.some(s=>s?.ci))return[];let n=s=>Math.max(0,Math.min(100,s||0)),r=a.map(s=>n(s.ci?s.ci.lo:s.pct)),c=a.map(s=>n(s.ci?s.ci.hi:s.pct)),e=Math.round((a.find(s=>s?.ci)?.ci.level||.95)*100),i={borderWidth:0,pointRadius:0,pointHitRadius:0,tension:.2,_band:!0};return[{...i,label:`${e}% \u5340\u9593\u4E0B\u754C`,data:r,fill:!1},{...i,label:`${e}% \u5340\u9593\u4E0A\u754C`,data:c,fill:"-1",backgroundColor:g().band}]}function E(t,a={}){let n=t?.axes||{},r=e=>Math.round((e||0)*200-100),c=[r(n.EI?.pctE),r(n.NS?.pctN),r(n.TF?.pctT),r(n.JP?.pctJ)];return[{label:a.label||"\u56DB\u5927\u8EF8",data:c,borderWidth:1.5}]}var T={theme(t){return t?(t.mode&&(m.mode=t.mode),{...m,dark:v()}):{...m,dark:v()}},renderRadar(t,a,n={}){let r=w(),c=x(a),e=g(),i=(t?.byFunction||[]).map(o=>o?.key||o?.name||`F${o?.idx??""}`),s=F(t,{label:n.label}),u=n.showCI===!1?[]:A(t);for(let o of p)o?.ctx?.canvas===c.canvas&&h(o);return k(new r(c,{type:"radar",data:{labels:i,datasets:[s,...u]},options:{responsive:!0,maintainAspectRatio:!!n.aspectRatio,aspectRatio:n.aspectRatio,plugins:{legend:{display:!0,labels:{color:e.text,filter:(o,d)=>!d.datasets[o.datasetIndex]?._band}},title:{display:!!n.title,text:n.title||"",color:e.text,padding:8},tooltip:{filter:o=>!o.dataset._band,callbacks:{label:o=>{let d=t?.byFunction?.[o.dataIndex]?.ci,$=d?`\uFF08${f(d.lo)}\u2013${f(d.hi)}\uFF09`:"";return`${o.dataset.label||""}: ${f(o.raw)}${$}`}}}},scales:{r:{suggestedMin:0,suggestedMax:n.max??100,ticks:{display:!0,color:e.text,backdropColor:"transparent",showLabelBackdrop:!1,callback:o=>`${o}`},angleLines:{color:e.grid},grid:{color:e.grid},pointLabels:{color:e.text,font:{size:12}}}},elements:{line:{borderColor:e.border},point:{borderColor:e.border}}}}))},renderAxesBars(t,a,n={}){let r=w(),c=x(a),e=g(),i=["E\u2013I","N\u2013S","T\u2013F","J\u2013P"],s=E(t,{label:n.label});for(let l of p)l?.ctx?.canvas===c.canvas&&h(l);return k(new r(c,{type:"bar",data:{labels:i,datasets:s},options:{responsive:!0,maintainAspectRatio:!1,indexAxis:"y",plugins:{legend:{display:!1,labels:{color:e.text}},title:{display:!!n.title,text:n.title||"\u56DB\u5927\u8EF8\u50BE\u5411",color:e.text,padding:8},tooltip:{callbacks:{label:l=>{let o=Number(l.raw||0);return`${l.dataIndex===0?o>=0?"E":"I":l.dataIndex===1?o>=0?"N":"S":l.dataIndex===2?o>=0?"T":"F":o>=0?"J":"P"} ${f(Math.abs(o))}`}}}},scales:{x:{min:-100,max:100,grid:{color:e.grid},ticks:{color:e.text,callback:l=>`${l}`},border:{color:e.border}},y:{grid:{color:e.grid},ticks:{color:e.text},border:{color:e.border}}},elements:{bar:{borderColor:e.border,borderWidth:1}}}}))},renderTrend(t,a,n={}){let r=w(),c=x(a),e=g(),i=(t?.dates||[]).map(l=>l?new Date(l).toLocaleDateString():""),s=(t?.series||[]).map(l=>({label:l.key,data:l.values,borderWidth:2,tension:.2,pointRadius:3,spanGaps:!0,_sd:l.sd}));for(let l of p)l?.ctx?.canvas===c.canvas&&h(l);return k(new r(c,{type:"line",data:{labels:i,datasets:s},options:{responsive:!0,maintainAspectRatio:!!n.aspectRatio,aspectRatio:n.aspectRatio,plugins:{legend:{display:!0,labels:{color:e.text}},title:{display:!!n.title,text:n.title||"",color:e.text,padding:8},tooltip:{callbacks:{label:l=>`${l.dataset.label}: ${f(l.raw)}\uFF08\u6A19\u6E96\u5DEE ${l.dataset._sd}\uFF09`}}},scales:{x:{grid:{color:e.grid},ticks:{color:e.text},border:{color:e.border}},y:{min:0,max:100,grid:{color:e.grid},ticks:{color:e.text,stepSize:20},border:{color:e.border}}}}}))},downloadPNG(t,a="chart.png"){if(!t)return;let n=document.createElement("a");n.href=t.toBase64Image("image/png",1),n.download=a,n.click()},destroyAll(){for(let t of Array.from(p))h(t)}};var R=[{axis:"EI",field:"pctE"},{axis:"NS",field:"pctN"},{axis:"TF",field:"pctT"},{axis:"JP",field:"pctJ"}];function b(t){return Math.round(t*10)/10}function M(t,a){return String(t.date||"").localeCompare(String(a.date||""))}var P={snapshot(t,{sessionId:a,modes:n,date:r}={}){let c=Array.isArray(n)&&n.length?n.slice():[t?.mode].filter(Boolean);return{id:`${a}|${c.join("+")}`,sessionId:a,date:r||new Date().toISOString(),modes:c,type:{code:t?.type?.code||null,name:t?.type?.name||null},byFunction:(t?.byFunction||[]).map(e=>({key:e.key,name:e.name,pct:b(e.pct||0)})),axes:t?.axes||null}},diff(t,a){let n=Object.fromEntries((t?.byFunction||[]).map(e=>[e.key,e])),r=(a?.byFunction||[]).filter(e=>e.key in n).map(e=>({key:e.key,name:e.name,a:n[e.key].pct,b:e.pct,delta:b(e.pct-n[e.key].pct)})).sort((e,i)=>Math.abs(i.delta)-Math.abs(e.delta)),c=R.filter(({axis:e,field:i})=>Number.isFinite(t?.axes?.[e]?.[i])&&Number.isFinite(a?.axes?.[e]?.[i])).map(({axis:e,field:i})=>{let s=t.axes[e][i]*100,u=a.axes[e][i]*100;return{axis:e,a:b(s),b:b(u),delta:b(u-s)}});return{from:t?.id||null,to:a?.id||null,typeChanged:(t?.type?.code||null)!==(a?.type?.code||null),functions:r,axes:c}},trend(t){let a=(Array.isArray(t)?t:[]).slice().sort(M),n=[],r={};for(let e of a)for(let i of e.byFunction||[])i.key in r||n.push(i.key),r[i.key]=r[i.key]||i.name;let c=n.map(e=>{let i=a.map(o=>o.byFunction?.find(d=>d.key===e)?.pct??null),s=i.filter(o=>o!==null),u=s.length?s.reduce((o,d)=>o+d,0)/s.length:0,l=s.length>1?Math.sqrt(s.reduce((o,d)=>o+(d-u)**2,0)/(s.length-1)):0;return{key:e,name:r[e]||e,values:i,mean:b(u),sd:b(l)}});return{dates:a.map(e=>e.date),series:c}}};var S={chart:{file:"chart.umd.js",global:"Chart"},pako:{file:"pako.min.js",global:"pako"}},y={};function I(t){return new Promise((a,n)=>{let r=document.createElement("script");r.src=t,r.async=!0,r.onload=()=>a(),r.onerror=()=>{r.remove(),n(new Error(`failed to load ${t}`))},document.head.appendChild(r)})}var D={load(t){let a=S[t];if(!a)return Promise.reject(new Error(`Unknown vendor library: ${t}`));if(globalThis[a.global])return Promise.resolve(globalThis[a.global]);if(!y[t]){let n=new URL(`assets/js/vendor/${a.file}`,document.baseURI).href;y[t]=I(n).then(()=>{if(!globalThis[a.global])throw new Error(`${a.file} loaded but window.${a.global} is missing`);return globalThis[a.global]}).catch(r=>{throw delete y[t],r})}return y[t]},async loadAll(t){let a={};return await Promise.all(t.map(async n=>{try{a[n]=await this.load(n)}catch(r){console.warn(`[vendor] ${n} unavailable:`,r?.message||r),a[n]=null}})),a}};export{T as a,P as b,D as c};
@@ -0,0 +1 @@
+import{b as d,d as c,e as m,f as u}from"./chunk-GLRZPNSE.js";import{a as h}from"./chunk-TK4CVUNX.js";var g="jung8v-session",S=1,v=["sessionId","mode","banks","seed","order","swaps","adaptive","itemIds","bankVersions","step","answers","meta"],I=["basic","advA","advB","advC","adaptive"];function o(s,e){let n=new Error(e);return n.code=s,n}function p(s){let e={};for(let n of v)s[n]!==void 0&&(e[n]=s[n]);return e}function b(s){return s!=null}function f(s){let e=Array.isArray(s.answers)?s.answers:[];return!s.meta?.finishedAt||!e.length||!e.every(b)?!1:s.mode!=="adaptive"||!!s.adaptive?.stop}function y(s){if(!s||typeof s!="object"||s.format!==g)throw o("format","\u9019\u4E0D\u662F\u6E2C\u9A57\u4F5C\u7B54\u6A94\u3002");if(s.version!==S)throw o("format",`\u4E0D\u652F\u63F4\u7684\u4F5C\u7B54\u6A94\u7248\u672C\uFF08v${s.version}\uFF09\u3002`);let e=s.session;if(!e||typeof e!="object"||!I.includes(e.mode)||!e.seed)throw o("format","\u4F5C\u7B54\u6A94\u7F3A\u5C11\u6E2C\u9A57\u6A21\u5F0F\u6216 seed\u3002");if(!Array.isArray(e.answers)||!Array.isArray(s.itemIds)||!s.bankVersions)throw o("format","\u4F5C\u7B54\u6A94\u7F3A\u5C11\u4F5C\u7B54\u3001\u984C\u76EE\u9806\u5E8F\u6216\u984C\u5EAB\u7248\u672C\u3002")}function A(s,e){if(s.answers.length!==e.length)throw o("answers",`\u4F5C\u7B54\u6578\uFF08${s.answers.length}\uFF09\u8207\u984C\u6578\uFF08${e.length}\uFF09\u4E0D\u4E00\u81F4\u3002`);let n=s.answers.findIndex(t=>b(t)&&!(Number.isInteger(t)&&t>=0&&t<=4));if(n!==-1)throw o("answers",`\u7B2C ${n+1} \u984C\u7684\u4F5C\u7B54\u503C\u7121\u6548\uFF08${JSON.stringify(s.answers[n])}\uFF09\u3002`);if(s.meta?.finishedAt&&!f(s))throw o("answers","\u4F5C\u7B54\u6A94\u6A19\u8A18\u70BA\u5DF2\u5B8C\u6210\uFF0C\u4F46\u4ECD\u6709\u984C\u76EE\u6C92\u6709\u4F5C\u7B54\u3002")}async function l(s){let{versions:e}=await m(s.session);if(Object.entries(e).some(([i,a])=>s.bankVersions[i]!==a))return;let{items:n}=await c(s.session),t=n.map(i=>String(i.id)),r=t.findIndex((i,a)=>i!==String(s.itemIds[a]));if(t.length!==s.itemIds.length||r!==-1){let i=r===-1?Math.min(t.length,s.itemIds.length):r;throw o("items",`\u51FA\u984C\u9806\u5E8F\u8207\u76EE\u524D\u984C\u5EAB\u4E0D\u7B26\uFF08\u7B2C ${i+1} \u984C\uFF1A\u6A94\u6848 ${s.itemIds[i]??"\u7121"}\uFF0C\u76EE\u524D ${t[i]??"\u7121"}\uFF09\u3002`)}}var V={async build(s){if(!s?.sessionId)throw new Error("SessionFile.build requires a session");let{session:e}=await u(s),{banks:n,versions:t}=await m(e),r=p({...e,banks:e.mode==="adaptive"?e.banks:n,order:e.mode==="adaptive"?e.order:e.order||"shuffle"}),{items:i}=await c(r),a=i.map(k=>String(k.id));r.mode!=="adaptive"&&(r.itemIds=a),r.bankVersions=t;let w={format:g,version:S,exportedAt:new Date().toISOString(),session:r,bankVersions:t,itemIds:a};return{...w,checksum:await d.checksum(w)}},fileName(s){let e=new Date(s?.meta?.startedAt||Date.now()),n=Number.isNaN(e.getTime())?"session":e.toISOString().slice(0,10).replace(/-/g,"");return`jung8v-${s?.mode||"session"}-${n}.json`},async read(s){let e;try{e=JSON.parse(String(s))}catch{throw o("parse","\u6A94\u6848\u4E0D\u662F\u6709\u6548\u7684 JSON\u3002")}y(e);let{checksum:n,...t}=e,r=await d.verify(t,n);if(r===!1)throw o("checksum","\u6A94\u6848\u5167\u5BB9\u8207 checksum \u4E0D\u7B26\uFF08\u6A94\u6848\u53EF\u80FD\u640D\u6BC0\u6216\u88AB\u4FEE\u6539\uFF09\u3002");A(e.session,e.itemIds),await l(e);let i=p({...e.session,itemIds:e.session.mode==="adaptive"?void 0:e.itemIds.map(String),bankVersions:e.bankVersions});return{session:i,finished:f(i),verified:r===!0}},async importText(s){let{session:e,verified:n}=await this.read(s),t=h.importSession(e);return{session:t,finished:f(t),verified:n}}};export{V as SessionFile};
@@ -0,0 +1 @@
+import{a as u,b as f,c as y}from"./chunks/chunk-VY73CBV6.js";import{a as p}from"./chunks/chunk-TK4CVUNX.js";var g=(e,n=document)=>n.querySelector(e),t=(e,n={},o=[])=>{let d=document.createElement(e);for(let[a,s]of Object.entries(n))a==="class"?d.className=s:a==="text"?d.textContent=s:d.setAttribute(a,s);return o.forEach(a=>d.appendChild(a)),d},k={basic:"32 \u984C",advA:"\u9032\u968E A",advB:"\u9032\u968E B",advC:"\u9032\u968E C",adaptive:"\u81EA\u9069\u61C9"},L={EI:"E\uFF08\u5916\u5411\uFF09",NS:"N\uFF08\u76F4\u89BA\uFF09",TF:"T\uFF08\u7406\u6027\uFF09",JP:"J\uFF08\u898F\u5283\uFF09"},i=null;function m(e){return e?new Date(e).toLocaleString():"\u2014"}function b(e){let n=Math.round(e);return n>0?`+${n}`:String(n)}function E(e){return(e||[]).map(n=>k[n]||n).join(" + ")}function M(e){return`./${e.modes.length===1&&e.modes[0]==="basic"?"result_basic.html":"result_advanced.html"}?sid=${encodeURIComponent(e.sessionId)}`}function S(e,n){let o=t("section",{class:"card"},[t("h3",{text:"\u904E\u53BB\u7684\u7D50\u679C"})]),d=t("ul",{class:"history-list"});for(let a of n){let s=t("input",{type:"checkbox","aria-label":"\u52A0\u5165\u6BD4\u8F03"});s.checked=i.includes(a.id),s.addEventListener("change",()=>{i=s.checked?i.filter(l=>l!==a.id).concat([a.id]).slice(-2):i.filter(l=>l!==a.id),x()});let c=t("button",{class:"btn danger ghost",text:"\u522A\u9664"});c.addEventListener("click",()=>{confirm("\u78BA\u5B9A\u8981\u5F9E\u6B77\u53F2\u4E2D\u522A\u9664\u9019\u7B46\u7D50\u679C\u55CE\uFF1F\uFF08\u4F5C\u7B54\u7D00\u9304\u672C\u8EAB\u4E0D\u53D7\u5F71\u97FF\uFF09")&&(i=i.filter(l=>l!==a.id),p.removeResult(a.id))}),d.appendChild(t("li",{},[t("label",{class:"pick"},[s]),t("span",{class:"code",text:a.type?.code||"\u2014"}),t("span",{class:"label",text:E(a.modes)}),t("span",{class:"when muted",text:m(a.date)}),t("span",{class:"actions"},[t("a",{class:"btn ghost",href:M(a),text:"\u67E5\u770B"}),c])]))}o.appendChild(d),o.appendChild(t("p",{class:"muted",text:"\u52FE\u9078\u5169\u7B46\u7D50\u679C\u5373\u53EF\u6BD4\u8F03\u3002"})),e.appendChild(o)}function A(e,n){let o=n.filter(r=>i.includes(r.id));if(o.length!==2)return;let[d,a]=o.slice().sort((r,h)=>String(r.date).localeCompare(String(h.date))),s=f.diff(d,a),c=t("section",{class:"card"},[t("h3",{text:"\u5169\u6B21\u7D50\u679C\u6BD4\u8F03"}),t("p",{text:s.typeChanged?`\u63A8\u5B9A\u985E\u578B\u7531 ${d.type?.code||"\u2014"} \u8B8A\u70BA ${a.type?.code||"\u2014"}\u3002`:`\u5169\u6B21\u7684\u63A8\u5B9A\u985E\u578B\u90FD\u662F ${a.type?.code||"\u2014"}\u3002`})]),l=t("tr",{},["\u529F\u80FD",m(d.date),m(a.date),"\u8B8A\u5316"].map(r=>t("th",{text:r}))),$=s.functions.map(r=>t("tr",{},[t("td",{text:r.name||r.key}),t("td",{text:`${Math.round(r.a)}%`}),t("td",{text:`${Math.round(r.b)}%`}),t("td",{class:Math.abs(r.delta)>=10?"delta big":"delta",text:b(r.delta)})]));if(c.appendChild(t("table",{class:"history-diff"},[t("thead",{},[l]),t("tbody",{},$)])),s.axes.length){let r=t("ul");for(let h of s.axes)r.appendChild(t("li",{text:`${L[h.axis]||h.axis}\uFF1A${Math.round(h.a)}% \u2192 ${Math.round(h.b)}%\uFF08${b(h.delta)}\uFF09`}));c.appendChild(r)}e.appendChild(c)}function w(e,n){if(n.length<2)return;let o=f.trend(n),d=t("section",{class:"card"},[t("h3",{text:"\u5404\u529F\u80FD\u7684\u91CD\u6E2C\u8DA8\u52E2"}),t("div",{class:"chart-wrap"},[t("canvas",{id:"historyTrend",width:"640",height:"320"})])]),a=o.series.slice().sort((s,c)=>s.sd-c.sd).map(s=>t("tr",{},[t("td",{text:s.name||s.key}),t("td",{text:`${Math.round(s.mean)}%`}),t("td",{text:String(s.sd)})]));d.appendChild(t("table",{class:"history-trend"},[t("thead",{},[t("tr",{},["\u529F\u80FD","\u5E73\u5747","\u6A19\u6E96\u5DEE"].map(s=>t("th",{text:s})))]),t("tbody",{},a)])),d.appendChild(t("p",{class:"muted",text:"\u6A19\u6E96\u5DEE\u8D8A\u5C0F\uFF0C\u4EE3\u8868\u9019\u500B\u529F\u80FD\u5728\u591A\u6B21\u4F5C\u7B54\u4E4B\u9593\u8D8A\u7A69\u5B9A\u3002"})),e.appendChild(d);try{u.renderTrend(o,g("#historyTrend"),{aspectRatio:640/320})}catch(s){console.info("[history] trend chart skipped:",s?.message||s)}}function x(){let e=g("#history-root");if(!e)return;u.destroyAll(),e.replaceChildren(t("h1",{class:"title",text:"\u7D50\u679C\u6B77\u53F2"}));let n=p.listResults();if(!n.length){e.appendChild(t("section",{class:"card"},[t("p",{text:"\u9084\u6C92\u6709\u5B8C\u6210\u7684\u7D50\u679C\u3002\u5B8C\u6210\u6E2C\u9A57\u4E26\u958B\u555F\u7D50\u679C\u9801\u5F8C\uFF0C\u7D50\u679C\u6703\u81EA\u52D5\u8A18\u9304\u5728\u9019\u53F0\u88DD\u7F6E\u3002"}),t("div",{class:"actions"},[t("a",{class:"btn primary",href:"./index.html",text:"\u56DE\u9996\u9801"})])]));return}i===null&&(i=n.slice(0,2).map(o=>o.id).reverse()),i=i.filter(o=>n.some(d=>d.id===o)),S(e,n),A(e,n),w(e,n)}async function C(){if(await p.ready(),p.privacy().locked){p.go("home",{},{replace:!0});return}await y.loadAll(["chart"]),x(),p.onChange(()=>x())}function v(){C().catch(e=>{console.error("[history] init failed",e)})}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",v):v();
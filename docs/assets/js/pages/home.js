@@ -0,0 +1 @@
+import{a as k,b as w,c as A}from"./chunks/chunk-DFQACR2M.js";import{a}from"./chunks/chunk-TK4CVUNX.js";var $="jung8v",M="jung8v-data",_=1,U=`${$}:sess:v`,q="vaultKey";function L(t){return typeof t=="string"&&t.startsWith(`${$}:`)}function R(t){return L(t)&&N(t).namespace!==q}function I(t){try{return new TextEncoder().encode(JSON.stringify(t)??"").length}catch{return 0}}function N(t){let s=t.split(":").slice(1),o=null;s[0]==="p"&&s.length>2&&(o=s[1],s=s.slice(2));let e=/^v(\d+)$/.exec(s[1]||"");return{namespace:s[0]||"",version:e?Number(e[1]):null,profile:o,legacy:!e}}function x(t){let s=typeof t=="number"?t:Date.parse(t||"");return Number.isFinite(s)?new Date(s).toISOString():null}function C(t){return t.map(x).filter(Boolean).sort().pop()||null}function F(t){if(!t||typeof t!="object")return null;if(Array.isArray(t))return C(t.map(o=>o?.date||o?.updatedAt));if(t.updatedAt)return x(t.updatedAt);let s=Array.isArray(t.history)?t.history.map(o=>o?.ts):[];return C([t.lastVisited?.ts,...s,t.exportedAt,t.meta?.finishedAt,t.meta?.startedAt])}function E(t,s){return(s?.keys?.()||[]).filter(R).filter(e=>!(t==="tab"&&e.startsWith(U))).map(e=>{let n=s.get(e);return{store:t,key:e,...N(e),size:I(n),updatedAt:F(n)}})}function O(t){let s={};for(let o of(t?.keys?.()||[]).filter(R))s[o]=t.get(o);return s}var y={inventory(){let t=a.adapter(),s=t.sessions.list().map(e=>({store:"sessions",key:e.sessionId,namespace:"sess",version:1,profile:e.profile||"default",legacy:!1,size:I(e),updatedAt:x(e.updatedAt||e.meta?.finishedAt||e.meta?.startedAt)})),o={local:0,sessions:1,tab:2};return[...E("local",t.app),...s,...E("tab",t.tab)].sort((e,n)=>o[e.store]-o[n.store]||e.key.localeCompare(n.key))},summary(t=this.inventory()){let s=t.map(o=>o.updatedAt).filter(Boolean).sort();return{count:t.length,size:t.reduce((o,e)=>o+e.size,0),oldest:s[0]||null,newest:s[s.length-1]||null}},exportAll(){let t=a.adapter();return{format:M,version:_,exportedAt:new Date().toISOString(),local:O(t.app),tab:O(t.tab),sessions:t.sessions.list()}},fileName(t=new Date){return`jung8v-data-${t.toISOString().slice(0,10)}.json`},async wipeAll(){await a.lock();let t=a.adapter();await t.sessions.flush?.();let s=0;for(let o of t.sessions.list())t.sessions.remove(o.sessionId),s++;for(let o of[t.app,t.tab])for(let e of(o?.keys?.()||[]).filter(L))o.remove(e),s++;return await t.sessions.flush?.(),s}};var K=(t,s=document)=>s.querySelector(t),l=(t,s={},o=[])=>{let e=document.createElement(t);for(let[n,r]of Object.entries(s))n==="class"?e.className=r:n==="text"?e.textContent=r:e.setAttribute(n,r);return o.forEach(n=>e.appendChild(n)),e},W={local:"\u672C\u6A5F\u5132\u5B58",sessions:"\u4F5C\u7B54\u8CC7\u6599\u5EAB",tab:"\u672C\u5206\u9801"},V={app:"\u8A2D\u5B9A\u8207\u700F\u89BD\u7D00\u9304",results:"\u7D50\u679C\u6B77\u53F2",profiles:"\u8A2D\u5B9A\u6A94\u6E05\u55AE",vault:"\u96B1\u79C1\u6A21\u5F0F\u8A2D\u5B9A",sess:"\u4F5C\u7B54\u7D00\u9304",basicAnswers:"\u820A\u7248 32 \u984C\u4F5C\u7B54",advAnswers:"\u820A\u7248\u9032\u968E\u4F5C\u7B54"},H=[[0,"\u4E0D\u81EA\u52D5\u522A\u9664"],[30,"30 \u5929"],[90,"90 \u5929"],[180,"180 \u5929"],[365,"1 \u5E74"]];function j(t){return t<1024?`${t} B`:`${(t/1024).toFixed(1)} KB`}function g(t){return t?new Date(t).toLocaleString():"\u2014"}function J(t,s){let o=new Blob([JSON.stringify(t,null,2)],{type:"application/json"}),e=URL.createObjectURL(o),n=document.createElement("a");n.href=e,n.download=s,n.click(),setTimeout(()=>URL.revokeObjectURL(e),0)}function X(t){let s=Object.fromEntries(a.listProfiles().map(n=>[n.id,n.name])),o=l("tr",{},["\u4F4D\u7F6E","\u9805\u76EE","\u7248\u672C","\u8A2D\u5B9A\u6A94","\u5927\u5C0F","\u6700\u5F8C\u66F4\u65B0"].map(n=>l("th",{text:n}))),e=t.map(n=>l("tr",{class:n.legacy?"legacy":""},[l("td",{text:W[n.store]||n.store}),l("td",{text:V[n.namespace]||n.namespace,title:n.key}),l("td",{text:n.version?`v${n.version}`:"\u820A\u7248"}),l("td",{text:n.profile?s[n.profile]||n.profile:"\u2014"}),l("td",{text:j(n.size)}),l("td",{text:g(n.updatedAt)})]));return l("table",{class:"data-table"},[l("thead",{},[o]),l("tbody",{},e)])}function Y(){let t=a.privacy().locked,s=l("select",{"aria-label":"\u81EA\u52D5\u522A\u9664"}),o=Number(a.getSetting("retentionDays",0))||0;for(let[e,n]of H){let r=l("option",{value:String(e),text:n});r.selected=e===o,s.appendChild(r)}return s.disabled=t,s.addEventListener("change",()=>{let e=Number(s.value)||0;if(e&&!confirm(`\u5C07\u522A\u9664\u672C\u8A2D\u5B9A\u6A94\u8D85\u904E ${s.selectedOptions[0].text} \u7684\u4F5C\u7B54\u3001\u7D50\u679C\u6B77\u53F2\u8207\u700F\u89BD\u7D00\u9304\uFF0C\u4E4B\u5F8C\u6BCF\u6B21\u958B\u555F\u7DB2\u7AD9\u4E5F\u6703\u81EA\u52D5\u522A\u9664\u3002\u78BA\u5B9A\u55CE\uFF1F`)){s.value=String(o);return}a.setSetting("retentionDays",e),e&&a.applyRetention(e)}),l("p",{class:"data-retention"},[l("span",{text:"\u81EA\u52D5\u522A\u9664\u8D85\u904E "}),s,l("span",{class:"muted",text:t?"\uFF08\u96B1\u79C1\u6A21\u5F0F\u9396\u5B9A\u4E2D\uFF0C\u89E3\u9396\u5F8C\u624D\u80FD\u8B8A\u66F4\uFF09":"\uFF08\u4F9D\u76EE\u524D\u7684\u8A2D\u5B9A\u6A94\uFF09"})])}function v(){let t=K("#dataPanel");if(!t)return;let s=y.inventory(),o=y.summary(s),e=l("button",{class:"btn ghost",text:"\u532F\u51FA\u5168\u90E8\u8CC7\u6599"});e.addEventListener("click",()=>{try{J(y.exportAll(),y.fileName())}catch(i){console.error("[data] export failed:",i),alert(`\u7121\u6CD5\u532F\u51FA\u8CC7\u6599\uFF1A${i?.message||i}`)}});let n=l("button",{class:"btn danger",text:"\u522A\u9664\u5168\u90E8\u8CC7\u6599"});n.addEventListener("click",async()=>{if(confirm("\u78BA\u5B9A\u8981\u522A\u9664\u9019\u53F0\u88DD\u7F6E\u4E0A\u672C\u7DB2\u7AD9\u7684\u6240\u6709\u8CC7\u6599\u55CE\uFF1F\u6240\u6709\u8A2D\u5B9A\u6A94\u7684\u4F5C\u7B54\u3001\u7D50\u679C\u6B77\u53F2\u3001\u8A2D\u5B9A\u8207\u96B1\u79C1\u6A21\u5F0F\u90FD\u6703\u522A\u9664\uFF0C\u7121\u6CD5\u5FA9\u539F\u3002")){n.disabled=!0;try{let i=await y.wipeAll();alert(`\u5DF2\u522A\u9664 ${i} \u7B46\u8CC7\u6599\u3002`)}catch(i){console.error("[data] wipe failed:",i),alert(`\u522A\u9664\u5931\u6557\uFF1A${i?.message||i}`)}location.reload()}});let r=[l("summary",{text:`\u8CC7\u6599\u7BA1\u7406\uFF08${o.count} \u7B46\uFF0C${j(o.size)}\uFF09`}),l("p",{class:"muted",text:"\u4EE5\u4E0B\u662F\u672C\u7DB2\u7AD9\u5B58\u5728\u9019\u53F0\u88DD\u7F6E\u4E0A\u7684\u6240\u6709\u8CC7\u6599\uFF0C\u4E0D\u6703\u4E0A\u50B3\u5230\u4EFB\u4F55\u4F3A\u670D\u5668\u3002"})];s.length?(r.push(X(s)),r.push(l("p",{class:"muted",text:`\u6700\u820A ${g(o.oldest)}\uFF5C\u6700\u65B0 ${g(o.newest)}`}))):r.push(l("p",{text:"\u76EE\u524D\u6C92\u6709\u4EFB\u4F55\u8CC7\u6599\u3002"})),r.push(Y()),r.push(l("div",{class:"actions"},[e,n]));let f=t.open;t.replaceChildren(...r),t.open=f}function m(t){return document.querySelector(t)}function u(t,s,o){t&&t.addEventListener(s,o)}async function G(){try{let t=new URL("assets/js/weights.manifest.json",document.baseURI).href,s=await fetch(t,{cache:"no-cache"});return s.ok?await s.json():null}catch{return null}}async function D(){let t=m("#buildInfo");if(t){let e=await G();if(e?.ts){let n=new Date(e.ts);t.textContent=`\u7248\u865F v${e.version??1}\uFF5C\u5EFA\u7F6E\u6642\u9593 ${n.toLocaleString()}`}}let s=!!a?.ensureSession&&!!a?.go&&!!a?.current;if(u(m("#btnStart32"),"click",()=>{if(s){let e=a.ensureSession({mode:"basic"});a.go("quiz",{mode:"basic",sid:e.sessionId})}else location.href="./quiz.html?mode=basic"}),u(m("#btnStartAdaptive"),"click",()=>{if(s){let e=a.ensureSession({mode:"adaptive"});a.go("quiz",{mode:"adaptive",sid:e.sessionId})}else location.href="./quiz.html?mode=adaptive"}),s)try{await a.ready()}catch{}let o=m("#btnContinue");if(o){let e=s?a.listSessions().find(n=>!n.finished):null;e?(o.disabled=!1,u(o,"click",()=>B(e))):(o.disabled=!0,o.title="\u76EE\u524D\u6C92\u6709\u9032\u884C\u4E2D\u7684\u4F5C\u7B54")}u(m("#btnImport"),"click",()=>{s&&A()}),u(m("#btnClearThisTab"),"click",()=>{try{let e=[];for(let n=0;n<sessionStorage.length;n++){let r=sessionStorage.key(n);r&&r.startsWith("jung8v:sess:v")&&e.push(r.split(":").pop())}e.forEach(n=>{s?a.clearSession(n):sessionStorage.removeItem(`jung8v:sess:v1:${n}`)}),alert("\u5DF2\u6E05\u9664\u6B64\u5206\u9801\u7684\u4F5C\u7B54\u3002"),location.reload()}catch{alert("\u6E05\u9664\u5931\u6557\uFF0C\u8ACB\u6AA2\u67E5\u700F\u89BD\u5668\u6B0A\u9650\u3002")}}),s&&(P(),Q(),S(),v(),a.onChange(()=>{S(),v()}))}function P(){let t=m("#profileBar");if(!t)return;let s=a.listProfiles(),o=s.find(i=>i.active),e=c("select",{"aria-label":"\u8A2D\u5B9A\u6A94"});for(let i of s){let b=c("option",{value:i.id,text:i.name});b.selected=i.active,e.appendChild(b)}u(e,"change",()=>{a.switchProfile(e.value),location.reload()});let n=c("button",{class:"btn ghost",text:"\u65B0\u589E"});u(n,"click",()=>{let i=prompt("\u65B0\u8A2D\u5B9A\u6A94\u7684\u540D\u7A31\uFF1A");i?.trim()&&(a.switchProfile(a.createProfile(i).id),location.reload())});let r=c("button",{class:"btn ghost",text:"\u91CD\u65B0\u547D\u540D"});u(r,"click",()=>{let i=prompt("\u8A2D\u5B9A\u6A94\u540D\u7A31\uFF1A",o.name);i?.trim()&&(a.renameProfile(o.id,i),P())});let f=[c("span",{class:"muted",text:"\u8A2D\u5B9A\u6A94"}),e,n,r];if(o.id!=="default"){let i=c("button",{class:"btn danger ghost",text:"\u522A\u9664"});u(i,"click",()=>{confirm(`\u78BA\u5B9A\u8981\u522A\u9664\u8A2D\u5B9A\u6A94\u300C${o.name}\u300D\u55CE\uFF1F\u5B83\u7684\u6240\u6709\u4F5C\u7B54\u3001\u7D50\u679C\u6B77\u53F2\u8207\u8A2D\u5B9A\u90FD\u6703\u4E00\u4F75\u522A\u9664\uFF0C\u7121\u6CD5\u5FA9\u539F\u3002`)&&(a.deleteProfile(o.id),location.reload())}),f.push(i)}t.replaceChildren(...f)}function Q(){let t=m("#privacyBox");if(!t)return;let{enabled:s,locked:o}=a.privacy();["#btnStart32","#btnStartAdaptive","#btnContinue","#btnImport"].forEach(d=>{let p=m(d);p&&o&&(p.disabled=!0,p.title="\u96B1\u79C1\u6A21\u5F0F\u5DF2\u9396\u5B9A\uFF0C\u8ACB\u5148\u8F38\u5165\u5BC6\u78BC")});let e=d=>c("input",{type:"password",autocomplete:"current-password",placeholder:d,"aria-label":d}),n=c("span",{class:"muted","aria-live":"polite"}),r=async(d,p)=>{d.disabled=!0,n.textContent="\u8655\u7406\u4E2D\u2026";try{await p()}catch(h){n.textContent=`\u5931\u6557\uFF1A${h?.message||h}`}finally{d.disabled=!1}};if(o){let d=e("\u5BC6\u78BC"),p=c("button",{class:"btn primary",text:"\u89E3\u9396"}),h=()=>r(p,async()=>{await a.unlock(d.value)?location.reload():n.textContent="\u5BC6\u78BC\u932F\u8AA4\u3002"});u(p,"click",h),u(d,"keydown",T=>{T.key==="Enter"&&h()}),t.replaceChildren(c("span",{text:"\u{1F512} \u96B1\u79C1\u6A21\u5F0F\u5DF2\u9396\u5B9A"}),d,p,n);return}if(s){let d=c("button",{class:"btn ghost",text:"\u9396\u5B9A"});u(d,"click",()=>r(d,async()=>{await a.lock(),location.reload()}));let p=c("button",{class:"btn danger ghost",text:"\u95DC\u9589\u96B1\u79C1\u6A21\u5F0F"});u(p,"click",()=>r(p,async()=>{let h=prompt("\u8F38\u5165\u5BC6\u78BC\u4EE5\u95DC\u9589\u96B1\u79C1\u6A21\u5F0F\uFF08\u8CC7\u6599\u6703\u6539\u56DE\u4E0D\u52A0\u5BC6\u5132\u5B58\uFF09\uFF1A");if(h===null){n.textContent="";return}await a.disablePrivacy(h)?location.reload():n.textContent="\u5BC6\u78BC\u932F\u8AA4\u3002"})),t.replaceChildren(c("span",{text:"\u{1F513} \u96B1\u79C1\u6A21\u5F0F\uFF08\u5DF2\u89E3\u9396\uFF09"}),d,p,n);return}let f=e("\u8A2D\u5B9A\u5BC6\u78BC"),i=e("\u518D\u8F38\u5165\u4E00\u6B21"),b=c("button",{class:"btn ghost",text:"\u555F\u7528\u96B1\u79C1\u6A21\u5F0F"});u(b,"click",()=>r(b,async()=>{if(!f.value){n.textContent="\u8ACB\u8F38\u5165\u5BC6\u78BC\u3002";return}if(f.value!==i.value){n.textContent="\u5169\u6B21\u8F38\u5165\u7684\u5BC6\u78BC\u4E0D\u4E00\u81F4\u3002";return}if(!confirm("\u555F\u7528\u5F8C\uFF0C\u4F5C\u7B54\u8207\u7D50\u679C\u6703\u4EE5\u9019\u7D44\u5BC6\u78BC\u52A0\u5BC6\u5132\u5B58\uFF1B\u5FD8\u8A18\u5BC6\u78BC\u5C07\u7121\u6CD5\u5FA9\u539F\u8CC7\u6599\u3002\u78BA\u5B9A\u8981\u555F\u7528\u55CE\uFF1F")){n.textContent="";return}await a.enablePrivacy(f.value),location.reload()})),f.autocomplete=i.autocomplete="new-password",t.replaceChildren(c("span",{class:"muted",text:"\u96B1\u79C1\u6A21\u5F0F"}),f,i,b,n)}var Z={basic:"32 \u984C",advA:"\u9032\u968E A",advB:"\u9032\u968E B",advC:"\u9032\u968E C",adaptive:"\u81EA\u9069\u61C9"};function c(t,s={},o=[]){let e=document.createElement(t);for(let[n,r]of Object.entries(s))n==="class"?e.className=r:n==="text"?e.textContent=r:e.setAttribute(n,r);return o.forEach(n=>e.appendChild(n)),e}function B(t){k({...t.session,banks:t.banks},t.finished)}function S(){let t=m("#sessionList");if(!t)return;let s=a.listSessions();if(t.replaceChildren(),!s.length)return;t.appendChild(c("h2",{text:"\u6211\u7684\u6E2C\u9A57\u7D00\u9304"}));let o=c("ul",{class:"session-list"});for(let e of s){let n=e.updatedAt?new Date(e.updatedAt).toLocaleString():"",r=e.banks.map(p=>Z[p]||p).join(" + "),f=e.finished?"\u5DF2\u5B8C\u6210":`\u9032\u884C\u4E2D ${e.answered} / ${e.total}`,i=c("button",{class:"btn ghost",text:e.finished?"\u67E5\u770B\u7D50\u679C":"\u7E7C\u7E8C\u4F5C\u7B54"}),b=c("button",{class:"btn ghost",text:"\u4E0B\u8F09"}),d=c("button",{class:"btn danger ghost",text:"\u522A\u9664"});u(i,"click",()=>B(e)),u(b,"click",()=>w(e.session)),u(d,"click",()=>{confirm("\u78BA\u5B9A\u8981\u522A\u9664\u9019\u4EFD\u4F5C\u7B54\u7D00\u9304\u55CE\uFF1F")&&(a.clearSession(e.sessionId),S())}),o.appendChild(c("li",{class:e.finished?"done":"open"},[c("span",{class:"label",text:r}),c("span",{class:"status muted",text:f}),c("span",{class:"when muted",text:n}),c("span",{class:"actions"},[i,b,d])]))}t.appendChild(o)}function z(){D().catch(t=>{console.error("[home] init failed",t)})}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",z):z();
@@ -0,0 +1,17 @@
+import{a as P,b as M}from"./chunks/chunk-V6KL4INN.js";import{a as k,c as l,g as N,h as q}from"./chunks/chunk-GLRZPNSE.js";import{a as p}from"./chunks/chunk-TK4CVUNX.js";var z={advA:"\u9032\u968E A \u7D44",advB:"\u9032\u968E B \u7D44",advC:"\u9032\u968E C \u7D44"};function G(e){let t=String(e||"").toUpperCase();return t.length!==4?null:t[1]==="S"?t[3]==="J"?"SJ":"SP":t[1]==="N"?t[2]==="T"?"NT":"NF":null}function J(e){if(!e?.probs?.length)return null;let t={};for(let{code:a,p:o}of e.probs){let c=G(a);c&&(t[c]=(t[c]||0)+o)}let[s,n]=Object.entries(t).sort((a,o)=>o[1]-a[1])[0]||[];return s?{top:s,p:n,clear:n>=.7}:null}function Q(e,t){let s=Object.fromEntries((e||[]).map(o=>[o.key,o.pct])),n=new Set,a=[];for(let o of t)for(let c of o.facets||[]){if(c.keys.length!==2||!(c.keys[0]in s)||!(c.keys[1]in s))continue;let m=[...c.keys].sort().join("|");if(n.has(m))continue;n.add(m);let v=Math.abs(s[c.keys[0]]-s[c.keys[1]]);v<15&&a.push({keys:c.keys,gap:v})}return a.sort((o,c)=>o.gap-c.gap)}function W(e,t){return e.length===t.length&&e.every(s=>t.includes(s))}var _={recommend(e,t){let s=(Array.isArray(t)?t:[]).filter(f=>f&&Number.isFinite(f.info)),n=J(e?.posterior),a=Q(e?.byFunction,s);if(!s.length)return{mode:null,reasons:[],ranking:[],closePairs:a,temperament:n};let o=s[0],c=s.map(f=>({mode:f.mode,info:f.info,share:o.info>0?f.info/o.info:0})),m=z[o.mode]||o.mode,v=[];for(let f of a){let A=o.facets?.find(U=>W(U.keys,f.keys));if(A&&(v.push(`${f.keys[0]} \u8207 ${f.keys[1]} \u53EA\u5DEE ${Math.round(f.gap)} \u5206\uFF0C${m}\u6709 ${A.items} \u984C\u76F4\u63A5\u6BD4\u8F03\u9019\u5169\u8005\u3002`),v.length>=2))break}let C=o.facets?.some(f=>f.keys.some(A=>/^(SJ|SP|NT|NF)$/.test(A)));n&&!n.clear&&C&&v.push(`\u6C23\u8CEA\u5C1A\u4E0D\u660E\u78BA\uFF1A\u6700\u53EF\u80FD\u7684 ${n.top} \u53EA\u6709 ${Math.round(n.p*100)}%\uFF0C${m}\u76F4\u63A5\u6BD4\u8F03 SJ\uFF0FSP \u8207 NT\uFF0FNF\u3002`);let h=c[1];return h&&h.share>=.9?v.push(`${m}\u8207${z[h.mode]||h.mode}\u7684\u9810\u4F30\u6548\u76CA\u5DEE\u4E0D\u591A\uFF0C\u9078\u54EA\u4E00\u7D44\u90FD\u53EF\u4EE5\u3002`):v.length||v.push(`\u4F9D\u76EE\u524D\u4F5C\u7B54\uFF0C${m}\u9810\u4F30\u6700\u80FD\u91D0\u6E05\u4F60\u5728 16 \u578B\u4E4B\u9593\u7684\u4E0D\u78BA\u5B9A\u6027\u3002`),{mode:o.mode,reasons:v.slice(0,3),ranking:c,closePairs:a,temperament:n}}};var d={root:"quiz-root",title:"qTitle",text:"qText",answers:"answers",navPrev:"btnPrev",navNext:"btnNext",navClear:"btnClear",progressWrap:"progress",progressBar:"progressBar",progressText:"progressText",advPanel:"advPanel"},u=null,g=!1,I=null,O={advA:"btnAdvA",advB:"btnAdvB",advC:"btnAdvC"};function r(e){return e?typeof e=="string"?document.getElementById(e)||document.querySelector(e):e:null}function K(e,t,s,n){let a=r(`#${t}`);return a||(a=document.createElement(e),a.id=t,n&&(a.className=n),(s||document.body).appendChild(a)),a}function i(e,t={},s=[]){let n=document.createElement(e);return Object.entries(t).forEach(([a,o])=>{a==="class"?n.className=o||"":a==="text"?n.textContent=o??"":a.startsWith("on")&&typeof o=="function"?n.addEventListener(a.slice(2),o):o!=null&&n.setAttribute(a,String(o))}),s.forEach(a=>n.appendChild(a)),n}function y(e,t){e&&(e.style.display=t?"none":"")}function x(e){return String(e??"").replace(/[&<>"']/g,t=>({"&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#39;"})[t])}function V(){let e=K("div",d.root,document.body,"quiz-root"),t=i("div",{class:"quiz-header"},[i("h2",{id:d.title,text:"\u6E2C\u9A57\u9032\u884C\u4E2D"})]),s=i("div",{id:"quizLock",class:"quiz-lock",style:"display:none",role:"status"},[i("p",{text:"\u9019\u4EFD\u6E2C\u9A57\u6B63\u5728\u5176\u4ED6\u5206\u9801\u4F5C\u7B54\uFF1B\u70BA\u907F\u514D\u4E92\u76F8\u8986\u84CB\uFF0C\u9019\u500B\u5206\u9801\u66AB\u505C\u4F5C\u7B54\u3002"}),i("button",{class:"btn primary",id:"btnTakeOver",text:"\u6539\u5728\u9019\u500B\u5206\u9801\u7E7C\u7E8C"})]),n=i("div",{id:"quizNotice",class:"quiz-notice",style:"display:none",role:"status"}),a=i("div",{class:"quiz-qblock"},[i("div",{id:d.text,class:"question",text:""}),i("div",{id:d.answers,class:"answers",role:"group","aria-label":"\u4E94\u9EDE\u91CF\u8868"})]),o=i("div",{class:"quiz-nav"},[i("button",{id:d.navPrev,class:"btn prev",text:"\u2190 \u4E0A\u4E00\u984C"}),i("button",{id:d.navClear,class:"btn clear",text:"\u6E05\u9664\u672C\u984C"}),i("button",{id:d.navNext,class:"btn next",text:"\u4E0B\u4E00\u984C \u2192"})]),c=i("div",{id:d.progressWrap,class:"quiz-progress"},[i("div",{id:d.progressText,class:"progress-text",text:"0 / 0\uFF080%\uFF09"}),i("div",{class:"progress-bar-wrap"},[i("div",{id:d.progressBar,class:"progress-bar"})])]),m=i("div",{id:d.advPanel,class:"quiz-adv-panel",style:"display:none"},[i("h3",{id:"advTitle",text:"\u60F3\u8981\u66F4\u5B8C\u6574\u7684 56 \u984C\u7D50\u679C\u55CE\uFF1F"}),i("p",{id:"advHint",class:"muted",text:"\u4F60\u53EF\u4EE5\u9078\u64C7\u63A5\u7E8C\u9032\u968E\u984C\u7D44\uFF0C\u6216\u76F4\u63A5\u67E5\u770B 32 \u984C\u7D50\u679C\u3002"}),i("div",{id:"advAdvice",class:"adv-advice","aria-live":"polite"}),i("div",{class:"adv-actions"},[i("button",{class:"btn ghost",id:"btnAdvA",text:"\u9032\u968E A \u7D44"}),i("button",{class:"btn ghost",id:"btnAdvB",text:"\u9032\u968E B \u7D44"}),i("button",{class:"btn ghost",id:"btnAdvC",text:"\u9032\u968E C \u7D44"}),i("button",{class:"btn primary",id:"btnSeeBasic",text:"\u76F4\u63A5\u770B 32 \u984C\u7D50\u679C"})]),i("label",{class:"adv-auto muted"},[i("input",{type:"checkbox",id:"advAuto"}),document.createTextNode(" \u4EE5\u5F8C\u5B8C\u6210 32 \u984C\u6642\uFF0C\u81EA\u52D5\u63A5\u7E8C\u5EFA\u8B70\u7684\u984C\u7D44")])]);return e.replaceChildren(t,s,n,a,o,c,m),e}function X(e){let t=r(d.answers);if(!t)return;let s=["\u975E\u5E38\u540C\u610FA","\u8F03\u540C\u610FA","\u4E2D\u7ACB","\u8F03\u540C\u610FB","\u975E\u5E38\u540C\u610FB"];t.innerHTML="";let n=i("div",{class:"scale-wrap"});for(let a=0;a<5;a++){let o=[-2,-1,0,1,2][a],c=i("button",{class:`scale-btn${e===o+2?" selected":""}`,"data-val":String(o)},[i("span",{class:"k",text:String(a+1)}),i("span",{class:"t",text:s[a]})]);c.addEventListener("click",()=>B(o)),n.appendChild(c)}t.appendChild(n)}function Y(e){return e?e.adaptive&&!e.adaptive.stop?`\u7B2C ${e.step+1} \u984C\uFF08\u6700\u591A ${e.adaptive.maxItems} \u984C\uFF09`:`\u7B2C ${e.step+1} \u984C / \u5171 ${e.total} \u984C`:"\u7B2C ? \u984C"}function Z(e){let t=e?.stem??"",[s,n]=e?.options??["",""],[a,o]=e?.swapped?[n,s]:[s,n];return`
+    <div class="qid">${Y(u)}</div>
+    <div class="stem">${x(t)}</div>
+    <div class="pair-cards" aria-hidden="true">
+      <div class="pair-card A">
+        <span class="title">A</span>
+        <p>${x(a)}</p>
+      </div>
+      <div class="pair-card B">
+        <span class="title">B</span>
+        <p>${x(o)}</p>
+      </div>
+    </div>
+  `}function b(){let e=u,t=r(d.title),s=r(d.text),n=r(d.navPrev),a=r(d.navNext),o=r(d.navClear);if(!e)return;let c=e.mode==="basic"?"32 \u984C":e.mode==="advA"?"\u9032\u968E A \u7D44":e.mode==="advB"?"\u9032\u968E B \u7D44":e.mode==="advC"?"\u9032\u968E C \u7D44":e.mode==="adaptive"?"\u81EA\u9069\u61C9":e.mode;t&&(t.textContent=`\u69AE\u683C\u516B\u7DAD\u81EA\u6E2C\uFF5C${c}`);let m=r(d.progressText),v=r(d.progressBar),C=Math.round(e.progress*100);m&&(m.textContent=e.adaptive&&!e.adaptive.stop?`${e.step+1} / \u6700\u591A ${e.adaptive.maxItems}\uFF08\u4F5C\u7B54\u7D50\u679C\u5920\u660E\u78BA\u6642\u6703\u63D0\u524D\u7D50\u675F\uFF09`:`${Math.min(e.step+1,e.total)} / ${e.total}\uFF08${C}%\uFF09`),v&&(v.style.width=`${C}%`);let h=r(d.advPanel);if(e.done)if(T(e)){y(h,!1),y(r(d.answers),!0),te(e),s&&(s.innerHTML=L(e)?'<div class="stem">\u4F60\u5DF2\u5B8C\u6210 32 \u984C\u3002\u8981\u4E0D\u8981\u63A5\u7E8C\u9032\u968E\uFF0C\u53D6\u5F97\u66F4\u7D30\u7DFB\u7684 56 \u984C\u5206\u6790\uFF1F</div>':`<div class="stem">\u4F60\u5DF2\u5B8C\u6210 ${x(E(e.banks))}\u3002\u8981\u4E0D\u8981\u518D\u63A5\u7E8C\u5176\u4ED6\u9032\u968E\u984C\u7D44\uFF1F</div>`),n&&(n.disabled=!0),a&&(a.disabled=!0),o&&(o.disabled=!0);try{h.scrollIntoView({behavior:"smooth",block:"center"})}catch{}ae(e);return}else{w("result_advanced",e);return}else y(h,!0),y(r(d.answers),!1);let f=e.current;s&&(s.innerHTML=Z(f));let A=e.answers?.[e.step];X(A),n&&(n.disabled=e.step<=0),a&&(a.disabled=!1),o&&(o.disabled=A==null),g&&$(!0);try{window.scrollBy({top:16,behavior:"smooth"})}catch{}}function $(e){let t=g;g=e,y(r("#quizLock"),!e),e?document.querySelectorAll(`#${d.root} .quiz-nav .btn, #${d.answers} .scale-btn, #${d.advPanel} .btn`).forEach(s=>{s.disabled=!0}):t&&b()}async function R(e,t=!1){let s=await p.claimSession(e,{steal:t,onLost:()=>$(!0)});return $(!s),s}async function ee(){let e=l.getState();await R(e.sessionId,!0)&&(await l.bootstrap({mode:e.mode,sid:e.sessionId}),u=l.getState(),b())}var H={basic:"32 \u984C",advA:"\u9032\u968E A \u7D44",advB:"\u9032\u968E B \u7D44",advC:"\u9032\u968E C \u7D44"};function E(e){return(e||[]).map(t=>H[t]||t).join("\u3001")}function L(e){return e.banks?.length===1&&e.banks[0]==="basic"}function T(e){return e.remaining?.length>0}function te(e){let t=r("#advTitle"),s=r("#advHint"),n=r("#btnSeeBasic");L(e)?(t&&(t.textContent="\u60F3\u8981\u66F4\u5B8C\u6574\u7684 56 \u984C\u7D50\u679C\u55CE\uFF1F"),s&&(s.textContent="\u4F60\u53EF\u4EE5\u9078\u64C7\u63A5\u7E8C\u9032\u968E\u984C\u7D44\uFF0C\u6216\u76F4\u63A5\u67E5\u770B 32 \u984C\u7D50\u679C\u3002"),n&&(n.textContent="\u76F4\u63A5\u770B 32 \u984C\u7D50\u679C")):(t&&(t.textContent="\u9084\u8981\u518D\u63A5\u7E8C\u5176\u4ED6\u9032\u968E\u984C\u7D44\u55CE\uFF1F"),s&&(s.textContent=`\u5DF2\u5B8C\u6210\uFF1A${E(e.banks)}\u3002\u53EF\u4EE5\u518D\u52A0\u4E00\u7D44\uFF0C\u6216\u76F4\u63A5\u67E5\u770B\u76EE\u524D\u7684\u7D9C\u5408\u7D50\u679C\u3002`),n&&(n.textContent="\u76F4\u63A5\u770B\u7D50\u679C")),Object.entries(O).forEach(([a,o])=>y(r(`#${o}`),!e.remaining.includes(a)))}async function ne(e){let t=e.items.map((o,c)=>({id:String(o.id),value:q(e.answers?.[c]),swapped:!!o.swapped})),s=e.segments.map(o=>({mode:o.mode,answers:t.slice(o.start,o.end)})),n;s.length===1?(await k.init(s[0].mode),n=await k.score({mode:s[0].mode,answers:s[0].answers,seed:e.seed})):n=await k.scoreBanks(s,{seed:e.seed});let a=await k.rankBanks({answers:t,modes:e.remaining});return _.recommend(n,a)}function se(e){let t=r("#advAdvice");if(Object.entries(O).forEach(([n,a])=>{let o=r(`#${a}`);if(!o)return;let c=n===e?.mode;o.classList.toggle("recommended",c),o.textContent=o.textContent.replace("\uFF08\u5EFA\u8B70\uFF09","")+(c?"\uFF08\u5EFA\u8B70\uFF09":"")}),!t)return;if(!e?.mode){t.innerHTML="";return}let s=H[e.mode]||e.mode;t.innerHTML=`
+    <p><strong>\u5EFA\u8B70\u63A5\u7E8C\uFF1A${x(s)}</strong></p>
+    <ul>${e.reasons.map(n=>`<li>${x(n)}</li>`).join("")}</ul>
+  `}async function ae(e){let t=`${e.sessionId}:${e.banks.join("+")}`;if(I===t)return;I=t;let s=r("#advAdvice");s&&(s.textContent=`\u6B63\u5728\u5206\u6790\u4F60\u7684 ${E(e.banks)} \u7D50\u679C\u2026`);let n=r("#advAuto");n&&(n.checked=!!p.getSetting("autoAdvance",!1));let a=null;try{a=await ne(e)}catch(c){console.warn("[quiz] advanced-set advice unavailable",c)}se(a);let o=e.banks.length===1&&e.banks[0]==="basic";a?.mode&&o&&!g&&p.getSetting("autoAdvance",!1)&&await S(a.mode)}async function S(e){if(!g){try{await l.continueToAdvanced(e)}catch(t){if(!j(t))throw t;return}u=l.getState(),b(),ce()}}function B(e){g||(u=l.answer(Number(e)+3),b(),u.done&&(T(u)?b():w("result_advanced",u)))}function oe(){let e=r(d.navPrev),t=r(d.navNext),s=r(d.navClear);e?.addEventListener("click",()=>{if(g)return;let n=l.getState(),a=Math.max(0,n.step-1);u=l.go(a),b();try{window.scrollBy({top:-24,behavior:"smooth"})}catch{}}),t?.addEventListener("click",()=>{if(g)return;let n=l.getState();if(n.step<n.total){u=l.go(n.step+1),b();try{window.scrollBy({top:24,behavior:"smooth"})}catch{}}else T(n)||w("result_advanced",n)}),s?.addEventListener("click",()=>{if(g)return;let n=l.getState(),a=n.answers.slice();a[n.step]=null,u=p.updateSession(n.sessionId,{answers:a}),b()})}function ie(){let e=r("#btnAdvA"),t=r("#btnAdvB"),s=r("#btnAdvC"),n=r("#btnSeeBasic");e?.addEventListener("click",()=>S("advA")),t?.addEventListener("click",()=>S("advB")),s?.addEventListener("click",()=>S("advC")),r("#advAuto")?.addEventListener("change",a=>{p.setSetting("autoAdvance",!!a.target.checked)}),n?.addEventListener("click",()=>{let a=l.getState();L(a)?w("result_basic",{...a,mode:"basic"}):w("result_advanced",a)})}function re(){document.addEventListener("keydown",e=>{let t=l.getState();if(t.done||g)return;let s=e.key;if(/^[1-5]$/.test(s)){B({1:-2,2:-1,3:0,4:1,5:2}[s]),e.preventDefault();return}if(/^[0-4]$/.test(s)){let n=Number(s)-2;B(n),e.preventDefault();return}if(s==="ArrowLeft"){u=l.go(Math.max(0,t.step-1)),b(),e.preventDefault();return}if(s==="ArrowRight"){u=l.go(Math.min(t.total,t.step+1)),b(),e.preventDefault();return}if(s==="Backspace"||s.toLowerCase()==="r"){let n=t.answers.slice();n[t.step]=null,u=p.updateSession(t.sessionId,{answers:n}),b(),e.preventDefault()}})}function w(e,t){try{l.finish()}catch{}p.go(e,{sid:t.sessionId,mode:t.mode})}function ce(){try{window.scrollTo({top:0,behavior:"smooth"})}catch{}}function de(e){let t=r("#quizNotice");t&&(t.textContent=N(e),y(t,!e))}function j(e){return P(e)?(console.error("[quiz] item bank failed validation",e.errors),p.setLeaveGuard(!1),M(r(d.root),e),!0):!1}async function D(){if(V(),oe(),ie(),re(),r("#btnTakeOver")?.addEventListener("click",()=>{ee().catch(s=>{console.error("[quiz] take over failed",s)})}),await p.ready(),p.privacy().locked){p.go("home",{},{replace:!0});return}p.setLeaveGuard(!0);let{query:e}=p.current(),t=e.mode||"basic";try{await l.bootstrap({mode:t,sid:e.sid})}catch(s){if(!j(s))throw s;return}u=l.getState(),de(u.migration),b(),await R(u.sessionId)}function F(){D().catch(e=>{console.error("[quiz] init failed",e)})}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",F):F();
@@ -0,0 +1,73 @@
+import{b as I,c as B}from"./chunks/chunk-DFQACR2M.js";import{a as _,b as P}from"./chunks/chunk-V6KL4INN.js";import{a as J,b as R,c as j}from"./chunks/chunk-VY73CBV6.js";import{a as y,d as w,e as k,f as L,g as M,h as F}from"./chunks/chunk-GLRZPNSE.js";import{a as h}from"./chunks/chunk-TK4CVUNX.js";function l(e,t=0){let n=Math.pow(10,t);return Math.round((Number(e)||0)*n)/n}function v(e,t=0){return`${l(e,t)}%`}function T(e){return Math.max(0,Math.min(1,e))}function g(e,t,n){return e&&e[t]!==void 0?e[t]:n}var fe={0:3,1:2,2:1,3:0,4:7,5:6,6:5,7:4},D={NT:"\u7406\u6027\u8005",NF:"\u7406\u60F3\u4E3B\u7FA9\u8005",SJ:"\u5B88\u8B77\u8005",SP:"\u6280\u85DD\u8005"},ye={basic:"32 \u984C",advA:"\u9032\u968E A",advB:"\u9032\u968E B",advC:"\u9032\u968E C",adaptive:"\u81EA\u9069\u61C9"},be=[{idx:0,key:"Se",name:"\u5916\u50BE\u611F\u89BA\uFF08Se\uFF09",desc:""},{idx:1,key:"Si",name:"\u5167\u50BE\u611F\u89BA\uFF08Si\uFF09",desc:""},{idx:2,key:"Ne",name:"\u5916\u50BE\u76F4\u89BA\uFF08Ne\uFF09",desc:""},{idx:3,key:"Ni",name:"\u5167\u50BE\u76F4\u89BA\uFF08Ni\uFF09",desc:""},{idx:4,key:"Te",name:"\u5916\u50BE\u601D\u8003\uFF08Te\uFF09",desc:""},{idx:5,key:"Ti",name:"\u5167\u50BE\u601D\u8003\uFF08Ti\uFF09",desc:""},{idx:6,key:"Fe",name:"\u5916\u50BE\u60C5\u611F\uFF08Fe\uFF09",desc:""},{idx:7,key:"Fi",name:"\u5167\u50BE\u60C5\u611F\uFF08Fi\uFF09",desc:""}];function C(){let e=typeof y.getFuncMeta=="function"?y.getFuncMeta():null,t=e?.list&&e.list.length>=8?e.list:null,n=Array.isArray(globalThis.__FUNCS__)&&globalThis.__FUNCS__.length>=8?globalThis.__FUNCS__.map((s,r)=>({idx:r,key:s,name:s,desc:""})):null;return(t||n||be).map((s,r)=>({idx:r,key:s.key??`f${r}`,name:s.name??s.key??`\u529F\u80FD ${r}`,desc:s.desc??""}))}function x(){let e=typeof y.getTypeMap=="function"?y.getTypeMap():null,t=globalThis.__TYPES__||null;return e?.byCode?e:t?.byCode?t:t&&!t.byCode?{byCode:t}:{byCode:{}}}function A(e){let t=e?.EI?.pctE??.5,n=e?.NS?.pctN??.5,a=e?.TF?.pctT??.5,s=e?.JP?.pctJ??.5,r=(c,d,m)=>c>=.5?d:m;return{codeGuess:`${r(t,"E","I")}${r(n,"N","S")}${r(a,"T","F")}${r(s,"J","P")}`,line:`\u50BE\u5411${r(t,"\u5916\u5411","\u5167\u5411")}\u3001\u504F${r(n,"\u76F4\u89BA","\u611F\u89BA")}\u3001\u6C7A\u7B56\u504F${r(a,"\u7406\u6027","\u60C5\u611F")}\u3001\u751F\u6D3B\u504F${r(s,"\u898F\u5283","\u5F48\u6027")}`,percents:{E:l(t*100),N:l(n*100),T:l(a*100),J:l(s*100)}}}function $e(e,t,n){if(!Array.isArray(e)||e.length<3)return{score:.5,label:"\u4E00\u822C",source:"gap",details:{gap1:0,gap2:0}};let a=[...e].sort((d,m)=>m.pct-d.pct),s=(a[0].pct-a[1].pct)/100,r=(a[1].pct-a[2].pct)/100;if(t?.probs?.length){let d=t.probs[0],m=T(t.probs.find($=>$.code===n)?.p??0),p=d.code===n,u=t.borderline||!p?"\u908A\u754C":m>=.8?"\u9AD8":m>=.6?"\u4E2D":"\u4E00\u822C";return{score:m,label:u,source:"posterior",details:{gap1:l(s*100),gap2:l(r*100),top:l(m*100),margin:l(t.margin*100),agrees:p,best:{code:d.code,pct:l(T(d.p)*100)}}}}let o=T(s*.7+r*.3),c=o>=.6?"\u9AD8":o>=.35?"\u4E2D":"\u4E00\u822C";return{score:o,label:c,source:"gap",details:{gap1:l(s*100),gap2:l(r*100)}}}function S(e){let t=String(e||"").toUpperCase();if(!t||t.length<4)return null;let n=t[1],a=t[3],s=t[2];return n==="N"&&s==="T"?"nt":n==="N"&&s==="F"?"nf":n==="S"&&a==="P"?"sp":n==="S"&&a==="J"?"sj":null}function ge(e){return e>=85?{level:"\u6975\u5F37",hint:"\u975E\u5E38\u7A81\u51FA\uFF0C\u5E38\u81EA\u7136\u800C\u7136\u5730\u4F7F\u7528"}:e>=70?{level:"\u5F37",hint:"\u7A69\u5B9A\u53EF\u7528\uFF0C\u8868\u73FE\u660E\u986F"}:e>=55?{level:"\u4E2D\u9AD8",hint:"\u504F\u597D\u660E\u986F\uFF0C\u53EF\u6301\u7E8C\u935B\u934A"}:e>=45?{level:"\u4E2D\u6027",hint:"\u4ECB\u65BC\u5F37\u5F31\u4E4B\u9593\uFF0C\u8996\u60C5\u5883\u800C\u5B9A"}:e>=30?{level:"\u504F\u5F31",hint:"\u8F03\u5C11\u4E3B\u52D5\u4F7F\u7528"}:{level:"\u5F31",hint:"\u5BB9\u6613\u5FFD\u7565\uFF0C\u5EFA\u8B70\u5728\u4F4E\u58D3\u60C5\u5883\u7DF4\u7FD2"}}function H(e){let t=C(),n=A(e.axes),a=e.top?.dominant,s=e.top?.auxiliary,r=e.type?.code||n.codeGuess||"\u672A\u77E5",o=$e(e.byFunction,e.posterior,r),d=x().byCode?.[r]||null,m=e.type?.name||d?.name||d?.name_zh||null,p=a?g(t,a.idx,{name:"(\u672A\u77E5)"}).name:"(\u672A\u77E5)",u=s?g(t,s.idx,{name:"(\u672A\u77E5)"}).name:"(\u672A\u77E5)",$=Array.isArray(e.typeRanking)?e.typeRanking:[],ue=(e.type?.alternatives||$.filter(b=>b.code!==r).slice(0,2).map(b=>b.code)).map(b=>({code:b,fit:$.find(he=>he.code===b)?.fit??null}));return{typeCode:r,typeName:m,fit:e.type?.fit??$.find(b=>b.code===r)?.fit??null,alternatives:ue,how:e.type?.how||(d?"mapping":"heuristic"),dominant:{idx:a?.idx,name:p,pct:l(a?.pct||0)},auxiliary:{idx:s?.idx,name:u,pct:l(s?.pct||0)},axes:n,confidence:o,line:`\u63A8\u5B9A\u985E\u578B\uFF1A${r}\uFF08\u4E3B\uFF1A${p}\uFF0C\u8F14\uFF1A${u}\uFF1B\u4FE1\u5FC3${o.label}\uFF09\uFF5C${n.line}`}}function N(e){let t=C(),n=(e.byFunction||[]).map(a=>{let s=g(t,a.idx,{name:`\u529F\u80FD ${a.idx}`,desc:"",key:`f${a.idx}`}),r=ge(a.pct);return{idx:a.idx,key:s.key,name:s.name,desc:s.desc||"",pct:l(a.pct,0),ci:a.ci?{lo:l(a.ci.lo),hi:l(a.ci.hi),pm:l((a.ci.hi-a.ci.lo)/2),level:a.ci.level}:null,raw:a.raw,max:a.max,level:r.level,hint:r.hint}});return n.sort((a,s)=>s.pct-a.pct),n}function U(e){let t=x(),n=e.type?.code||A(e.axes).codeGuess,a=t?.byCode&&t.byCode[n]||e.type||null;if(a&&(a.description||a.desc)){let p=a.description||a.desc;return{code:n,name:a.name||null,paragraphs:Array.isArray(p)?p:String(p||"").split(/\n{2,}/).filter(Boolean),source:"mapping"}}let s=C(),r=e.top?.dominant,o=e.top?.auxiliary,c=r?g(s,r.idx,{name:"(\u672A\u77E5)"}).name:"(\u672A\u77E5)",d=o?g(s,o.idx,{name:"(\u672A\u77E5)"}).name:"(\u672A\u77E5)",m=[`\u4F60\u7684\u6838\u5FC3\u50BE\u5411\u7531\u300C${c}\u300D\u4E3B\u5C0E\uFF0C\u8F14\u4EE5\u300C${d}\u300D\u3002\u9019\u4EE3\u8868\u4F60\u5728\u9762\u5C0D\u8CC7\u8A0A\u8207\u6C7A\u7B56\u6642\uFF0C\u6703\u512A\u5148\u4F7F\u7528\u4E3B\u529F\u80FD\u7684\u7FD2\u6163\u6A21\u5F0F\uFF0C\u4E26\u7531\u8F14\u529F\u80FD\u88DC\u8DB3\u4E0D\u540C\u5834\u666F\u4E0B\u7684\u9700\u6C42\u3002`,`\u5F9E\u6578\u64DA\u4F86\u770B\uFF0C\u4E3B\u529F\u80FD\u7D04 ${v(r?.pct||0)}\uFF0C\u8F14\u529F\u80FD\u7D04 ${v(o?.pct||0)}\uFF1B\u5169\u8005\u5DEE\u8DDD\u986F\u793A\u4F60\u5728\u65E5\u5E38\u4E2D\u8F03\u6613\u4EE5\u4E3B\u529F\u80FD\u555F\u52D5\uFF0C\u4F46\u4E5F\u5177\u5099\u4EE5\u8F14\u529F\u80FD\u8ABF\u7BC0\u7684\u5F48\u6027\u3002`];return{code:n,name:null,paragraphs:m,source:"auto"}}function O(e){let t=C(),n=N(e),a=n.slice(0,4),s=[];for(let c of a){let d=fe[c.idx],m=g(t,d,{name:"\u5C0D\u4F4D\u529F\u80FD"}),p=n.find(u=>u.idx===d);p&&p.pct<45&&s.push(`\u5F37\u5316\u300C${c.name}\u300D\u7684\u540C\u6642\uFF0C\u5225\u5FFD\u7565\u5176\u5C0D\u4F4D\u300C${m.name}\u300D\u3002\u53EF\u5728\u4F4E\u58D3\u60C5\u5883\u4E0B\uFF0C\u523B\u610F\u7DF4\u7FD2\u9700\u8981\u300C${m.name}\u300D\u7684\u7C21\u55AE\u4EFB\u52D9\uFF0C\u8B93\u6C7A\u7B56\u66F4\u5168\u9762\u3002`)}let r=e.axes||{},o=(c,d,m,p)=>{c>=.75&&s.push(`\u5728\u300C${p}\u300D\u4E0A\u660E\u986F\u504F\u5411 ${d}\uFF08\u7D04 ${l(c*100)}%\uFF09\uFF0C\u9047\u5230\u9700\u8981 ${m} \u7684\u60C5\u5883\u6642\uFF0C\u5148\u66AB\u505C\u4E26\u6536\u96C6\u66F4\u591A\u53CD\u4F8B\u6216\u5BE6\u611F\u8A0A\u606F\u3002`),c<=.25&&s.push(`\u5728\u300C${p}\u300D\u4E0A\u660E\u986F\u504F\u5411 ${m}\uFF08\u7D04 ${l((1-c)*100)}%\uFF09\uFF0C\u5617\u8A66\u5B89\u6392\u53EF\u63D0\u524D\u898F\u5283/\u62BD\u8C61\u5316\u7684\u4EFB\u52D9\u4F86\u64F4\u5145\u53E6\u4E00\u5074\u808C\u8089\u3002`)};return o(r.EI?.pctE??.5,"\u5916\u5411","\u5167\u5411","E\u2013I"),o(r.NS?.pctN??.5,"\u76F4\u89BA","\u611F\u89BA","N\u2013S"),o(r.TF?.pctT??.5,"\u7406\u6027","\u60C5\u611F","T\u2013F"),o(r.JP?.pctJ??.5,"\u898F\u5283","\u5F48\u6027","J\u2013P"),s.length===0&&s.push("\u4F60\u7684\u529F\u80FD\u5206\u4F48\u76F8\u5C0D\u5E73\u8861\u3002\u6301\u7E8C\u5728\u4E0D\u540C\u5834\u666F\u7DF4\u7FD2\u5207\u63DB\u7B56\u7565\uFF0C\u53EF\u8B93\u8868\u73FE\u66F4\u7A69\u5B9A\u3002"),s.slice(0,6)}function G(e){let t=e?.validity;return!t||t.severity==="ok"||!t.flags?.length?null:{severity:t.severity,messages:t.flags.map(n=>n.message),advice:t.severity==="poor"?"\u9019\u6B21\u7684\u4F5C\u7B54\u6A21\u5F0F\u8B93\u7D50\u679C\u7684\u53EF\u4FE1\u5EA6\u504F\u4F4E\uFF0C\u5EFA\u8B70\u653E\u6162\u901F\u5EA6\u3001\u9010\u984C\u4F9D\u76F4\u89BA\u91CD\u65B0\u4F5C\u7B54\u3002":"\u7D50\u679C\u4ECD\u53EF\u53C3\u8003\uFF0C\u4F46\u8ACB\u4FDD\u7559\u4E00\u4E9B\u5F48\u6027\u4F86\u89E3\u8B80\u3002"}}function z(e,t=4){let n=e?.posterior;if(!n?.probs?.length)return null;let a=x();return{rows:n.probs.slice(0,t).map(r=>({code:r.code,name:r.name||a.byCode?.[r.code]?.name||a.byCode?.[r.code]?.name_zh||null,pct:l(r.p*100,1)})),borderline:!!n.borderline,margin:l(n.margin*100,1),items:n.items}}function V(e){let t=(Array.isArray(e?.byTemperament)?e.byTemperament:[]).filter(o=>o.measured);if(!t.length)return null;let n=t.map(o=>({key:o.key,label:D[o.key]||o.name||o.key,pct:l(o.pct)})).sort((o,c)=>c.pct-o.pct),a=e.type?.code||A(e.axes).codeGuess,s=x().byCode?.[a]?.temperament||S(a)?.toUpperCase()||null,r=n[0];return{rows:n,top:r.key,typeCode:a,typeTemperament:s,agrees:s?r.key===s:null}}function ve(e){let t=(Array.isArray(e.byTemperament)?e.byTemperament:[]).filter(n=>n.measured).sort((n,a)=>a.pct-n.pct)[0];return t?`${D[t.key]||t.name||t.key}\uFF08${t.key}\uFF09`:"\u2014"}function q(e){let t=Array.isArray(e?.byBank)?e.byBank:[];if(!t.length)return null;let n=C(),a=t.map(r=>({mode:r.mode,label:ye[r.mode]||r.mode,typeCode:r.measured===!1?ve(r):r.type?.code||"\u672A\u77E5",usedItems:r.usedItems??0})),s=(e.byFunction||[]).map(r=>({idx:r.idx,name:g(n,r.idx,{name:`\u529F\u80FD ${r.idx}`}).name,combined:l(r.pct),perBank:t.map(o=>o.measured===!1?null:l(o.byFunction?.[r.idx]?.pct||0))}));return s.sort((r,o)=>o.combined-r.combined),{columns:a,rows:s}}var Ce={summary(e){let n=["type-badge",S(e.typeCode)||"",(e.typeCode||"").toUpperCase()].filter(Boolean).join(" "),a=e.typeName?`\uFF08${e.typeName}\uFF09`:"",s=e.confidence.details,r=e.confidence.source==="posterior"?`\u4FE1\u5FC3\uFF1A${e.confidence.label}\uFF08${(e.typeCode||"").toUpperCase()} \u7684\u6A5F\u7387 ${s.top}%${s.agrees?"":`\uFF1B\u6A5F\u7387\u6700\u9AD8\u7684\u985E\u578B\u70BA ${s.best.code}\uFF08${s.best.pct}%\uFF09`}\uFF09`:`\u4FE1\u5FC3\uFF1A${e.confidence.label}\uFF08\u4E3B\u8F14\u5DEE\u8DDD ${s.gap1}%\uFF09`,o=e.fit!==null&&e.fit!==void 0?`\uFF5C\u5806\u758A\u543B\u5408\u5EA6 ${l(e.fit)}%`:"",c=(e.alternatives||[]).length?`<p class="muted">\u6700\u63A5\u8FD1\u7684\u5176\u4ED6\u985E\u578B\uFF1A${e.alternatives.map(d=>d.fit!==null?`${d.code}\uFF08${l(d.fit)}%\uFF09`:d.code).join("\u3001")}</p>`:"";return`
+<div class="report-summary">
+  <h2>
+    <span class="${n}">${(e.typeCode||"\u672A\u77E5").toUpperCase()}</span> ${a}
+  </h2>
+  <p>${e.line}</p>
+  <p class="muted">${r}${o}</p>
+  ${c}
+</div>`.trim()},functionTable(e){let t=e.some(s=>s.ci),n=e.map(s=>`
+      <tr>
+        <td>${s.name}</td>
+        <td>${v(s.pct)}${s.ci?` <span class="muted">\xB1${s.ci.pm}</span>`:""}</td>
+        ${t?`<td class="muted">${s.ci?`${s.ci.lo}\u2013${s.ci.hi}%`:"\u2014"}</td>`:""}
+        <td>${s.level}</td>
+        <td class="muted">${s.hint}</td>
+      </tr>`).join(""),a=Math.round((e.find(s=>s.ci)?.ci.level||.95)*100);return`
+<table class="report-func">
+  <thead><tr><th>\u529F\u80FD</th><th>\u5F37\u5EA6</th>${t?`<th>${a}% \u5340\u9593</th>`:""}<th>\u7B49\u7D1A</th><th>\u8AAA\u660E</th></tr></thead>
+  <tbody>${n}</tbody>
+</table>`.trim()},typeNarrative(e){let t=e.name?`${e.code}\uFF08${e.name}\uFF09`:e.code,n=(e.paragraphs||[]).map(s=>`<p>${s}</p>`).join(""),a=e.source==="mapping"?"\uFF08\u4F9D\u64DA\u5C0D\u7167\u6A94\uFF09":"\uFF08\u4F9D\u64DA\u4E3B\u8F14\u529F\u80FD\u81EA\u52D5\u751F\u6210\uFF09";return`
+<div class="report-type">
+  <h3>\u985E\u578B\u89E3\u8B80\uFF1A${t}</h3>
+  ${n}
+  <p class="muted">${a}</p>
+</div>`.trim()},validity(e){if(!e)return"";let t=e.messages.map(a=>`<li>${a}</li>`).join("");return`
+<div class="report-validity">
+  <h3>${e.severity==="poor"?"\u4F5C\u7B54\u54C1\u8CEA\u504F\u4F4E":"\u4F5C\u7B54\u54C1\u8CEA\u63D0\u9192"}</h3>
+  <ul>${t}</ul>
+  <p>${e.advice}</p>
+</div>`.trim()},posterior(e){if(!e)return"";let t=e.rows.map(a=>`
+      <tr>
+        <td><span class="type-badge ${S(a.code)||""} ${a.code}">${a.code}</span>${a.name?` ${a.name}`:""}</td>
+        <td>${a.pct}%</td>
+      </tr>`).join("");return`
+<div class="report-posterior">
+  <h3>\u985E\u578B\u6A5F\u7387</h3>
+  ${e.borderline?`<p class="warn">\u4F60\u7684\u8F2A\u5ED3\u843D\u5728\u908A\u754C\uFF1A\u524D\u5169\u540D\u50C5\u76F8\u5DEE ${e.margin}%\uFF0C\u5EFA\u8B70\u628A\u9019\u5E7E\u578B\u7684\u63CF\u8FF0\u90FD\u8B80\u904E\uFF0C\u6216\u63A5\u7E8C\u9032\u968E\u984C\u7D44\u518D\u78BA\u8A8D\u3002</p>`:""}
+  <table class="report-func">
+    <thead><tr><th>\u985E\u578B</th><th>\u6A5F\u7387</th></tr></thead>
+    <tbody>${t}</tbody>
+  </table>
+  <p class="muted">\u4F9D ${e.items} \u984C\u4F5C\u7B54\u8207\u6B0A\u91CD\u63A8\u7B97\uFF0C16 \u578B\u6A5F\u7387\u7E3D\u548C\u70BA 100%\u3002</p>
+</div>`.trim()},temperament(e){if(!e)return"";let t=e.rows.map(a=>`
+      <tr>
+        <td>${a.label}\uFF08${a.key}\uFF09</td>
+        <td>${v(a.pct)}</td>
+        <td>${a.key===e.typeTemperament?'<span class="badge">\u2713</span>':""}</td>
+      </tr>`).join(""),n=e.typeTemperament?`\u63A8\u5B9A\u985E\u578B ${e.typeCode} \u5C6C\u65BC ${e.typeTemperament}\uFF1B\u6C23\u8CEA\u984C\u7D44\u6700\u9AD8\u70BA ${e.top}${e.agrees?"\uFF0C\u5169\u8005\u4E00\u81F4\u3002":"\uFF0C\u5169\u8005\u4E0D\u540C\uFF0C\u53EF\u53C3\u8003\u5F8C\u518D\u5C0D\u7167\u6558\u8FF0\u3002"}`:`\u6C23\u8CEA\u984C\u7D44\u6700\u9AD8\u70BA ${e.top}\u3002`;return`
+<div class="report-temperament">
+  <h3>\u6C23\u8CEA\u50BE\u5411</h3>
+  <table class="report-func">
+    <thead><tr><th>\u6C23\u8CEA</th><th>\u5F37\u5EA6</th><th>\u985E\u578B\u6240\u5C6C</th></tr></thead>
+    <tbody>${t}</tbody>
+  </table>
+  <p class="muted">${n}</p>
+</div>`.trim()},bankBreakdown(e){if(!e)return"";let t=e.columns.map(s=>`<th>${s.label}</th>`).join(""),n=e.rows.map(s=>`
+      <tr>
+        <td>${s.name}</td>
+        <td><strong>${v(s.combined)}</strong></td>
+        ${s.perBank.map(r=>`<td>${r===null?"\u2014":v(r)}</td>`).join("")}
+      </tr>`).join(""),a=e.columns.map(s=>`${s.label}\uFF1A${s.typeCode}\uFF08\u8A08\u5206 ${s.usedItems} \u984C\uFF09`).join("\uFF5C");return`
+<div class="report-banks">
+  <h3>\u5404\u984C\u7D44\u62C6\u89E3</h3>
+  <table class="report-func">
+    <thead><tr><th>\u529F\u80FD</th><th>\u7D9C\u5408</th>${t}</tr></thead>
+    <tbody>${n}</tbody>
+  </table>
+  <p class="muted">${a}</p>
+</div>`.trim()},recommendations(e){return`
+<div class="report-reco">
+  <h3>\u5BE6\u7528\u5EFA\u8B70</h3>
+  <ul>${e.map(n=>`<li>${n}</li>`).join("")}</ul>
+</div>`.trim()}},f={buildAll(e){let t=H(e),n=N(e),a=U(e),s=O(e),r=q(e),o=V(e),c=z(e),d=G(e);return{summary:t,table:n,narrative:a,recos:s,banks:r,temperament:o,posterior:c,validity:d}},buildSummary:H,buildFunctionTable:N,buildTypeNarrative:U,buildRecommendations:O,buildBankBreakdown:q,buildTemperament:V,buildPosterior:z,buildValidity:G,toHTML:Ce};var E=(e,t=document)=>t.querySelector(e),i=(e,t={},n=[])=>{let a=document.createElement(e);for(let[s,r]of Object.entries(t))s==="class"?a.className=r:s==="text"?a.textContent=r:s==="html"?a.innerHTML=r:a.setAttribute(s,r);return n.forEach(s=>a.appendChild(s)),a};var K={basic:"32 \u984C",advA:"\u9032\u968E A \u7D44",advB:"\u9032\u968E B \u7D44",advC:"\u9032\u968E C \u7D44",adaptive:"\u81EA\u9069\u61C9"};async function W(){let e=h.readShare();return e?we(e):xe()}async function xe(){if(await h.ready(),h.privacy().locked)return h.go("home",{},{replace:!0}),null;let e=h.current().session;if(!e)return null;let{session:t,migration:n}=await L(e),{items:a,segments:s}=await w(t);return{session:t,parts:Y(t,a,s),shared:!1,migration:n}}async function we({session:e,swapped:t,bankVersions:n}){let{versions:a}=await k(e),s=Object.keys(a).filter(u=>n[u]!==a[u]);if(s.length)throw new Error(`\u984C\u5EAB\u5DF2\u66F4\u65B0\uFF08${s.map(u=>K[u]||u).join("\u3001")}\uFF09\uFF0C\u9019\u500B\u5206\u4EAB\u9023\u7D50\u7684\u4F5C\u7B54\u7121\u6CD5\u5C0D\u56DE\u76EE\u524D\u7684\u984C\u76EE\u3002`);let{items:r,segments:o}=await w(e);if(r.length!==e.answers.length)throw new Error("\u5206\u4EAB\u9023\u7D50\u7684\u984C\u6578\u8207\u984C\u5EAB\u4E0D\u7B26\u3002");let c=Object.fromEntries(r.map((u,$)=>[String(u.id),!!t[$]])),d={...e,swaps:c},m=r.map(u=>({...u,swapped:c[String(u.id)]})),p=Y(d,m,o);if(p.some(u=>!u.complete))throw new Error("\u5206\u4EAB\u9023\u7D50\u7684\u4F5C\u7B54\u4E0D\u5B8C\u6574\u3002");return{session:d,parts:p,shared:!0}}function Y(e,t,n){let a=Array.isArray(e.answers)?e.answers:[];return n.map(({mode:s,start:r,end:o})=>{let c=[],d=0;for(let p=r;p<o;p++){let u=F(a[p]);u!==null&&d++,c.push({id:String(t[p].id),value:u,swapped:!!t[p].swapped})}let m=o-r;return{mode:s,answers:c,answered:d,total:m,complete:d===m}})}function ke(e,t){if(!(window.Chart&&e?.getContext))return;let n=e.getContext("2d"),a=t.map(o=>o.name.replace(/（.*?）/,"")),s=t.map(o=>o.pct),r=t.map(o=>{let c=(o.key||"").toUpperCase();return c==="NI"||c==="NE"?"rgba(99,102,241,0.25)":c==="TI"||c==="TE"?"rgba(14,165,233,0.25)":c==="FI"||c==="FE"?"rgba(16,185,129,0.25)":"rgba(234,179,8,0.25)"});return new Chart(n,{type:"bar",data:{labels:a,datasets:[{label:"\u529F\u80FD\u5F37\u5EA6\uFF08%\uFF09",data:s,backgroundColor:r}]},options:{animation:!1,responsive:!0,plugins:{legend:{display:!1}},scales:{y:{beginAtZero:!0,max:100,ticks:{stepSize:20}}}}})}function Te(e){if(!e)return"nt";let t=/^(ENTP|ENTJ|INTP|INTJ)$/,n=/^(ENFP|ENFJ|INFP|INFJ)$/,a=/^(ESTP|ESFP|ISTP|ISFP)$/,s=/^(ESFJ|ESTJ|ISFJ|ISTJ)$/;return t.test(e)?"nt":n.test(e)?"nf":a.test(e)?"sp":s.test(e)?"sj":"nt"}function Z(e,t){let n=i("div",{class:`type-badge ${t.typeCode}`},[i("span",{class:"code",text:t.typeCode}),i("span",{class:"tag",text:"\u63A8\u5B9A\u985E\u578B"})]);n.classList.add(Te(t.typeCode));let a=i("section",{class:"res-summary card"});a.appendChild(n),a.appendChild(i("div",{html:f.toHTML.summary(t)})),e.appendChild(a)}function Q(e,t,n){let a=i("section",{class:"res-charts card"});a.appendChild(i("div",{class:"chart-wrap"},[i("canvas",{id:"funcBars",width:"560",height:"300"})])),a.appendChild(i("div",{class:"chart-wrap"},[i("canvas",{id:"funcRadar",width:"560",height:"300"})])),e.appendChild(a),ke(E("#funcBars"),t);try{J.renderRadar(n,E("#funcRadar"),{label:"\u516B\u529F\u80FD\u96F7\u9054",aspectRatio:560/300})}catch(s){console.info("[result] radar skipped:",s?.message||s)}}function X(e,t){let n=i("section",{class:"res-table card"});n.innerHTML=f.toHTML.functionTable(t),e.appendChild(n)}function ee(e,t,{shared:n=!1}={}){if(!t)return;let a=t.severity==="poor",s=i("section",{class:`res-validity card${a?" warn":""}`},[i("div",{html:f.toHTML.validity(t)})]);if(!n){let r=i("button",{class:`btn ${a?"primary":"ghost"}`,text:"\u91CD\u65B0\u4F5C\u7B54 32 \u984C"});r.addEventListener("click",Se),s.appendChild(i("div",{class:"actions"},[r]))}e.appendChild(s)}function Se(){if(h.privacy().locked){h.go("home",{},{replace:!0});return}let e;try{e=h.ensureSession({mode:"basic"})}catch(t){console.warn("[result] retake failed:",t?.message||t),h.go("home",{},{replace:!0});return}h.go("quiz",{mode:"basic",sid:e.sessionId})}function te(e,t){if(!t)return;let n=i("section",{class:"res-posterior card"});n.innerHTML=f.toHTML.posterior(t),e.appendChild(n)}function ne(e,t){if(!t)return;let n=i("section",{class:"res-temperament card"});n.innerHTML=f.toHTML.temperament(t),e.appendChild(n)}function Ne(e,t){if(!t)return;let n=i("section",{class:"res-banks card"});n.innerHTML=f.toHTML.bankBreakdown(t),e.appendChild(n)}function se(e,t){let n=i("section",{class:"res-narrative card"});n.innerHTML=f.toHTML.typeNarrative(t),e.appendChild(n)}function ae(e,t){let n=i("section",{class:"res-reco card"},[i("div",{html:f.toHTML.recommendations(t)})]);e.appendChild(n)}function re(e,t,n){let a=e.session;if(!(e.shared||!a?.meta?.finishedAt))try{h.recordResult(R.snapshot(t,{sessionId:a.sessionId,modes:n,date:a.meta.finishedAt}))}catch(s){console.warn("[result] history not saved:",s?.message||s)}}async function Ae(e){let{session:t,parts:n}=e,a=n.flatMap(c=>c.answers.map(d=>d.swapped)),{versions:s}=await k(t),r=le().toLowerCase()==="result_basic.html"?"result_basic":"result_advanced",o=new URL(h.shareLink(r,t,{swapped:a,bankVersions:s}),location.href).href;try{await navigator.clipboard.writeText(o),alert("\u5DF2\u8907\u88FD\u5206\u4EAB\u9023\u7D50\u3002")}catch{prompt("\u8907\u88FD\u9019\u500B\u5206\u4EAB\u9023\u7D50\uFF1A",o)}}function oe(e,t){let n=i("button",{class:"btn primary",text:"\u8907\u88FD\u5206\u4EAB\u9023\u7D50"}),a=i("button",{class:"btn ghost",text:"\u4E0B\u8F09\u6211\u7684\u4F5C\u7B54"}),s=i("button",{class:"btn ghost",text:"\u5F9E\u6A94\u6848\u8F09\u5165\u4F5C\u7B54"});n.addEventListener("click",()=>{Ae(t).catch(r=>alert(`\u7121\u6CD5\u7522\u751F\u5206\u4EAB\u9023\u7D50\uFF1A${r?.message||r}`))}),a.addEventListener("click",()=>I(t.session)),s.addEventListener("click",()=>B()),e.appendChild(i("section",{class:"card"},[i("h3",{text:"\u5206\u4EAB\u8207\u4F5C\u7B54\u6A94"}),i("p",{class:"muted",text:"\u5206\u4EAB\u9023\u7D50\u5167\u542B\u9019\u6B21\u7684\u4F5C\u7B54\uFF0C\u5C0D\u65B9\u958B\u555F\u5F8C\u6703\u5728\u81EA\u5DF1\u7684\u700F\u89BD\u5668\u91CD\u65B0\u8A08\u7B97\u3001\u552F\u8B80\u986F\u793A\uFF1B\u4E0B\u8F09\u7684\u6A94\u6848\u53EF\u5728\u5176\u4ED6\u88DD\u7F6E\u8F09\u5165\u3002"}),i("div",{class:"actions"},[n,a,s,i("a",{class:"btn ghost",href:"./history.html",text:"\u7D50\u679C\u6B77\u53F2"})])]))}function ie(e,t){t?.migration&&e.appendChild(i("section",{class:"card migration-notice",role:"status"},[i("p",{text:M(t.migration)})]))}function ce(e,t){let n=t.meta?.finishedAt?new Date(t.meta.finishedAt).toLocaleString():null;e.appendChild(i("section",{class:"card shared-banner"},[i("h3",{text:"\u5206\u4EAB\u7684\u7D50\u679C\uFF08\u552F\u8B80\uFF09"}),i("p",{text:`\u9019\u4EFD\u7D50\u679C\u4F9D\u5206\u4EAB\u9023\u7D50\u5167\u7684\u4F5C\u7B54\u5728\u4F60\u7684\u700F\u89BD\u5668\u91CD\u65B0\u8A08\u7B97${n?`\uFF08\u4F5C\u7B54\u5B8C\u6210\u65BC ${n}\uFF09`:""}\uFF0C\u4E0D\u6703\u5B58\u5230\u9019\u53F0\u88DD\u7F6E\u3002`}),i("div",{class:"actions"},[i("a",{class:"btn ghost",href:"./index.html",text:"\u6211\u4E5F\u8981\u6E2C\u9A57"})])]))}function Ee(e,t){if(_(t)){P(e,t);return}let n=i("section",{class:"card warn"},[i("h3",{text:"\u7D50\u679C\u751F\u6210\u5931\u6557"}),i("p",{text:String(t?.message||t)})]);e.appendChild(n)}function de(e,t,n,a){let s=i("section",{class:"card"},[i("h1",{class:"title",text:t})]);if(!n)s.appendChild(i("p",{text:"\u627E\u4E0D\u5230\u9019\u6B21\u7684\u4F5C\u7B54\u7D00\u9304\uFF08\u53EF\u80FD\u5DF2\u95DC\u9589\u5206\u9801\u6216\u7DB2\u5740\u7F3A\u5C11 sid\uFF09\u3002\u8ACB\u56DE\u9996\u9801\u91CD\u65B0\u958B\u59CB\u3002"})),s.appendChild(i("div",{class:"actions"},[i("a",{class:"btn primary",href:"./index.html",text:"\u56DE\u9996\u9801"})]));else{s.appendChild(i("p",{text:"\u9019\u6B21\u4F5C\u7B54\u5C1A\u672A\u5B8C\u6210\uFF0C\u5B8C\u6210\u5F8C\u624D\u6703\u8A08\u7B97\u7D50\u679C\u3002"}));let r=i("ul");for(let o of a)r.appendChild(i("li",{text:`${K[o.mode]||o.mode}\uFF1A${o.answered} / ${o.total}`}));s.appendChild(r),s.appendChild(i("div",{class:"actions"},[i("a",{class:"btn primary",href:`./quiz.html?mode=${encodeURIComponent(n.mode)}&sid=${encodeURIComponent(n.sessionId)}`,text:"\u56DE\u5230\u4F5C\u7B54"})]))}e.appendChild(s)}async function Le(e){let t=await W();ie(e,t);let n=t?.parts.find(r=>r.mode==="basic");if(!n||!n.complete){de(e,"\u521D\u6B65\u7D50\u679C\uFF08\u5B8C\u6210\u5EA6\uFF09",t?.session,n?[n]:[]);return}await y.init("basic");let a=await y.score({mode:"basic",answers:n.answers,seed:t.session.seed});re(t,a,["basic"]);let s=f.buildAll(a);t.shared&&ce(e,t.session),ee(e,s.validity,{shared:t.shared}),Z(e,s.summary),te(e,s.posterior),ne(e,s.temperament),Q(e,s.table,a),X(e,s.table),se(e,s.narrative),ae(e,s.recos),t.shared||oe(e,t)}async function Me(e){let t=await W();ie(e,t);let n=t?.parts||[];if(!n.some(o=>o.mode!=="basic")||n.some(o=>!o.complete)){de(e,"\u9032\u968E\u7D50\u679C\uFF08\u5B8C\u6210\u5EA6\uFF09",t?.session,n);return}let s=await y.scoreBanks(n.map(o=>({mode:o.mode,answers:o.answers})),{seed:t.session.seed});re(t,s,n.map(o=>o.mode));let r=f.buildAll(s);t.shared&&ce(e,t.session),ee(e,r.validity,{shared:t.shared}),Z(e,r.summary),te(e,r.posterior),ne(e,r.temperament),Q(e,r.table,s),X(e,r.table),Ne(e,r.banks),se(e,r.narrative),ae(e,r.recos),t.shared||oe(e,t)}function le(){let e=location.pathname.split("/");return e[e.length-1]||"index.html"}async function pe(){let e=E("#result-root")||i("div",{id:"result-root",class:"result-root"});e.isConnected||document.body.appendChild(e);let t=i("section",{class:"card"},[i("p",{text:"\u8A08\u7B97\u4E2D\u2026"})]);e.appendChild(t),await j.loadAll(["chart","pako"]);try{let n=le().toLowerCase();n==="result_basic.html"?await Le(e):n==="result_advanced.html"?await Me(e):e.appendChild(i("section",{class:"card warn"},[i("p",{text:"\u672A\u77E5\u7684\u7D50\u679C\u9801\u3002"})]))}catch(n){Ee(e,n),console.error("[result] error:",n)}finally{t.remove()}}function me(){pe().catch(e=>{console.error("[result] init failed",e)})}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",me):me();
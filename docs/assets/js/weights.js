@@ -0,0 +1 @@
+(()=>{const d={mapping:{file:"mapping.1d934b57d7.bin",byteLen:3229},weights_32:{file:"weights_32.e4e807e7f2.bin",byteLen:133},weights_adv_A:{file:"weights_adv_A.5fead1e451.bin",byteLen:120},weights_adv_B:{file:"weights_adv_B.c765eb5638.bin",byteLen:124},weights_adv_C:{file:"weights_adv_C.0c5ce9dc6c.bin",byteLen:80}},f=new Uint8Array([196,38,143,77,102,42,162,29,240,9,81,198,110,8,31,81]),_=1,y="2026-10-19T20:09:55.766Z",p=Object.keys(d).filter(e=>e!=="mapping"),w=typeof document<"u"&&document.currentScript?.src||new URL("assets/js/",location.href),h=new URL("weights/",w),c={},a={};let o=null;function u(e,n){const i=new Uint8Array(e.length);for(let t=0;t<e.length;t++)i[t]=e[t]^n[t%n.length];return i}async function l(e){if(typeof DecompressionStream=="function"){const n=new DecompressionStream("gzip"),i=new Blob([e]).stream().pipeThrough(n),t=await new Response(i).arrayBuffer();return new TextDecoder().decode(new Uint8Array(t))}if(window.pako?.ungzip||await new Promise(n=>{const i=document.createElement("script");i.src=new URL("vendor/pako.min.js",w).href,i.onload=i.onerror=()=>n(),document.head.appendChild(i)}),window.pako?.ungzip)return window.pako.ungzip(e,{to:"string"});throw new Error("No DecompressionStream and no pako (failed to load vendor/pako.min.js)")}function m(e){const n=e?.mapping?.funcs;if(n&&Array.isArray(n.list)&&n.keyToIndex&&n.indexToKey)return;const i=["Se","Si","Ne","Ni","Te","Ti","Fe","Fi"],t=(Array.isArray(n?.list)?n.list:i).map((r,s)=>typeof r=="string"?{idx:s,key:r,name:r,desc:""}:{idx:s,key:r.key,name:r.name||r.key,desc:r.desc||""});e.mapping=e.mapping||{},e.mapping.funcs={list:t,keyToIndex:Object.fromEntries(t.map((r,s)=>[r.key,s])),indexToKey:Object.fromEntries(t.map((r,s)=>[s,r.key]))}}function g(e){if(e in c)return Promise.resolve(c[e]);if(a[e])return a[e];const n=d[e];return n?(a[e]=(async()=>{const i=await fetch(new URL(n.file,h));if(!i.ok)throw new Error("weights chunk "+e+": HTTP "+i.status);const t=u(new Uint8Array(await i.arrayBuffer()),f);t.length!==n.byteLen&&console.warn("[weights] byte length mismatch for",e,"; got",t.length,"expected",n.byteLen);const r=JSON.parse(await l(t));return e==="mapping"&&m(r),c[e]=r,r})().finally(()=>{delete a[e]}),a[e]):Promise.reject(new Error("Unknown weights chunk: "+e))}window.__getWeights=async(e=p)=>{const[n]=await Promise.all([g("mapping"),...e.map(g)]),i={};for(const t of p)t in c&&(i[t]=c[t]);o={version:_,ts:y,weights:i,mapping:n.mapping},window.__WEIGHTS_JSON=o,window.__FUNCS__=o.mapping?.funcs||{},window.__TYPES__=o.mapping?.types||{};try{window.dispatchEvent(new CustomEvent("weights:ready",{detail:{names:e}}))}catch{}return o},window.__getWeightsSync=()=>{if(!o)throw new Error("__WEIGHTS_JSON not ready yet; call __getWeights() first.");return o}})();
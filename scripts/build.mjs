@@ -1,19 +1,32 @@
 // scripts/build.mjs
 // Build pipeline for "榮格八維自測網站"
-// - Bundle src -> /docs/assets/js/app.min.js
-// - Read local weights & mapping -> gzip + XOR + base64 -> inject as runtime banner
-// - Expose window.__getWeights() (async), __getWeightsSync(), __WEIGHTS_JSON / __FUNCS__ / __TYPES__
+// - Bundle one ES module entry per page (src/pages/*.js) -> /docs/assets/js/pages/<page>.js, shared code split into pages/chunks/
+//   （Chart.js / pako 不打包：結果頁與歷史頁執行時才以 core/vendor.js 動態載入）
+// - Read local weights & mapping -> one gzip + XOR chunk per weight table + a mapping chunk -> /docs/assets/js/weights/
+// - Emit a small classic loader /docs/assets/js/weights.js (chunk list + key; quiz / result pages only) exposing
+//   window.__getWeights(names?) (async, fetches on demand), __getWeightsSync(), __WEIGHTS_JSON / __FUNCS__ / __TYPES__
 // - Normalize mapping.funcs into {list,keyToIndex,indexToKey} no matter your local format
+// - Validate docs/data/items_public_*.json against the item-bank schema (src/core/item-schema.js); fail on errors
+// - Cross-check local weights against the item banks (coverage report → local/reports/); fail on configured severities
 
-import { build } from 'esbuild';
+import { build, transform } from 'esbuild';
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import zlib from 'node:zlib';
-import { randomBytes } from 'node:crypto';
+import { createHash, randomBytes } from 'node:crypto';
+import { ItemSchema } from '../src/core/item-schema.js';
 
 const ROOT = path.resolve(process.cwd());
 const OUT_DIR = path.join(ROOT, 'docs', 'assets', 'js');
-const OUT_FILE = path.join(OUT_DIR, 'app.min.js');
+const PAGES_DIR = path.join(OUT_DIR, 'pages');
+const PAGES = ['home', 'quiz', 'result', 'history']; // src/pages/<name>.js -> docs/assets/js/pages/<name>.js
+const LOADER_FILE = path.join(OUT_DIR, 'weights.js');
+const LEGACY_BUNDLE = path.join(OUT_DIR, 'app.min.js'); // 舊版單一 IIFE bundle（含內嵌權重），build 時移除
+const CHUNK_DIRNAME = 'weights';
+const CHUNK_DIR = path.join(OUT_DIR, CHUNK_DIRNAME);
+const DATA_DIR = path.join(ROOT, 'docs', 'data');
+const ITEM_BANKS = ['items_public_32.json', 'items_public_adv_A.json', 'items_public_adv_B.json', 'items_public_adv_C.json'];
+const REPORT_FILE = path.join(ROOT, 'local', 'reports', 'weights-coverage.json');
 
 const MODE = (process.env.NODE_ENV?.toLowerCase() === 'development') ? 'development' : 'production';
 const IS_DEV = MODE === 'development';
@@ -36,13 +49,27 @@ function xorBytes(buf, keyBytes) {
   }
   return out;
 }
-function b64(buf) {
-  return Buffer.from(buf).toString('base64');
-}
-function chunkString(str, n = 256) {
-  const arr = [];
-  for (let i = 0; i < str.length; i += n) arr.push(str.slice(i, i + n));
-  return arr;
+
+// ---------------- validate public item banks ----------------
+// 與瀏覽器載入時同一套 schema；另檢查跨題庫的 id 重複。任何錯誤都讓 build 失敗
+async function validateItemBanks() {
+  const banks = {};
+  const errors = [];
+  for (const file of ITEM_BANKS) {
+    try {
+      banks[file] = await readJSON(path.join(DATA_DIR, file));
+    } catch (err) {
+      errors.push({ bank: file, index: null, id: null, field: '(file)', message: `無法讀取或解析：${err.message}` });
+    }
+  }
+  errors.push(...ItemSchema.validateAll(banks));
+  if (errors.length) {
+    errors.forEach((e) => console.error(`[build] ${ItemSchema.format(e)}`));
+    throw new Error(`item bank validation failed (${errors.length} error${errors.length > 1 ? 's' : ''})`);
+  }
+  const count = Object.values(banks).reduce((n, b) => n + (Array.isArray(b) ? b : b.items).length, 0);
+  console.log(`[build] item banks OK (${ITEM_BANKS.length} files, ${count} items)`);
+  return banks;
 }
 
 // ---------------- load local secrets (do NOT commit /local) ----------------
@@ -71,8 +98,12 @@ async function loadLocalPayload() {
   // - ["Se","Si",...]
   // - { list:[{key,name?,desc?}x8] }
   // - { list:["Se","Si",...]} 也行
+  // - { "0":{code,label_zh,desc}, "1":{...} }（key 即權重索引）
   function normalizeFuncs(fx) {
     let list = [];
+    const numericKeys = fx && typeof fx === 'object' && !Array.isArray(fx) && !fx.list
+      ? Object.keys(fx).filter((k) => !isNaN(+k)).sort((a, b) => a - b)
+      : [];
     if (Array.isArray(fx)) {
       list = fx.map((k, i) => {
         if (typeof k === 'string') return { idx: i, key: k, name: k, desc: '' };
@@ -84,6 +115,13 @@ async function loadLocalPayload() {
         if (typeof it === 'string') return { idx: i, key: it, name: it, desc: '' };
         return { idx: i, key: it.key, name: it.name || it.key, desc: it.desc || '' };
       });
+    } else if (numericKeys.length >= 8) {
+      list = numericKeys.map((k, i) => {
+        const it = fx[k] || {};
+        const key = it.key || it.code || `f${i}`;
+        const name = it.name || (it.label_zh ? `${it.label_zh}（${key}）` : key);
+        return { idx: i, key, name, desc: it.desc || it.brief || '' };
+      });
     } else {
       // fallback：固定順序
       const def = ['Se','Si','Ne','Ni','Te','Ti','Fe','Fi'];
@@ -94,6 +132,14 @@ async function loadLocalPayload() {
     return { list, keyToIndex, indexToKey };
   }
 
+  // 次要計分維度：weights_adv_C 以氣質（SJ/SP/NT/NF）為 key，
+  // 從 types.json 的 temperament 欄位收集宣告，前端 Scorer 據此辨識
+  function deriveDimensions(tp) {
+    const byCode = tp?.byCode || tp || {};
+    const keys = [...new Set(Object.values(byCode).map((t) => t?.temperament).filter(Boolean))];
+    return keys.length ? { temperament: { keys, typeField: 'temperament' } } : {};
+  }
+
   const payload = {
     version: 1,
     ts: new Date().toISOString(),
@@ -106,61 +152,239 @@ async function loadLocalPayload() {
     mapping: {
       funcs: normalizeFuncs(funcs),
       types, // 原樣保留（前端會處理 byPair/byDominant/rules/byCodeHint 等）
+      dimensions: deriveDimensions(types),
     },
   };
 
   return payload;
 }
 
-// ---------------- obfuscate payload ----------------
-function obfuscatePayload(payloadObj) {
-  const json = JSON.stringify(payloadObj);
-  const gz = gzip(Buffer.from(json, 'utf8'));
+// ---------------- cross-check weights against item banks ----------------
+// 權重檔與公開題庫的一致性報告：各功能 / 維度的題數、A/B 兩極的平衡、兩邊對不上的 id、無法辨識的 key。
+// 每類問題有預設嚴重度（off | info | warn | error），可用環境變數調整：
+//   WEIGHTS_CHECK_SEVERITY="orphanWeights=error,poleBias=off"   // 覆寫個別檢查的嚴重度
+//   WEIGHTS_CHECK_FAIL_ON="error,warn"                           // 哪些嚴重度讓 build 失敗（預設 error）
+// 完整報告寫到 local/reports/weights-coverage.json（含權重結構，不要公開）。
+const WEIGHT_BANKS = {
+  weights_32: 'items_public_32.json',
+  weights_adv_A: 'items_public_adv_A.json',
+  weights_adv_B: 'items_public_adv_B.json',
+  weights_adv_C: 'items_public_adv_C.json',
+};
+const SEVERITIES = ['off', 'info', 'warn', 'error'];
+const CHECKS = {
+  missingWeights: 'error',    // 題庫有這題、權重檔沒有（計分時被略過）
+  orphanWeights: 'warn',      // 權重檔有這個 id、題庫沒有
+  duplicateWeights: 'error',  // 同一 id 出現在多個權重檔（adaptive 合併時後者覆蓋前者）
+  unknownSide: 'error',       // A / B 以外的側別
+  unknownKey: 'error',        // 既不是八功能也不是次要維度的 key（計分時被丟掉）
+  emptySide: 'error',         // 某一側沒有任何非零權重
+  unbalancedItem: 'warn',     // A、B 兩側的權重總和不同
+  uncoveredFunction: 'warn',  // 有八功能權重的題庫中，某個功能沒有任何題目
+  poleBias: 'off',           // 某個功能 / 維度只出現在 A 側或只出現在 B 側（現行題庫固定讓一組功能在 A 側，預設不報）
+};
+
+function parseSeverityEnv() {
+  const severity = { ...CHECKS };
+  for (const pair of (process.env.WEIGHTS_CHECK_SEVERITY || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const [name, level] = pair.split('=').map(s => s.trim());
+    if (!(name in CHECKS)) throw new Error(`WEIGHTS_CHECK_SEVERITY: unknown check "${name}" (known: ${Object.keys(CHECKS).join(', ')})`);
+    if (!SEVERITIES.includes(level)) throw new Error(`WEIGHTS_CHECK_SEVERITY: invalid severity "${level}" for ${name}`);
+    severity[name] = level;
+  }
+  const failOn = (process.env.WEIGHTS_CHECK_FAIL_ON || 'error').split(',').map(s => s.trim()).filter(Boolean);
+  for (const level of failOn) {
+    if (!SEVERITIES.includes(level) || level === 'off') throw new Error(`WEIGHTS_CHECK_FAIL_ON: invalid severity "${level}"`);
+  }
+  return { severity, failOn };
+}
 
-  // 16-byte random key (fixed per build)
-  const key = randomBytes(16);
-  const keyArr = Array.from(key.values());
+// 與前端 Scorer 相同的側別命名：A/B | a/b | pos/neg | positive/negative | agree/disagree
+function sideOf(key) {
+  const low = String(key).toLowerCase();
+  if (['a', 'pos', 'positive', 'agree'].includes(low)) return 'A';
+  if (['b', 'neg', 'negative', 'disagree'].includes(low)) return 'B';
+  return null;
+}
+
+// 權重列 → { A: { key: w }, B: { key: w }, unknownSides: [] }（支援 { A, B } 與 { side, weights } 兩種寫法）
+function rowSides(row) {
+  const out = { A: null, B: null, unknownSides: [] };
+  if (row && row.side && row.weights) {
+    out[String(row.side).toUpperCase().startsWith('A') ? 'A' : 'B'] = row.weights;
+    return out;
+  }
+  for (const [k, v] of Object.entries(row || {})) {
+    if (k === 'id') continue;
+    const side = sideOf(k);
+    if (side && !out[side]) out[side] = v;
+    else out.unknownSides.push(k);
+  }
+  return out;
+}
+
+// 單側權重 → [{ key, w }]；key 為功能 key（Se…）或維度 key（SJ…），無法辨識的放 unknown
+function sideEntries(raw, funcs, dimKeys) {
+  const entries = [];
+  const unknown = [];
+  const put = (k, w) => {
+    const n = Number(w || 0);
+    if (!/^\d+$/.test(k)) {
+      if (k in funcs.keyToIndex || dimKeys.has(k)) entries.push({ key: k, w: n });
+      else unknown.push(k);
+    } else if (+k in funcs.indexToKey) {
+      entries.push({ key: funcs.indexToKey[+k], w: n });
+    } else {
+      unknown.push(k);
+    }
+  };
+  if (Array.isArray(raw)) raw.forEach((w, i) => put(String(i), w));
+  else if (raw && typeof raw === 'object') Object.entries(raw).forEach(([k, w]) => put(k, w));
+  return { entries: entries.filter(e => e.w !== 0), unknown };
+}
+
+function checkWeights(payload, banks) {
+  const { severity, failOn } = parseSeverityEnv();
+  const funcs = payload.mapping.funcs;
+  const dimKeys = new Set(Object.values(payload.mapping.dimensions || {}).flatMap(d => d.keys || []));
+  const findings = [];
+  const note = (check, bank, id, message) => {
+    if (severity[check] !== 'off') findings.push({ check, severity: severity[check], bank, id, message });
+  };
 
-  const xored = xorBytes(gz, key);
-  const base64 = b64(xored);
+  const owner = new Map(); // id -> weights key
+  const reports = Object.entries(WEIGHT_BANKS).map(([wKey, file]) => {
+    const weights = payload.weights[wKey] || {};
+    const bank = banks[file];
+    const items = (Array.isArray(bank) ? bank : bank?.items || []).map(it => String(it.id));
+    const rows = Array.isArray(weights)
+      ? weights.map((r, i) => [String(r?.id ?? r?.qid ?? r?.questionId ?? i), r])
+      : Object.entries(weights);
+    const ids = new Set(rows.map(([id]) => id));
+    const itemSet = new Set(items);
+
+    items.filter(id => !ids.has(id)).forEach(id => note('missingWeights', wKey, id, `${file} 的題目沒有權重（計分時會被略過）`));
+    ids.forEach((id) => {
+      if (!itemSet.has(id)) note('orphanWeights', wKey, id, `${file} 沒有這題`);
+      if (owner.has(id)) note('duplicateWeights', wKey, id, `與 ${owner.get(id)} 重複`);
+      else owner.set(id, wKey);
+    });
+
+    const coverage = {}; // key -> { items, A, B, weightA, weightB }
+    const cov = (key) => (coverage[key] = coverage[key] || { items: 0, A: 0, B: 0, weightA: 0, weightB: 0 });
+    let usesFunctions = false;
+    for (const [id, row] of rows) {
+      const sides = rowSides(row);
+      sides.unknownSides.forEach(k => note('unknownSide', wKey, id, `無法辨識的側別「${k}」`));
+      const total = {};
+      const seen = new Set();
+      for (const side of ['A', 'B']) {
+        const { entries, unknown } = sideEntries(sides[side], funcs, dimKeys);
+        unknown.forEach(k => note('unknownKey', wKey, id, `${side} 側的 key「${k}」不是八功能或次要維度（計分時被丟掉）`));
+        if (!entries.length) note('emptySide', wKey, id, `${side} 側沒有任何非零權重`);
+        total[side] = entries.reduce((t, e) => t + Math.abs(e.w), 0);
+        for (const e of entries) {
+          const c = cov(e.key);
+          c[side]++;
+          c[side === 'A' ? 'weightA' : 'weightB'] += e.w;
+          if (!seen.has(e.key)) { c.items++; seen.add(e.key); }
+          if (e.key in funcs.keyToIndex) usesFunctions = true;
+        }
+      }
+      if (total.A !== total.B) note('unbalancedItem', wKey, id, `A 側權重總和 ${total.A}、B 側 ${total.B}`);
+    }
+
+    if (usesFunctions) {
+      funcs.list.filter(f => !coverage[f.key]).forEach(f => note('uncoveredFunction', wKey, null, `沒有任何題目測到 ${f.key}`));
+    }
+    for (const [key, c] of Object.entries(coverage)) {
+      if (!c.A || !c.B) note('poleBias', wKey, null, `${key} 只出現在 ${c.A ? 'A' : 'B'} 側（${c.items} 題）`);
+    }
+    return { weights: wKey, bank: file, items: items.length, weighted: items.filter(id => ids.has(id)).length, coverage };
+  });
+
+  return { severity, failOn, reports, findings };
+}
 
-  // 製造一點讀取干擾（分段）
-  const parts = chunkString(base64, 256);
+async function writeCoverageReport(result) {
+  await ensureDir(path.dirname(REPORT_FILE));
+  const { severity, failOn, reports, findings } = result;
+  await fs.writeFile(REPORT_FILE, JSON.stringify({ ts: new Date().toISOString(), severity, failOn, reports, findings }, null, 2), 'utf8');
 
+  for (const r of reports) {
+    const cov = Object.entries(r.coverage).map(([k, c]) => `${k} ${c.items}（A${c.A}/B${c.B}）`).join('、');
+    console.log(`[weights] ${r.weights} ↔ ${r.bank}: ${r.weighted}/${r.items} items weighted; ${cov}`);
+  }
+  const counts = {};
+  for (const f of findings) {
+    counts[f.severity] = (counts[f.severity] || 0) + 1;
+    const log = f.severity === 'error' ? console.error : f.severity === 'warn' ? console.warn : console.log;
+    log(`[weights] ${f.severity.toUpperCase()} ${f.check} ${f.bank}${f.id ? ` ${f.id}` : ''}: ${f.message}`);
+  }
+  console.log(`[weights] report → ${path.relative(ROOT, REPORT_FILE)} (${SEVERITIES.slice(1).map(s => `${counts[s] || 0} ${s}`).join(', ')})`);
+
+  const failing = findings.filter(f => failOn.includes(f.severity));
+  if (failing.length) {
+    throw new Error(`weights cross-check failed: ${failing.length} finding(s) at severity ${failOn.join('/')}`);
+  }
+}
+
+// ---------------- split payload into encoded chunks ----------------
+// 每個題組的權重各一個 chunk，加上共用的 mapping chunk；前端 Scorer.init(mode) 才按需下載、解碼
+// chunk 檔：gzip → XOR（每次 build 隨機 16-byte key）的原始位元組，檔名帶內容雜湊（方便長期快取）
+function splitPayload(payload) {
+  const chunks = { mapping: { version: payload.version, ts: payload.ts, mapping: payload.mapping } };
+  for (const [name, table] of Object.entries(payload.weights)) chunks[name] = table;
+  return chunks;
+}
+
+function obfuscateChunks(chunks) {
+  // 16-byte random key (fixed per build)
+  const key = randomBytes(16);
+  const files = {};
+  const manifest = {};
+  for (const [name, value] of Object.entries(chunks)) {
+    const gz = gzip(Buffer.from(JSON.stringify(value), 'utf8'));
+    const bytes = xorBytes(gz, key);
+    const file = `${name}.${createHash('sha256').update(bytes).digest('hex').slice(0, 10)}.bin`;
+    files[file] = bytes;
+    manifest[name] = { file, byteLen: gz.length };
+  }
   return {
-    keyArr,            // number[]
-    parts,             // string[]
-    byteLen: gz.length // for sanity check
+    keyArr: Array.from(key.values()), // number[]
+    manifest,                         // name -> { file, byteLen }
+    files,                            // file -> Buffer
   };
 }
 
-// ---------------- compose banner (injected before your bundle) ----------------
-function makeBanner(obf) {
+async function writeChunks(obf) {
+  await fs.rm(CHUNK_DIR, { recursive: true, force: true }); // 清掉上一次 build 的雜湊檔名
+  await ensureDir(CHUNK_DIR);
+  for (const [file, bytes] of Object.entries(obf.files)) {
+    await fs.writeFile(path.join(CHUNK_DIR, file), bytes);
+  }
+}
+
+// ---------------- compose weights loader (classic script, before the page bundle) ----------------
+// 只含 chunk 清單與 key；不主動解碼。只有作答頁與結果頁載入（首頁完全不下載權重）
+function makeLoader(obf, payload) {
   return `
-/* weights blob injected at build-time */
+/* weights chunk loader generated at build-time */
 (() => {
-  const parts = ${JSON.stringify(obf.parts)};
+  const chunks = ${JSON.stringify(obf.manifest)};
   const key = new Uint8Array(${JSON.stringify(obf.keyArr)});
-  const total = ${JSON.stringify(obf.byteLen)};
-
-  let __cache = null;      // 解碼好的 JSON
-  let __decoding = null;   // 進行中的 Promise（避免重入）
-
-  // base64 -> Uint8Array（容錯 Node/老瀏覽器）
-  function _b64ToBuf(b64) {
-    if (typeof atob === 'function') {
-      const bin = atob(b64);
-      const len = bin.length;
-      const out = new Uint8Array(len);
-      for (let i = 0; i < len; i++) out[i] = bin.charCodeAt(i);
-      return out;
-    }
-    // 極少見：沒有 atob（例如某些嵌入 WebView）
-    if (typeof Buffer !== 'undefined') {
-      return Uint8Array.from(Buffer.from(b64, 'base64'));
-    }
-    throw new Error('No base64 decoder available');
-  }
+  const version = ${JSON.stringify(payload.version)};
+  const ts = ${JSON.stringify(payload.ts)};
+  const WEIGHT_NAMES = Object.keys(chunks).filter(n => n !== 'mapping');
+
+  // chunk 在本檔同目錄下的 ${CHUNK_DIRNAME}/；pako 在 vendor/（頁面都在 docs/ 根目錄時即 ./assets/js/）
+  const here = (typeof document !== 'undefined' && document.currentScript?.src) || new URL('assets/js/', location.href);
+  const base = new URL('${CHUNK_DIRNAME}/', here);
+
+  const __cache = {};    // name -> 解碼好的 JSON
+  const __decoding = {}; // name -> 進行中的 Promise（避免重入）
+  let __payload = null;  // 目前已載入的部分 payload：{ version, ts, weights, mapping }
+
   function _xor(buf, key) {
     const out = new Uint8Array(buf.length);
     for (let i = 0; i < buf.length; i++) out[i] = buf[i] ^ key[i % key.length];
@@ -175,87 +399,83 @@ function makeBanner(obf) {
       const ab = await new Response(stream).arrayBuffer();
       return new TextDecoder().decode(new Uint8Array(ab));
     }
-    // 2) 回退：pako（等它載入，如果此刻還沒載入，稍微輪詢一下）
-    const waitPako = async (ms = 800, step = 50) => {
-      const until = Date.now() + ms;
-      while (Date.now() < until) {
-        if (window.pako?.ungzip) return true;
-        await new Promise(r => setTimeout(r, step));
-      }
-      return !!(window.pako?.ungzip);
-    };
-    if (await waitPako()) {
+    // 2) 回退：pako（頁面不再預載，這時才動態載入 vendor/pako.min.js）
+    if (!window.pako?.ungzip) {
+      await new Promise((resolve) => {
+        const s = document.createElement('script');
+        s.src = new URL('vendor/pako.min.js', here).href;
+        s.onload = s.onerror = () => resolve();
+        document.head.appendChild(s);
+      });
+    }
+    if (window.pako?.ungzip) {
       return window.pako.ungzip(buf, { to: 'string' });
     }
-    throw new Error('No DecompressionStream and no pako. Please load vendor/pako.min.js before app.min.js');
+    throw new Error('No DecompressionStream and no pako (failed to load vendor/pako.min.js)');
   }
 
-  async function _decodeOnce() {
-    if (__cache) return __cache;
-    if (__decoding) return __decoding;
+  // 一致性：mapping.funcs 必須有 list/keyToIndex/indexToKey（守護一下）
+  function _guardFuncs(obj) {
+    const fx = obj?.mapping?.funcs;
+    if (fx && Array.isArray(fx.list) && fx.keyToIndex && fx.indexToKey) return;
+    const def = ['Se','Si','Ne','Ni','Te','Ti','Fe','Fi'];
+    const list = (Array.isArray(fx?.list) ? fx.list : def).map((it, i) => {
+      if (typeof it === 'string') return { idx: i, key: it, name: it, desc: '' };
+      return { idx: i, key: it.key, name: it.name || it.key, desc: it.desc || '' };
+    });
+    obj.mapping = obj.mapping || {};
+    obj.mapping.funcs = {
+      list,
+      keyToIndex: Object.fromEntries(list.map((f,i) => [f.key, i])),
+      indexToKey: Object.fromEntries(list.map((f,i) => [i, f.key])),
+    };
+  }
 
-    __decoding = (async () => {
-      const joined = parts.join('');
-      const xored = _b64ToBuf(joined);
-      const zipped = _xor(xored, key);
-      if (zipped.length !== total) {
-        console.warn('[weights] byte length mismatch; got', zipped.length, 'expected', total);
-      }
-      const jsonStr = await _gunzip(zipped);
-      const obj = JSON.parse(jsonStr);
-
-      // 一致性：mapping.funcs 必須有 list/keyToIndex/indexToKey（守護一下）
-      const fx = obj?.mapping?.funcs;
-      if (!fx || !Array.isArray(fx.list) || !fx.keyToIndex || !fx.indexToKey) {
-        const def = ['Se','Si','Ne','Ni','Te','Ti','Fe','Fi'];
-        const list = (Array.isArray(fx?.list) ? fx.list : def).map((it, i) => {
-          if (typeof it === 'string') return { idx: i, key: it, name: it, desc: '' };
-          return { idx: i, key: it.key, name: it.name || it.key, desc: it.desc || '' };
-        });
-        obj.mapping = obj.mapping || {};
-        obj.mapping.funcs = {
-          list,
-          keyToIndex: Object.fromEntries(list.map((f,i) => [f.key, i])),
-          indexToKey: Object.fromEntries(list.map((f,i) => [i, f.key])),
-        };
+  function _decodeOnce(name) {
+    if (name in __cache) return Promise.resolve(__cache[name]);
+    if (__decoding[name]) return __decoding[name];
+    const meta = chunks[name];
+    if (!meta) return Promise.reject(new Error('Unknown weights chunk: ' + name));
+
+    __decoding[name] = (async () => {
+      const res = await fetch(new URL(meta.file, base));
+      if (!res.ok) throw new Error('weights chunk ' + name + ': HTTP ' + res.status);
+      const zipped = _xor(new Uint8Array(await res.arrayBuffer()), key);
+      if (zipped.length !== meta.byteLen) {
+        console.warn('[weights] byte length mismatch for', name, '; got', zipped.length, 'expected', meta.byteLen);
       }
-
-      __cache = obj;
-
-      // 對外同步欄位（有了才設）
-      window.__WEIGHTS_JSON = obj;
-      window.__FUNCS__ = obj?.mapping?.funcs || {};
-      window.__TYPES__ = obj?.mapping?.types || {};
-
-      // 派發 ready 事件（可選）
-      try { window.dispatchEvent(new CustomEvent('weights:ready')); } catch {}
-
+      const obj = JSON.parse(await _gunzip(zipped));
+      if (name === 'mapping') _guardFuncs(obj);
+      __cache[name] = obj;
       return obj;
-    })();
+    })().finally(() => { delete __decoding[name]; });
 
-    return __decoding;
+    return __decoding[name];
   }
 
   // 對外 API
-  window.__getWeights = async () => {
-    if (__cache) return __cache;
-    return _decodeOnce();
+  // __getWeights(names?)：names 為權重表名稱（weights_32、weights_adv_A…）；省略時載入全部
+  // 回傳目前已載入的 payload { version, ts, weights, mapping }（weights 至少含 names）
+  window.__getWeights = async (names = WEIGHT_NAMES) => {
+    const [m] = await Promise.all([_decodeOnce('mapping'), ...names.map(_decodeOnce)]);
+    const weights = {};
+    for (const n of WEIGHT_NAMES) if (n in __cache) weights[n] = __cache[n];
+    __payload = { version, ts, weights, mapping: m.mapping };
+
+    // 對外同步欄位（有了才設）
+    window.__WEIGHTS_JSON = __payload;
+    window.__FUNCS__ = __payload.mapping?.funcs || {};
+    window.__TYPES__ = __payload.mapping?.types || {};
+
+    // 派發 ready 事件（可選）
+    try { window.dispatchEvent(new CustomEvent('weights:ready', { detail: { names } })); } catch {}
+
+    return __payload;
   };
   window.__getWeightsSync = () => {
-    if (!__cache) throw new Error('__WEIGHTS_JSON not ready yet; call __getWeights() first.');
-    return __cache;
+    if (!__payload) throw new Error('__WEIGHTS_JSON not ready yet; call __getWeights() first.');
+    return __payload;
   };
-
-  // 方便舊程式碼：若一切就緒（例如 pako 已先載，且同步可 gunzip），立刻解一次
-  // 失敗也無妨，之後呼叫 __getWeights() 仍會再試
-  (async () => {
-    try {
-      await _decodeOnce();
-    } catch (e) {
-      // 許多行動瀏覽器此時 pako 還沒載入，這裡容忍失敗，不噴錯
-      console.info('[weights] will decode lazily later:', e?.message || e);
-    }
-  })();
 })();
 `.trim();
 }
@@ -263,28 +483,38 @@ function makeBanner(obf) {
 // ---------------- main build ----------------
 async function main() {
   console.log(`[build] mode=${MODE}`);
+  const banks = await validateItemBanks();
   await ensureDir(OUT_DIR);
 
   const payload = await loadLocalPayload();
-  const obf = obfuscatePayload(payload);
+  await writeCoverageReport(checkWeights(payload, banks));
+  const obf = obfuscateChunks(splitPayload(payload));
+  await writeChunks(obf);
 
   // manifest（可選）
   await fs.writeFile(
     path.join(OUT_DIR, 'weights.manifest.json'),
-    JSON.stringify({ version: payload.version, ts: payload.ts, byteLen: obf.byteLen }, null, 2),
+    JSON.stringify({ version: payload.version, ts: payload.ts, chunks: obf.manifest }, null, 2),
     'utf8'
   );
 
+  const loader = await transform(makeLoader(obf, payload), { minify: !IS_DEV, target: ['es2020'] });
+  await fs.writeFile(LOADER_FILE, loader.code, 'utf8');
+
+  await fs.rm(PAGES_DIR, { recursive: true, force: true }); // 清掉上一次 build 的雜湊 chunk
+  await fs.rm(LEGACY_BUNDLE, { force: true });
   await build({
-    entryPoints: [path.join(ROOT, 'src', 'app.js')],
+    entryPoints: Object.fromEntries(PAGES.map(name => [name, path.join(ROOT, 'src', 'pages', `${name}.js`)])),
     bundle: true,
+    splitting: true,
     minify: !IS_DEV,
     sourcemap: IS_DEV ? 'inline' : false,
     target: ['es2020'],
-    format: 'iife',
+    format: 'esm',
     platform: 'browser',
-    outfile: OUT_FILE,
-    banner: { js: makeBanner(obf) },
+    outdir: PAGES_DIR,
+    entryNames: '[name]',
+    chunkNames: 'chunks/[name]-[hash]',
     external: [],
     define: {
       'process.env.NODE_ENV': JSON.stringify(MODE),
@@ -292,7 +522,7 @@ async function main() {
     logLevel: 'info',
   });
 
-  console.log(`[build] done → ${path.relative(ROOT, OUT_FILE)}`);
+  console.log(`[build] done → ${path.relative(ROOT, PAGES_DIR)}/{${PAGES.join(',')}}.js + ${path.relative(ROOT, LOADER_FILE)} + ${Object.keys(obf.files).length} weight chunks in ${path.relative(ROOT, CHUNK_DIR)}/`);
 }
 
 main().catch((err) => {
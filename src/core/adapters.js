@@ -0,0 +1,219 @@
+// src/core/adapters.js
+// Storage / location adapters for Router (and QuizEngine's item loading).
+// Router 不直接碰 localStorage / sessionStorage / window.location，一律經由 adapter；
+// 同一套 Router + QuizEngine 流程因此可以在 Node 以記憶體 adapter 無頭執行（測試可完全重現）。
+//
+// Adapter interface:
+//   {
+//     name: string,
+//     app:      { get(key) → any | null, set(key, value), remove(key), keys() → string[] },  // app-level JSON KV（設定、歷史）
+//     tab:      { get(key), set(key, value), remove(key), keys() },  // 本分頁的暫存（關閉分頁即清除；隱私模式的解鎖金鑰）
+//     sessions: {
+//       init() → Promise,                                      // 載入既有 session（IndexedDB 需要）
+//       get(sid) → session | null,
+//       put(session) → session,                                // 回傳寫入後的版本（rev + 1、updatedAt）
+//       remove(sid),
+//       list() → session[],                                    // 最近更新的在前
+//       claim?(sid, { steal, onLost }) → Promise<boolean>,     // 跨分頁編輯權（沒有時視為永遠取得）
+//       release?(sid),
+//       onRemoteChange?(fn),                                   // 其他分頁更新 / 刪除 session
+//       flush?() → Promise,                                    // 等待背景寫入完成
+//     },
+//     location: { pathname() → string, search() → string, hash() → string, go(url, { replace }) },
+//     on(type, fn),                                            // 'beforeunload' / 'popstate'；沒有視窗時為 no-op
+//     fetchJSON(path) → Promise<any>,                          // 靜態資料（題庫），路徑相對於 docs/
+//   }
+//
+// Implementations:
+//   createMemoryAdapter({ url, files, fetchJSON, now })  // Node / 測試：全部在記憶體；go() 只更新 url 並記在 visits
+//   createWebStorageAdapter()                           // localStorage + sessionStorage（session 只存在本分頁）
+//   createIndexedDBAdapter()                            // localStorage + IndexedDB（session-store.js，跨分頁共用）
+//   defaultAdapter()                                    // 瀏覽器有 IndexedDB → IndexedDB；否則 Web Storage；無視窗 → 記憶體
+
+import { SessionStore } from './session-store.js';
+
+const NS = 'jung8v';
+const KEY_SESS_PREFIX = `${NS}:sess:v1:`;
+
+/* ---------------- helpers ---------------- */
+function clone(x) {
+  return x === undefined ? undefined : JSON.parse(JSON.stringify(x));
+}
+
+// 每次寫入 rev + 1 並記錄 updatedAt（與 session-store 相同的版本語意）
+function stamp(prev, sess, now) {
+  return { ...sess, rev: Math.max(prev?.rev || 0, sess.rev || 0) + 1, updatedAt: now() };
+}
+
+function byUpdatedDesc(a, b) {
+  const ka = String(a.updatedAt || a.meta?.startedAt || '');
+  const kb = String(b.updatedAt || b.meta?.startedAt || '');
+  return kb.localeCompare(ka);
+}
+
+function isoNow() {
+  return new Date().toISOString();
+}
+
+function webStorageKV(storage) {
+  return {
+    get(key) {
+      try {
+        const raw = storage.getItem(key);
+        return raw ? JSON.parse(raw) : null;
+      } catch {
+        return null;
+      }
+    },
+    set(key, value) {
+      try { storage.setItem(key, JSON.stringify(value)); } catch { /* ignore quota */ }
+    },
+    remove(key) {
+      try { storage.removeItem(key); } catch {}
+    },
+    keys() {
+      const out = [];
+      try {
+        for (let i = 0; i < storage.length; i++) out.push(storage.key(i));
+      } catch {}
+      return out.filter(Boolean);
+    },
+  };
+}
+
+// 瀏覽器共用：window.location、視窗事件、fetch（相對於目前頁面）
+function browserLocation() {
+  return {
+    pathname: () => window.location.pathname,
+    search: () => window.location.search,
+    hash: () => window.location.hash,
+    go(url, { replace = false } = {}) {
+      if (replace) window.location.replace(url);
+      else window.location.href = url;
+    },
+  };
+}
+
+function browserOn(type, fn) {
+  window.addEventListener(type, fn);
+}
+
+async function browserFetchJSON(path) {
+  const res = await fetch(path, { cache: 'no-cache' });
+  if (!res.ok) throw new Error(`Failed to load ${path}: ${res.status}`);
+  return res.json();
+}
+
+/* ---------------- memory ---------------- */
+export function createMemoryAdapter({ url = 'index.html', files = {}, fetchJSON = null, now = isoNow } = {}) {
+  const app = new Map();
+  const tab = new Map();
+  const sessions = new Map();
+  let current = new URL(url, 'memory://app/');
+  const visits = [];
+
+  return {
+    name: 'memory',
+    visits, // go() 過的網址（測試用）
+    app: {
+      get: (key) => (app.has(key) ? clone(app.get(key)) : null),
+      set: (key, value) => { app.set(key, clone(value)); },
+      remove: (key) => { app.delete(key); },
+      keys: () => [...app.keys()],
+    },
+    tab: {
+      get: (key) => (tab.has(key) ? clone(tab.get(key)) : null),
+      set: (key, value) => { tab.set(key, clone(value)); },
+      remove: (key) => { tab.delete(key); },
+      keys: () => [...tab.keys()],
+    },
+    sessions: {
+      init: async () => {},
+      get: (sid) => (sessions.has(sid) ? clone(sessions.get(sid)) : null),
+      put(sess) {
+        const next = stamp(sessions.get(sess.sessionId), sess, now);
+        sessions.set(next.sessionId, clone(next));
+        return next;
+      },
+      remove: (sid) => { sessions.delete(sid); },
+      list: () => [...sessions.values()].map(clone).sort(byUpdatedDesc),
+      flush: async () => {},
+    },
+    location: {
+      pathname: () => current.pathname,
+      search: () => current.search,
+      hash: () => current.hash,
+      go(next) {
+        current = new URL(next, current);
+        visits.push(`${current.pathname.split('/').pop()}${current.search}`);
+      },
+    },
+    on() {},
+    fetchJSON: fetchJSON || (async (path) => {
+      if (!(path in files)) throw new Error(`Failed to load ${path}: not in memory adapter files`);
+      return clone(files[path]);
+    }),
+  };
+}
+
+/* ---------------- Web Storage ---------------- */
+export function createWebStorageAdapter() {
+  const local = webStorageKV(localStorage);
+  const tab = webStorageKV(sessionStorage);
+  return {
+    name: 'webstorage',
+    app: { get: local.get, set: local.set, remove: local.remove, keys: local.keys },
+    tab: { get: tab.get, set: tab.set, remove: tab.remove, keys: tab.keys },
+    sessions: {
+      init: async () => {},
+      get: (sid) => tab.get(`${KEY_SESS_PREFIX}${sid}`),
+      put(sess) {
+        const key = `${KEY_SESS_PREFIX}${sess.sessionId}`;
+        const next = stamp(tab.get(key), sess, isoNow);
+        tab.set(key, next);
+        return next;
+      },
+      remove: (sid) => tab.remove(`${KEY_SESS_PREFIX}${sid}`),
+      list: () => tab.keys()
+        .filter(k => k.startsWith(KEY_SESS_PREFIX))
+        .map(k => tab.get(k))
+        .filter(s => s?.sessionId)
+        .sort(byUpdatedDesc),
+      flush: async () => {},
+    },
+    location: browserLocation(),
+    on: browserOn,
+    fetchJSON: browserFetchJSON,
+  };
+}
+
+/* ---------------- IndexedDB ---------------- */
+export function createIndexedDBAdapter() {
+  const local = webStorageKV(localStorage);
+  const tab = webStorageKV(sessionStorage);
+  return {
+    name: 'indexeddb',
+    app: { get: local.get, set: local.set, remove: local.remove, keys: local.keys },
+    tab: { get: tab.get, set: tab.set, remove: tab.remove, keys: tab.keys },
+    sessions: {
+      init: () => SessionStore.init(),
+      get: (sid) => SessionStore.get(sid),
+      put: (sess) => SessionStore.put(sess),
+      remove: (sid) => SessionStore.remove(sid),
+      list: () => SessionStore.list(),
+      claim: (sid, opts) => SessionStore.claim(sid, opts),
+      release: (sid) => SessionStore.release(sid),
+      onRemoteChange: (fn) => SessionStore.onRemoteChange(fn),
+      flush: () => SessionStore.flush(),
+    },
+    location: browserLocation(),
+    on: browserOn,
+    fetchJSON: browserFetchJSON,
+  };
+}
+
+export function defaultAdapter() {
+  if (typeof window === 'undefined' || !window.location) return createMemoryAdapter();
+  if (typeof indexedDB !== 'undefined' && indexedDB) return createIndexedDBAdapter();
+  return createWebStorageAdapter();
+}
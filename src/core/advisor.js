@@ -0,0 +1,104 @@
+// src/core/advisor.js
+// Advanced-set advisor: after the basic 32 items, recommend the advanced set (A/B/C) that best
+// resolves what the basic result leaves open. Pure module (no DOM / storage).
+//
+// Input:
+//   result: basic 的 Scorer.score() 結果（用 byFunction 與 posterior）
+//   banks:  Scorer.rankBanks() 的輸出 [{ mode, info, items, facets: [{ keys, info, items }] }]
+//
+// Output:
+//   {
+//     mode: 'advA' | 'advB' | 'advC' | null,   // 建議題組（沒有可比較的資料時為 null）
+//     reasons: string[],                       // 顯示在面板上的理由（最多 3 條）
+//     ranking: [{ mode, info, share }],        // share = 該組期望資訊量 / 最佳組
+//     closePairs: [{ keys:[a,b], gap }],       // basic 結果中分數接近的功能對
+//     temperament: { top, p, clear } | null,   // 由 16 型後驗推得的氣質分布
+//   }
+
+const CLOSE_GAP = 15;           // 功能對的百分比差距小於此值視為「接近」
+const TEMPERAMENT_CLEAR = 0.7;  // 最可能氣質的機率達此值才算明確
+const MAX_REASONS = 3;
+
+const BANK_LABEL = { advA: '進階 A 組', advB: '進階 B 組', advC: '進階 C 組' };
+
+/* ---------------- helpers ---------------- */
+// 由類型代碼推得氣質：S + J → SJ、S + P → SP、N + T → NT、N + F → NF
+function temperamentOf(code) {
+  const c = String(code || '').toUpperCase();
+  if (c.length !== 4) return null;
+  if (c[1] === 'S') return c[3] === 'J' ? 'SJ' : 'SP';
+  if (c[1] === 'N') return c[2] === 'T' ? 'NT' : 'NF';
+  return null;
+}
+
+function temperamentMarginal(posterior) {
+  if (!posterior?.probs?.length) return null;
+  const acc = {};
+  for (const { code, p } of posterior.probs) {
+    const t = temperamentOf(code);
+    if (t) acc[t] = (acc[t] || 0) + p;
+  }
+  const [top, p] = Object.entries(acc).sort((a, b) => b[1] - a[1])[0] || [];
+  return top ? { top, p, clear: p >= TEMPERAMENT_CLEAR } : null;
+}
+
+// basic 結果中、且在任一題組有題目比較的功能對，依差距由小到大
+function closePairsOf(byFunction, banks) {
+  const pct = Object.fromEntries((byFunction || []).map(f => [f.key, f.pct]));
+  const seen = new Set();
+  const out = [];
+  for (const b of banks) {
+    for (const f of b.facets || []) {
+      if (f.keys.length !== 2 || !(f.keys[0] in pct) || !(f.keys[1] in pct)) continue;
+      const id = [...f.keys].sort().join('|');
+      if (seen.has(id)) continue;
+      seen.add(id);
+      const gap = Math.abs(pct[f.keys[0]] - pct[f.keys[1]]);
+      if (gap < CLOSE_GAP) out.push({ keys: f.keys, gap });
+    }
+  }
+  return out.sort((a, b) => a.gap - b.gap);
+}
+
+function samePair(a, b) {
+  return a.length === b.length && a.every(k => b.includes(k));
+}
+
+/* ---------------- public API ---------------- */
+export const Advisor = {
+  recommend(result, banks) {
+    const list = (Array.isArray(banks) ? banks : []).filter(b => b && Number.isFinite(b.info));
+    const temperament = temperamentMarginal(result?.posterior);
+    const closePairs = closePairsOf(result?.byFunction, list);
+    if (!list.length) return { mode: null, reasons: [], ranking: [], closePairs, temperament };
+
+    const best = list[0];
+    const ranking = list.map(b => ({ mode: b.mode, info: b.info, share: best.info > 0 ? b.info / best.info : 0 }));
+    const label = BANK_LABEL[best.mode] || best.mode;
+    const reasons = [];
+
+    // 1) 建議題組有題目直接比較的「接近功能對」
+    for (const pair of closePairs) {
+      const facet = best.facets?.find(f => samePair(f.keys, pair.keys));
+      if (!facet) continue;
+      reasons.push(`${pair.keys[0]} 與 ${pair.keys[1]} 只差 ${Math.round(pair.gap)} 分，${label}有 ${facet.items} 題直接比較這兩者。`);
+      if (reasons.length >= 2) break;
+    }
+
+    // 2) 氣質不明確且建議題組測量氣質
+    const measuresTemperament = best.facets?.some(f => f.keys.some(k => /^(SJ|SP|NT|NF)$/.test(k)));
+    if (temperament && !temperament.clear && measuresTemperament) {
+      reasons.push(`氣質尚不明確：最可能的 ${temperament.top} 只有 ${Math.round(temperament.p * 100)}%，${label}直接比較 SJ／SP 與 NT／NF。`);
+    }
+
+    // 3) 總結：預估能減少的不確定性，並提醒差距不大的次佳選項
+    const runnerUp = ranking[1];
+    if (runnerUp && runnerUp.share >= 0.9) {
+      reasons.push(`${label}與${BANK_LABEL[runnerUp.mode] || runnerUp.mode}的預估效益差不多，選哪一組都可以。`);
+    } else if (!reasons.length) {
+      reasons.push(`依目前作答，${label}預估最能釐清你在 16 型之間的不確定性。`);
+    }
+
+    return { mode: best.mode, reasons: reasons.slice(0, MAX_REASONS), ranking, closePairs, temperament };
+  },
+};
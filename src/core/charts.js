@@ -1,10 +1,11 @@
 // src/core/charts.js
 // Render radar (8 functions) and bars (4 dichotomies) using Chart.js UMD (chart.umd.js).
-// Expect global `Chart` available (included via <script src="docs/assets/js/vendor/chart.umd.js"></script>).
+// Expect global `Chart` available (loaded on demand via Vendor.load('chart'), see core/vendor.js).
 //
 // Public API:
 //   Charts.renderRadar(result, canvas | '#id', opts?)
 //   Charts.renderAxesBars(result, canvas | '#id', opts?)
+//   Charts.renderTrend(trend, canvas | '#id', opts?)   // trend = History.trend(...)：各功能 pct 隨重測的變化
 //   Charts.destroyAll()
 //   Charts.downloadPNG(chart, filename)
 //   Charts.theme({ mode: 'auto'|'light'|'dark' })  // set or get current theme
@@ -19,7 +20,7 @@ function $(elOrSel) {
 
 function ensureChart() {
   if (typeof window === 'undefined' || !window.Chart) {
-    throw new Error('Chart.js not found. Make sure docs/assets/js/vendor/chart.umd.js is loaded before app.min.js.');
+    throw new Error('Chart.js not found. Call await Vendor.load(\'chart\') before rendering charts.');
   }
   return window.Chart;
 }
@@ -43,6 +44,7 @@ function palette() {
     border: dark ? 'rgba(255,255,255,0.35)' : 'rgba(0,0,0,0.3)',
     // dataset fills（不指定固定色調；交給 Chart 的預設 + 透明度）
     fill: dark ? 'rgba(255,255,255,0.08)' : 'rgba(0,0,0,0.04)',
+    band: dark ? 'rgba(255,255,255,0.14)' : 'rgba(0,0,0,0.09)',
   };
 }
 
@@ -93,6 +95,27 @@ function buildRadarDataset(result, opts = {}) {
   };
 }
 
+function buildRadarBandDatasets(result) {
+  // 信賴區間帶：下界（不填色）+ 上界（fill 到下界），byFunction[].ci 不存在時回傳 []
+  const rows = result?.byFunction || [];
+  if (!rows.some(x => x?.ci)) return [];
+  const clip = (v) => Math.max(0, Math.min(100, v || 0));
+  const lo = rows.map(x => clip(x.ci ? x.ci.lo : x.pct));
+  const hi = rows.map(x => clip(x.ci ? x.ci.hi : x.pct));
+  const level = Math.round((rows.find(x => x?.ci)?.ci.level || 0.95) * 100);
+  const band = {
+    borderWidth: 0,
+    pointRadius: 0,
+    pointHitRadius: 0,
+    tension: 0.2,
+    _band: true,
+  };
+  return [
+    { ...band, label: `${level}% 區間下界`, data: lo, fill: false },
+    { ...band, label: `${level}% 區間上界`, data: hi, fill: '-1', backgroundColor: palette().band },
+  ];
+}
+
 function buildAxesBarDatasets(result, opts = {}) {
   // 將四軸換成 -100..+100（負→右字母，正→左字母）
   // 例：EI.pctE = 0..1 → (pctE*200 - 100)
@@ -130,7 +153,8 @@ export const Charts = {
    * 雷達圖（八功能）
    * @param {object} result 來自 Scorer.score(...)
    * @param {HTMLCanvasElement|string} elOrSel
-   * @param {object} opts { title?, label?, max=100, showGrid=true }
+   * @param {object} opts { title?, label?, max=100, showGrid=true, aspectRatio?, showCI=true }
+   * 若 byFunction[].ci 存在（Scorer 的 bootstrap 信賴區間），會以半透明帶狀畫出區間
    */
   renderRadar(result, elOrSel, opts = {}) {
     const Chart = ensureChart();
@@ -141,6 +165,7 @@ export const Charts = {
     const labels = (result?.byFunction || []).map(x => x?.key || x?.name || `F${x?.idx ?? ''}`);
 
     const ds = buildRadarDataset(result, { label: opts.label });
+    const bands = opts.showCI === false ? [] : buildRadarBandDatasets(result);
 
     // 先毀掉同 canvas 上的舊圖（Chart v4 會綁在 ctx.canvas._chartInstance？保守做法：loop registry）
     for (const c of _registry) {
@@ -151,15 +176,16 @@ export const Charts = {
       type: 'radar',
       data: {
         labels,
-        datasets: [ds],
+        datasets: [ds, ...bands],
       },
       options: {
         responsive: true,
-        maintainAspectRatio: false,
+        maintainAspectRatio: !!opts.aspectRatio,
+        aspectRatio: opts.aspectRatio,
         plugins: {
           legend: {
             display: true,
-            labels: { color: pal.text },
+            labels: { color: pal.text, filter: (item, data) => !data.datasets[item.datasetIndex]?._band },
           },
           title: {
             display: !!opts.title,
@@ -168,8 +194,13 @@ export const Charts = {
             padding: 8,
           },
           tooltip: {
+            filter: (item) => !item.dataset._band,
             callbacks: {
-              label: (ctx) => `${ctx.dataset.label || ''}: ${formatPct(ctx.raw)}`,
+              label: (ctx) => {
+                const ci = result?.byFunction?.[ctx.dataIndex]?.ci;
+                const range = ci ? `（${formatPct(ci.lo)}–${formatPct(ci.hi)}）` : '';
+                return `${ctx.dataset.label || ''}: ${formatPct(ctx.raw)}${range}`;
+              },
             },
           },
         },
@@ -280,6 +311,76 @@ export const Charts = {
     return chart;
   },
 
+  /**
+   * 重測趨勢折線圖（每個功能一條線，x 軸為作答日期）
+   * @param {object} trend 來自 History.trend(...)：{ dates, series: [{ key, name, values, sd }] }
+   * @param {HTMLCanvasElement|string} elOrSel
+   * @param {object} opts { title?, aspectRatio? }
+   */
+  renderTrend(trend, elOrSel, opts = {}) {
+    const Chart = ensureChart();
+    const ctx = toCanvas(elOrSel);
+    const pal = palette();
+
+    const labels = (trend?.dates || []).map(d => (d ? new Date(d).toLocaleDateString() : ''));
+    const datasets = (trend?.series || []).map(s => ({
+      label: s.key,
+      data: s.values,
+      borderWidth: 2,
+      tension: 0.2,
+      pointRadius: 3,
+      spanGaps: true,
+      _sd: s.sd,
+    }));
+
+    for (const c of _registry) {
+      if (c?.ctx?.canvas === ctx.canvas) destroy(c);
+    }
+
+    const chart = track(new Chart(ctx, {
+      type: 'line',
+      data: { labels, datasets },
+      options: {
+        responsive: true,
+        maintainAspectRatio: !!opts.aspectRatio,
+        aspectRatio: opts.aspectRatio,
+        plugins: {
+          legend: {
+            display: true,
+            labels: { color: pal.text },
+          },
+          title: {
+            display: !!opts.title,
+            text: opts.title || '',
+            color: pal.text,
+            padding: 8,
+          },
+          tooltip: {
+            callbacks: {
+              label: (ctx) => `${ctx.dataset.label}: ${formatPct(ctx.raw)}（標準差 ${ctx.dataset._sd}）`,
+            },
+          },
+        },
+        scales: {
+          x: {
+            grid: { color: pal.grid },
+            ticks: { color: pal.text },
+            border: { color: pal.border },
+          },
+          y: {
+            min: 0,
+            max: 100,
+            grid: { color: pal.grid },
+            ticks: { color: pal.text, stepSize: 20 },
+            border: { color: pal.border },
+          },
+        },
+      },
+    }));
+
+    return chart;
+  },
+
   /**
    * 下載為 PNG 檔案
    */
@@ -0,0 +1,157 @@
+// src/core/data-manager.js
+// "Forget me": inventory, export and wipe of everything this app stores on the device.
+// 經由 Router.adapter() 讀寫（瀏覽器為 localStorage / sessionStorage / IndexedDB），涵蓋所有設定檔與舊版遺留的 key。
+//
+// - 只處理本 app 的 namespace（jung8v:*），同網域其他程式的資料不動
+// - session 以 sessions store 列出（IndexedDB；本分頁 sessionStorage 的鏡像視為同一筆，不重複列出）
+// - 隱私模式鎖定時，加密的資料以密文列出 / 匯出
+// - 解鎖後暫存在本分頁的金鑰（Router 的 KEY_VAULT_TAB）不列出也不匯出：拿到它就能解開所有加密資料；wipeAll 仍會刪除
+//
+// Entry:
+//   { store: 'local' | 'tab' | 'sessions', key, namespace, version, profile, legacy, size, updatedAt }
+//   // namespace：例如 'app'、'results'、'sess'；version：數字，舊版沒有版本的 key 為 null（legacy = true）
+//   // size：JSON 的 UTF-8 位元組數；updatedAt：能從內容判斷時的最後更新時間（ISO），否則 null
+//
+// Public API:
+//   DataManager.inventory() → Entry[]                // 依儲存位置、key 排序
+//   DataManager.summary(entries) → { count, size, oldest, newest }
+//   DataManager.exportAll() → { format, version, exportedAt, local, tab, sessions }
+//   DataManager.fileName(date?) → string
+//   await DataManager.wipeAll() → number             // 刪除的筆數
+
+import { Router } from './router.js';
+
+const NS = 'jung8v';
+const FORMAT = 'jung8v-data';
+const FORMAT_VERSION = 1;
+const SESS_MIRROR_PREFIX = `${NS}:sess:v`;
+const VAULT_KEY_NS = 'vaultKey';
+
+function ours(key) {
+  return typeof key === 'string' && key.startsWith(`${NS}:`);
+}
+
+// 可以列出 / 匯出的 key（排除解鎖金鑰）
+function listed(key) {
+  return ours(key) && parseKey(key).namespace !== VAULT_KEY_NS;
+}
+
+function byteSize(value) {
+  try {
+    return new TextEncoder().encode(JSON.stringify(value) ?? '').length;
+  } catch {
+    return 0;
+  }
+}
+
+// jung8v:<name>:v<N>[:<rest>]、jung8v:p:<profile>:<name>:v<N>、舊版 jung8v:<name>
+function parseKey(key) {
+  let parts = key.split(':').slice(1);
+  let profile = null;
+  if (parts[0] === 'p' && parts.length > 2) {
+    profile = parts[1];
+    parts = parts.slice(2);
+  }
+  const m = /^v(\d+)$/.exec(parts[1] || '');
+  return { namespace: parts[0] || '', version: m ? Number(m[1]) : null, profile, legacy: !m };
+}
+
+function toISO(t) {
+  const ms = typeof t === 'number' ? t : Date.parse(t || '');
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
+function latest(list) {
+  return list.map(toISO).filter(Boolean).sort().pop() || null;
+}
+
+// 從已知的資料結構推最後更新時間（設定、結果歷史、瀏覽紀錄、session）
+function updatedAtOf(value) {
+  if (!value || typeof value !== 'object') return null;
+  if (Array.isArray(value)) return latest(value.map(x => x?.date || x?.updatedAt));
+  if (value.updatedAt) return toISO(value.updatedAt);
+  const visits = Array.isArray(value.history) ? value.history.map(h => h?.ts) : [];
+  return latest([value.lastVisited?.ts, ...visits, value.exportedAt, value.meta?.finishedAt, value.meta?.startedAt]);
+}
+
+function kvEntries(store, kv) {
+  const keys = (kv?.keys?.() || []).filter(listed);
+  return keys
+    .filter(k => !(store === 'tab' && k.startsWith(SESS_MIRROR_PREFIX)))
+    .map((key) => {
+      const value = kv.get(key);
+      return { store, key, ...parseKey(key), size: byteSize(value), updatedAt: updatedAtOf(value) };
+    });
+}
+
+function dump(kv) {
+  const out = {};
+  for (const key of (kv?.keys?.() || []).filter(listed)) out[key] = kv.get(key);
+  return out;
+}
+
+/* ---------------- public API ---------------- */
+export const DataManager = {
+  inventory() {
+    const ad = Router.adapter();
+    const sessions = ad.sessions.list().map(s => ({
+      store: 'sessions',
+      key: s.sessionId,
+      namespace: 'sess',
+      version: 1,
+      profile: s.profile || 'default',
+      legacy: false,
+      size: byteSize(s),
+      updatedAt: toISO(s.updatedAt || s.meta?.finishedAt || s.meta?.startedAt),
+    }));
+    const order = { local: 0, sessions: 1, tab: 2 };
+    return [...kvEntries('local', ad.app), ...sessions, ...kvEntries('tab', ad.tab)]
+      .sort((a, b) => (order[a.store] - order[b.store]) || a.key.localeCompare(b.key));
+  },
+
+  summary(entries = this.inventory()) {
+    const dates = entries.map(e => e.updatedAt).filter(Boolean).sort();
+    return {
+      count: entries.length,
+      size: entries.reduce((t, e) => t + e.size, 0),
+      oldest: dates[0] || null,
+      newest: dates[dates.length - 1] || null,
+    };
+  },
+
+  exportAll() {
+    const ad = Router.adapter();
+    return {
+      format: FORMAT,
+      version: FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      local: dump(ad.app),
+      tab: dump(ad.tab),
+      sessions: ad.sessions.list(),
+    };
+  },
+
+  fileName(date = new Date()) {
+    return `jung8v-data-${date.toISOString().slice(0, 10)}.json`;
+  },
+
+  // 刪除所有設定檔的 session、設定、結果歷史、隱私模式設定與舊版 key；呼叫後應重新載入頁面
+  async wipeAll() {
+    await Router.lock(); // 先寫完隱私模式的背景加密，避免刪除後又被寫回
+    const ad = Router.adapter();
+    await ad.sessions.flush?.();
+    let n = 0;
+    for (const s of ad.sessions.list()) {
+      ad.sessions.remove(s.sessionId);
+      n++;
+    }
+    for (const kv of [ad.app, ad.tab]) {
+      for (const key of (kv?.keys?.() || []).filter(ours)) {
+        kv.remove(key);
+        n++;
+      }
+    }
+    await ad.sessions.flush?.();
+    return n;
+  },
+};
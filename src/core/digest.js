@@ -0,0 +1,62 @@
+// src/core/digest.js
+// Stable hashing helpers: canonical JSON + FNV-1a (sync, everywhere) / SHA-256 (WebCrypto when available).
+// 用於題庫版本（內容雜湊）與匯出檔的 checksum。Pure module（no DOM / storage）。
+//
+// Public API:
+//   Digest.canonical(x) → string            // 物件 key 排序後的 JSON（同內容 → 同字串）
+//   Digest.fnv1a(text) → 8 hex
+//   await Digest.checksum(x) → 'sha256:<hex>' | 'fnv1a:<hex>'   // 沒有 crypto.subtle 時退回 fnv1a
+//   await Digest.verify(x, checksum) → true | false | null      // 依 checksum 前綴的演算法重算比對；null = 此環境無法計算 SHA-256
+
+function canonical(x) {
+  if (x === undefined) return 'null';
+  if (x === null || typeof x !== 'object') return JSON.stringify(x);
+  if (Array.isArray(x)) return `[${x.map(v => (v === undefined ? 'null' : canonical(v))).join(',')}]`;
+  const keys = Object.keys(x).filter(k => x[k] !== undefined).sort();
+  return `{${keys.map(k => `${JSON.stringify(k)}:${canonical(x[k])}`).join(',')}}`;
+}
+
+// FNV-1a 32-bit over UTF-16 code units
+function fnv1a(text) {
+  let h = 0x811c9dc5;
+  const s = String(text);
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h.toString(16).padStart(8, '0');
+}
+
+async function sha256(text) {
+  const subtle = globalThis.crypto?.subtle;
+  if (!subtle || typeof TextEncoder === 'undefined') return null;
+  try {
+    const buf = await subtle.digest('SHA-256', new TextEncoder().encode(String(text)));
+    return Array.from(new Uint8Array(buf), b => b.toString(16).padStart(2, '0')).join('');
+  } catch {
+    return null; // 例如非安全來源（http）下沒有 subtle
+  }
+}
+
+export const Digest = {
+  canonical,
+  fnv1a,
+
+  async checksum(x) {
+    const text = canonical(x);
+    const hex = await sha256(text);
+    return hex ? `sha256:${hex}` : `fnv1a:${fnv1a(text)}`;
+  },
+
+  async verify(x, checksum) {
+    const [algo, hex] = String(checksum || '').split(':');
+    if (!hex) return false;
+    const text = canonical(x);
+    if (algo === 'fnv1a') return fnv1a(text) === hex;
+    if (algo === 'sha256') {
+      const actual = await sha256(text);
+      return actual === null ? null : actual === hex; // null：此環境無法驗證 SHA-256
+    }
+    return false;
+  },
+};
@@ -0,0 +1,93 @@
+// src/core/history.js
+// Results history: score snapshots of finished sessions, diffs between two results, and per-function trends.
+// Pure module（no DOM / storage）；快照由結果頁存進 Router.recordResult()，歷史頁用 diff / trend 呈現。
+//
+// Snapshot:
+//   {
+//     id,                     // `${sessionId}|${modes.join('+')}`（同一 session 在 basic 與進階結果頁各有一筆）
+//     sessionId, date,        // date = 作答完成時間（ISO）
+//     modes: string[],        // 計分包含的題組，例如 ['basic', 'advB']
+//     type: { code, name },
+//     byFunction: [{ key, name, pct }],
+//     axes: { EI: {E,I,pctE}, NS: {...}, TF: {...}, JP: {...} },
+//   }
+//
+// Public API:
+//   History.snapshot(result, { sessionId, modes, date }) → snapshot
+//   History.diff(a, b) → { from, to, typeChanged, functions: [{ key, name, a, b, delta }], axes: [{ axis, a, b, delta }] }
+//   History.trend(snapshots) → { dates, series: [{ key, name, values, mean, sd }] }   // 依日期由舊到新
+
+const AXES = [
+  { axis: 'EI', field: 'pctE' },
+  { axis: 'NS', field: 'pctN' },
+  { axis: 'TF', field: 'pctT' },
+  { axis: 'JP', field: 'pctJ' },
+];
+
+function round1(x) {
+  return Math.round(x * 10) / 10;
+}
+
+function byDateAsc(a, b) {
+  return String(a.date || '').localeCompare(String(b.date || ''));
+}
+
+/* ---------------- public API ---------------- */
+export const History = {
+  snapshot(result, { sessionId, modes, date } = {}) {
+    const list = Array.isArray(modes) && modes.length ? modes.slice() : [result?.mode].filter(Boolean);
+    return {
+      id: `${sessionId}|${list.join('+')}`,
+      sessionId,
+      date: date || new Date().toISOString(),
+      modes: list,
+      type: { code: result?.type?.code || null, name: result?.type?.name || null },
+      byFunction: (result?.byFunction || []).map(f => ({ key: f.key, name: f.name, pct: round1(f.pct || 0) })),
+      axes: result?.axes || null,
+    };
+  },
+
+  // b 相對於 a 的變化（delta = b − a，百分點）；功能依變化幅度由大到小
+  diff(a, b) {
+    const pctA = Object.fromEntries((a?.byFunction || []).map(f => [f.key, f]));
+    const functions = (b?.byFunction || [])
+      .filter(f => f.key in pctA)
+      .map(f => ({ key: f.key, name: f.name, a: pctA[f.key].pct, b: f.pct, delta: round1(f.pct - pctA[f.key].pct) }))
+      .sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta));
+    const axes = AXES
+      .filter(({ axis, field }) => Number.isFinite(a?.axes?.[axis]?.[field]) && Number.isFinite(b?.axes?.[axis]?.[field]))
+      .map(({ axis, field }) => {
+        const va = a.axes[axis][field] * 100;
+        const vb = b.axes[axis][field] * 100;
+        return { axis, a: round1(va), b: round1(vb), delta: round1(vb - va) };
+      });
+    return {
+      from: a?.id || null,
+      to: b?.id || null,
+      typeChanged: (a?.type?.code || null) !== (b?.type?.code || null),
+      functions,
+      axes,
+    };
+  },
+
+  // 各功能 pct 隨時間的變化；sd 越小代表重測越穩定（只有一筆時為 0）
+  trend(snapshots) {
+    const list = (Array.isArray(snapshots) ? snapshots : []).slice().sort(byDateAsc);
+    const keys = [];
+    const names = {};
+    for (const s of list) {
+      for (const f of s.byFunction || []) {
+        if (!(f.key in names)) keys.push(f.key);
+        names[f.key] = names[f.key] || f.name;
+      }
+    }
+    const series = keys.map((key) => {
+      const values = list.map(s => s.byFunction?.find(f => f.key === key)?.pct ?? null);
+      const xs = values.filter(v => v !== null);
+      const mean = xs.length ? xs.reduce((t, v) => t + v, 0) / xs.length : 0;
+      const sd = xs.length > 1 ? Math.sqrt(xs.reduce((t, v) => t + (v - mean) ** 2, 0) / (xs.length - 1)) : 0;
+      return { key, name: names[key] || key, values, mean: round1(mean), sd: round1(sd) };
+    });
+    return { dates: list.map(s => s.date), series };
+  },
+};
@@ -0,0 +1,150 @@
+// src/core/item-schema.js
+// Item-bank schema (docs/data/items_public_*.json) and validation.
+// 瀏覽器載入題庫時（quiz-engine）與建置時（scripts/build.mjs）共用同一套規則；純函式，不碰 DOM / 儲存。
+//
+// Bank: Item[]  或  { locale?, items: Item[] }
+// Item:
+//   {
+//     id: string,                 // 必填、非空；同一題庫內與所有題庫之間都不可重複（權重以 id 對應）
+//     stem: string,               // 題幹，非空
+//     options: [string, string],  // 恰好兩個非空選項（畫面上的 A / B）
+//     tags?: string[],            // 出題排序的分散依據（quiz-engine 的 constrainedOrder）
+//     group?: string | number,
+//     func?: string,
+//     locale?: string,            // BCP 47，例如 'zh-Hant'；省略時沿用題庫的 locale
+//   }
+//
+// 驗證錯誤：{ bank, index, id, field, message }
+//   index：題目在檔案中的位置（0-based），題庫層級的錯誤為 null；id：題目 id（缺少或無效時為 null）
+//
+// Public API:
+//   ItemSchema.validate(bank, { name }) → error[]
+//   ItemSchema.validateAll({ [name]: bank }) → error[]   // 另檢查跨題庫的 id 重複
+//   ItemSchema.items(bank, { name }) → Item[]            // 驗證通過才回傳題目；否則丟出 err.code = 'schema'、err.errors
+//   ItemSchema.format(error) → string                    // 一行說明（建置 log、錯誤頁）
+
+const ITEM_FIELDS = ['id', 'stem', 'options', 'tags', 'group', 'func', 'locale'];
+const BANK_FIELDS = ['locale', 'items'];
+const LOCALE_RE = /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+function nonEmptyString(x) {
+  return typeof x === 'string' && x.trim() !== '';
+}
+
+function itemsOf(bank) {
+  return Array.isArray(bank) ? bank : Array.isArray(bank?.items) ? bank.items : null;
+}
+
+function checkBank(bank, push) {
+  if (Array.isArray(bank)) return;
+  if (!bank || typeof bank !== 'object') {
+    push(null, null, '(bank)', '題庫必須是題目陣列，或 { items: [...] } 物件');
+    return;
+  }
+  if (!Array.isArray(bank.items)) push(null, null, 'items', '缺少題目陣列 items');
+  for (const k of Object.keys(bank)) {
+    if (!BANK_FIELDS.includes(k)) push(null, null, k, `未知的題庫欄位「${k}」`);
+  }
+  if (bank.locale !== undefined && !(typeof bank.locale === 'string' && LOCALE_RE.test(bank.locale))) {
+    push(null, null, 'locale', `locale 必須是 BCP 47 語言標籤（例如 zh-Hant），目前為 ${JSON.stringify(bank.locale)}`);
+  }
+}
+
+function checkItem(it, index, push) {
+  if (!it || typeof it !== 'object' || Array.isArray(it)) {
+    push(index, null, '(item)', '題目必須是物件');
+    return null;
+  }
+  const id = nonEmptyString(it.id) ? it.id : null;
+  const at = (field, message) => push(index, id, field, message);
+
+  if (it.id === undefined || it.id === null) at('id', '缺少 id');
+  else if (!id) at('id', `id 必須是非空字串，目前為 ${JSON.stringify(it.id)}`);
+
+  if (it.stem === undefined) at('stem', '缺少題幹 stem');
+  else if (!nonEmptyString(it.stem)) at('stem', '題幹 stem 必須是非空字串');
+
+  if (it.options === undefined) {
+    at('options', '缺少選項 options');
+  } else if (!Array.isArray(it.options) || it.options.length !== 2) {
+    const n = Array.isArray(it.options) ? `${it.options.length} 個` : JSON.stringify(it.options);
+    at('options', `options 必須恰好有兩個選項（A、B），目前為 ${n}`);
+  } else {
+    it.options.forEach((o, k) => {
+      if (!nonEmptyString(o)) at(`options[${k}]`, `選項 ${k === 0 ? 'A' : 'B'} 必須是非空字串`);
+    });
+  }
+
+  if (it.tags !== undefined && !(Array.isArray(it.tags) && it.tags.every(nonEmptyString))) {
+    at('tags', 'tags 必須是非空字串的陣列');
+  }
+  if (it.group !== undefined && !(nonEmptyString(it.group) || Number.isFinite(it.group))) {
+    at('group', 'group 必須是非空字串或數字');
+  }
+  if (it.func !== undefined && !nonEmptyString(it.func)) at('func', 'func 必須是非空字串');
+  if (it.locale !== undefined && !(typeof it.locale === 'string' && LOCALE_RE.test(it.locale))) {
+    at('locale', `locale 必須是 BCP 47 語言標籤（例如 zh-Hant），目前為 ${JSON.stringify(it.locale)}`);
+  }
+  for (const k of Object.keys(it)) {
+    if (!ITEM_FIELDS.includes(k)) at(k, `未知的欄位「${k}」`);
+  }
+  return id;
+}
+
+/* ---------------- public API ---------------- */
+export const ItemSchema = {
+  validate(bank, { name = 'bank' } = {}) {
+    const errors = [];
+    const push = (index, id, field, message) => errors.push({ bank: name, index, id, field, message });
+
+    checkBank(bank, push);
+    const list = itemsOf(bank);
+    if (!list) return errors;
+    if (!list.length) push(null, null, 'items', '題庫沒有任何題目');
+
+    const seen = new Map(); // id -> 第一次出現的 index
+    list.forEach((it, index) => {
+      const id = checkItem(it, index, push);
+      if (id === null) return;
+      if (seen.has(id)) push(index, id, 'id', `id 重複（與第 ${seen.get(id) + 1} 題相同）`);
+      else seen.set(id, index);
+    });
+    return errors;
+  },
+
+  validateAll(banks) {
+    const errors = [];
+    const owner = new Map(); // id -> bank name
+    for (const [name, bank] of Object.entries(banks || {})) {
+      errors.push(...this.validate(bank, { name }));
+      (itemsOf(bank) || []).forEach((it, index) => {
+        if (!nonEmptyString(it?.id)) return;
+        const prev = owner.get(it.id);
+        if (prev && prev !== name) {
+          errors.push({ bank: name, index, id: it.id, field: 'id', message: `id 與題庫 ${prev} 重複` });
+        } else if (!prev) {
+          owner.set(it.id, name);
+        }
+      });
+    }
+    return errors;
+  },
+
+  items(bank, { name = 'bank' } = {}) {
+    const errors = this.validate(bank, { name });
+    if (errors.length) {
+      const err = new Error(`題庫 ${name} 格式錯誤：${this.format(errors[0])}${errors.length > 1 ? `（共 ${errors.length} 個問題）` : ''}`);
+      err.code = 'schema';
+      err.errors = errors;
+      throw err;
+    }
+    return itemsOf(bank);
+  },
+
+  format(e) {
+    const where = e.index === null || e.index === undefined
+      ? e.bank
+      : `${e.bank} 第 ${e.index + 1} 題${e.id ? `（id ${e.id}）` : ''}`;
+    return `${where}．${e.field}：${e.message}`;
+  },
+};
@@ -0,0 +1,29 @@
+// src/core/prng.js
+// Tiny seeded RNG (xorshift128+) shared by quiz-engine（出題洗牌）and scorer（bootstrap 重抽）.
+// 同一個 seed 字串永遠得到同一串亂數，讓出題順序與信賴區間都可重現。
+
+export function makePRNG(seedStr) {
+  // 將字串散列為 4 個 32-bit 整數，作為 state
+  function hash32(str, seed = 2166136261 >>> 0) {
+    let h = seed;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 16777619);
+    }
+    return h >>> 0;
+  }
+  const s1 = hash32(seedStr, 0x9E3779B9);
+  const s2 = hash32(seedStr, 0x85EBCA77);
+  const s3 = hash32(seedStr, 0xC2B2AE3D);
+  const s4 = hash32(seedStr, 0x27D4EB2F);
+  let a = s1 | 1, b = s2 | 1, c = s3 | 1, d = s4 | 1;
+
+  return function next() {
+    // xorshift128+
+    const t = a ^ (a << 11);
+    a = b; b = c; c = d;
+    d = (d ^ (d >>> 19) ^ (t ^ (t >>> 8))) >>> 0;
+    // 轉為 [0,1)
+    return (d >>> 0) / 0x100000000;
+  };
+}
@@ -1,5 +1,5 @@
 // src/core/quiz-engine.js
-// Quiz flow manager: load items, seeded shuffle, 5-point answering, session sync.
+// Quiz flow manager: load items, seeded constrained ordering, 5-point answering, session sync.
 // Data source (public text only):
 //   docs/data/items_public_32.json
 //   docs/data/items_public_adv_A.json
@@ -7,9 +7,26 @@
 //   docs/data/items_public_adv_C.json
 //
 // Works with Router session schema defined in router.js
-// session fields used here: { sessionId, mode, step, answers[], seed, meta }
+// session fields used here: { sessionId, mode, banks, step, answers[], seed, swaps, order, adaptive, itemIds, bankVersions, meta }
+//
+// 題庫版本：每個題庫內容（canonical JSON）的 FNV-1a 雜湊，題目、選項、id 或題數有任何變動都會改變。
+// session 記錄 bankVersions（{ [mode]: 版本 }）與 itemIds（answers[i] 對應的題目 id；adaptive 為 adaptive.sequence），
+// 作答因此以「題目 id + 題庫版本」對應。bootstrap 時版本或題目不一致 → 依 id 搬移作答：
+// 保留仍存在的題目、丟掉已刪除的題目、新題目為未作答，並在 getState().migration 告知 UI。
+//
+// 儲存與題庫讀取都經過 Router 的 adapter（adapters.js）。在 Node 無頭執行：
+//   QuizEngine.init({ adapter: createMemoryAdapter({ files: { 'data/items_public_32.json': … } }) })
+//   globalThis.__getWeights = () => weightsPayload;  // Scorer 需要
+//   await QuizEngine.bootstrap({ mode: 'basic', sid: 't1', seed: 'fixed' });
+//
+// mode 'adaptive'：從所有題組的聯集逐題挑選（Scorer.rankAdaptive 的期望資訊量），
+// 題目序列存在 session.adaptive.sequence，類型後驗夠確定或達到題數上限即停止。
 
 import { Router } from './router.js';
+import { makePRNG } from './prng.js';
+import { Scorer } from './scorer.js';
+import { Digest } from './digest.js';
+import { ItemSchema } from './item-schema.js';
 
 // ---------- Config ----------
 const DATA_BASE = 'data'; // relative to docs/* pages
@@ -20,38 +37,21 @@ const FILES = {
   advC:  'items_public_adv_C.json',
 };
 
-// 題目最小欄位假設：{ id: string|number, text: string, ... }
-// 若有更豐富欄位（如 group、tags），會原樣保留於 items 陣列中
-
-// ---------- Tiny seeded RNG (xorshift128+) ----------
-function makePRNG(seedStr) {
-  // 將字串散列為 4 個 32-bit 整數，作為 state
-  function hash32(str, seed = 2166136261 >>> 0) {
-    let h = seed;
-    for (let i = 0; i < str.length; i++) {
-      h ^= str.charCodeAt(i);
-      h = Math.imul(h, 16777619);
-    }
-    return h >>> 0;
-  }
-  const s1 = hash32(seedStr, 0x9E3779B9);
-  const s2 = hash32(seedStr, 0x85EBCA77);
-  const s3 = hash32(seedStr, 0xC2B2AE3D);
-  const s4 = hash32(seedStr, 0x27D4EB2F);
-  let a = s1 | 1, b = s2 | 1, c = s3 | 1, d = s4 | 1;
-
-  return function next() {
-    // xorshift128+
-    const t = a ^ (a << 11);
-    a = b; b = c; c = d;
-    d = (d ^ (d >>> 19) ^ (t ^ (t >>> 8))) >>> 0;
-    // 轉為 [0,1)
-    return (d >>> 0) / 0x100000000;
-  };
-}
+const ADVANCED_BANKS = ['advA', 'advB', 'advC'];
 
-function shuffleSeeded(arr, seed) {
-  const prng = makePRNG(seed);
+// adaptive 模式的出題規則
+const ADAPTIVE = {
+  banks: ['basic', 'advA', 'advB', 'advC'],
+  minItems: 12,      // 至少作答幾題才允許提前停止
+  maxItems: 40,      // 題數上限
+  stopTop: 0.85,     // 第一名類型機率達此值（且不是 borderline）即停止
+  randomesque: 0.9,  // 從資訊量 ≥ 最大值 × 0.9 的題目中依 seed 抽一題，避免每個人的題目序列都相同
+};
+
+// 題目欄位見 item-schema.js（id、stem、兩個 options，選填 tags / group / func / locale）；
+// 題庫載入時驗證，格式錯誤丟出 err.code = 'schema'（err.errors 指出題庫、題目 id 與欄位）
+
+function shuffleWith(arr, prng) {
   const out = arr.slice();
   for (let i = out.length - 1; i > 0; i--) {
     const j = Math.floor(prng() * (i + 1));
@@ -60,24 +60,130 @@ function shuffleSeeded(arr, seed) {
   return out;
 }
 
+function shuffleSeeded(arr, seed) {
+  return shuffleWith(arr, makePRNG(seed));
+}
+
+// ---------- Constrained ordering ----------
+// 單純洗牌可能讓 S1–S8 連續出現（題目意圖太明顯、容易慣性作答）。
+// 受約束的排序：共享 id 前綴 / 功能（func）/ tag（tags、group）的題目至少相隔 ORDER_MIN_GAP 個位置，
+// 並讓每個功能（沒有 func 欄位時以 id 前綴代替）平均分佈在前後兩半。同一個 seed 結果固定。
+// 約束做不到時（例如整個題庫同一個前綴）會自動放寬該 key 的距離；多次嘗試仍失敗則取違規最少的排列。
+const ORDER_MIN_GAP = 3;       // 3 = 兩題之間至少夾 2 題
+const ORDER_MAX_ATTEMPTS = 50;
+
+function itemOrderKeys(it) {
+  const keys = [];
+  const m = /^([A-Za-z]+)\d/.exec(String(it?.id ?? ''));
+  if (m) keys.push(`p:${m[1]}`);
+  const fn = it?.func ?? it?.function;
+  if (fn !== undefined && fn !== null && fn !== '') keys.push(`f:${fn}`);
+  const tags = Array.isArray(it?.tags) ? it.tags : [];
+  for (const t of tags) keys.push(`t:${t}`);
+  if (it?.group !== undefined && it?.group !== null) keys.push(`t:${it.group}`);
+  return keys;
+}
+
+// 每個 key 實際採用的最小距離：c 題要排進 n 個位置，最多只能相隔 floor((n-1)/(c-1))
+function orderGaps(entries) {
+  const count = {};
+  for (const e of entries) for (const k of e.keys) count[k] = (count[k] || 0) + 1;
+  const n = entries.length;
+  const gaps = {};
+  for (const [k, c] of Object.entries(count)) {
+    const g = c > 1 ? Math.min(ORDER_MIN_GAP, Math.floor((n - 1) / (c - 1))) : 1;
+    if (g > 1) gaps[k] = g;
+  }
+  return gaps;
+}
+
+// 依功能分組後交錯分到前後半：每組在兩半的題數最多差 1，兩半總題數也最多差 1
+function splitHalves(entries, prng) {
+  const groups = new Map();
+  for (const e of entries) {
+    const g = e.keys.find(k => k.startsWith('f:')) || e.keys.find(k => k.startsWith('p:')) || '';
+    if (!groups.has(g)) groups.set(g, []);
+    groups.get(g).push(e);
+  }
+  const halves = [[], []];
+  let toggle = prng() < 0.5 ? 0 : 1;
+  for (const list of groups.values()) {
+    list.forEach((e, k) => halves[(k + toggle) % 2].push(e));
+    if (list.length % 2) toggle ^= 1;
+  }
+  return halves;
+}
+
+function gapViolation(e, pos, lastPos, gaps) {
+  let v = 0;
+  for (const k of e.keys) {
+    if (!(k in gaps) || lastPos[k] === undefined) continue;
+    v += Math.max(0, gaps[k] - (pos - lastPos[k]));
+  }
+  return v;
+}
+
+// 逐位貪婪排列：從不違反距離的候選中加權抽選（剩餘題數越多的 key 越優先，避免最後卡死）
+function orderAttempt(entries, gaps, prng) {
+  const out = [];
+  const lastPos = {};
+  let violations = 0;
+  for (const half of splitHalves(shuffleWith(entries, prng), prng)) {
+    const pool = half.slice();
+    const remaining = {};
+    for (const e of pool) for (const k of e.keys) remaining[k] = (remaining[k] || 0) + 1;
+    while (pool.length) {
+      const pos = out.length;
+      const scored = pool.map(e => ({ e, v: gapViolation(e, pos, lastPos, gaps) }));
+      const minV = Math.min(...scored.map(x => x.v));
+      const cands = scored.filter(x => x.v === minV).map(x => x.e);
+      const weights = cands.map(e => 1 + Math.max(0, ...e.keys.map(k => remaining[k] || 0)) ** 2);
+      let r = prng() * weights.reduce((a, b) => a + b, 0);
+      let pick = cands.length - 1;
+      for (let i = 0; i < cands.length; i++) {
+        r -= weights[i];
+        if (r < 0) { pick = i; break; }
+      }
+      const e = cands[pick];
+      violations += minV;
+      pool.splice(pool.indexOf(e), 1);
+      for (const k of e.keys) { lastPos[k] = pos; remaining[k]--; }
+      out.push(e);
+    }
+  }
+  return { out, violations };
+}
+
+function constrainedOrder(arr, seed) {
+  const prng = makePRNG(`${seed}:order`);
+  const entries = arr.map(it => ({ it, keys: itemOrderKeys(it) }));
+  const gaps = orderGaps(entries);
+  let best = null;
+  for (let t = 0; t < ORDER_MAX_ATTEMPTS; t++) {
+    const res = orderAttempt(entries, gaps, prng);
+    if (!best || res.violations < best.violations) best = res;
+    if (best.violations === 0) break;
+  }
+  return best.out.map(e => e.it);
+}
+
 // ---------- Internal state (per page load) ----------
 let _sess = null;
 let _items = [];          // 洗牌後的題目
 let _indexMap = [];       // 洗牌後 -> 原始 index
-let _mode = 'basic';      // 'basic' | 'advA' | 'advB' | 'advC'
+let _mode = 'basic';      // 'basic' | 'advA' | 'advB' | 'advC' | 'adaptive'
+let _pool = null;         // adaptive：id -> 題目（所有題組的聯集）
+let _segments = [];       // 各題組在 _items 中的範圍 [{ mode, start, end }]
+let _migration = null;    // 本次 bootstrap 的作答搬移紀錄（題庫有更新時），否則 null
 
 // ---------- Loaders ----------
 async function fetchJSON(relPath) {
   // 當前頁面位於 docs/*.html，資料夾為 docs/data/*
-  // 用相對路徑存取： 'data/xxx.json'
-  const url = `${DATA_BASE}/${relPath}`;
-  const res = await fetch(url, { cache: 'no-cache' });
-  if (!res.ok) {
-    throw new Error(`Failed to load ${url}: ${res.status}`);
-  }
-  return res.json();
+  // 用相對路徑存取： 'data/xxx.json'；實際讀取交給 Router 的 adapter（瀏覽器為 fetch，Node 可由記憶體提供）
+  return Router.adapter().fetchJSON(`${DATA_BASE}/${relPath}`);
 }
 
+// 回傳驗證過的題目陣列（題庫檔可以是題目陣列或 { locale, items }）
 async function loadBankForMode(mode) {
   const file =
     mode === 'basic' ? FILES.basic :
@@ -86,7 +192,262 @@ async function loadBankForMode(mode) {
     mode === 'advC'  ? FILES.advC  : null;
 
   if (!file) throw new Error(`Unknown quiz mode: ${mode}`);
-  return fetchJSON(file);
+  return ItemSchema.items(await fetchJSON(file), { name: file });
+}
+
+// 依 seed 排序（題目都有 id：題庫載入時已由 item-schema 驗證）
+// order：'constrained'（預設）或 'shuffle'（舊 session 的純洗牌，確保作答仍對得回題目）
+function prepareBank(list, seed, order = 'constrained') {
+  return order === 'shuffle' ? shuffleSeeded(list, seed) : constrainedOrder(list, seed);
+}
+
+// 字串 → [0,1)：FNV-1a 再經 murmur3 fmix32 打散。
+// 不用 makePRNG(str)() 的第一個輸出：只差一個字元的 seed（S1、S2…）第一個輸出幾乎相同。
+function hashUnit(str) {
+  let h = parseInt(Digest.fnv1a(str), 16);
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return (h >>> 0) / 0x100000000;
+}
+
+// ---------- A/B counterbalancing ----------
+// 每題依 seed + id 決定是否左右對調（約一半題目），避免 A 永遠在左邊造成位置偏誤。
+// 對調紀錄存於 session.swaps = { [itemId]: boolean }；作答值記錄的是「畫面上」的位置，
+// 計分時由 Scorer 依 swapped 還原回題庫的 A/B。
+function swapFor(seed, id) {
+  return hashUnit(`${seed}:swap:${id}`) < 0.5;
+}
+
+// 補齊 items 的對調紀錄；legacy=true 表示舊 session（沒有 swaps 但已有作答），既有題目維持不對調
+function assignSwaps(items, seed, known, legacy = false) {
+  const swaps = { ...(known || {}) };
+  for (const it of items) {
+    const id = String(it.id);
+    if (!(id in swaps)) swaps[id] = legacy ? false : swapFor(seed, id);
+  }
+  return swaps;
+}
+
+function withSwaps(items, swaps) {
+  return items.map(it => ({ ...it, swapped: !!swaps?.[String(it.id)] }));
+}
+
+// ---------- Adaptive mode ----------
+async function loadAdaptivePool() {
+  const pool = new Map();
+  for (const mode of ADAPTIVE.banks) {
+    for (const it of await loadBankForMode(mode)) {
+      if (!pool.has(String(it.id))) pool.set(String(it.id), it);
+    }
+  }
+  return pool;
+}
+
+function adaptiveItems(pool, sequence, swaps) {
+  return withSwaps(sequence.map(id => pool.get(String(id))).filter(Boolean), swaps);
+}
+
+// 序列內全部作答完且尚未停止時：判斷是否停止，否則挑下一題接到序列尾端
+function extendAdaptive() {
+  const state = _sess.adaptive || { sequence: [], stop: null };
+  if (state.stop) return;
+  const answers = _sess.answers || [];
+  if (answers.some(v => v === null || v === undefined)) return;
+
+  const n = answers.length;
+  const answered = _items.map((it, i) => ({ id: String(it.id), value: toSignedAnswer(answers[i]), swapped: !!it.swapped }));
+  const used = new Set(state.sequence.map(String));
+  const candidates = [..._pool.keys()].filter(id => !used.has(id));
+  const { ranked, posterior } = Scorer.rankAdaptive({ answers: answered, candidates });
+
+  let reason = null;
+  if (n >= ADAPTIVE.maxItems) reason = 'maxItems';
+  else if (n >= ADAPTIVE.minItems && posterior.p >= ADAPTIVE.stopTop && !posterior.borderline) reason = 'confident';
+  else if (!ranked.length || ranked[0].info <= 0) reason = 'exhausted';
+  if (reason) {
+    const stop = { reason, top: posterior.top, p: posterior.p, items: n };
+    _sess = Router.updateSession(_sess.sessionId, { adaptive: { ...state, stop } });
+    return;
+  }
+
+  const near = ranked.filter(r => r.info >= ranked[0].info * ADAPTIVE.randomesque);
+  const pick = near[Math.floor(hashUnit(`${_sess.seed}:adaptive:${n}`) * near.length)];
+  const swaps = assignSwaps([_pool.get(pick.id)], _sess.seed, _sess.swaps);
+  const sequence = [...state.sequence, pick.id];
+  _items = adaptiveItems(_pool, sequence, swaps);
+  _indexMap = _items.map((_, i) => i);
+  _segments = [{ mode: 'adaptive', start: 0, end: _items.length }];
+  _sess = Router.updateSession(_sess.sessionId, {
+    answers: answers.concat([null]),
+    swaps,
+    adaptive: { sequence, stop: null },
+  });
+}
+
+async function bootstrapAdaptive() {
+  _pool = await loadAdaptivePool();
+  await Scorer.init('adaptive');
+
+  const { patch, migration } = await reconcileAdaptive(_sess, _pool);
+  _migration = migration;
+  _items = adaptiveItems(_pool, patch.adaptive.sequence, patch.swaps);
+  _indexMap = _items.map((_, i) => i);
+  _segments = [{ mode: 'adaptive', start: 0, end: _items.length }];
+  _sess = Router.updateSession(_sess.sessionId, { ...patch, step: recomputeStepFromAnswers(patch.answers) });
+
+  // 新 session 或上次離開時剛好答完最後一題 → 挑下一題（或判定停止）
+  extendAdaptive();
+}
+
+// step 上限：adaptive 尚未停止時，最後一題之後還沒有題目可去
+function maxStep() {
+  const open = _mode === 'adaptive' && !_sess?.adaptive?.stop;
+  return open ? Math.max(0, _items.length - 1) : _items.length;
+}
+
+// session 內依序包含的題庫：優先讀 session.banks；舊 session 沒有紀錄時推得：
+// - basic → ['basic']
+// - advX：若 answers 比該進階題庫長，表示是由 basic 延伸而來 → ['basic', advX]
+async function sessionBanks(sess) {
+  if (Array.isArray(sess?.banks) && sess.banks.length) return sess.banks.slice();
+  const mode = sess?.mode || 'basic';
+  if (mode === 'basic') return ['basic'];
+  const advLen = (await loadBankForMode(mode)).length;
+  const n = Array.isArray(sess?.answers) ? sess.answers.length : 0;
+  return n > advLen ? ['basic', mode] : [mode];
+}
+
+// 依 banks 順序載入各題庫、各自以 prepareBank 排序後串接；segments 記錄每個題庫在 items 中的 [start, end)，回傳 { items, segments }
+async function buildBankItems(banks, seed, order) {
+  let items = [];
+  const segments = [];
+  for (let b = 0; b < banks.length; b++) {
+    const mode = banks[b];
+    const list = await loadBankForMode(mode);
+    if (list.length === 0) throw new Error(`Empty item list for mode=${mode}`);
+    const prepared = prepareBank(list, seed, order);
+    segments.push({ mode, start: items.length, end: items.length + prepared.length });
+    items = items.concat(prepared);
+  }
+  return { items, segments };
+}
+
+// ---------- Bank versions & answer migration ----------
+async function bankVersion(mode) {
+  return Digest.fnv1a(Digest.canonical(await loadBankForMode(mode)));
+}
+
+async function bankVersionsOf(banks) {
+  const versions = {};
+  for (const mode of banks) versions[mode] = await bankVersion(mode);
+  return versions;
+}
+
+function isAnswered(v) {
+  return v !== null && v !== undefined;
+}
+
+function changedBanks(saved, versions) {
+  return saved ? Object.keys(versions).filter(m => saved[m] !== versions[m]) : [];
+}
+
+// 把 session 的作答對到目前的題目 ids。回傳 { answers, migration }（不需搬移時 migration 為 null）
+// migration：{ banks: 有更新的題庫, kept, removed: 已刪除的題目 id, added: 新題目 id, dropped: 因此遺失的作答數, legacy }
+// 舊 session 沒有 itemIds：只能假設作答依目前的出題順序；題數不符時補齊 / 截斷，並標記 legacy
+function remapAnswers(sess, ids, versions) {
+  const answers = Array.isArray(sess.answers) ? sess.answers : [];
+  const banks = changedBanks(sess.bankVersions, versions);
+  if (!Array.isArray(sess.itemIds)) {
+    const out = ids.map((_, i) => answers[i] ?? null);
+    if (answers.length === ids.length || !answers.some(isAnswered)) return { answers: out, migration: null };
+    return {
+      answers: out,
+      migration: {
+        banks: Object.keys(versions),
+        kept: Math.min(answers.length, ids.length),
+        removed: [],
+        added: ids.slice(answers.length),
+        dropped: answers.slice(ids.length).filter(isAnswered).length,
+        legacy: true,
+      },
+    };
+  }
+
+  const savedIds = sess.itemIds.map(String);
+  const same = savedIds.length === ids.length && savedIds.every((id, i) => id === ids[i]);
+  if (same && !banks.length) return { answers: ids.map((_, i) => answers[i] ?? null), migration: null };
+
+  const byId = new Map(savedIds.map((id, i) => [id, answers[i] ?? null]));
+  const current = new Set(ids);
+  return {
+    answers: ids.map(id => (byId.has(id) ? byId.get(id) : null)),
+    migration: {
+      banks,
+      kept: ids.filter(id => byId.has(id)).length,
+      removed: savedIds.filter(id => !current.has(id)),
+      added: ids.filter(id => !byId.has(id)),
+      dropped: savedIds.filter((id, i) => !current.has(id) && isAnswered(answers[i])).length,
+      legacy: false,
+    },
+  };
+}
+
+// 固定題組的 session：依 seed 重建目前題庫的出題順序，作答依 id 對過去。
+// 回傳 { items, segments, patch, migration }；patch 為要寫回 session 的欄位（不寫入儲存）
+async function reconcile(sess) {
+  const legacy = (sess.answers || []).some(isAnswered);
+  const order = sess.order || (legacy ? 'shuffle' : 'constrained');
+  const banks = await sessionBanks(sess);
+  const { items, segments } = await buildBankItems(banks, sess.seed, order);
+  const versions = await bankVersionsOf(banks);
+  const ids = items.map(it => String(it.id));
+  const { answers, migration } = remapAnswers(sess, ids, versions);
+
+  // A/B 對調（沿用 session 既有紀錄；舊 session 已作答的題目不對調）；紀錄以 id 為 key，搬移後仍有效
+  const swaps = assignSwaps(items, sess.seed, sess.swaps, legacy && !sess.swaps);
+  return {
+    items: withSwaps(items, swaps),
+    segments,
+    patch: { answers, swaps, order, banks, itemIds: ids, bankVersions: versions },
+    migration,
+  };
+}
+
+// adaptive：題目序列本身就是 id；題庫刪掉的題目連同作答一起移除，停止判定重新評估
+async function reconcileAdaptive(sess, pool) {
+  const state = sess.adaptive || { sequence: [], stop: null };
+  const versions = await bankVersionsOf(ADAPTIVE.banks);
+  const answers = Array.isArray(sess.answers) ? sess.answers : [];
+  const sequence = [];
+  const kept = [];
+  const removed = [];
+  let dropped = 0;
+  state.sequence.forEach((id, i) => {
+    if (pool.has(String(id))) {
+      sequence.push(id);
+      kept.push(answers[i] ?? null);
+    } else {
+      removed.push(String(id));
+      if (isAnswered(answers[i])) dropped++;
+    }
+  });
+  const banks = changedBanks(sess.bankVersions, versions);
+  const migration = banks.length || removed.length
+    ? { banks, kept: sequence.length, removed, added: [], dropped, legacy: !sess.bankVersions }
+    : null;
+  const swaps = assignSwaps(sequence.map(id => ({ id })), sess.seed, sess.swaps);
+  return {
+    patch: {
+      answers: kept,
+      swaps,
+      adaptive: removed.length ? { sequence, stop: null } : state,
+      bankVersions: versions,
+    },
+    migration,
+  };
 }
 
 // ---------- Helpers ----------
@@ -112,52 +473,48 @@ function recomputeStepFromAnswers(ans) {
 
 // ---------- Public API ----------
 export const QuizEngine = {
+  /**
+   * 指定儲存 / 網址 / 題庫讀取的 adapter（轉交 Router.init）；需在 bootstrap 之前。
+   * 瀏覽器頁面可省略（預設 IndexedDB adapter）。
+   */
+  init({ adapter } = {}) {
+    if (adapter) Router.init(adapter);
+    return QuizEngine;
+  },
+
   /**
    * 初始化測驗：
    * - 保證 session 存在（如果給 sid 且存在就用舊的）
    * - 下載對應題庫，依 seed 洗牌
    * - 依 session.answers 長度恢復進度
    */
-  async bootstrap({ mode, sid } = {}) {
-    // 1) 透過 Router 確保 session
-    const ensured = Router.ensureSession({ mode, sid });
+  async bootstrap({ mode, sid, seed } = {}) {
+    // 1) 透過 Router 確保 session（先等 IndexedDB 載入，才找得到其他分頁 / 先前開啟的 session）
+    //    seed 只在建立新 session 時使用（測試可固定出題順序）
+    await Router.ready();
+    const ensured = Router.ensureSession({ mode, sid, seed });
     _sess = ensured;
     _mode = ensured.mode;
+    _migration = null;
 
-    // 2) 載入題庫
-    const bank = await loadBankForMode(_mode);
-
-    // 支援題目原始陣列或是 {items:[...]} 結構
-    const list = Array.isArray(bank) ? bank : Array.isArray(bank.items) ? bank.items : [];
-    if (!Array.isArray(list) || list.length === 0) {
-      throw new Error(`Empty item list for mode=${_mode}`);
+    if (_mode === 'adaptive') {
+      await bootstrapAdaptive();
+      return this.getState();
     }
 
-    // 3) 洗牌（可重現）
-    const shuffled = shuffleSeeded(list, _sess.seed);
-
-    // 4) 建立 indexMap（洗牌後每題對應到原始題目的 id / index）
-    _items = shuffled.map((it, idx) => {
-      // 確保每題有 id；若缺少則自動補
-      if (typeof it.id === 'undefined' || it.id === null) {
-        return { ...it, id: `q${idx + 1}` };
-      }
-      return it;
-    });
+    // 2) 載入 session 內的題庫（basic 之後接續的進階題組依序附加）
+    // 3) 排序（可重現）並建立 indexMap（排序後每題對應到原始題目的 id / index）
+    //    舊 session（沒有 order 紀錄但已有作答）沿用純洗牌，避免作答錯位
+    // 4) A/B 對調、作答依題目 id 對回（題庫版本不同時搬移，見 reconcile）
+    const { items, segments, patch, migration } = await reconcile(_sess);
+    _items = items;
+    _segments = segments;
     _indexMap = _items.map((_, i) => i);
+    _migration = migration;
 
-    // 5) 同步 answers 長度（允許舊 session 繼續）
-    const N = _items.length;
-    const answers = Array.isArray(_sess.answers) ? _sess.answers.slice() : [];
-    if (answers.length < N) {
-      answers.push(...Array(N - answers.length).fill(null));
-    } else if (answers.length > N) {
-      answers.length = N;
-    }
-
-    // 6) step 校正
-    const step = recomputeStepFromAnswers(answers);
-    _sess = Router.updateSession(_sess.sessionId, { answers, step });
+    // 5) step 校正
+    const step = recomputeStepFromAnswers(patch.answers);
+    _sess = Router.updateSession(_sess.sessionId, { ...patch, step });
 
     return this.getState();
   },
@@ -169,8 +526,14 @@ export const QuizEngine = {
     if (!_sess) throw new Error('QuizEngine not bootstrapped');
     const { sessionId, step, answers, seed, meta } = _sess;
     const total = _items.length;
-    const idx = clamp(step, 0, total); // step==total 表完成
+    const idx = clamp(step, 0, maxStep()); // step==total 表完成
     const current = idx < total ? _items[idx] : null;
+    const adaptive = _mode === 'adaptive'
+      ? { minItems: ADAPTIVE.minItems, maxItems: ADAPTIVE.maxItems, stop: _sess.adaptive?.stop || null }
+      : null;
+    // adaptive 題數不固定：未停止前以題數上限估算進度
+    const denom = adaptive && !adaptive.stop ? ADAPTIVE.maxItems : total;
+    const banks = _segments.map(sg => sg.mode);
 
     return {
       sessionId,
@@ -180,10 +543,15 @@ export const QuizEngine = {
       total,
       step: idx,
       done: idx >= total,
-      progress: total ? Math.min(1, idx / total) : 0,
+      progress: denom ? Math.min(1, idx / denom) : 0,
       current,        // {id, text, ...} or null
       items: _items,  // 注意：請勿顯示權重，這裡只有文字題幹
       answers,        // 陣列（每題 0..4 或 null）
+      adaptive,       // adaptive 模式：{ minItems, maxItems, stop }；其他模式為 null
+      banks,          // session 內依序包含的題組，例如 ['basic', 'advA', 'advC']
+      segments: _segments.map(sg => ({ ...sg })),
+      remaining: adaptive ? [] : ADVANCED_BANKS.filter(b => !banks.includes(b)), // 還能接續的進階題組
+      migration: _migration, // 題庫更新而搬移作答時：{ banks, kept, removed, added, dropped, legacy }；否則 null
     };
   },
 
@@ -204,6 +572,7 @@ export const QuizEngine = {
 
     const nextStep = step + 1;
     _sess = Router.updateSession(_sess.sessionId, { answers: nextAnswers, step: nextStep });
+    if (_mode === 'adaptive') extendAdaptive();
 
     return this.getState();
   },
@@ -213,7 +582,7 @@ export const QuizEngine = {
    */
   go(index) {
     if (!_sess) throw new Error('QuizEngine not bootstrapped');
-    const i = clamp(index, 0, _items.length);
+    const i = clamp(index, 0, maxStep());
     _sess = Router.updateSession(_sess.sessionId, { step: i });
     return this.getState();
   },
@@ -223,6 +592,7 @@ export const QuizEngine = {
    */
   isComplete() {
     if (!_sess) return false;
+    if (_mode === 'adaptive' && !_sess.adaptive?.stop) return false;
     return _sess.step >= _items.length;
   },
 
@@ -248,37 +618,32 @@ export const QuizEngine = {
   },
 
   /**
-   * basic（32 題）完成後，銜接進階題組（24+?）
-   * kind: 'advA' | 'advB' | 'advC'
-   * 作法：在同一個 session 延伸題目；新的題庫將接續 append。
+   * 完成目前題組後，銜接下一個進階題組（可依序累積 A/B/C 任意組合）
+   * kind: 'advA' | 'advB' | 'advC'（不可重複加入同一組）
+   * 作法：在同一個 session 延伸題目；新的題庫將接續 append，session.banks 記錄順序。
    */
   async continueToAdvanced(kind) {
     if (!_sess) throw new Error('QuizEngine not bootstrapped');
-    if (_mode !== 'basic') {
-      throw new Error('continueToAdvanced only allowed after basic mode');
+    if (_mode === 'adaptive') {
+      throw new Error('continueToAdvanced is not available in adaptive mode');
     }
-    const advMode = kind === 'advA' || kind === 'advB' || kind === 'advC' ? kind : null;
+    const advMode = ADVANCED_BANKS.includes(kind) ? kind : null;
     if (!advMode) throw new Error('Invalid advanced kind. Use advA | advB | advC');
+    const banks = _segments.map(sg => sg.mode);
+    if (banks.includes(advMode)) throw new Error(`${advMode} is already part of this session`);
 
-    // 載入進階題庫（或依需要可根據 basic 的表現決定分支）
-    const bank = await loadBankForMode(advMode);
-    const list = Array.isArray(bank) ? bank : Array.isArray(bank.items) ? bank.items : [];
-    if (!Array.isArray(list) || list.length === 0) {
+    // 載入進階題庫（要接哪一組由 UI 決定；建議邏輯見 advisor.js）
+    const list = await loadBankForMode(advMode);
+    if (list.length === 0) {
       throw new Error(`Empty item list for ${advMode}`);
     }
 
-    // 用同一個 seed 再洗牌（確保可重現）
-    const shuffled = shuffleSeeded(list, _sess.seed);
-
-    // 合併題目
-    const startLen = _items.length;
-    const appended = shuffled.map((it, idx) => {
-      if (typeof it.id === 'undefined' || it.id === null) {
-        return { ...it, id: `a${idx + 1}` };
-      }
-      return it;
-    });
+    // 用同一個 seed 再洗牌（確保可重現），決定 A/B 對調後合併題目
+    const shuffledAdv = prepareBank(list, _sess.seed, _sess.order);
+    const swaps = assignSwaps(shuffledAdv, _sess.seed, _sess.swaps);
+    const appended = withSwaps(shuffledAdv, swaps);
 
+    _segments = _segments.concat([{ mode: advMode, start: _items.length, end: _items.length + appended.length }]);
     _items = _items.concat(appended);
     _indexMap = _items.map((_, i) => i);
 
@@ -287,12 +652,16 @@ export const QuizEngine = {
     const added = appended.length;
     answers.push(...Array(added).fill(null));
 
-    // 更新 mode → 標記為已進階（你也可以選擇保留 mode=basic，額外記錄 advancedKind）
+    // 更新 mode → 最近加入的題組；完整順序記在 banks
     _mode = advMode;
 
     _sess = Router.updateSession(_sess.sessionId, {
       mode: _mode,
+      banks: banks.concat([advMode]),
       answers,
+      swaps,
+      itemIds: _items.map(it => String(it.id)),
+      bankVersions: { ..._sess.bankVersions, [advMode]: await bankVersion(advMode) },
       // step 保持原樣（讓使用者從先前的 step 繼續往下）
     });
 
@@ -300,19 +669,88 @@ export const QuizEngine = {
   },
 
   /**
-   * 導出答案（id 與 value），供 scorer 計分使用。
-   * value 一律為 0..4
+   * 導出答案（id、value 與 swapped），供 scorer 計分使用。
+   * value 一律為 0..4（畫面位置；swapped=true 表示該題 A/B 左右對調過）
    */
   exportAnswers() {
     if (!_sess) throw new Error('QuizEngine not bootstrapped');
     return _items.map((it, i) => {
       const raw = _sess.answers[i];
       const v = normalizeAnswerValue(raw);
-      return { id: String(it.id), value: v === null ? null : v };
+      return { id: String(it.id), value: v === null ? null : v, swapped: !!it.swapped };
     });
   },
 };
 
+/**
+ * 依 session（mode/seed/answers；adaptive 為 adaptive.sequence）重建當初的出題順序，不改動引擎狀態。
+ * 結果頁用它把 session.answers 對回題目 id。
+ * 回傳 { items, segments: [{ mode, start, end }] }，segments 標示各題庫在 items 中的範圍；
+ * items[].swapped 取自 session.swaps（舊 session 沒有紀錄時一律 false）；
+ * 排序方式取自 session.order（舊 session 沒有紀錄時為純洗牌）。
+ */
+export async function rebuildSessionItems(sess) {
+  if (!sess) throw new Error('rebuildSessionItems requires a session');
+  if (sess.mode === 'adaptive') {
+    const items = adaptiveItems(await loadAdaptivePool(), sess.adaptive?.sequence || [], sess.swaps);
+    return { items, segments: [{ mode: 'adaptive', start: 0, end: items.length }] };
+  }
+  const { items, segments } = await buildBankItems(await sessionBanks(sess), sess.seed, sess.order || 'shuffle');
+  return { items: withSwaps(items, sess.swaps), segments };
+}
+
+/**
+ * session 使用的題庫與各題庫版本（題庫內容 canonical JSON 的 FNV-1a 雜湊；題目、選項、id 或題數有任何變動都會改變）。
+ * adaptive 的題目來自所有題組的聯集，因此包含 ADAPTIVE.banks 全部。
+ * 回傳 { banks: string[], versions: { [mode]: string } }
+ */
+export async function sessionBankVersions(sess) {
+  const banks = sess?.mode === 'adaptive' ? ADAPTIVE.banks.slice() : await sessionBanks(sess);
+  return { banks, versions: await bankVersionsOf(banks) };
+}
+
+/**
+ * 結果頁等不經過 bootstrap 的地方：題庫更新後先把 session 的作答依題目 id 搬到目前的題庫（同 bootstrap）。
+ * 有搬移且 session 有 sessionId 時寫回 Router。回傳 { session, migration }（migration 為 null 表示不需搬移）。
+ */
+export async function migrateSession(sess) {
+  if (!sess) throw new Error('migrateSession requires a session');
+  const { patch, migration } = sess.mode === 'adaptive'
+    ? await reconcileAdaptive(sess, await loadAdaptivePool())
+    : await reconcile(sess);
+  if (!migration) return { session: sess, migration: null };
+  const next = { ...patch, step: recomputeStepFromAnswers(patch.answers) };
+  const session = sess.sessionId ? Router.updateSession(sess.sessionId, next) : { ...sess, ...next };
+  return { session, migration };
+}
+
+/**
+ * 作答搬移（getState().migration / migrateSession）→ 給使用者看的說明
+ */
+export function describeMigration(m) {
+  if (!m) return '';
+  const label = { basic: '32 題', advA: '進階 A', advB: '進階 B', advC: '進階 C' };
+  const banks = (m.banks || []).map(b => label[b] || b).join('、');
+  if (m.legacy) {
+    return `題庫${banks ? `（${banks}）` : ''}已更新，這份較早的作答沒有題目對應紀錄，已依目前的題目順序保留；建議檢查作答或重新測驗。`;
+  }
+  const parts = [`保留 ${m.kept} 題`];
+  if (m.removed.length) parts.push(`移除 ${m.removed.length} 題${m.dropped ? `（含 ${m.dropped} 個作答）` : ''}`);
+  if (m.added.length) parts.push(`新增 ${m.added.length} 題待作答`);
+  return `題庫${banks ? `（${banks}）` : ''}已更新，作答已依題目對應到新版：${parts.join('、')}。`;
+}
+
+/**
+ * 引擎儲存值（0..4，0 = 非常同意 A）→ Scorer 使用的 -2..2（正值 = A 側）
+ */
+export function toSignedAnswer(v) {
+  // 已儲存的值一律是 0..4，不再經過 normalizeAnswerValue（避免 1..5 判讀重疊）
+  if (v === null || v === undefined) return null;
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < 0 || n > 4) return null;
+  return 2 - n;
+}
+
 // ---------- Convenience: page bootstrap helper ----------
 // 在 quiz.html 的初始化程式可以這樣用：
 // const { query } = Router.current();
@@ -20,6 +20,8 @@ function byIdx(arr, i, fb) {
   return (arr && arr[i] !== undefined) ? arr[i] : fb;
 }
 const OPP = { 0: 3, 1: 2, 2: 1, 3: 0, 4: 7, 5: 6, 6: 5, 7: 4 };
+const TEMPERAMENT_LABEL = { NT: '理性者', NF: '理想主義者', SJ: '守護者', SP: '技藝者' };
+const BANK_LABEL = { basic: '32 題', advA: '進階 A', advB: '進階 B', advC: '進階 C', adaptive: '自適應' };
 
 /** 作為 funcs.json 缺席時的回退（順序僅作占位，不影響最終顯示，因優先讀 Scorer meta） */
 const FALLBACK_FUNCS = [
@@ -37,8 +39,8 @@ const FALLBACK_FUNCS = [
 function getFuncList() {
   const meta = (typeof Scorer.getFuncMeta === 'function') ? Scorer.getFuncMeta() : null;
   const fromScorer = meta?.list && meta.list.length >= 8 ? meta.list : null;
-  const fromWindow = (Array.isArray(window?.__FUNCS__) && window.__FUNCS__.length >= 8)
-    ? window.__FUNCS__.map((k, i) => ({ idx: i, key: k, name: k, desc: '' }))
+  const fromWindow = (Array.isArray(globalThis.__FUNCS__) && globalThis.__FUNCS__.length >= 8)
+    ? globalThis.__FUNCS__.map((k, i) => ({ idx: i, key: k, name: k, desc: '' }))
     : null;
   const list = fromScorer || fromWindow || FALLBACK_FUNCS;
   return list.map((it, i) => ({
@@ -50,7 +52,7 @@ function getFuncList() {
 }
 function getTypeMap() {
   const fromScorer = (typeof Scorer.getTypeMap === 'function') ? Scorer.getTypeMap() : null;
-  const fromWindow = window?.__TYPES__ || null;
+  const fromWindow = globalThis.__TYPES__ || null;
   // 統一結構：{ byCode: { ENTP: { code, name, description: string|string[] } } }
   if (fromScorer?.byCode) return fromScorer;
   if (fromWindow?.byCode) return fromWindow;
@@ -76,15 +78,35 @@ function axesOneLiner(axes) {
   };
 }
 
-/* 主輔功能信心估計：看主輔與後續差距 */
-function confidence(byFunction) {
-  if (!Array.isArray(byFunction) || byFunction.length < 3) return { score: 0.5, label: '一般', details: { gap1: 0, gap2: 0 } };
+/* 信心估計：有 posterior 時以「顯示的類型」（code）的機率為準，並檢查它是否也是機率最高的類型；
+   否則退回主輔與後續差距 */
+function confidence(byFunction, posterior, code) {
+  if (!Array.isArray(byFunction) || byFunction.length < 3) return { score: 0.5, label: '一般', source: 'gap', details: { gap1: 0, gap2: 0 } };
   const sorted = [...byFunction].sort((a,b)=>b.pct-a.pct);
   const gap1 = (sorted[0].pct - sorted[1].pct) / 100; // dom-aux
   const gap2 = (sorted[1].pct - sorted[2].pct) / 100; // aux-ter
+  if (posterior?.probs?.length) {
+    const best = posterior.probs[0];
+    const p1 = clamp01(posterior.probs.find(x => x.code === code)?.p ?? 0);
+    const agrees = best.code === code; // 堆疊吻合度選出的類型與 posterior 第一順位不同時，不給高信心
+    const label = posterior.borderline || !agrees ? '邊界' : p1 >= 0.8 ? '高' : p1 >= 0.6 ? '中' : '一般';
+    return {
+      score: p1,
+      label,
+      source: 'posterior',
+      details: {
+        gap1: round(gap1*100),
+        gap2: round(gap2*100),
+        top: round(p1*100),
+        margin: round(posterior.margin*100),
+        agrees,
+        best: { code: best.code, pct: round(clamp01(best.p)*100) },
+      },
+    };
+  }
   const s = clamp01(gap1*0.7 + gap2*0.3);
   const label = s >= 0.6 ? '高' : s >= 0.35 ? '中' : '一般';
-  return { score: s, label, details: { gap1: round(gap1*100), gap2: round(gap2*100) } };
+  return { score: s, label, source: 'gap', details: { gap1: round(gap1*100), gap2: round(gap2*100) } };
 }
 
 /* 群組色：NT(紫) / NF(綠) / SP(黃) / SJ(藍) */
@@ -117,20 +139,27 @@ function buildSummary(result) {
   const ax = axesOneLiner(result.axes);
   const dom = result.top?.dominant;
   const aux = result.top?.auxiliary;
-  const conf = confidence(result.byFunction);
 
   // 類型（若 Scorer 已決定就用；否則用軸線猜）
   const code = result.type?.code || ax.codeGuess || '未知';
+  const conf = confidence(result.byFunction, result.posterior, code);
   const typeMap = getTypeMap();
   const lookup = typeMap.byCode?.[code] || null;
-  const typeName = result.type?.name || lookup?.name || null;
+  const typeName = result.type?.name || lookup?.name || lookup?.name_zh || null;
 
   const domName = dom ? byIdx(list, dom.idx, {name:'(未知)'}).name : '(未知)';
   const auxName = aux ? byIdx(list, aux.idx, {name:'(未知)'}).name : '(未知)';
 
+  // 堆疊吻合度排序的次佳類型（Scorer 的 stackFit）
+  const ranking = Array.isArray(result.typeRanking) ? result.typeRanking : [];
+  const alternatives = (result.type?.alternatives || ranking.filter(r => r.code !== code).slice(0, 2).map(r => r.code))
+    .map(c => ({ code: c, fit: ranking.find(r => r.code === c)?.fit ?? null }));
+
   return {
     typeCode: code,
     typeName,
+    fit: result.type?.fit ?? ranking.find(r => r.code === code)?.fit ?? null,
+    alternatives,
     how: result.type?.how || (lookup ? 'mapping' : 'heuristic'),
     dominant: { idx: dom?.idx, name: domName, pct: round(dom?.pct || 0) },
     auxiliary: { idx: aux?.idx, name: auxName, pct: round(aux?.pct || 0) },
@@ -151,6 +180,7 @@ function buildFunctionTable(result) {
       name: meta.name,
       desc: meta.desc || '',
       pct: round(f.pct, 0),
+      ci: f.ci ? { lo: round(f.ci.lo), hi: round(f.ci.hi), pm: round((f.ci.hi - f.ci.lo) / 2), level: f.ci.level } : null,
       raw: f.raw,
       max: f.max,
       level: g.level,
@@ -228,34 +258,126 @@ function buildRecommendations(result) {
   return tips.slice(0, 6);
 }
 
+/* 作答品質：Scorer 的 validity；沒有任何提醒時回傳 null */
+function buildValidity(result) {
+  const v = result?.validity;
+  if (!v || v.severity === 'ok' || !v.flags?.length) return null;
+  return {
+    severity: v.severity,
+    messages: v.flags.map(f => f.message),
+    advice: v.severity === 'poor'
+      ? '這次的作答模式讓結果的可信度偏低，建議放慢速度、逐題依直覺重新作答。'
+      : '結果仍可參考，但請保留一些彈性來解讀。',
+  };
+}
+
+/* 類型機率：posterior 前幾名與 borderline 提示；沒有 posterior 時回傳 null */
+function buildPosterior(result, topN = 4) {
+  const post = result?.posterior;
+  if (!post?.probs?.length) return null;
+  const typeMap = getTypeMap();
+  const rows = post.probs.slice(0, topN).map(x => ({
+    code: x.code,
+    name: x.name || typeMap.byCode?.[x.code]?.name || typeMap.byCode?.[x.code]?.name_zh || null,
+    pct: round(x.p * 100, 1),
+  }));
+  return {
+    rows,
+    borderline: !!post.borderline,
+    margin: round(post.margin * 100, 1),
+    items: post.items,
+  };
+}
+
+/* 氣質（temperament）：C 組量測 vs. 推定類型在 types.json 的 temperament 欄位；未量測回傳 null */
+function buildTemperament(result) {
+  const measured = (Array.isArray(result?.byTemperament) ? result.byTemperament : []).filter(r => r.measured);
+  if (!measured.length) return null;
+  const rows = measured
+    .map(r => ({ key: r.key, label: TEMPERAMENT_LABEL[r.key] || r.name || r.key, pct: round(r.pct) }))
+    .sort((a, b) => b.pct - a.pct);
+
+  const code = result.type?.code || axesOneLiner(result.axes).codeGuess;
+  const typeTemperament = getTypeMap().byCode?.[code]?.temperament || typeGroup(code)?.toUpperCase() || null;
+  const top = rows[0];
+  return {
+    rows,
+    top: top.key,
+    typeCode: code,
+    typeTemperament,
+    agrees: typeTemperament ? top.key === typeTemperament : null,
+  };
+}
+
+/* 題組拆解：Scorer.scoreBanks(...) 的 byBank 與綜合結果並列（單一題組結果回傳 null）
+   沒有八功能權重的題組（measured=false）：功能欄為 null（顯示 —），類型改列氣質量測的第一名 */
+function bankTemperament(bank) {
+  const top = (Array.isArray(bank.byTemperament) ? bank.byTemperament : [])
+    .filter(r => r.measured)
+    .sort((a, b) => b.pct - a.pct)[0];
+  return top ? `${TEMPERAMENT_LABEL[top.key] || top.name || top.key}（${top.key}）` : '—';
+}
+
+function buildBankBreakdown(result) {
+  const banks = Array.isArray(result?.byBank) ? result.byBank : [];
+  if (!banks.length) return null;
+  const list = getFuncList();
+  const columns = banks.map(b => ({
+    mode: b.mode,
+    label: BANK_LABEL[b.mode] || b.mode,
+    typeCode: b.measured === false ? bankTemperament(b) : (b.type?.code || '未知'),
+    usedItems: b.usedItems ?? 0,
+  }));
+  const rows = (result.byFunction || []).map((f) => ({
+    idx: f.idx,
+    name: byIdx(list, f.idx, { name: `功能 ${f.idx}` }).name,
+    combined: round(f.pct),
+    perBank: banks.map(b => (b.measured === false ? null : round(b.byFunction?.[f.idx]?.pct || 0))),
+  }));
+  rows.sort((a, b) => b.combined - a.combined);
+  return { columns, rows };
+}
+
 /* ========== HTML builders（純字串；由 UI 決定塞入位置） ========== */
 const toHTML = {
   summary(s) {
     const group = typeGroup(s.typeCode);
     const badgeCls = ['type-badge', group || '', (s.typeCode || '').toUpperCase()].filter(Boolean).join(' ');
     const name = s.typeName ? `（${s.typeName}）` : '';
-    const conf = `信心：${s.confidence.label}（主輔差距 ${s.confidence.details.gap1}%）`;
+    const d = s.confidence.details;
+    const conf = s.confidence.source === 'posterior'
+      ? `信心：${s.confidence.label}（${(s.typeCode || '').toUpperCase()} 的機率 ${d.top}%${d.agrees ? '' : `；機率最高的類型為 ${d.best.code}（${d.best.pct}%）`}）`
+      : `信心：${s.confidence.label}（主輔差距 ${d.gap1}%）`;
+    const fit = s.fit !== null && s.fit !== undefined ? `｜堆疊吻合度 ${round(s.fit)}%` : '';
+    const alts = (s.alternatives || []).length
+      ? `<p class="muted">最接近的其他類型：${s.alternatives.map(a => a.fit !== null ? `${a.code}（${round(a.fit)}%）` : a.code).join('、')}</p>`
+      : '';
     return `
 <div class="report-summary">
   <h2>
     <span class="${badgeCls}">${(s.typeCode || '未知').toUpperCase()}</span> ${name}
   </h2>
   <p>${s.line}</p>
-  <p class="muted">${conf}</p>
+  <p class="muted">${conf}${fit}</p>
+  ${alts}
 </div>`.trim();
   },
 
   functionTable(rows) {
+    // 有 bootstrap 信賴區間時，強度欄加上 ±，另列區間範圍
+    const withCI = rows.some(r => r.ci);
     const tr = rows.map(r => `
       <tr>
         <td>${r.name}</td>
-        <td>${pct(r.pct)}</td>
+        <td>${pct(r.pct)}${r.ci ? ` <span class="muted">±${r.ci.pm}</span>` : ''}</td>
+        ${withCI ? `<td class="muted">${r.ci ? `${r.ci.lo}–${r.ci.hi}%` : '—'}</td>` : ''}
         <td>${r.level}</td>
         <td class="muted">${r.hint}</td>
       </tr>`).join('');
+    const level = Math.round((rows.find(r => r.ci)?.ci.level || 0.95) * 100);
     return `
 <table class="report-func">
-  <thead><tr><th>功能</th><th>強度</th><th>等級</th><th>說明</th></tr></thead>
+  <thead><tr><th>功能</th><th>強度</th>${withCI ? `<th>${level}% 區間</th>` : ''}<th>等級</th><th>說明</th></tr></thead>
   <tbody>${tr}</tbody>
 </table>`.trim();
   },
@@ -272,6 +394,83 @@ const toHTML = {
 </div>`.trim();
   },
 
+  validity(v) {
+    if (!v) return '';
+    const li = v.messages.map(m => `<li>${m}</li>`).join('');
+    const title = v.severity === 'poor' ? '作答品質偏低' : '作答品質提醒';
+    return `
+<div class="report-validity">
+  <h3>${title}</h3>
+  <ul>${li}</ul>
+  <p>${v.advice}</p>
+</div>`.trim();
+  },
+
+  posterior(pp) {
+    if (!pp) return '';
+    const tr = pp.rows.map(r => `
+      <tr>
+        <td><span class="type-badge ${typeGroup(r.code) || ''} ${r.code}">${r.code}</span>${r.name ? ` ${r.name}` : ''}</td>
+        <td>${r.pct}%</td>
+      </tr>`).join('');
+    const flag = pp.borderline
+      ? `<p class="warn">你的輪廓落在邊界：前兩名僅相差 ${pp.margin}%，建議把這幾型的描述都讀過，或接續進階題組再確認。</p>`
+      : '';
+    return `
+<div class="report-posterior">
+  <h3>類型機率</h3>
+  ${flag}
+  <table class="report-func">
+    <thead><tr><th>類型</th><th>機率</th></tr></thead>
+    <tbody>${tr}</tbody>
+  </table>
+  <p class="muted">依 ${pp.items} 題作答與權重推算，16 型機率總和為 100%。</p>
+</div>`.trim();
+  },
+
+  temperament(t) {
+    if (!t) return '';
+    const tr = t.rows.map(r => `
+      <tr>
+        <td>${r.label}（${r.key}）</td>
+        <td>${pct(r.pct)}</td>
+        <td>${r.key === t.typeTemperament ? '<span class="badge">✓</span>' : ''}</td>
+      </tr>`).join('');
+    const note = t.typeTemperament
+      ? `推定類型 ${t.typeCode} 屬於 ${t.typeTemperament}；氣質題組最高為 ${t.top}${t.agrees ? '，兩者一致。' : '，兩者不同，可參考後再對照敘述。'}`
+      : `氣質題組最高為 ${t.top}。`;
+    return `
+<div class="report-temperament">
+  <h3>氣質傾向</h3>
+  <table class="report-func">
+    <thead><tr><th>氣質</th><th>強度</th><th>類型所屬</th></tr></thead>
+    <tbody>${tr}</tbody>
+  </table>
+  <p class="muted">${note}</p>
+</div>`.trim();
+  },
+
+  bankBreakdown(bd) {
+    if (!bd) return '';
+    const th = bd.columns.map(c => `<th>${c.label}</th>`).join('');
+    const tr = bd.rows.map(r => `
+      <tr>
+        <td>${r.name}</td>
+        <td><strong>${pct(r.combined)}</strong></td>
+        ${r.perBank.map(v => `<td>${v === null ? '—' : pct(v)}</td>`).join('')}
+      </tr>`).join('');
+    const notes = bd.columns.map(c => `${c.label}：${c.typeCode}（計分 ${c.usedItems} 題）`).join('｜');
+    return `
+<div class="report-banks">
+  <h3>各題組拆解</h3>
+  <table class="report-func">
+    <thead><tr><th>功能</th><th>綜合</th>${th}</tr></thead>
+    <tbody>${tr}</tbody>
+  </table>
+  <p class="muted">${notes}</p>
+</div>`.trim();
+  },
+
   recommendations(tips) {
     const li = tips.map(t => `<li>${t}</li>`).join('');
     return `
@@ -292,13 +491,21 @@ export const Report = {
     const table = buildFunctionTable(result);
     const narrative = buildTypeNarrative(result);
     const recos = buildRecommendations(result);
-    return { summary, table, narrative, recos };
+    const banks = buildBankBreakdown(result);
+    const temperament = buildTemperament(result);
+    const posterior = buildPosterior(result);
+    const validity = buildValidity(result);
+    return { summary, table, narrative, recos, banks, temperament, posterior, validity };
   },
 
   buildSummary,
   buildFunctionTable,
   buildTypeNarrative,
   buildRecommendations,
+  buildBankBreakdown,
+  buildTemperament,
+  buildPosterior,
+  buildValidity,
 
   // HTML 版本（方便直接塞入頁面）
   toHTML,
@@ -1,26 +1,77 @@
 // src/core/router.js
 // Minimal router & state persistence for Jung 8D self-test site
-// Pages (physical): index.html, quiz.html, result_basic.html, result_advanced.html
-// Query schema: ?mode=basic|advancedA|advancedB|advancedC&sid=<sessionId>
-// Storage:
-//   - localStorage: app-level settings, history
-//   - sessionStorage: current quiz session (ephemeral to tab)
+// Pages (physical): index.html, quiz.html, result_basic.html, result_advanced.html, history.html
+// Query schema: ?mode=basic|advancedA|advancedB|advancedC|adaptive&sid=<sessionId>
+// Shared results: result_*.html#r=<token>（作答向量 + seed + 題庫版本；見 shareLink / readShare）
+// Storage & location go through an adapter (adapters.js); Router.init(adapter) picks one,
+// otherwise the first call installs defaultAdapter():
+//   - browser (IndexedDB adapter):
+//     - localStorage: app-level settings, visit history, results history (jung8v:results:v1)
+//     - IndexedDB (session-store.js): all quiz sessions, in progress or finished, shared by tabs
+//     - sessionStorage: mirror of this tab's sessions (sync reads before Router.ready())
+//   - Node / tests: createMemoryAdapter() keeps everything in memory; go() only records the URL
+// Profiles: 同一台裝置可有多個本機設定檔（jung8v:profiles:v1）。app state、結果歷史的 key 依設定檔分開
+// （default 沿用原本的 jung8v:app:v1 等，其他為 jung8v:p:<id>:app:v1），session 以 profile 欄位區分；
+// 每個分頁在載入時讀一次目前的設定檔，切換後其他分頁重新整理才會跟著切換。
+// Privacy mode（vault.js，依設定檔各自啟用）：session 與 app state / 結果歷史以密碼衍生的金鑰加密；
+// 鎖定時讀不到這些資料、也不寫入（避免明文覆蓋密文），解鎖後本分頁換頁不必再輸入密碼。
+// Retention: 設定 retentionDays（0 = 不自動刪除）時，ready() 會刪掉本設定檔超過期限的 session、結果歷史與瀏覽紀錄。
 // Versioned & namespaced to avoid collisions across deployments.
 
+import { defaultAdapter } from './adapters.js';
+import { Vault } from './vault.js';
+
 const VERSION = 1;
 const NS = 'jung8v';
-const KEY_APP = `${NS}:app:v${VERSION}`;
-const KEY_SESS = (sid) => `${NS}:sess:v${VERSION}:${sid}`;
+const KEY_PROFILES = `${NS}:profiles:v${VERSION}`;
+const KEY_APP = `app:v${VERSION}`;         // 依設定檔加上前綴，見 scopedKey()
+const KEY_RESULTS = `results:v${VERSION}`;
+const KEY_VAULT = `vault:v${VERSION}`;     // 隱私模式設定（salt、驗證用密文；明文）
+const KEY_VAULT_TAB = `vaultKey:v${VERSION}`; // 解鎖後的金鑰（只存在本分頁）
+const RESULTS_MAX = 100; // 結果歷史保留最近 100 筆
+const DEFAULT_PROFILE = 'default';
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 const PAGES = {
   home: 'index.html',
   quiz: 'quiz.html',
   result_basic: 'result_basic.html',
   result_advanced: 'result_advanced.html',
+  history: 'history.html',
 };
 
+// ---- adapter ----
+let _base = null;     // Router.init 指定（或預設）的 adapter
+let _adapter = null;  // 實際使用的 adapter：隱私模式解鎖後為 Vault.wrapAdapter(_base)
+let _unsubscribeRemote = null;
+
+function adapter() {
+  if (!_adapter) install(defaultAdapter());
+  return _adapter;
+}
+
+function install(next) {
+  _base = next;
+  _profileId = null;
+  _restoring = null;
+  _retained = false;
+  useAdapter(next);
+  _base.on?.('beforeunload', beforeUnloadHandler);
+  // 若使用 browser 的前進/後退（不同檔案之間其實會整頁刷新）—這裡主要給單頁應用時用；
+  // 在本專案（多 html）下，仍保留以便未來擴充成單頁。
+  _base.on?.('popstate', () => emitChange());
+  ensureSidInURL();
+}
+
+function useAdapter(next) {
+  _unsubscribeRemote?.();
+  _adapter = next;
+  // 其他分頁更新或刪除 session 時，同樣通知 onChange 的監聽者
+  _unsubscribeRemote = _adapter.sessions.onRemoteChange?.(() => emitChange()) || null;
+}
+
 // ---- URL helpers ----
-function parseQuery(search = window.location.search) {
+function parseQuery(search = adapter().location.search()) {
   const p = new URLSearchParams(search);
   const obj = {};
   for (const [k, v] of p.entries()) obj[k] = v;
@@ -36,92 +87,261 @@ function buildQuery(obj = {}) {
 }
 function pageFile() {
   // e.g. "/your-repo/docs/quiz.html" -> "quiz.html"
-  const parts = window.location.pathname.split('/');
+  const parts = adapter().location.pathname().split('/');
   return parts[parts.length - 1] || 'index.html';
 }
 
 // ---- storage helpers ----
-function safeGetLS(key, fallback) {
+function safeGetApp(key, fallback) {
   try {
-    const raw = localStorage.getItem(key);
-    if (!raw) return fallback;
-    return JSON.parse(raw);
+    const v = adapter().app.get(key);
+    return v === null || v === undefined || Vault.isSealed(v) ? fallback : v; // 鎖定時的密文視同沒有資料
   } catch {
     return fallback;
   }
 }
-function safeSetLS(key, value) {
+function safeSetApp(key, value) {
+  if (isLocked() && sealedAppKeys().includes(key)) return; // 鎖定時不寫（不能用明文蓋掉密文）
   try {
-    localStorage.setItem(key, JSON.stringify(value));
+    adapter().app.set(key, value);
   } catch {
     /* ignore quota */
   }
 }
-function safeGetSS(key, fallback) {
-  try {
-    const raw = sessionStorage.getItem(key);
-    if (!raw) return fallback;
-    return JSON.parse(raw);
-  } catch {
-    return fallback;
-  }
+
+// ---- profiles ----
+// registry: { active, list: [{ id, name, createdAt }] }；default 一定存在
+let _profileId = null; // 本分頁使用中的設定檔（第一次用到時從 registry 讀）
+
+function getProfiles() {
+  const def = { id: DEFAULT_PROFILE, name: '預設', createdAt: null };
+  const reg = safeGetApp(KEY_PROFILES, null);
+  const list = Array.isArray(reg?.list) ? reg.list.filter(p => p?.id) : [];
+  if (!list.some(p => p.id === DEFAULT_PROFILE)) list.unshift(def);
+  const active = list.some(p => p.id === reg?.active) ? reg.active : DEFAULT_PROFILE;
+  return { active, list };
 }
-function safeSetSS(key, value) {
-  try {
-    sessionStorage.setItem(key, JSON.stringify(value));
-  } catch {
-    /* ignore quota */
-  }
+function setProfiles(reg) {
+  safeSetApp(KEY_PROFILES, reg);
 }
-function safeRemoveSS(key) {
-  try { sessionStorage.removeItem(key); } catch {}
+function profileId() {
+  if (_profileId === null) _profileId = getProfiles().active;
+  return _profileId;
+}
+// default 沿用無前綴的舊 key（既有資料留在預設設定檔）
+function scopedKey(key, id = profileId()) {
+  return id === DEFAULT_PROFILE ? `${NS}:${key}` : `${NS}:p:${id}:${key}`;
+}
+function sessionProfile(sess) {
+  return sess?.profile || DEFAULT_PROFILE;
+}
+
+// ---- privacy mode（vault） ----
+let _restoring = null;
+
+function vaultConfig(id = profileId()) {
+  const c = _base ? _base.app.get(scopedKey(KEY_VAULT, id)) : null;
+  return c?.salt && c?.check ? c : null;
+}
+function vaultOpen() {
+  return !!_adapter && _adapter !== _base;
+}
+function isLocked() {
+  return !!_base && !vaultOpen() && !!vaultConfig();
+}
+// 隱私模式加密的 app key（本設定檔的 app state 與結果歷史）
+function sealedAppKeys() {
+  return [scopedKey(KEY_APP), scopedKey(KEY_RESULTS)];
+}
+async function openVault(key) {
+  useAdapter(await Vault.wrapAdapter(_base, { key, profile: profileId(), appKeys: sealedAppKeys() }));
+  _base.tab?.set(scopedKey(KEY_VAULT_TAB), await Vault.exportKey(key));
+}
+function closeVault() {
+  if (vaultOpen()) useAdapter(_base);
+}
+// 本分頁先前已解鎖：換頁後用暫存的金鑰自動解鎖
+function restoreVault() {
+  if (_restoring) return _restoring;
+  _restoring = (async () => {
+    if (!vaultConfig() || vaultOpen()) return;
+    const saved = _base.tab?.get(scopedKey(KEY_VAULT_TAB));
+    if (!saved) return;
+    try {
+      await openVault(await Vault.importKey(saved));
+    } catch {
+      _base.tab?.remove(scopedKey(KEY_VAULT_TAB));
+    }
+  })().finally(() => { _restoring = null; });
+  return _restoring;
 }
 
 // ---- app-level state (non-sensitive) ----
+// ---- retention：刪除本設定檔超過保留期限的資料（鎖定時讀不到，略過） ----
+let _retained = false;
+
+function sessionTime(s) {
+  return s.updatedAt || s.meta?.finishedAt || s.meta?.startedAt || null;
+}
+function applyRetention(days) {
+  const removed = { sessions: 0, results: 0, visits: 0 };
+  if (!(days > 0) || isLocked()) return removed;
+  const cutoff = Date.now() - days * DAY_MS;
+  const old = (t) => {
+    const ms = typeof t === 'number' ? t : Date.parse(t || '');
+    return Number.isFinite(ms) && ms < cutoff;
+  };
+
+  adapter().sessions.list()
+    .filter(s => sessionProfile(s) === profileId() && !Vault.isSealedSession(s) && old(sessionTime(s)))
+    .forEach((s) => {
+      clearSession(s.sessionId);
+      removed.sessions++;
+    });
+
+  const results = getResults();
+  const keep = results.filter(r => !old(r.date));
+  removed.results = results.length - keep.length;
+  if (removed.results) setResults(keep);
+
+  const app = getAppState();
+  const visits = app.history.filter(h => !old(h.ts));
+  removed.visits = app.history.length - visits.length;
+  if (removed.visits || old(app.lastVisited?.ts)) {
+    setAppState({ ...app, history: visits, lastVisited: old(app.lastVisited?.ts) ? null : app.lastVisited });
+  }
+  return removed;
+}
+
 function getAppState() {
   const def = {
     lastVisited: null,
     history: [], // [{ts, page, query}]
     settings: {
       // put future UI toggles here
+      autoAdvance: false, // basic 完成後自動接續建議的進階題組
     },
   };
-  const s = safeGetLS(KEY_APP, def);
+  const s = safeGetApp(scopedKey(KEY_APP), def);
   // 保持結構穩定
   return { ...def, ...s, settings: { ...def.settings, ...(s?.settings || {}) } };
 }
 function setAppState(next) {
-  safeSetLS(KEY_APP, next);
+  safeSetApp(scopedKey(KEY_APP), next);
+}
+
+// ---- results history（history.js 的快照；依 date 由新到舊） ----
+function getResults() {
+  const list = safeGetApp(scopedKey(KEY_RESULTS), []);
+  return Array.isArray(list) ? list : [];
+}
+function setResults(list) {
+  safeSetApp(scopedKey(KEY_RESULTS), list);
 }
 
 // ---- session model ----
 // Minimal session schema used by quiz-engine/scorer:
 // {
 //   sessionId: string,
-//   mode: "basic" | "advA" | "advB" | "advC",
+//   profile?: string,         // 所屬設定檔（舊 session 沒有 → default）
+//   mode: "basic" | "advA" | "advB" | "advC" | "adaptive",
+//   banks?: string[],         // 依序包含的題組，例如 ["basic","advA","advC"]（mode 為最近加入的一組）
 //   step: number,             // answered count or page index
 //   answers: Array<number>,   // 5-point scale answers (0..4 or 1..5, 依 quiz-engine 定義)
 //   seed: string,             // shuffle seed
-//   meta: { startedAt, finishedAt?, extra? }
+//   swaps?: { [itemId]: boolean }, // A/B 左右對調紀錄（由 quiz-engine 依 seed 決定）
+//   order?: 'constrained'|'shuffle', // 出題排序方式（舊 session 為純洗牌）
+//   adaptive?: { sequence: [itemId], stop: { reason, top, p, items } | null }, // adaptive 模式已出的題目與停止紀錄
+//   meta: { startedAt, finishedAt?, extra? },
+//   rev, updatedAt            // 由 adapter 的 sessions.put 維護（每次寫入 rev + 1）
 // }
 function newSession({ mode, seed, sessionId }) {
   return {
     sessionId,
-    mode,     // "basic" | "advA" | "advB" | "advC"
+    profile: profileId(),
+    mode,     // "basic" | "advA" | "advB" | "advC" | "adaptive"
     step: 0,
     answers: [],
     seed: seed || String(Math.random()).slice(2),
     meta: { startedAt: new Date().toISOString() },
   };
 }
+function newSessionId() {
+  return globalThis.crypto?.randomUUID?.() || `${Date.now()}_${Math.random().toString(36).slice(2)}`;
+}
+// 只讀得到目前設定檔的 session；sessionTaken 則不分設定檔（避免 sid 撞到其他設定檔的 session）
 function loadSession(sessionId) {
-  return safeGetSS(KEY_SESS(sessionId), null);
+  const sess = adapter().sessions.get(sessionId);
+  return sess && !Vault.isSealedSession(sess) && sessionProfile(sess) === profileId() ? sess : null;
+}
+function sessionTaken(sessionId) {
+  return !!adapter().sessions.get(sessionId);
 }
 function saveSession(sess) {
-  safeSetSS(KEY_SESS(sess.sessionId), sess);
+  if (isLocked()) throw new Error('Privacy mode is locked');
+  return adapter().sessions.put(sess);
 }
 function clearSession(sessionId) {
-  safeRemoveSS(KEY_SESS(sessionId));
+  if (loadSession(sessionId)) adapter().sessions.remove(sessionId);
+}
+
+// ---- share links (#r=...) ----
+// 結果分享連結：作答向量、seed 與題庫版本壓縮後放在網址 hash（不會送到伺服器，開啟時也不寫入儲存）。
+// token = 'z' + base64url(deflateRaw(JSON))；沒有 pako 時為 'j' + base64url(JSON)
+const SHARE_PARAM = 'r';
+const SHARE_VERSION = 1;
+
+function bytesToBase64Url(bytes) {
+  let bin = '';
+  for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+function base64UrlToBytes(str) {
+  const b64 = str.replace(/-/g, '+').replace(/_/g, '/');
+  const bin = atob(b64 + '='.repeat((4 - (b64.length % 4)) % 4));
+  return Uint8Array.from(bin, c => c.charCodeAt(0));
+}
+
+// 作答向量：每題一個字元；'-' = 未作答，0..4 = 畫面上的選項，再 +5 表示該題 A/B 左右對調過
+function encodeAnswerVector(answers, swapped) {
+  return answers.map((v, i) => (v === null || v === undefined ? '-' : String(Number(v) + (swapped[i] ? 5 : 0)))).join('');
+}
+function decodeAnswerVector(str) {
+  const answers = [];
+  const swapped = [];
+  for (const ch of String(str)) {
+    if (ch === '-') {
+      answers.push(null);
+      swapped.push(false);
+      continue;
+    }
+    const n = Number(ch);
+    if (!Number.isInteger(n) || n < 0 || n > 9) throw new Error(`Invalid answer vector character: ${ch}`);
+    answers.push(n % 5);
+    swapped.push(n >= 5);
+  }
+  return { answers, swapped };
+}
+
+function encodeShare(payload) {
+  const json = JSON.stringify(payload);
+  const pako = globalThis.pako;
+  if (pako?.deflateRaw) return `z${bytesToBase64Url(pako.deflateRaw(json, { level: 9 }))}`;
+  return `j${bytesToBase64Url(new TextEncoder().encode(json))}`;
+}
+function decodeShare(token) {
+  const kind = token[0];
+  const bytes = base64UrlToBytes(token.slice(1));
+  let json;
+  if (kind === 'z') {
+    if (!globalThis.pako?.inflateRaw) throw new Error('pako is required to open this shared link');
+    json = globalThis.pako.inflateRaw(bytes, { to: 'string' });
+  } else if (kind === 'j') {
+    json = new TextDecoder().decode(bytes);
+  } else {
+    throw new Error('Unknown shared link format');
+  }
+  return JSON.parse(json);
 }
 
 // ---- route change observers ----
@@ -146,8 +366,32 @@ function beforeUnloadHandler(e) {
   }
 }
 
+// 小工具：把 "?sid=..." 補到網址（避免分享時遺失）
+// 只在 quiz.html 上且已經有 session 時嘗試補上
+function ensureSidInURL() {
+  const file = pageFile();
+  if (file !== PAGES.quiz) return;
+  const q = parseQuery();
+  if (q.sid) return;
+  // 試圖找出最近一個 session（當頁籤 sessionStorage 只會有本次）
+  // 由 quiz-engine 呼叫 ensureSession 後會有明確的 sid，此處僅作保險
+}
+
 // ---- public API ----
 export const Router = {
+  // 指定儲存 / 網址 adapter（見 adapters.js）；需在其他 Router 呼叫之前。
+  // 瀏覽器頁面可省略（預設 IndexedDB adapter）；Node / 測試傳入 createMemoryAdapter()
+  init(next) {
+    if (!next?.sessions || !next?.location) throw new Error('Router.init requires an adapter with sessions and location');
+    install(next);
+    return Router;
+  },
+
+  // 目前使用的 adapter（QuizEngine 用它的 fetchJSON 載入題庫）
+  adapter() {
+    return adapter();
+  },
+
   // 當前路由資訊（純讀）
   current() {
     const file = pageFile();
@@ -172,31 +416,197 @@ export const Router = {
     if (app.history.length > 50) app.history = app.history.slice(-50);
     setAppState(app);
 
-    if (replace) {
-      window.location.replace(url);
-    } else {
-      window.location.href = url;
+    // 隱私模式：等背景加密寫入完成再換頁，避免最後一次作答遺失
+    const nav = () => adapter().location.go(url, { replace });
+    if (vaultOpen()) adapter().sessions.flush().then(nav, nav);
+    else nav();
+  },
+
+  // 分享連結（相對網址，例如 "result_basic.html#r=…"）。
+  // sess：session（mode / banks / seed / order / adaptive / answers / meta）
+  // swapped：依出題順序，各題是否 A/B 左右對調；bankVersions：quiz-engine 的 sessionBankVersions().versions
+  shareLink(page, sess, { swapped = [], bankVersions = {} } = {}) {
+    if (!PAGES[page]) throw new Error(`Unknown page: ${page}`);
+    const answers = Array.isArray(sess?.answers) ? sess.answers : [];
+    const payload = {
+      v: SHARE_VERSION,
+      m: sess.mode,
+      s: sess.seed,
+      o: sess.order || 'shuffle',
+      a: encodeAnswerVector(answers, swapped),
+      bv: bankVersions,
+    };
+    if (sess.mode === 'adaptive') payload.q = sess.adaptive?.sequence || [];
+    else payload.b = sess.banks || [sess.mode];
+    if (sess.meta?.finishedAt) payload.f = sess.meta.finishedAt;
+    return `${PAGES[page]}#${SHARE_PARAM}=${encodeShare(payload)}`;
+  },
+
+  // 讀取目前網址 hash 內的分享結果；沒有 #r= 時回傳 null，格式錯誤時丟出 Error。
+  // 回傳 { session, swapped, bankVersions }：session 只存在記憶體（sessionId 為 null、shared: true），不會寫入儲存
+  readShare() {
+    const hash = String(adapter().location.hash?.() || '').replace(/^#/, '');
+    const token = new URLSearchParams(hash).get(SHARE_PARAM);
+    if (!token) return null;
+    const p = decodeShare(token);
+    if (p?.v !== SHARE_VERSION || !p.m || !p.s || typeof p.a !== 'string') throw new Error('Invalid shared link');
+    const { answers, swapped } = decodeAnswerVector(p.a);
+    const session = {
+      sessionId: null,
+      shared: true,
+      mode: p.m,
+      banks: Array.isArray(p.b) ? p.b : undefined,
+      seed: p.s,
+      order: p.o,
+      adaptive: Array.isArray(p.q) ? { sequence: p.q, stop: null } : undefined,
+      step: answers.length,
+      answers,
+      meta: { finishedAt: p.f || null },
+    };
+    return { session, swapped, bankVersions: p.bv || {} };
+  },
+
+  // 等待 session 儲存層就緒（IndexedDB 載入所有 session）；頁面初始化時先 await 再讀 session
+  // 隱私模式已在本分頁解鎖過時，也在這裡自動解鎖
+  // 並套用保留期限（每個頁面載入一次）
+  async ready() {
+    await adapter().sessions.init();
+    await restoreVault();
+    if (!_retained && !isLocked()) {
+      _retained = true;
+      const removed = applyRetention(Router.getSetting('retentionDays', 0));
+      if (removed.sessions || removed.results) emitChange();
     }
   },
 
+  // 立即刪除本設定檔超過 days 天的 session、結果歷史與瀏覽紀錄；回傳各刪除幾筆
+  applyRetention(days = Router.getSetting('retentionDays', 0)) {
+    const removed = applyRetention(days);
+    emitChange();
+    return removed;
+  },
+
+  // 隱私模式狀態：{ enabled, locked }（依目前的設定檔）
+  privacy() {
+    adapter();
+    return { enabled: !!vaultConfig(), locked: isLocked() };
+  },
+
+  // 啟用隱私模式：既有的 session、app state 與結果歷史改存密文
+  async enablePrivacy(passphrase) {
+    adapter();
+    if (vaultConfig()) throw new Error('Privacy mode is already enabled');
+    if (!String(passphrase || '')) throw new Error('enablePrivacy requires a passphrase');
+    const { config, key } = await Vault.createConfig(passphrase);
+    _base.app.set(scopedKey(KEY_VAULT), config);
+    await openVault(key);
+    await _adapter.sessions.flush();
+    emitChange();
+  },
+
+  // 解鎖；密碼錯誤回傳 false
+  async unlock(passphrase) {
+    adapter();
+    const config = vaultConfig();
+    if (!config) return true;
+    if (vaultOpen()) return true;
+    const key = await Vault.unlock(config, passphrase);
+    if (!key) return false;
+    await openVault(key);
+    emitChange();
+    return true;
+  },
+
+  // 鎖定（忘記本分頁的金鑰）；等背景寫入完成才切回密文
+  async lock() {
+    if (!vaultOpen()) return;
+    await _adapter.sessions.flush();
+    _base.tab?.remove(scopedKey(KEY_VAULT_TAB));
+    closeVault();
+    emitChange();
+  },
+
+  // 關閉隱私模式：需要密碼，資料解密後改回明文儲存；密碼錯誤回傳 false
+  async disablePrivacy(passphrase) {
+    adapter();
+    const config = vaultConfig();
+    if (!config) return true;
+    const key = await Vault.unlock(config, passphrase);
+    if (!key) return false;
+    if (!vaultOpen()) await openVault(key);
+    const vault = _adapter;
+    await vault.sessions.flush();
+    const sessions = vault.sessions.list().filter(s => sessionProfile(s) === profileId() && !Vault.isSealedSession(s));
+    const values = sealedAppKeys().map(k => [k, vault.app.get(k)]);
+    closeVault();
+    sessions.forEach(s => _base.sessions.put(s));
+    values.forEach(([k, v]) => { if (v !== null && v !== undefined) _base.app.set(k, v); });
+    _base.app.remove?.(scopedKey(KEY_VAULT));
+    _base.tab?.remove(scopedKey(KEY_VAULT_TAB));
+    await _base.sessions.flush?.();
+    emitChange();
+    return true;
+  },
+
+  // 所有 session（進行中與已完成，最近更新的在前）
+  // 回傳 [{ sessionId, mode, banks, answered, total, finished, startedAt, updatedAt, session }]
+  listSessions() {
+    return adapter().sessions.list()
+      .filter(s => sessionProfile(s) === profileId() && !Vault.isSealedSession(s))
+      .map((s) => {
+      const answers = Array.isArray(s.answers) ? s.answers : [];
+      return {
+        sessionId: s.sessionId,
+        mode: s.mode,
+        banks: s.banks || [s.mode],
+        answered: answers.filter(v => v !== null && v !== undefined).length,
+        total: answers.length,
+        finished: !!s.meta?.finishedAt,
+        startedAt: s.meta?.startedAt || null,
+        updatedAt: s.updatedAt || s.meta?.finishedAt || s.meta?.startedAt || null,
+        session: s,
+      };
+    });
+  },
+
+  // 取得 session 的編輯權（同一個 session 同時只有一個分頁可作答）
+  // steal=true 時從其他分頁搶過來；被搶走時呼叫 onLost。回傳 Promise<boolean>
+  claimSession(sessionId, opts) {
+    const { sessions } = adapter();
+    return sessions.claim ? sessions.claim(sessionId, opts) : Promise.resolve(true);
+  },
+  releaseSession(sessionId) {
+    adapter().sessions.release?.(sessionId);
+  },
+
   // 建立或恢復 session。若提供 sid 且存在則直接讀取，否則建立新 session
   ensureSession({ mode, sid, seed } = {}) {
     if (!mode) throw new Error('ensureSession requires mode');
-    let sessionId = sid || crypto.randomUUID?.() || `${Date.now()}_${Math.random().toString(36).slice(2)}`;
+    if (isLocked()) throw new Error('Privacy mode is locked');
+    let sessionId = sid || newSessionId();
     let sess = sid ? loadSession(sid) : null;
+    if (!sess && sid && sessionTaken(sid)) throw new Error('Session belongs to another profile');
     if (!sess) {
-      sess = newSession({ mode, seed, sessionId });
-      saveSession(sess);
+      sess = saveSession(newSession({ mode, seed, sessionId }));
     }
     return sess;
   },
 
+  // 匯入完整 session（例如從檔案載入）：原 sessionId 已被使用時改用新的 id；rev / updatedAt 重新計算
+  importSession(sess) {
+    if (!sess?.mode) throw new Error('importSession requires a session with mode');
+    const { rev, updatedAt, ...rest } = sess;
+    const sessionId = sess.sessionId && !sessionTaken(sess.sessionId) ? sess.sessionId : newSessionId();
+    const next = saveSession({ ...rest, sessionId, profile: profileId() });
+    emitChange();
+    return next;
+  },
+
   // 更新 session（部分欄位）
   updateSession(sessionId, patch) {
     const curr = loadSession(sessionId);
     if (!curr) throw new Error('Session not found');
-    const next = { ...curr, ...patch };
-    saveSession(next);
+    const next = saveSession({ ...curr, ...patch });
     emitChange();
     return next;
   },
@@ -205,11 +615,10 @@ export const Router = {
   finishSession(sessionId, extra = {}) {
     const curr = loadSession(sessionId);
     if (!curr) return null;
-    const next = {
+    const next = saveSession({
       ...curr,
       meta: { ...curr.meta, finishedAt: new Date().toISOString(), ...extra },
-    };
-    saveSession(next);
+    });
     emitChange();
     return next;
   },
@@ -231,6 +640,88 @@ export const Router = {
     return () => listeners.delete(fn);
   },
 
+  // app-level 設定（非敏感的 UI 開關，存在 adapter.app；瀏覽器為 localStorage）
+  getSetting(key, fallback = null) {
+    const v = getAppState().settings[key];
+    return v === undefined ? fallback : v;
+  },
+  setSetting(key, value) {
+    const app = getAppState();
+    app.settings = { ...app.settings, [key]: value };
+    setAppState(app);
+  },
+
+  // 結果歷史：存入完成作答的分數快照（History.snapshot）；同 id 覆寫，超過上限時丟掉最舊的
+  recordResult(snapshot) {
+    if (!snapshot?.id) throw new Error('recordResult requires a snapshot with id');
+    const list = getResults().filter(r => r.id !== snapshot.id);
+    list.push(snapshot);
+    list.sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')));
+    setResults(list.slice(0, RESULTS_MAX));
+    emitChange();
+    return snapshot;
+  },
+  listResults() {
+    return getResults();
+  },
+  removeResult(id) {
+    setResults(getResults().filter(r => r.id !== id));
+    emitChange();
+  },
+
+  // 本機設定檔（家人 / 教室共用一台裝置）：各自的 session、結果歷史與設定
+  // 回傳 [{ id, name, createdAt, active }]
+  listProfiles() {
+    const active = profileId();
+    return getProfiles().list.map(p => ({ ...p, active: p.id === active }));
+  },
+  activeProfile() {
+    return Router.listProfiles().find(p => p.active);
+  },
+  createProfile(name) {
+    const label = String(name || '').trim();
+    if (!label) throw new Error('createProfile requires a name');
+    const reg = getProfiles();
+    const profile = { id: newSessionId().replace(/[^a-zA-Z0-9]/g, '').slice(0, 12), name: label, createdAt: new Date().toISOString() };
+    setProfiles({ ...reg, list: reg.list.concat([profile]) });
+    return profile;
+  },
+  renameProfile(id, name) {
+    const label = String(name || '').trim();
+    if (!label) throw new Error('renameProfile requires a name');
+    const reg = getProfiles();
+    if (!reg.list.some(p => p.id === id)) throw new Error(`Unknown profile: ${id}`);
+    setProfiles({ ...reg, list: reg.list.map(p => (p.id === id ? { ...p, name: label } : p)) });
+  },
+  // 切換本分頁（與之後開啟的頁面）使用的設定檔
+  switchProfile(id) {
+    const reg = getProfiles();
+    if (!reg.list.some(p => p.id === id)) throw new Error(`Unknown profile: ${id}`);
+    setProfiles({ ...reg, active: id });
+    closeVault(); // 解鎖狀態屬於原本的設定檔
+    _profileId = id;
+    emitChange();
+  },
+  // 刪除設定檔與它的所有資料（session、結果歷史、設定）；預設設定檔不能刪除。刪除使用中的設定檔時切回預設
+  deleteProfile(id) {
+    if (id === DEFAULT_PROFILE) throw new Error('The default profile cannot be deleted');
+    const reg = getProfiles();
+    if (!reg.list.some(p => p.id === id)) throw new Error(`Unknown profile: ${id}`);
+    const { sessions, app } = adapter();
+    sessions.list().filter(s => sessionProfile(s) === id).forEach(s => sessions.remove(s.sessionId));
+    [KEY_APP, KEY_RESULTS, KEY_VAULT].forEach((key) => {
+      try { app.remove(scopedKey(key, id)); } catch {}
+    });
+    _base.tab?.remove(scopedKey(KEY_VAULT_TAB, id));
+    const active = reg.active === id ? DEFAULT_PROFILE : reg.active;
+    setProfiles({ active, list: reg.list.filter(p => p.id !== id) });
+    if (profileId() === id) {
+      closeVault();
+      _profileId = DEFAULT_PROFILE;
+    }
+    emitChange();
+  },
+
   // 用於單頁元件初始化：記錄首次造訪
   markVisited(label) {
     const app = getAppState();
@@ -238,21 +729,3 @@ export const Router = {
     setAppState(app);
   },
 };
-
-// ---- wire browser events ----
-window.addEventListener('beforeunload', beforeUnloadHandler);
-
-// 若使用 browser 的前進/後退（不同檔案之間其實會整頁刷新）—這裡主要給單頁應用時用；
-// 在本專案（多 html）下，仍保留以便未來擴充成單頁。
-window.addEventListener('popstate', () => emitChange());
-
-// 小工具：把 "?sid=..." 補到網址（避免分享時遺失）
-// 只在 quiz.html 上且已經有 session 時嘗試補上
-(function ensureSidInURL() {
-  const file = pageFile();
-  if (file !== PAGES.quiz) return;
-  const q = parseQuery();
-  if (q.sid) return;
-  // 試圖找出最近一個 session（當頁籤 sessionStorage 只會有本次）
-  // 由 quiz-engine 呼叫 ensureSession 後會有明確的 sid，此處僅作保險
-})();
@@ -2,20 +2,33 @@
 // Score engine: decode obfuscated weights -> compute 8-function scores -> infer type
 // Works with QuizEngine.exportAnswers() output:
 //   - Array<number|null>                       // 以出題順序存值（-2..2 或 1..5 或 0..4）
-//   - Array<{ id: string|number, value: any }> // 題目含 id（建議）
+//   - Array<{ id: string|number, value: any, swapped?: boolean }> // 題目含 id（建議）；swapped 表示 A/B 左右對調過
 //
 // Public API:
-//   await Scorer.init(mode)                    // preload weights & mapping for the mode
-//   const result = await Scorer.score({ mode, answers })  // main scoring
+//   await Scorer.init(mode)                    // load weights & mapping for the mode only（'adaptive' = 所有題組合併）
+//   const result = await Scorer.score({ mode, answers, seed })  // main scoring
+//   const result = await Scorer.scoreBanks([{ mode, answers }, ...], { seed }) // basic + 進階延伸：合併權重一起計分
 //   result schema:
 //   {
 //     mode,
-//     byFunction: [{ idx, key, name, desc, raw, max, pct }], // pct 0..100
+//     byFunction: [{ idx, key, name, desc, raw, max, pct, ci }], // pct 0..100；ci = { lo, hi, se, level } | null
 //     top: { dominant, auxiliary, tertiary, inferior },      // items from byFunction
-//     type: { code, name?, description?, how },              // inferred type
+//     type: { code, name?, description?, fit?, alternatives?, how }, // inferred type
+//     typeRanking: [{ code, fit, stack, name? }],             // 16 型依堆疊吻合度排序（fit 0..100）
+//     posterior: { probs:[{code,name?,p}], top, margin, borderline, entropy, sigma, items } | null,
+//     validity: { severity: 'ok'|'caution'|'poor', flags:[{code,severity,value,message}], stats },
 //     axes: { EI: {E,I,pctE}, NS: {...}, TF: {...}, JP: {...} }, // for charts
+//     dimensions: { [dim]: [{ key, name, raw, max, pct, measured }] }, // 次要維度（mapping.dimensions）
+//     byTemperament: dimensions.temperament | null,           // adv_C 的 SJ/SP/NT/NF
 //     debug?: { perItem: [...], usedItems: number }
 //   }
+//   scoreBanks 另外附上 modes: string[] 與 byBank: [{ mode, byFunction, top, type, measured, byTemperament, usedItems }]（各題組單獨計分；
+//   measured=false 表示該題組沒有八功能權重（adv_C 只量氣質），此時 top / type 為 null）
+//   Scorer.rankAdaptive({ answers, candidates })  // adaptive 出題：候選題目依期望資訊量排序（需先 init）
+//   await Scorer.rankBanks({ answers, modes })   // 進階題組建議：各題組的期望資訊量與構面拆解
+
+import { makePRNG } from './prng.js';
+import { Validity } from './validity.js';
 
 const DEFAULT_FUNC_LIST = [
   { key: 'Se', name: '外傾感覺（Se）' },
@@ -35,13 +48,20 @@ const MODE_TO_FILE = {
   advC: 'weights_adv_C',
 };
 
+// adaptive 模式從所有題組的聯集出題，計分時合併這些權重
+const ADAPTIVE_BANKS = ['basic', 'advA', 'advB', 'advC'];
+
 // ---- internal state ----
-let _loaded = null;   // full payload from window.__getWeights()
+let _loaded = null;   // payload from globalThis.__getWeights(names)（瀏覽器即 window.__getWeights；按題組分塊載入）
+let _requested = new Set(); // 已向 __getWeights 要過的權重表名稱
 let _mode = null;
 let _weights = null;  // normalized weights for current mode  -> { [id:string]: {A:{0..7}, B:{0..7}} }
+let _weightCache = {}; // mode -> normalized weights（多題組合併計分時共用）
 let _funcMeta = null; // { list:[{idx,key,name,desc}...], keyToIndex, indexToKey }
 let _typeMap = null;  // mapping.types
 let _sets = null;     // index sets derived from func keys（避免索引順序依賴）
+let _stacks = null;   // [{ code, stack:[keys], idx:[func idx], record }] from types.json
+let _dimMeta = null;  // { dims: { temperament: { keys, typeField, names } }, dimOf: { SJ:'temperament', ... } }
 
 /* ---------------- helpers: answers ---------------- */
 function normalizeAnswer(value) {
@@ -61,11 +81,18 @@ function normalizeAnswer(value) {
 }
 
 function normalizeAnswersInput(answers) {
-  // 接受兩種：陣列值 或 陣列物件（含 id/value）
+  // 接受兩種：陣列值 或 陣列物件（含 id/value，可帶 swapped）
   if (!Array.isArray(answers)) return [];
-  // case A: [{id,value}, ...]
+  // case A: [{id,value,swapped?}, ...]
+  // swapped=true：該題畫面上 A/B 左右對調過 → 還原成題庫方向（轉為 -2..2 後取反）；
+  // pressed 保留畫面上的原始方向，給 validity 判斷位置偏誤類的模式
   if (answers.length && typeof answers[0] === 'object' && 'id' in answers[0]) {
-    return answers.map(a => ({ id: String(a.id), value: a.value }));
+    return answers.map((a) => {
+      if (!a.swapped || a.value === null || a.value === undefined) return { id: String(a.id), value: a.value };
+      const { dir, mag } = normalizeAnswer(a.value);
+      const pressed = dir * mag * 2;
+      return { id: String(a.id), value: -pressed, pressed };
+    });
   }
   // case B: [n, n, n, ...]（用索引當 id）
   return answers.map((v, i) => ({ id: String(i), value: v }));
@@ -74,15 +101,48 @@ function normalizeAnswersInput(answers) {
 /* ---------------- helpers: weights ---------------- */
 function normalizeFuncMeta(funcs) {
   // 期望：{ list:[{key,name,desc}x8], ... }
+  // 也接受未經 build 正規化的 { "0":{code,label_zh,desc}, ... }（key 即權重索引）
+  const numericKeys = (funcs && typeof funcs === 'object' && !funcs.list)
+    ? Object.keys(funcs).filter(k => !isNaN(+k)).sort((a, b) => a - b)
+    : [];
   const list = (funcs?.list && funcs.list.length >= 8)
     ? funcs.list.map((f, i) => ({ idx: i, key: f.key, name: f.name || f.key, desc: f.desc || '' }))
-    : DEFAULT_FUNC_LIST.map((f, i) => ({ idx: i, key: f.key, name: f.name, desc: '' }));
+    : numericKeys.length >= 8
+      ? numericKeys.map((k, i) => {
+          const f = funcs[k] || {};
+          const key = f.key || f.code || `f${i}`;
+          return { idx: i, key, name: f.name || (f.label_zh ? `${f.label_zh}（${key}）` : key), desc: f.desc || '' };
+        })
+      : DEFAULT_FUNC_LIST.map((f, i) => ({ idx: i, key: f.key, name: f.name, desc: '' }));
 
   const keyToIndex = Object.fromEntries(list.map((f, i) => [f.key, i]));
   const indexToKey = Object.fromEntries(list.map((f, i) => [i, f.key]));
   return { list, keyToIndex, indexToKey };
 }
 
+function normalizeDimensions(dims, typesMap) {
+  // 次要計分維度（例如 temperament）。期望 mapping.dimensions：
+  //   { temperament: { keys: ['NT','NF','SJ','SP'], typeField: 'temperament', names?: {...} } }
+  // 未宣告時，從 types.json 每個類型的 temperament 欄位推得
+  const out = {};
+  if (dims && typeof dims === 'object') {
+    for (const [name, d] of Object.entries(dims)) {
+      const keys = Array.isArray(d) ? d : (Array.isArray(d?.keys) ? d.keys : []);
+      if (!keys.length) continue;
+      out[name] = { keys: keys.map(String), typeField: d?.typeField || name, names: d?.names || {} };
+    }
+  }
+  if (!out.temperament && typesMap && typeof typesMap === 'object') {
+    const byCode = typesMap.byCode || typesMap;
+    const keys = [...new Set(Object.values(byCode).map(t => t?.temperament).filter(Boolean).map(String))];
+    if (keys.length) out.temperament = { keys, typeField: 'temperament', names: {} };
+  }
+  // key -> 維度名稱（權重正規化時用來辨識非八功能的 key）
+  const dimOf = {};
+  for (const [name, d] of Object.entries(out)) d.keys.forEach(k => { dimOf[k] = name; });
+  return { dims: out, dimOf };
+}
+
 function buildIndexSets(funcMeta) {
   // 依據「功能 key」找到其索引：避免權重/對照檔的功能順序差異造成錯配
   const k2i = funcMeta.keyToIndex || {};
@@ -140,10 +200,38 @@ function indexifyEight(x, nameToIdx) {
   return Object.fromEntries(out.map((v, i) => [i, v]));
 }
 
-function normalizeWeightsShape(src, funcMeta) {
-  // 統一成：{ [id:string]: { A:{0..7}, B:{0..7} } }
+function pickDimWeights(x, dimOf) {
+  // 從單側權重挑出次要維度的 key（例如 temperament 的 SJ/SP/NT/NF）
+  // 回傳 { [dim]: { [key]: weight } }；八功能 key 由 indexifyEight 處理，這裡不重複
+  const out = {};
+  if (!x || Array.isArray(x) || typeof x !== 'object' || !dimOf) return out;
+  for (const k of Object.keys(x)) {
+    const dim = dimOf[k];
+    if (!dim) continue;
+    (out[dim] = out[dim] || {})[k] = Number(x[k] || 0);
+  }
+  return out;
+}
+
+function normalizeWeightsShape(src, funcMeta, dimOf = null) {
+  // 統一成：{ [id:string]: { A:{0..7}, B:{0..7}, dims?: { A:{[dim]:{[key]:w}}, B:{...} } } }
   const nameToIdx = funcMeta.keyToIndex || {};
   const out = {};
+  const withDims = (row, rawA, rawB) => {
+    const dA = pickDimWeights(rawA, dimOf);
+    const dB = pickDimWeights(rawB, dimOf);
+    if (Object.keys(dA).length || Object.keys(dB).length) row.dims = { A: dA, B: dB };
+    return row;
+  };
+  const mergeSide = (id, side, weights) => {
+    out[id] = out[id] || { A: {}, B: {} };
+    out[id][side] = indexifyEight(weights, nameToIdx);
+    const d = pickDimWeights(weights, dimOf);
+    if (Object.keys(d).length) {
+      out[id].dims = out[id].dims || { A: {}, B: {} };
+      out[id].dims[side] = d;
+    }
+  };
 
   if (!src) return out;
 
@@ -156,14 +244,15 @@ function normalizeWeightsShape(src, funcMeta) {
       if (row.side && row.weights) {
         // { id, side: 'A'|'B', weights: [...] } -> 合併
         const side = String(row.side).toUpperCase().startsWith('A') ? 'A' : 'B';
-        out[id] = out[id] || { A: {}, B: {} };
-        out[id][side] = indexifyEight(row.weights, nameToIdx);
+        mergeSide(id, side, row.weights);
       } else if (row.A || row.B || row.pos || row.neg || row.positive || row.negative) {
         const pick = pickSideKeys(row);
-        out[id] = {
-          A: indexifyEight(pick.A ? row[pick.A] : (row.A || row.pos || row.positive || {}), nameToIdx),
-          B: indexifyEight(pick.B ? row[pick.B] : (row.B || row.neg || row.negative || {}), nameToIdx),
-        };
+        const rawA = pick.A ? row[pick.A] : (row.A || row.pos || row.positive || {});
+        const rawB = pick.B ? row[pick.B] : (row.B || row.neg || row.negative || {});
+        out[id] = withDims({
+          A: indexifyEight(rawA, nameToIdx),
+          B: indexifyEight(rawB, nameToIdx),
+        }, rawA, rawB);
       } else if (Array.isArray(row)) {
         // 純陣列（少見）：當作單側，另一側 0
         out[id] = {
@@ -181,40 +270,83 @@ function normalizeWeightsShape(src, funcMeta) {
     const row = src[k] || {};
     if (row.side && row.weights) {
       const side = String(row.side).toUpperCase().startsWith('A') ? 'A' : 'B';
-      out[id] = out[id] || { A: {}, B: {} };
-      out[id][side] = indexifyEight(row.weights, nameToIdx);
+      mergeSide(id, side, row.weights);
     } else {
       const pick = pickSideKeys(row);
-      out[id] = {
-        A: indexifyEight(pick.A ? row[pick.A] : (row.A || row.pos || row.positive || {}), nameToIdx),
-        B: indexifyEight(pick.B ? row[pick.B] : (row.B || row.neg || row.negative || {}), nameToIdx),
-      };
+      const rawA = pick.A ? row[pick.A] : (row.A || row.pos || row.positive || {});
+      const rawB = pick.B ? row[pick.B] : (row.B || row.neg || row.negative || {});
+      out[id] = withDims({
+        A: indexifyEight(rawA, nameToIdx),
+        B: indexifyEight(rawB, nameToIdx),
+      }, rawA, rawB);
     }
   }
   return out;
 }
 
 /* ---------------- helpers: load/cache ---------------- */
-async function ensureLoaded(mode) {
-  if (!_loaded) {
-    // 支援同步或非同步的 __getWeights
-    const maybe = window.__getWeights?.();
-    _loaded = (maybe && typeof maybe.then === 'function') ? await maybe : maybe;
-  }
-  if (!_loaded) throw new Error('weights payload not available (window.__getWeights not ready)');
+function banksOf(mode) {
+  return mode === 'adaptive' ? ADAPTIVE_BANKS : [mode];
+}
 
-  _funcMeta = normalizeFuncMeta(_loaded?.mapping?.funcs);
-  _typeMap  = _loaded?.mapping?.types || null;
-  _sets     = buildIndexSets(_funcMeta);
+// 只載入 modes 需要的權重表（build 把每個題組的權重切成獨立 chunk）；mapping 第一次載入時一併取得
+async function ensureLoaded(mode, modes = mode ? banksOf(mode) : []) {
+  const names = modes.flatMap(banksOf).map((m) => {
+    if (!MODE_TO_FILE[m]) throw new Error(`Unknown mode: ${m}`);
+    return MODE_TO_FILE[m];
+  });
+  const missing = names.filter(n => !_requested.has(n));
+  if (!_loaded || missing.length) {
+    // 支援同步或非同步的 __getWeights；舊版（不吃參數、一次回傳全部）也相容
+    const maybe = globalThis.__getWeights?.(missing);
+    const got = (maybe && typeof maybe.then === 'function') ? await maybe : maybe;
+    if (got) {
+      const first = !_loaded;
+      _loaded = { ...(_loaded || got), weights: { ...(_loaded?.weights || {}), ...(got.weights || {}) } };
+      missing.forEach(n => _requested.add(n));
+      if (first) {
+        _funcMeta = normalizeFuncMeta(_loaded?.mapping?.funcs);
+        _typeMap  = _loaded?.mapping?.types || null;
+        _sets     = buildIndexSets(_funcMeta);
+        _dimMeta  = normalizeDimensions(_loaded?.mapping?.dimensions, _typeMap);
+        _stacks   = typeStacks(_typeMap, _funcMeta);
+      }
+    }
+  }
+  if (!_loaded) throw new Error('weights payload not available (__getWeights not ready)');
 
   if (mode && _mode !== mode) {
-    const key = MODE_TO_FILE[mode];
-    if (!key) throw new Error(`Unknown mode: ${mode}`);
-    _weights = normalizeWeightsShape(_loaded?.weights?.[key], _funcMeta);
+    _weights = weightsFor(mode);
     _mode = mode;
   }
 }
 
+function weightsFor(mode) {
+  if (mode === 'adaptive') {
+    if (!_weightCache.adaptive) _weightCache.adaptive = mergeWeights(ADAPTIVE_BANKS);
+    return _weightCache.adaptive;
+  }
+  const key = MODE_TO_FILE[mode];
+  if (!key) throw new Error(`Unknown mode: ${mode}`);
+  if (!_weightCache[mode]) {
+    _weightCache[mode] = normalizeWeightsShape(_loaded?.weights?.[key], _funcMeta, _dimMeta.dimOf);
+  }
+  return _weightCache[mode];
+}
+
+// 合併多個題組的權重表（題目 id 各題組不重複；若撞號以後者為準並提示）
+function mergeWeights(modes) {
+  const out = {};
+  for (const mode of modes) {
+    const w = weightsFor(mode);
+    for (const id of Object.keys(w)) {
+      if (id in out) console.warn(`[scorer] duplicate item id "${id}" in ${mode}; later bank wins`);
+      out[id] = w[id];
+    }
+  }
+  return out;
+}
+
 /* ---------------- helpers: axis & math ---------------- */
 function agg(indexSet, byFuncArr) {
   let s = 0, m = 0;
@@ -226,8 +358,196 @@ function agg(indexSet, byFuncArr) {
 }
 function clamp01(x) { return Math.max(0, Math.min(1, x)); }
 
+/* ---------------- stack fit ---------------- */
+// 理想輪廓：主/輔/三/劣 依序 4/3/2/1，其餘四個功能（陰影）為 0
+const STACK_TEMPLATE = [4, 3, 2, 1];
+
+function typeStacks(typesMap, funcMeta) {
+  // types.json：{ ENTP: { stack:['Ne','Ti','Fe','Si'], name_zh, brief, ... }, ... }（或包在 byCode 內）
+  const byCode = typesMap?.byCode || typesMap || {};
+  const k2i = funcMeta?.keyToIndex || {};
+  const out = [];
+  for (const [code, rec] of Object.entries(byCode)) {
+    const stack = Array.isArray(rec?.stack) ? rec.stack : null;
+    if (!stack || stack.length !== 4) continue;
+    const idx = stack.map(k => k2i[k]);
+    if (idx.some(i => i === undefined)) continue;
+    out.push({ code, stack: stack.slice(), idx, record: rec });
+  }
+  return out;
+}
+
+function pearson(xs, ys) {
+  const n = xs.length;
+  const mx = xs.reduce((a, b) => a + b, 0) / n;
+  const my = ys.reduce((a, b) => a + b, 0) / n;
+  let sxy = 0, sxx = 0, syy = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = xs[i] - mx, dy = ys[i] - my;
+    sxy += dx * dy; sxx += dx * dx; syy += dy * dy;
+  }
+  if (sxx === 0 || syy === 0) return 0;
+  return sxy / Math.sqrt(sxx * syy);
+}
+
+// 八功能輪廓 vs. 16 型的理想堆疊：相關係數 r → fit 0..100，由高到低排序
+function rankByStackFit(byFunction, stacks) {
+  const profile = Array(8).fill(0);
+  byFunction.forEach(f => { profile[f.idx] = f.pct; });
+  return stacks
+    .map((t) => {
+      const tpl = Array(8).fill(0);
+      t.idx.forEach((fi, pos) => { tpl[fi] = STACK_TEMPLATE[pos]; });
+      const r = pearson(profile, tpl);
+      return {
+        code: t.code,
+        fit: Math.round(((r + 1) / 2) * 1000) / 10,
+        stack: t.stack,
+        name: t.record?.name || t.record?.name_zh,
+      };
+    })
+    .sort((a, b) => b.fit - a.fit);
+}
+
+/* ---------------- type posterior ---------------- */
+// 16 型的機率分布：每型以堆疊強度（主/輔/三/劣 = 1/.75/.5/.25，其餘 0）推得每題的期望傾向 mu ∈ [-1,1]，
+// 作答（-2..2 → -1..1）視為 mu 加上常態雜訊後落在五點量表上的結果。
+// 雜訊 sigma 以邊際概似在格點上挑選（作答越不一致 sigma 越大、分布越平），讓百分比對應實際的區辨力。
+// 同一組功能對的題目彼此高度相關，不能當成獨立證據：以設計效應 1 + (n-1)ρ 折減每題的對數概似。
+const STACK_STRENGTH = [1, 0.75, 0.5, 0.25];
+const RESPONSE_LEVELS = [-2, -1, 0, 1, 2];
+const SIGMA_GRID = [0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 1.0, 1.2, 1.5];
+const ITEM_CORRELATION = 0.3;   // 同構面題目間的假設相關 ρ
+const DEFAULT_SIGMA = 0.6;      // 尚無作答時（adaptive 選第一題）採用的雜訊
+const BORDERLINE_TOP = 0.6;     // 第一名機率低於此值 → borderline
+const BORDERLINE_MARGIN = 0.2;  // 或第一、二名差距小於此值 → borderline
+
+function logSumExp(xs) {
+  const m = Math.max(...xs);
+  if (!Number.isFinite(m)) return m;
+  return m + Math.log(xs.reduce((s, x) => s + Math.exp(x - m), 0));
+}
+
+// 單題在類型 t 下的期望傾向（正 = A 側）；題目沒有任何權重時回傳 null
+function itemExpectation(wid, t, dims) {
+  const strength = Array(8).fill(0);
+  t.idx.forEach((fi, pos) => { strength[fi] = STACK_STRENGTH[pos]; });
+  let num = 0, den = 0;
+  for (let i = 0; i < 8; i++) {
+    const a = Number(wid.A?.[i] || 0), b = Number(wid.B?.[i] || 0);
+    num += (a - b) * strength[i];
+    den += (a + b) / 2;
+  }
+  for (const [name, d] of Object.entries(dims || {})) {
+    const A = wid.dims?.A?.[name] || {}, B = wid.dims?.B?.[name] || {};
+    const own = t.record?.[d.typeField];
+    for (const k of d.keys) {
+      const a = Number(A[k] || 0), b = Number(B[k] || 0);
+      num += (a - b) * (own === k ? 1 : 0);
+      den += (a + b) / 2;
+    }
+  }
+  if (den === 0) return null;
+  return Math.max(-1, Math.min(1, num / den));
+}
+
+function responseLogLik(y, mu, sigma) {
+  const e = (c) => -((c / 2 - mu) ** 2) / (2 * sigma * sigma);
+  return e(y) - logSumExp(RESPONSE_LEVELS.map(e));
+}
+
+// 題目的構面簽名：A/B 兩側有權重的 key（例如 "0|1" 表示 Si vs Se）
+function facetSignature(wid) {
+  const keys = [];
+  for (let i = 0; i < 8; i++) {
+    if (Number(wid.A?.[i] || 0) || Number(wid.B?.[i] || 0)) keys.push(i);
+  }
+  for (const side of ['A', 'B']) {
+    for (const d of Object.values(wid.dims?.[side] || {})) keys.push(...Object.keys(d));
+  }
+  return [...new Set(keys.map(String))].sort().join('|');
+}
+
+// 擬合：回傳 { obs, facetCount, sigma, logPost }，logPost 與 stacks 同序；沒有可用作答時 logPost 為均勻分布
+function fitPosterior(weights, arrAns, stacks, dimMeta) {
+  const obs = [];
+  for (const { id, value } of arrAns) {
+    if (value === null || value === undefined) continue;
+    const wid = weights[String(id)];
+    if (!wid) continue;
+    const { dir, mag } = normalizeAnswer(value);
+    obs.push({ wid, y: dir * mag * 2, facet: facetSignature(wid) });
+  }
+
+  // 每題的證據權重 = 1 / (1 + (n-1)ρ)，n 為同構面作答題數
+  const facetCount = {};
+  obs.forEach(o => { facetCount[o.facet] = (facetCount[o.facet] || 0) + 1; });
+  obs.forEach(o => { o.w = 1 / (1 + (facetCount[o.facet] - 1) * ITEM_CORRELATION); });
+
+  const logPrior = -Math.log(stacks.length); // 均勻先驗
+  if (!obs.length) return { obs, facetCount, sigma: DEFAULT_SIGMA, logPost: stacks.map(() => logPrior) };
+
+  const mus = stacks.map(t => obs.map(o => itemExpectation(o.wid, t, dimMeta?.dims)));
+  let best = null;
+  for (const sigma of SIGMA_GRID) {
+    const logL = mus.map(row => row.reduce((acc, mu, k) => (mu === null ? acc : acc + obs[k].w * responseLogLik(obs[k].y, mu, sigma)), 0));
+    const logMarg = logSumExp(logL.map(l => l + logPrior));
+    if (!best || logMarg > best.logMarg) best = { sigma, logL, logMarg };
+  }
+  return { obs, facetCount, sigma: best.sigma, logPost: best.logL.map(l => l + logPrior - best.logMarg) };
+}
+
+function computePosterior(weights, arrAns, stacks, dimMeta) {
+  if (!stacks?.length) return null;
+  const fit = fitPosterior(weights, arrAns, stacks, dimMeta);
+  if (!fit.obs.length) return null;
+
+  const probs = stacks
+    .map((t, i) => ({ code: t.code, name: t.record?.name || t.record?.name_zh, p: Math.exp(fit.logPost[i]) }))
+    .sort((a, b) => b.p - a.p);
+  const p1 = probs[0]?.p ?? 0;
+  const p2 = probs[1]?.p ?? 0;
+  const entropy = -probs.reduce((acc, x) => acc + (x.p > 0 ? x.p * Math.log2(x.p) : 0), 0);
+  return {
+    probs,
+    top: probs[0]?.code,
+    margin: p1 - p2,
+    borderline: p1 < BORDERLINE_TOP || (p1 - p2) < BORDERLINE_MARGIN,
+    entropy,            // bits，0 = 完全確定，4 = 16 型均等
+    sigma: fit.sigma,
+    items: fit.obs.length,
+  };
+}
+
+/* ---------------- adaptive item selection ---------------- */
+// 候選題目的期望資訊量 = 作答與類型之間的互資訊 I(Y;T) = H(Y) - Σ_t p_t H(Y|t)（bits）。
+// 只有能區分「目前仍有機率的類型」的題目才有資訊量，因此自然集中在還沒分出高下的功能上；
+// 同構面已答越多，以同樣的設計效應折減（避免一直問同一組功能對）。
+function itemInformation(wid, stacks, probs, sigma, dims, facetCount) {
+  const levels = RESPONSE_LEVELS.length;
+  const marginal = Array(levels).fill(0);
+  let condH = 0;
+  let any = false;
+  stacks.forEach((t, i) => {
+    if (probs[i] < 1e-9) return;
+    const mu = itemExpectation(wid, t, dims);
+    if (mu === null) return;
+    any = true;
+    const ll = RESPONSE_LEVELS.map(y => responseLogLik(y, mu, sigma));
+    ll.forEach((l, k) => {
+      const py = Math.exp(l);
+      marginal[k] += probs[i] * py;
+      if (py > 0) condH -= probs[i] * py * Math.log2(py);
+    });
+  });
+  if (!any) return 0;
+  const H = -marginal.reduce((acc, q) => acc + (q > 0 ? q * Math.log2(q) : 0), 0);
+  const n = facetCount[facetSignature(wid)] || 0;
+  return Math.max(0, H - condH) / (1 + n * ITEM_CORRELATION);
+}
+
 /* ---------------- type inference ---------------- */
-function inferType(byFunction, typesMap, sets) {
+function inferType(byFunction, typesMap, sets, stacks = []) {
   const sorted = [...byFunction].sort((a, b) => b.pct - a.pct);
   const dom = sorted[0], aux = sorted[1], ter = sorted[2], inf = sorted[3];
   let type = { code: 'Unknown', how: 'fallback' };
@@ -262,7 +582,22 @@ function inferType(byFunction, typesMap, sets) {
     }
   }
 
-  // 5) hard fallback：以功能集合近似 4-letter
+  // 5) stackFit：八功能輪廓對 16 型堆疊排序，取最貼近者；次佳兩名列為 alternatives
+  const ranking = stacks.length ? rankByStackFit(byFunction, stacks) : [];
+  if (type.code === 'Unknown' && ranking.length) {
+    const best = ranking[0];
+    const rec = stacks.find(t => t.code === best.code)?.record || {};
+    type = {
+      code: best.code,
+      name: rec.name || rec.name_zh,
+      description: rec.description || rec.brief,
+      fit: best.fit,
+      alternatives: ranking.slice(1, 3).map(r => r.code),
+      how: 'stackFit',
+    };
+  }
+
+  // 6) hard fallback：以功能集合近似 4-letter
   if (type.code === 'Unknown') {
     const E = agg(sets?.EXTV || new Set(), byFunction).pct;
     const N = agg(sets?.NSET || new Set(), byFunction).pct;
@@ -276,7 +611,166 @@ function inferType(byFunction, typesMap, sets) {
     type = { code: letters, name: undefined, description: undefined, how: 'heuristic' };
   }
 
-  return { type, top: { dominant: dom, auxiliary: aux, tertiary: ter, inferior: inf } };
+  return { type, ranking, top: { dominant: dom, auxiliary: aux, tertiary: ter, inferior: inf } };
+}
+
+/* ---------------- core scoring ---------------- */
+// 累加每題的八功能（與次要維度）分數：raw 為實際得分、max 為該題兩側取大者的滿分
+function accumulate(weights, arrAns) {
+  const raw = Array(8).fill(0);
+  const max = Array(8).fill(0);
+  const perItem = [];
+  let used = 0;
+  const dimAcc = {}; // { [dim]: { [key]: { raw, max } } }
+  for (const [name, d] of Object.entries(_dimMeta?.dims || {})) {
+    dimAcc[name] = Object.fromEntries(d.keys.map(k => [k, { raw: 0, max: 0 }]));
+  }
+
+  for (const { id, value } of arrAns) {
+    if (value === null || value === undefined) continue;
+    const wid = weights[String(id)];
+    if (!wid) { perItem.push({ id, skipped: true }); continue; }
+
+    const { dir, mag } = normalizeAnswer(value);
+    if (mag === 0 || dir === 0) { perItem.push({ id, neutral: true }); continue; }
+
+    const side = dir > 0 ? 'A' : 'B';
+    const vec = wid[side] || {};
+    const vmax = (i) => {
+      const a = Number((wid.A || {})[i] || 0);
+      const b = Number((wid.B || {})[i] || 0);
+      return Math.max(a, b);
+    };
+
+    for (let i = 0; i < 8; i++) {
+      const w = Number(vec[i] || 0);
+      raw[i] += mag * w;
+      max[i] += vmax(i);
+    }
+    if (wid.dims) {
+      for (const [name, acc] of Object.entries(dimAcc)) {
+        const a = wid.dims.A?.[name] || {};
+        const b = wid.dims.B?.[name] || {};
+        const chosen = side === 'A' ? a : b;
+        for (const k of Object.keys(acc)) {
+          acc[k].raw += mag * Number(chosen[k] || 0);
+          acc[k].max += Math.max(Number(a[k] || 0), Number(b[k] || 0));
+        }
+      }
+    }
+    used++;
+    perItem.push({ id, side, mag, applied: true });
+  }
+  return { raw, max, perItem, used, dimAcc };
+}
+
+/* ---------------- bootstrap CI ---------------- */
+// 從有權重的作答中「有放回」重抽同樣題數，重算八功能 pct；取百分位數作為信賴區間。
+// 亂數以 session seed 決定，同一份作答每次看到的區間都一樣。
+const BOOTSTRAP_ROUNDS = 400;
+const CI_LEVEL = 0.95;
+
+function percentile(sorted, q) {
+  if (!sorted.length) return 0;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos), hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function bootstrapCI(weights, arrAns, seed) {
+  const pool = arrAns.filter(a => a.value !== null && a.value !== undefined && weights[String(a.id)]);
+  if (pool.length < 2) return null;
+  const prng = makePRNG(`${seed ?? pool.map(a => `${a.id}=${a.value}`).join(',')}:bootstrap`);
+  const samples = Array.from({ length: 8 }, () => []);
+  for (let b = 0; b < BOOTSTRAP_ROUNDS; b++) {
+    const draw = [];
+    for (let k = 0; k < pool.length; k++) draw.push(pool[Math.floor(prng() * pool.length)]);
+    const { raw, max } = accumulate(weights, draw);
+    // 這一輪完全沒抽到該功能的題目 → 沒有資訊，不列入
+    for (let i = 0; i < 8; i++) if (max[i] > 0) samples[i].push(clamp01(raw[i] / max[i]) * 100);
+  }
+  const tail = (1 - CI_LEVEL) / 2;
+  return samples.map((xs) => {
+    if (!xs.length) return null;
+    xs.sort((a, b) => a - b);
+    const mean = xs.reduce((acc, x) => acc + x, 0) / xs.length;
+    const se = Math.sqrt(xs.reduce((acc, x) => acc + (x - mean) ** 2, 0) / xs.length);
+    return { lo: percentile(xs, tail), hi: percentile(xs, 1 - tail), se, level: CI_LEVEL };
+  });
+}
+
+// weights：已正規化的權重表；arrAns：normalizeAnswersInput() 的輸出；seed：bootstrap 亂數種子
+function scoreWithWeights(weights, arrAns, seed) {
+  const funcList = _funcMeta.list || DEFAULT_FUNC_LIST.map((f, i) => ({ idx: i, key: f.key, name: f.name, desc: '' }));
+
+  const { raw, max, perItem, used, dimAcc } = accumulate(weights, arrAns);
+  const ci = bootstrapCI(weights, arrAns, seed);
+
+  const byFunction = raw.map((r, i) => {
+    const m = max[i] || 1e-9;
+    const pct = clamp01(r / m);
+    const meta = funcList[i] || { key: `f${i}`, name: `Function ${i}`, desc: '' };
+    return {
+      idx: i,
+      key: meta.key || `f${i}`,
+      name: meta.name || `Function ${i}`,
+      desc: meta.desc || '',
+      raw: r,
+      max: m,
+      pct: pct * 100,
+      ci: ci?.[i] || null, // { lo, hi, se, level }（pct 單位）
+    };
+  });
+
+  // 四軸（以功能集合聚合；避免索引順序差異）
+  const EI = agg(_sets.EXTV, byFunction);
+  const NS = agg(_sets.NSET, byFunction);
+  const TF = agg(_sets.TSET, byFunction);
+  const JPj = agg(_sets.JEXT, byFunction); // Je
+  const JPp = agg(_sets.PEXT, byFunction); // Pe
+  const sumJP = JPj.max + JPp.max || 1e-9;
+  const pctJ = (JPj.score) / (JPj.score + JPp.score || 1e-9); // 以實際得分近似
+
+  const axes = {
+    EI: { E: EI.pct, I: 1 - EI.pct, pctE: EI.pct },
+    NS: { N: NS.pct, S: 1 - NS.pct, pctN: NS.pct },
+    TF: { T: TF.pct, F: 1 - TF.pct, pctT: TF.pct },
+    JP: { J: pctJ,  P: 1 - pctJ,   pctJ },
+  };
+
+  // 類型推論
+  const { type, top, ranking } = inferType(byFunction, _typeMap, _sets, _stacks);
+
+  // 次要維度：[{ key, name, raw, max, pct, measured }]；measured=false 表示沒有任何題目計到這個 key
+  const dimensions = {};
+  for (const [name, acc] of Object.entries(dimAcc)) {
+    const names = _dimMeta.dims[name].names || {};
+    dimensions[name] = Object.entries(acc).map(([key, { raw: r, max: m }]) => ({
+      key,
+      name: names[key] || key,
+      raw: r,
+      max: m,
+      pct: m > 0 ? clamp01(r / m) * 100 : 0,
+      measured: m > 0,
+    }));
+  }
+
+  // 16 型機率分布（直接由作答與權重計算，不經八功能百分比）
+  const posterior = computePosterior(weights, arrAns, _stacks, _dimMeta);
+
+  // 作答品質（依出題順序）：straight-lining、中立過多、交替、同構面矛盾
+  const validity = Validity.assess(arrAns
+    .filter(a => a.value !== null && a.value !== undefined)
+    .map(({ id, value, pressed }) => {
+      const wid = weights[String(id)] || null;
+      const { dir, mag } = normalizeAnswer(value);
+      const y = dir * mag * 2;
+      return { id, y, pos: pressed ?? y, wid, facet: wid ? facetSignature(wid) : null };
+    }));
+
+  const measured = max.some(m => m > 0); // 有任何題目計到八功能
+
+  return { byFunction, top, type, ranking, posterior, validity, axes, dimensions, perItem, used, measured };
 }
 
 /* ---------------- main score ---------------- */
@@ -288,96 +782,146 @@ export const Scorer = {
   /**
    * answers: Array<number|null> 或 Array<{id,value}>
    * mode: 'basic' | 'advA' | 'advB' | 'advC'
+   * seed: session seed（bootstrap 信賴區間用；省略時以作答內容推得）
    */
-  async score({ mode, answers }) {
+  async score({ mode, answers, seed }) {
     await ensureLoaded(mode);
-    const weights = _weights || {};
-    const funcList = _funcMeta.list || DEFAULT_FUNC_LIST.map((f, i) => ({ idx: i, key: f.key, name: f.name, desc: '' }));
-    const nameToIdx = _funcMeta.keyToIndex || {};
-
-    // 規整答案
-    const arrAns = normalizeAnswersInput(answers);
-
-    // 累加器
-    const raw = Array(8).fill(0);
-    const max = Array(8).fill(0);
-    const perItem = [];
-    let used = 0;
-
-    for (const { id, value } of arrAns) {
-      if (value === null || value === undefined) continue;
-      const wid = weights[String(id)];
-      if (!wid) { perItem.push({ id, skipped: true }); continue; }
-
-      const { dir, mag } = normalizeAnswer(value);
-      if (mag === 0 || dir === 0) { perItem.push({ id, neutral: true }); continue; }
-
-      const side = dir > 0 ? 'A' : 'B';
-      const vec = wid[side] || {};
-      const vmax = (i) => {
-        const a = Number((wid.A || {})[i] || 0);
-        const b = Number((wid.B || {})[i] || 0);
-        return Math.max(a, b);
-      };
-
-      for (let i = 0; i < 8; i++) {
-        const w = Number(vec[i] || 0);
-        raw[i] += mag * w;
-        max[i] += vmax(i);
-      }
-      used++;
-      perItem.push({ id, side, mag, applied: true });
-    }
+    const scored = scoreWithWeights(_weights || {}, normalizeAnswersInput(answers), seed);
+    return {
+      mode,
+      byFunction: scored.byFunction,
+      top: scored.top,
+      type: scored.type,
+      typeRanking: scored.ranking,
+      posterior: scored.posterior,
+      validity: scored.validity,
+      axes: scored.axes,
+      dimensions: scored.dimensions,
+      byTemperament: scored.dimensions.temperament || null,
+      debug: { perItem: scored.perItem, usedItems: scored.used },
+    };
+  },
 
-    const byFunction = raw.map((r, i) => {
-      const m = max[i] || 1e-9;
-      const pct = clamp01(r / m);
-      const meta = funcList[i] || { key: `f${i}`, name: `Function ${i}`, desc: '' };
+  /**
+   * 多題組合併計分（basic 延伸進階的同一 session）
+   * parts: Array<{ mode, answers }>；answers 格式同 score()
+   * - 合併所有題組的權重，所有作答一起計分 → 綜合輪廓
+   * - 另附 byBank：各題組單獨計分的結果，方便對照
+   * opts.seed：同 score()
+   */
+  async scoreBanks(parts, { seed } = {}) {
+    const list = (Array.isArray(parts) ? parts : []).filter(p => p && p.mode);
+    if (!list.length) throw new Error('scoreBanks requires at least one { mode, answers }');
+    const modes = list.map(p => p.mode);
+    await ensureLoaded(null, modes);
+
+    const allAnswers = list.flatMap(p => normalizeAnswersInput(p.answers));
+    const scored = scoreWithWeights(mergeWeights(modes), allAnswers, seed);
+
+    const byBank = list.map((p) => {
+      const one = scoreWithWeights(weightsFor(p.mode), normalizeAnswersInput(p.answers), seed && `${seed}:${p.mode}`);
+      // 沒有八功能權重的題組單獨計分時八功能全為 0，類型只是平手時的任意結果：不給類型
       return {
-        idx: i,
-        key: meta.key || `f${i}`,
-        name: meta.name || `Function ${i}`,
-        desc: meta.desc || '',
-        raw: r,
-        max: m,
-        pct: pct * 100,
+        mode: p.mode,
+        byFunction: one.byFunction,
+        top: one.measured ? one.top : null,
+        type: one.measured ? one.type : null,
+        measured: one.measured,
+        byTemperament: one.dimensions.temperament || null,
+        usedItems: one.used,
       };
     });
 
-    // 四軸（以功能集合聚合；避免索引順序差異）
-    const EI = agg(_sets.EXTV, byFunction);
-    const NS = agg(_sets.NSET, byFunction);
-    const TF = agg(_sets.TSET, byFunction);
-    const JPj = agg(_sets.JEXT, byFunction); // Je
-    const JPp = agg(_sets.PEXT, byFunction); // Pe
-    const sumJP = JPj.max + JPp.max || 1e-9;
-    const pctJ = (JPj.score) / (JPj.score + JPp.score || 1e-9); // 以實際得分近似
-
-    const axes = {
-      EI: { E: EI.pct, I: 1 - EI.pct, pctE: EI.pct },
-      NS: { N: NS.pct, S: 1 - NS.pct, pctN: NS.pct },
-      TF: { T: TF.pct, F: 1 - TF.pct, pctT: TF.pct },
-      JP: { J: pctJ,  P: 1 - pctJ,   pctJ },
+    return {
+      mode: modes.join('+'),
+      modes,
+      byFunction: scored.byFunction,
+      top: scored.top,
+      type: scored.type,
+      typeRanking: scored.ranking,
+      posterior: scored.posterior,
+      validity: scored.validity,
+      axes: scored.axes,
+      dimensions: scored.dimensions,
+      byTemperament: scored.dimensions.temperament || null,
+      byBank,
+      debug: { perItem: scored.perItem, usedItems: scored.used },
     };
+  },
 
-    // 類型推論
-    const { type, top } = inferType(byFunction, _typeMap, _sets);
+  /**
+   * adaptive 出題：依目前作答評估候選題目的期望資訊量（同步；需先 await init('adaptive')）
+   * answers：格式同 score()；candidates：尚未出過的題目 id
+   * 回傳 { ranked: [{ id, info }]（資訊量由大到小，沒有權重的題目不列入）, posterior: { top, p, margin, borderline, items } }
+   */
+  rankAdaptive({ answers, candidates }) {
+    if (!_loaded || !_stacks?.length) throw new Error('Scorer not initialised; call await Scorer.init(\'adaptive\') first');
+    const weights = weightsFor('adaptive');
+    const fit = fitPosterior(weights, normalizeAnswersInput(answers), _stacks, _dimMeta);
+    const probs = fit.logPost.map(l => Math.exp(l));
+
+    const ranked = [];
+    for (const id of candidates || []) {
+      const wid = weights[String(id)];
+      if (!wid) continue;
+      ranked.push({ id: String(id), info: itemInformation(wid, _stacks, probs, fit.sigma, _dimMeta?.dims, fit.facetCount) });
+    }
+    ranked.sort((a, b) => b.info - a.info);
 
+    const order = probs.map((p, i) => ({ code: _stacks[i].code, p })).sort((a, b) => b.p - a.p);
+    const p1 = order[0]?.p ?? 0, p2 = order[1]?.p ?? 0;
     return {
-      mode,
-      byFunction,
-      top,
-      type,
-      axes,
-      debug: { perItem, usedItems: used },
+      ranked,
+      posterior: {
+        top: order[0]?.code,
+        p: p1,
+        margin: p1 - p2,
+        borderline: p1 < BORDERLINE_TOP || (p1 - p2) < BORDERLINE_MARGIN,
+        items: fit.obs.length,
+      },
     };
   },
 
+  /**
+   * 進階題組建議：依目前作答（通常是 basic）估計各題組整組作答後的期望資訊量
+   * answers：格式同 score()；modes：候選題組（預設 advA/advB/advC）
+   * 回傳 [{ mode, info, items, facets: [{ keys, info, items }] }]，依 info 由大到小；facets 依 info 排序
+   * （info 為逐題互資訊加總，同構面題目依設計效應遞減，作為題組間比較用的近似值）
+   */
+  async rankBanks({ answers, modes = ['advA', 'advB', 'advC'] } = {}) {
+    await ensureLoaded(null, ADAPTIVE_BANKS);
+    if (!_stacks?.length) return [];
+    const fit = fitPosterior(weightsFor('adaptive'), normalizeAnswersInput(answers), _stacks, _dimMeta);
+    const probs = fit.logPost.map(l => Math.exp(l));
+
+    return modes.map((mode) => {
+      const facetCount = { ...fit.facetCount };
+      const facets = {};
+      let info = 0, items = 0;
+      for (const wid of Object.values(weightsFor(mode))) {
+        const sig = facetSignature(wid);
+        const x = itemInformation(wid, _stacks, probs, fit.sigma, _dimMeta?.dims, facetCount);
+        facetCount[sig] = (facetCount[sig] || 0) + 1;
+        if (!facets[sig]) facets[sig] = { keys: sig.split('|').map(k => _funcMeta.indexToKey[k] ?? k), info: 0, items: 0 };
+        facets[sig].info += x;
+        facets[sig].items++;
+        info += x;
+        items++;
+      }
+      return { mode, info, items, facets: Object.values(facets).sort((a, b) => b.info - a.info) };
+    }).sort((a, b) => b.info - a.info);
+  },
+
   // 取用功能對照原資料（供 report/charts 使用）
   getFuncMeta() {
     return _funcMeta;
   },
 
+  // 取用次要維度宣告（例如 temperament 的 keys 與對應的 types 欄位）
+  getDimensions() {
+    return _dimMeta?.dims || {};
+  },
+
   // 取用類型對照（若要自定義報告敘述）
   getTypeMap() {
     return _typeMap;
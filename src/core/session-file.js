@@ -0,0 +1,161 @@
+// src/core/session-file.js
+// Portable session file: export a quiz session (in progress or finished) as JSON, import it on another device.
+// 匯入時先驗 checksum，再對照目前的題庫（版本雜湊 + 依 seed 重建的出題順序），確認每個作答都對得回原本的題目。
+// 題庫已更新（版本不同）時照樣匯入：session 帶著檔案的 itemIds / bankVersions，開啟時由 quiz-engine 依題目 id 搬移作答。
+//
+// File format（jung8v-session v1）：
+//   {
+//     format: 'jung8v-session', version: 1, exportedAt,
+//     session: { sessionId, mode, banks, seed, order, swaps, adaptive, itemIds, bankVersions, step, answers, meta },
+//     bankVersions: { [mode]: string },    // quiz-engine 的 sessionBankVersions()
+//     itemIds: string[],                   // 出題順序（answers[i] 對應 itemIds[i]）
+//     checksum: 'sha256:…' | 'fnv1a:…',    // 上述欄位（不含 checksum）的 canonical JSON 雜湊
+//   }
+//
+// Public API:
+//   await SessionFile.build(session) → file object
+//   SessionFile.fileName(session) → 'jung8v-basic-20261019.json'
+//   await SessionFile.read(text) → { session, finished, verified }   // 解析並驗證，不寫入儲存
+//   await SessionFile.importText(text) → { session, finished, verified }  // read + Router.importSession
+// 驗證失敗時丟出 Error，err.code 為 'parse' | 'format' | 'checksum' | 'items' | 'answers'，message 可直接顯示給使用者。
+
+import { Router } from './router.js';
+import { rebuildSessionItems, sessionBankVersions, migrateSession } from './quiz-engine.js';
+import { Digest } from './digest.js';
+
+const FORMAT = 'jung8v-session';
+const FORMAT_VERSION = 1;
+const SESSION_FIELDS = ['sessionId', 'mode', 'banks', 'seed', 'order', 'swaps', 'adaptive', 'itemIds', 'bankVersions', 'step', 'answers', 'meta'];
+const MODES = ['basic', 'advA', 'advB', 'advC', 'adaptive'];
+
+/* ---------------- helpers ---------------- */
+function fail(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function pick(sess) {
+  const out = {};
+  for (const k of SESSION_FIELDS) if (sess[k] !== undefined) out[k] = sess[k];
+  return out;
+}
+
+function isAnswered(v) {
+  return v !== null && v !== undefined;
+}
+
+// 完成：寫過 finishedAt 且每題都有作答（adaptive 另需已停止）
+function isFinished(sess) {
+  const answers = Array.isArray(sess.answers) ? sess.answers : [];
+  if (!sess.meta?.finishedAt || !answers.length || !answers.every(isAnswered)) return false;
+  return sess.mode !== 'adaptive' || !!sess.adaptive?.stop;
+}
+
+function checkShape(file) {
+  if (!file || typeof file !== 'object' || file.format !== FORMAT) {
+    throw fail('format', '這不是測驗作答檔。');
+  }
+  if (file.version !== FORMAT_VERSION) {
+    throw fail('format', `不支援的作答檔版本（v${file.version}）。`);
+  }
+  const s = file.session;
+  if (!s || typeof s !== 'object' || !MODES.includes(s.mode) || !s.seed) {
+    throw fail('format', '作答檔缺少測驗模式或 seed。');
+  }
+  if (!Array.isArray(s.answers) || !Array.isArray(file.itemIds) || !file.bankVersions) {
+    throw fail('format', '作答檔缺少作答、題目順序或題庫版本。');
+  }
+}
+
+// 每題 null 或 0..4 的整數，且題數與出題順序一致
+function checkAnswers(session, itemIds) {
+  if (session.answers.length !== itemIds.length) {
+    throw fail('answers', `作答數（${session.answers.length}）與題數（${itemIds.length}）不一致。`);
+  }
+  const bad = session.answers.findIndex(v => isAnswered(v) && !(Number.isInteger(v) && v >= 0 && v <= 4));
+  if (bad !== -1) throw fail('answers', `第 ${bad + 1} 題的作答值無效（${JSON.stringify(session.answers[bad])}）。`);
+  if (session.meta?.finishedAt && !isFinished(session)) {
+    throw fail('answers', '作答檔標記為已完成，但仍有題目沒有作答。');
+  }
+}
+
+// 對照目前題庫：版本雜湊一致時，依 seed 重建的出題順序必須與檔案相同。
+// 題庫已更新時不檢查順序（之後依 itemIds 搬移作答）
+async function checkBanks(file) {
+  const { versions } = await sessionBankVersions(file.session);
+  if (Object.entries(versions).some(([mode, version]) => file.bankVersions[mode] !== version)) return;
+  const { items } = await rebuildSessionItems(file.session);
+  const ids = items.map(it => String(it.id));
+  const diff = ids.findIndex((id, i) => id !== String(file.itemIds[i]));
+  if (ids.length !== file.itemIds.length || diff !== -1) {
+    const at = diff === -1 ? Math.min(ids.length, file.itemIds.length) : diff;
+    throw fail('items', `出題順序與目前題庫不符（第 ${at + 1} 題：檔案 ${file.itemIds[at] ?? '無'}，目前 ${ids[at] ?? '無'}）。`);
+  }
+}
+
+/* ---------------- public API ---------------- */
+export const SessionFile = {
+  async build(input) {
+    if (!input?.sessionId) throw new Error('SessionFile.build requires a session');
+    // 題庫更新後尚未開啟過的 session：先把作答搬到目前的題庫，itemIds 才對得上
+    const { session: sess } = await migrateSession(input);
+    const { banks, versions } = await sessionBankVersions(sess);
+    // 舊 session 沒有 banks / order 紀錄：寫出推得的值，匯入端不必再推一次
+    const session = pick({
+      ...sess,
+      banks: sess.mode === 'adaptive' ? sess.banks : banks,
+      order: sess.mode === 'adaptive' ? sess.order : (sess.order || 'shuffle'),
+    });
+    const { items } = await rebuildSessionItems(session);
+    const itemIds = items.map(it => String(it.id));
+    if (session.mode !== 'adaptive') session.itemIds = itemIds;
+    session.bankVersions = versions;
+    const body = {
+      format: FORMAT,
+      version: FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      session,
+      bankVersions: versions,
+      itemIds,
+    };
+    return { ...body, checksum: await Digest.checksum(body) };
+  },
+
+  fileName(sess) {
+    const d = new Date(sess?.meta?.startedAt || Date.now());
+    const ymd = Number.isNaN(d.getTime()) ? 'session' : d.toISOString().slice(0, 10).replace(/-/g, '');
+    return `jung8v-${sess?.mode || 'session'}-${ymd}.json`;
+  },
+
+  async read(text) {
+    let file;
+    try {
+      file = JSON.parse(String(text));
+    } catch {
+      throw fail('parse', '檔案不是有效的 JSON。');
+    }
+    checkShape(file);
+
+    const { checksum, ...body } = file;
+    const verified = await Digest.verify(body, checksum);
+    if (verified === false) throw fail('checksum', '檔案內容與 checksum 不符（檔案可能損毀或被修改）。');
+
+    checkAnswers(file.session, file.itemIds);
+    await checkBanks(file);
+
+    // 作答以檔案的題目 id + 題庫版本為準；題庫已更新時，開啟作答或結果頁時搬移
+    const session = pick({
+      ...file.session,
+      itemIds: file.session.mode === 'adaptive' ? undefined : file.itemIds.map(String),
+      bankVersions: file.bankVersions,
+    });
+    return { session, finished: isFinished(session), verified: verified === true };
+  },
+
+  async importText(text) {
+    const { session, verified } = await this.read(text);
+    const saved = Router.importSession(session);
+    return { session: saved, finished: isFinished(saved), verified };
+  },
+};
@@ -0,0 +1,282 @@
+// src/core/session-store.js
+// Persistent session storage: IndexedDB (all sessions, survives closing the tab)
+// + sessionStorage mirror (sync reads before init / when IndexedDB is unavailable).
+// Router 是唯一的呼叫者；其他模組透過 Router.* 使用。
+//
+// - 讀寫 API 是同步的（記憶體快取），IndexedDB 寫入在背景依序進行
+// - 每次寫入 rev + 1；IndexedDB 內已有較新（或同 rev）的紀錄時不覆寫，改以儲存的版本為準
+// - 跨分頁：BroadcastChannel 同步快取；navigator.locks 讓同一個 session 同時只有一個分頁可編輯
+//
+// Public API:
+//   await SessionStore.init()                 // 開 DB、載入所有 session、搬移 sessionStorage 內的舊 session
+//   SessionStore.get(sid) / put(sess) / remove(sid) / list()
+//   await SessionStore.claim(sid, { steal, onLost }) → boolean  // 取得編輯權；被其他分頁搶走時呼叫 onLost
+//   SessionStore.release(sid)
+//   SessionStore.onRemoteChange(fn)           // 其他分頁更新/刪除 session 時通知 fn({ type, sessionId })
+//                                             // 本分頁的寫入因較舊而被捨棄時 conflict: true
+//   await SessionStore.flush()                // 等待背景寫入完成
+
+const NS = 'jung8v';
+const DB_NAME = `${NS}-sessions`;
+const DB_VERSION = 1;
+const STORE = 'sessions';
+const CHANNEL = `${NS}:sessions`;
+const KEY_SESS = (sid) => `${NS}:sess:v1:${sid}`;
+const KEY_PREFIX = `${NS}:sess:v1:`;
+
+const TAB_ID = `${Date.now().toString(36)}_${Math.random().toString(36).slice(2)}`;
+
+let _cache = new Map();  // sid -> session
+let _db = null;
+let _ready = null;
+let _channel = null;
+let _writeChain = Promise.resolve();
+const _held = new Map(); // sid -> release()
+const _remoteListeners = new Set();
+
+/* ---------------- sessionStorage mirror ---------------- */
+function readMirror(sid) {
+  try {
+    const raw = sessionStorage.getItem(KEY_SESS(sid));
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+function writeMirror(sess) {
+  try { sessionStorage.setItem(KEY_SESS(sess.sessionId), JSON.stringify(sess)); } catch { /* ignore quota */ }
+}
+function removeMirror(sid) {
+  try { sessionStorage.removeItem(KEY_SESS(sid)); } catch {}
+}
+function mirrorSessions() {
+  const out = [];
+  try {
+    for (let i = 0; i < sessionStorage.length; i++) {
+      const k = sessionStorage.key(i);
+      if (!k || !k.startsWith(KEY_PREFIX)) continue;
+      const s = JSON.parse(sessionStorage.getItem(k) || 'null');
+      if (s?.sessionId) out.push(s);
+    }
+  } catch {}
+  return out;
+}
+
+function newer(a, b) {
+  return !b || (a?.rev || 0) > (b?.rev || 0);
+}
+
+/* ---------------- IndexedDB ---------------- */
+function reqToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function openDB() {
+  if (typeof indexedDB === 'undefined' || !indexedDB) return Promise.resolve(null);
+  return new Promise((resolve) => {
+    let req;
+    try {
+      req = indexedDB.open(DB_NAME, DB_VERSION);
+    } catch {
+      resolve(null); // 例如部分瀏覽器的隱私模式
+      return;
+    }
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORE)) {
+        const store = db.createObjectStore(STORE, { keyPath: 'sessionId' });
+        store.createIndex('updatedAt', 'updatedAt');
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => resolve(null);
+    req.onblocked = () => resolve(null);
+  });
+}
+
+function idbGetAll() {
+  if (!_db) return Promise.resolve([]);
+  const tx = _db.transaction(STORE, 'readonly');
+  return reqToPromise(tx.objectStore(STORE).getAll()).catch(() => []);
+}
+
+// 只在 IndexedDB 內的版本比較舊時寫入；否則回傳儲存的較新版本
+function idbPut(sess) {
+  if (!_db) return Promise.resolve(null);
+  return new Promise((resolve) => {
+    const tx = _db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    let winner = null;
+    const get = store.get(sess.sessionId);
+    get.onsuccess = () => {
+      const stored = get.result;
+      if (stored && !newer(sess, stored)) {
+        winner = stored;
+        return;
+      }
+      store.put(sess);
+    };
+    tx.oncomplete = () => resolve(winner);
+    tx.onerror = () => resolve(null);
+    tx.onabort = () => resolve(null);
+  });
+}
+
+function idbDelete(sid) {
+  if (!_db) return Promise.resolve();
+  return new Promise((resolve) => {
+    const tx = _db.transaction(STORE, 'readwrite');
+    tx.objectStore(STORE).delete(sid);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => resolve();
+    tx.onabort = () => resolve();
+  });
+}
+
+function queueWrite(sess) {
+  _writeChain = _writeChain.then(async () => {
+    const winner = await idbPut(sess);
+    if (winner) {
+      // 其他分頁已寫入較新的版本：不覆寫，改以儲存的版本為準（跨分頁作答時的正常情況，經 change 事件回報）
+      adopt(winner);
+      notifyRemote({ type: 'put', sessionId: winner.sessionId, conflict: true });
+    }
+  }).catch(() => {});
+  return _writeChain;
+}
+
+/* ---------------- cross-tab ---------------- */
+function adopt(sess) {
+  if (!sess?.sessionId) return;
+  if (newer(sess, _cache.get(sess.sessionId))) {
+    _cache.set(sess.sessionId, sess);
+    if (readMirror(sess.sessionId)) writeMirror(sess); // 只更新本分頁原本就有的鏡像
+  }
+}
+
+function notifyRemote(evt) {
+  _remoteListeners.forEach((fn) => {
+    try { fn(evt); } catch {}
+  });
+}
+
+function broadcast(msg) {
+  try { _channel?.postMessage({ ...msg, from: TAB_ID }); } catch {}
+}
+
+function openChannel() {
+  if (typeof BroadcastChannel === 'undefined') return null;
+  try {
+    const ch = new BroadcastChannel(CHANNEL);
+    ch.onmessage = (e) => {
+      const msg = e.data || {};
+      if (msg.from === TAB_ID) return;
+      if (msg.type === 'put' && msg.session) {
+        adopt(msg.session);
+        notifyRemote({ type: 'put', sessionId: msg.session.sessionId });
+      } else if (msg.type === 'remove' && msg.sessionId) {
+        _cache.delete(msg.sessionId);
+        removeMirror(msg.sessionId);
+        notifyRemote({ type: 'remove', sessionId: msg.sessionId });
+      }
+    };
+    return ch;
+  } catch {
+    return null;
+  }
+}
+
+function lockName(sid) {
+  return `${NS}:sess:${sid}`;
+}
+
+/* ---------------- public API ---------------- */
+export const SessionStore = {
+  init() {
+    if (_ready) return _ready;
+    _ready = (async () => {
+      _db = await openDB();
+      const stored = new Map((await idbGetAll()).map(s => [s.sessionId, s]));
+      stored.forEach(adopt);
+      // 本分頁 sessionStorage 內的 session（舊版只存在這裡，或 IndexedDB 寫入前就離開頁面）→ 補寫
+      for (const s of mirrorSessions()) {
+        if (newer(s, stored.get(s.sessionId))) {
+          adopt(s);
+          queueWrite(s);
+        }
+      }
+      _channel = openChannel();
+    })();
+    return _ready;
+  },
+
+  get(sid) {
+    if (!sid) return null;
+    if (_cache.has(sid)) return _cache.get(sid);
+    const s = readMirror(sid); // init 之前：先讀本分頁的鏡像
+    if (s) _cache.set(sid, s);
+    return s;
+  },
+
+  put(sess) {
+    const prev = this.get(sess.sessionId);
+    const next = { ...sess, rev: Math.max(prev?.rev || 0, sess.rev || 0) + 1, updatedAt: new Date().toISOString() };
+    _cache.set(next.sessionId, next);
+    writeMirror(next);
+    queueWrite(next);
+    broadcast({ type: 'put', session: next });
+    return next;
+  },
+
+  remove(sid) {
+    _cache.delete(sid);
+    removeMirror(sid);
+    _writeChain = _writeChain.then(() => idbDelete(sid));
+    broadcast({ type: 'remove', sessionId: sid });
+  },
+
+  // 所有已知 session（最近更新的在前）
+  list() {
+    const all = new Map(_cache);
+    for (const s of mirrorSessions()) if (!all.has(s.sessionId)) all.set(s.sessionId, s);
+    return [...all.values()].sort((a, b) => String(b.updatedAt || b.meta?.startedAt || '').localeCompare(String(a.updatedAt || a.meta?.startedAt || '')));
+  },
+
+  claim(sid, { steal = false, onLost } = {}) {
+    if (_held.has(sid)) return Promise.resolve(true);
+    const locks = typeof navigator !== 'undefined' ? navigator.locks : null;
+    if (!locks?.request) return Promise.resolve(true); // 不支援 Web Locks：不協調
+    return new Promise((resolve) => {
+      locks.request(lockName(sid), steal ? { steal: true } : { ifAvailable: true }, (lock) => {
+        if (!lock) {
+          resolve(false);
+          return undefined;
+        }
+        resolve(true);
+        return new Promise((release) => { _held.set(sid, release); });
+      }).catch((err) => {
+        // 被其他分頁以 steal 取走（AbortError）
+        _held.delete(sid);
+        onLost?.(err);
+      });
+    });
+  },
+
+  release(sid) {
+    const release = _held.get(sid);
+    _held.delete(sid);
+    release?.();
+  },
+
+  onRemoteChange(fn) {
+    _remoteListeners.add(fn);
+    return () => _remoteListeners.delete(fn);
+  },
+
+  flush() {
+    return _writeChain;
+  },
+};
@@ -0,0 +1,147 @@
+// src/core/validity.js
+// Response validity index: flag low-quality answer patterns before trusting a profile.
+// This module is pure (no DOM / storage); Scorer calls it and attaches result.validity.
+//
+// Input: responses in presentation order
+//   [{ id, y, pos?, wid?, facet? }]
+//   - y: -2..2（正 = 題庫 A 側，0 = 中立）
+//   - pos: -2..2，畫面上實際按下的方向（A/B 左右對調過時與 y 相反；省略時同 y）
+//     straight-lining / 交替看的是按鍵位置，同構面矛盾看的是題庫方向
+//   - wid: 正規化後的權重 { A:{0..7}, B:{0..7}, dims? }（沒有權重的題目仍參與 straight-lining / 中立比例）
+//   - facet: 構面簽名（同一組功能對的題目共用，例如 "0|1"）
+//
+// Output:
+//   {
+//     severity: 'ok' | 'caution' | 'poor',
+//     flags: [{ code, severity: 'caution'|'poor', value, message }],
+//     stats: { answered, neutralShare, modalShare, alternation, inconsistency }
+//   }
+
+const MIN_ANSWERED = 8;            // 題數太少時不判定（避免誤報）
+
+const STRAIGHT_CAUTION = 0.85;     // 同一個選項佔比
+const STRAIGHT_POOR = 1.0;
+const NEUTRAL_CAUTION = 0.5;       // 中立佔比
+const NEUTRAL_POOR = 0.75;
+const ALTERNATION_CAUTION = 0.8;   // 「隔一題回到同一個選項、且與上一題不同」的比例
+const INCONSISTENCY_CAUTION = 0.3; // 同構面題目方向互相矛盾的比例（0.5 ≈ 亂答）
+const INCONSISTENCY_POOR = 0.4;
+const MIN_FACET_ITEMS = 3;
+
+/* ---------------- helpers ---------------- */
+function modalShare(ys) {
+  const count = {};
+  let best = 0;
+  for (const y of ys) {
+    count[y] = (count[y] || 0) + 1;
+    if (count[y] > best) best = count[y];
+  }
+  return ys.length ? best / ys.length : 0;
+}
+
+// A,B,A,B… 或 1,5,1,5… 這類機械式交替
+function alternationRate(ys) {
+  if (ys.length < 4) return 0;
+  let hits = 0;
+  for (let i = 2; i < ys.length; i++) {
+    if (ys[i] === ys[i - 2] && ys[i] !== ys[i - 1]) hits++;
+  }
+  return hits / (ys.length - 2);
+}
+
+// 題目在構面參考功能上的方向：A 側帶有參考 key → +1，否則 -1
+function keyedSign(wid, refKey) {
+  if (!wid) return 0;
+  if (Number(wid.A?.[refKey] || 0) > 0) return +1;
+  if (Number(wid.B?.[refKey] || 0) > 0) return -1;
+  for (const d of Object.values(wid.dims?.A || {})) if (Number(d?.[refKey] || 0) > 0) return +1;
+  for (const d of Object.values(wid.dims?.B || {})) if (Number(d?.[refKey] || 0) > 0) return -1;
+  return 0;
+}
+
+// 同構面題目：把作答轉成「朝參考功能」的方向後，少數方向的強度佔比；各構面依題數加權平均
+function inconsistencyIndex(responses) {
+  const groups = {};
+  for (const r of responses) {
+    if (!r.facet || !r.wid || r.y === 0) continue;
+    (groups[r.facet] = groups[r.facet] || []).push(r);
+  }
+  let num = 0, den = 0;
+  for (const [facet, rs] of Object.entries(groups)) {
+    if (rs.length < MIN_FACET_ITEMS) continue;
+    const ref = facet.split('|')[0];
+    let pos = 0, neg = 0;
+    for (const r of rs) {
+      const s = keyedSign(r.wid, ref) * r.y;
+      if (s > 0) pos += Math.abs(r.y);
+      else if (s < 0) neg += Math.abs(r.y);
+    }
+    if (pos + neg === 0) continue;
+    num += (Math.min(pos, neg) / (pos + neg)) * rs.length;
+    den += rs.length;
+  }
+  return den ? num / den : null;
+}
+
+function pct(x) {
+  return `${Math.round(x * 100)}%`;
+}
+
+/* ---------------- public API ---------------- */
+export const Validity = {
+  assess(responses) {
+    const rs = (Array.isArray(responses) ? responses : [])
+      .filter(r => r && r.y !== null && r.y !== undefined && !Number.isNaN(Number(r.y)))
+      .map(r => ({ ...r, y: Number(r.y), pos: Number(r.pos ?? r.y) }));
+    const ys = rs.map(r => r.pos);
+    const answered = ys.length;
+
+    const stats = {
+      answered,
+      neutralShare: answered ? ys.filter(y => y === 0).length / answered : 0,
+      modalShare: modalShare(ys),
+      alternation: alternationRate(ys),
+      inconsistency: inconsistencyIndex(rs),
+    };
+
+    const flags = [];
+    if (answered >= MIN_ANSWERED) {
+      if (stats.modalShare >= STRAIGHT_CAUTION && stats.neutralShare < NEUTRAL_CAUTION) {
+        flags.push({
+          code: 'straightLining',
+          severity: stats.modalShare >= STRAIGHT_POOR ? 'poor' : 'caution',
+          value: stats.modalShare,
+          message: `有 ${pct(stats.modalShare)} 的題目選了同一個選項。`,
+        });
+      }
+      if (stats.neutralShare >= NEUTRAL_CAUTION) {
+        flags.push({
+          code: 'mostlyNeutral',
+          severity: stats.neutralShare >= NEUTRAL_POOR ? 'poor' : 'caution',
+          value: stats.neutralShare,
+          message: `有 ${pct(stats.neutralShare)} 的題目選了「中立」，可用來判讀的訊息偏少。`,
+        });
+      }
+      if (stats.alternation >= ALTERNATION_CAUTION) {
+        flags.push({
+          code: 'alternating',
+          severity: 'caution',
+          value: stats.alternation,
+          message: '作答呈現規律的來回交替，可能沒有逐題閱讀。',
+        });
+      }
+      if (stats.inconsistency !== null && stats.inconsistency >= INCONSISTENCY_CAUTION) {
+        flags.push({
+          code: 'inconsistent',
+          severity: stats.inconsistency >= INCONSISTENCY_POOR ? 'poor' : 'caution',
+          value: stats.inconsistency,
+          message: `測量同一功能的題目有 ${pct(stats.inconsistency)} 的作答方向互相矛盾。`,
+        });
+      }
+    }
+
+    const poor = flags.some(f => f.severity === 'poor') || flags.length >= 2;
+    const severity = poor ? 'poor' : flags.length ? 'caution' : 'ok';
+    return { severity, flags, stats };
+  },
+};
@@ -0,0 +1,206 @@
+// src/core/vault.js
+// Privacy mode: encrypt session and result payloads with a key derived from a passphrase
+// (WebCrypto PBKDF2-SHA-256 → AES-GCM 256)。Router 是唯一的呼叫者。
+//
+// - 金鑰只存在記憶體，以及本分頁的 tab 暫存（adapter.tab；瀏覽器為 sessionStorage），關閉分頁即需重新解鎖
+// - wrapAdapter() 包住原本的 adapter：讀取同步（解鎖時先把本設定檔的資料全部解密到記憶體），
+//   寫入先更新記憶體、再於背景加密後寫進原本的 adapter（flush() 等待寫入完成）
+// - 只加密本設定檔的 session 與指定的 app key；設定檔清單、vault 設定本身維持明文
+//
+// 密文格式：
+//   app value: { $sealed: 1, iv, ct }                               // base64
+//   session:   { sessionId, profile, rev, updatedAt, sealed: { $sealed: 1, iv, ct } }
+//
+// Public API:
+//   await Vault.createConfig(passphrase) → { config, key }        // 新的 salt + 驗證用密文
+//   await Vault.unlock(config, passphrase) → key | null           // 密碼錯誤回傳 null
+//   await Vault.seal(key, value) / await Vault.open(key, box)
+//   Vault.isSealed(x) / Vault.isSealedSession(sess)
+//   await Vault.exportKey(key) → string / await Vault.importKey(str) → key
+//   await Vault.wrapAdapter(base, { key, profile, appKeys }) → adapter
+
+const ITERATIONS = 600000;
+const CHECK_TEXT = 'jung8v';
+
+/* ---------------- encoding ---------------- */
+function toB64(bytes) {
+  let bin = '';
+  const arr = new Uint8Array(bytes);
+  for (let i = 0; i < arr.length; i++) bin += String.fromCharCode(arr[i]);
+  return btoa(bin);
+}
+function fromB64(str) {
+  return Uint8Array.from(atob(String(str)), c => c.charCodeAt(0));
+}
+
+function subtle() {
+  const s = globalThis.crypto?.subtle;
+  if (!s) throw new Error('WebCrypto is not available (privacy mode needs a secure context)');
+  return s;
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await subtle().importKey('raw', new TextEncoder().encode(String(passphrase)), 'PBKDF2', false, ['deriveKey']);
+  return subtle().deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    true, // 可匯出：解鎖後暫存在本分頁，換頁時不必重新輸入
+    ['encrypt', 'decrypt'],
+  );
+}
+
+async function seal(key, value) {
+  const iv = globalThis.crypto.getRandomValues(new Uint8Array(12));
+  const ct = await subtle().encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+  return { $sealed: 1, iv: toB64(iv), ct: toB64(ct) };
+}
+
+async function open(key, box) {
+  const pt = await subtle().decrypt({ name: 'AES-GCM', iv: fromB64(box.iv) }, key, fromB64(box.ct));
+  return JSON.parse(new TextDecoder().decode(pt));
+}
+
+function isSealed(x) {
+  return !!x && typeof x === 'object' && x.$sealed === 1 && typeof x.ct === 'string';
+}
+function isSealedSession(sess) {
+  return isSealed(sess?.sealed);
+}
+
+function sessionProfile(sess) {
+  return sess?.profile || 'default';
+}
+
+/* ---------------- adapter wrapper ---------------- */
+async function wrapAdapter(base, { key, profile, appKeys = [] }) {
+  const sealedKeys = new Set(appKeys);
+  const app = new Map();      // key -> plaintext value
+  const sessions = new Map(); // sid -> plaintext session（只含本設定檔）
+  let chain = Promise.resolve();
+  const enqueue = (fn) => {
+    chain = chain.then(fn).catch((err) => { console.warn('[vault] write failed:', err); });
+    return chain;
+  };
+
+  // 本設定檔的資料解密到記憶體；尚未加密的明文（剛啟用、舊資料）在背景補加密
+  for (const k of sealedKeys) {
+    const raw = base.app.get(k);
+    if (raw === null || raw === undefined) continue;
+    if (isSealed(raw)) {
+      try { app.set(k, await open(key, raw)); } catch { /* 其他金鑰加密的資料：略過 */ }
+    } else {
+      app.set(k, raw);
+      enqueue(async () => base.app.set(k, await seal(key, raw)));
+    }
+  }
+  for (const s of base.sessions.list()) {
+    if (sessionProfile(s) !== profile) continue;
+    if (isSealedSession(s)) {
+      try { sessions.set(s.sessionId, { ...(await open(key, s.sealed)), rev: s.rev, updatedAt: s.updatedAt }); } catch {}
+    } else {
+      sessions.set(s.sessionId, s);
+      const plain = s;
+      enqueue(async () => base.sessions.put(await sealSession(plain)));
+    }
+  }
+
+  async function sealSession(sess) {
+    const { rev, updatedAt, ...body } = sess;
+    // base.put 會把 rev + 1：先減一，讓儲存的 rev 與記憶體內的版本一致
+    return { sessionId: sess.sessionId, profile: sessionProfile(sess), rev: Math.max(0, (rev || 1) - 1), updatedAt, sealed: await seal(key, body) };
+  }
+
+  async function refresh(sid) {
+    const s = base.sessions.get(sid);
+    if (!s) {
+      sessions.delete(sid);
+    } else if (sessionProfile(s) === profile && isSealedSession(s)) {
+      try { sessions.set(sid, { ...(await open(key, s.sealed)), rev: s.rev, updatedAt: s.updatedAt }); } catch {}
+    }
+  }
+
+  const owns = (sid) => sessions.has(sid);
+
+  return {
+    ...base,
+    name: `${base.name}+vault`,
+    app: {
+      get: (k) => (sealedKeys.has(k) ? (app.has(k) ? app.get(k) : null) : base.app.get(k)),
+      set(k, value) {
+        if (!sealedKeys.has(k)) return base.app.set(k, value);
+        app.set(k, value);
+        enqueue(async () => base.app.set(k, await seal(key, value)));
+      },
+      remove(k) {
+        app.delete(k);
+        base.app.remove?.(k);
+      },
+      keys: () => base.app.keys?.() || [],
+    },
+    sessions: {
+      ...base.sessions,
+      get: (sid) => (owns(sid) ? sessions.get(sid) : base.sessions.get(sid)),
+      put(sess) {
+        if (sessionProfile(sess) !== profile) return base.sessions.put(sess);
+        const prev = sessions.get(sess.sessionId) || base.sessions.get(sess.sessionId);
+        const next = { ...sess, rev: Math.max(prev?.rev || 0, sess.rev || 0) + 1, updatedAt: new Date().toISOString() };
+        sessions.set(next.sessionId, next);
+        enqueue(async () => base.sessions.put(await sealSession(next)));
+        return next;
+      },
+      remove(sid) {
+        sessions.delete(sid);
+        base.sessions.remove(sid);
+      },
+      list() {
+        const others = base.sessions.list().filter(s => !owns(s.sessionId) && sessionProfile(s) !== profile);
+        return [...sessions.values(), ...others]
+          .sort((a, b) => String(b.updatedAt || '').localeCompare(String(a.updatedAt || '')));
+      },
+      onRemoteChange: base.sessions.onRemoteChange
+        ? (fn) => base.sessions.onRemoteChange(async (evt) => {
+          await refresh(evt.sessionId);
+          fn(evt);
+        })
+        : undefined,
+      flush: async () => {
+        await chain;
+        await base.sessions.flush?.();
+      },
+    },
+  };
+}
+
+/* ---------------- public API ---------------- */
+export const Vault = {
+  async createConfig(passphrase) {
+    const salt = globalThis.crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKey(passphrase, salt, ITERATIONS);
+    const config = { v: 1, kdf: 'PBKDF2-SHA-256', iterations: ITERATIONS, salt: toB64(salt), check: await seal(key, CHECK_TEXT) };
+    return { config, key };
+  },
+
+  async unlock(config, passphrase) {
+    const key = await deriveKey(passphrase, fromB64(config.salt), config.iterations || ITERATIONS);
+    try {
+      return (await open(key, config.check)) === CHECK_TEXT ? key : null;
+    } catch {
+      return null; // AES-GCM 驗證失敗 = 密碼錯誤
+    }
+  },
+
+  seal,
+  open,
+  isSealed,
+  isSealedSession,
+
+  async exportKey(key) {
+    return toB64(await subtle().exportKey('raw', key));
+  },
+  async importKey(str) {
+    return subtle().importKey('raw', fromB64(str), { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']);
+  },
+
+  wrapAdapter,
+};
@@ -0,0 +1,65 @@
+// src/core/vendor.js
+// Load vendor UMD libraries (docs/assets/js/vendor/*) on demand instead of a <script> tag on every page.
+// 結果頁與歷史頁才需要圖表（Chart.js）；pako 只用於分享連結（#r=）的壓縮 / 解壓。
+// 已由 <script> 載入（window.Chart / window.pako 已存在）時直接沿用，不重複下載。
+//
+// Public API:
+//   await Vendor.load('chart' | 'pako') → 該函式庫的 global（window.Chart / window.pako）
+//   await Vendor.loadAll(['chart', 'pako']) → { chart, pako }   // 個別失敗不影響其他；失敗的為 null
+
+const LIBS = {
+  chart: { file: 'chart.umd.js', global: 'Chart' },
+  pako: { file: 'pako.min.js', global: 'pako' },
+};
+
+const _loading = {}; // name -> Promise
+
+function injectScript(src) {
+  return new Promise((resolve, reject) => {
+    const s = document.createElement('script');
+    s.src = src;
+    s.async = true;
+    s.onload = () => resolve();
+    s.onerror = () => {
+      s.remove();
+      reject(new Error(`failed to load ${src}`));
+    };
+    document.head.appendChild(s);
+  });
+}
+
+/* ---------------- public API ---------------- */
+export const Vendor = {
+  load(name) {
+    const lib = LIBS[name];
+    if (!lib) return Promise.reject(new Error(`Unknown vendor library: ${name}`));
+    if (globalThis[lib.global]) return Promise.resolve(globalThis[lib.global]);
+    if (!_loading[name]) {
+      // 頁面都在 docs/ 根目錄：vendor 檔相對於頁面位置
+      const src = new URL(`assets/js/vendor/${lib.file}`, document.baseURI).href;
+      _loading[name] = injectScript(src)
+        .then(() => {
+          if (!globalThis[lib.global]) throw new Error(`${lib.file} loaded but window.${lib.global} is missing`);
+          return globalThis[lib.global];
+        })
+        .catch((err) => {
+          delete _loading[name]; // 之後可再試
+          throw err;
+        });
+    }
+    return _loading[name];
+  },
+
+  async loadAll(names) {
+    const out = {};
+    await Promise.all(names.map(async (name) => {
+      try {
+        out[name] = await this.load(name);
+      } catch (err) {
+        console.warn(`[vendor] ${name} unavailable:`, err?.message || err);
+        out[name] = null;
+      }
+    }));
+    return out;
+  },
+};
@@ -0,0 +1,14 @@
+// src/pages/history.js
+// Entry bundle for history.html（Chart.js 由 initHistoryUI 動態載入）。
+
+import { initHistoryUI } from '../ui/render-history.js';
+
+function boot() {
+  initHistoryUI().catch((err) => { console.error('[history] init failed', err); });
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', boot);
+} else {
+  boot();
+}
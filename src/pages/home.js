@@ -0,0 +1,14 @@
+// src/pages/home.js
+// Entry bundle for index.html（scripts/build.mjs 依頁面各自打包，共用模組拆成 chunks）。
+
+import { initHome } from '../ui/render-home.js';
+
+function boot() {
+  initHome().catch((err) => { console.error('[home] init failed', err); });
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', boot);
+} else {
+  boot();
+}
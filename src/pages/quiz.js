@@ -0,0 +1,14 @@
+// src/pages/quiz.js
+// Entry bundle for quiz.html（不含圖表與結果頁的程式碼；權重由 assets/js/weights.js 按需載入）。
+
+import { initQuizUI } from '../ui/render-quiz.js';
+
+function boot() {
+  initQuizUI().catch((err) => { console.error('[quiz] init failed', err); });
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', boot);
+} else {
+  boot();
+}
@@ -0,0 +1,14 @@
+// src/pages/result.js
+// Entry bundle for result_basic.html / result_advanced.html（Chart.js、pako 由 initResultUI 動態載入）。
+
+import { initResultUI } from '../ui/render-result.js';
+
+function boot() {
+  initResultUI().catch((err) => { console.error('[result] init failed', err); });
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', boot);
+} else {
+  boot();
+}
@@ -0,0 +1,43 @@
+// src/ui/bank-error.js
+// 題庫格式錯誤（item-schema.js 驗證失敗，err.code === 'schema'）的錯誤頁：逐一列出題庫、題目 id 與欄位。
+// 作答頁與結果頁共用。
+
+const el = (tag, attrs = {}, children = []) => {
+  const e = document.createElement(tag);
+  for (const [k, v] of Object.entries(attrs)) {
+    if (k === 'class') e.className = v;
+    else if (k === 'text') e.textContent = v;
+    else e.setAttribute(k, v);
+  }
+  children.forEach(c => e.appendChild(c));
+  return e;
+};
+
+const MAX_ROWS = 50;
+
+export function isBankError(err) {
+  return err?.code === 'schema' && Array.isArray(err.errors);
+}
+
+// 以錯誤卡片取代 root 的內容
+export function renderBankError(root, err) {
+  const errors = err.errors.slice(0, MAX_ROWS);
+  const head = el('tr', {}, ['題庫', '題目', 'id', '欄位', '問題'].map(t => el('th', { text: t })));
+  const rows = errors.map(e => el('tr', {}, [
+    el('td', { text: e.bank }),
+    el('td', { text: e.index === null || e.index === undefined ? '—' : `第 ${e.index + 1} 題` }),
+    el('td', { text: e.id || '—' }),
+    el('td', { class: 'field', text: e.field }),
+    el('td', { text: e.message }),
+  ]));
+  const more = err.errors.length - errors.length;
+
+  const sec = el('section', { class: 'card warn bank-error', role: 'alert' }, [
+    el('h2', { text: '題庫格式錯誤，無法開始測驗' }),
+    el('p', { text: `題庫檔案有 ${err.errors.length} 個問題，修正後重新整理頁面即可。你的作答紀錄不受影響。` }),
+    el('table', { class: 'bank-error-table' }, [el('thead', {}, [head]), el('tbody', {}, rows)]),
+  ]);
+  if (more > 0) sec.appendChild(el('p', { class: 'muted', text: `另有 ${more} 個問題未列出。` }));
+  sec.appendChild(el('div', { class: 'actions' }, [el('a', { class: 'btn primary', href: './index.html', text: '回首頁' })]));
+  root.replaceChildren(sec);
+}
@@ -0,0 +1,142 @@
+// src/ui/render-data.js
+// 首頁的「資料管理」面板：列出本 app 存在這台裝置的所有資料（位置、項目、版本、大小、最後更新），
+// 可匯出成 JSON、一次全部刪除，並設定自動刪除的保留期限。資料的盤點 / 匯出 / 刪除在 core/data-manager.js。
+
+import { Router } from '../core/router.js';
+import { DataManager } from '../core/data-manager.js';
+
+// ------- DOM helpers -------
+const $ = (sel, root = document) => root.querySelector(sel);
+const el = (tag, attrs = {}, children = []) => {
+  const e = document.createElement(tag);
+  for (const [k, v] of Object.entries(attrs)) {
+    if (k === 'class') e.className = v;
+    else if (k === 'text') e.textContent = v;
+    else e.setAttribute(k, v);
+  }
+  children.forEach(c => e.appendChild(c));
+  return e;
+};
+
+const STORE_LABEL = { local: '本機儲存', sessions: '作答資料庫', tab: '本分頁' };
+const NAME_LABEL = {
+  app: '設定與瀏覽紀錄',
+  results: '結果歷史',
+  profiles: '設定檔清單',
+  vault: '隱私模式設定',
+  sess: '作答紀錄',
+  basicAnswers: '舊版 32 題作答',
+  advAnswers: '舊版進階作答',
+};
+const RETENTION_OPTIONS = [
+  [0, '不自動刪除'],
+  [30, '30 天'],
+  [90, '90 天'],
+  [180, '180 天'],
+  [365, '1 年'],
+];
+
+function fmtSize(n) {
+  return n < 1024 ? `${n} B` : `${(n / 1024).toFixed(1)} KB`;
+}
+function fmtDate(d) {
+  return d ? new Date(d).toLocaleString() : '—';
+}
+
+function download(data, name) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function renderTable(entries) {
+  const profiles = Object.fromEntries(Router.listProfiles().map(p => [p.id, p.name]));
+  const head = el('tr', {}, ['位置', '項目', '版本', '設定檔', '大小', '最後更新'].map(t => el('th', { text: t })));
+  const rows = entries.map(e => el('tr', { class: e.legacy ? 'legacy' : '' }, [
+    el('td', { text: STORE_LABEL[e.store] || e.store }),
+    el('td', { text: NAME_LABEL[e.namespace] || e.namespace, title: e.key }),
+    el('td', { text: e.version ? `v${e.version}` : '舊版' }),
+    el('td', { text: e.profile ? (profiles[e.profile] || e.profile) : '—' }),
+    el('td', { text: fmtSize(e.size) }),
+    el('td', { text: fmtDate(e.updatedAt) }),
+  ]));
+  return el('table', { class: 'data-table' }, [el('thead', {}, [head]), el('tbody', {}, rows)]);
+}
+
+function renderRetention() {
+  const locked = Router.privacy().locked;
+  const select = el('select', { 'aria-label': '自動刪除' });
+  const current = Number(Router.getSetting('retentionDays', 0)) || 0;
+  for (const [days, label] of RETENTION_OPTIONS) {
+    const opt = el('option', { value: String(days), text: label });
+    opt.selected = days === current;
+    select.appendChild(opt);
+  }
+  select.disabled = locked;
+  select.addEventListener('change', () => {
+    const days = Number(select.value) || 0;
+    if (days && !confirm(`將刪除本設定檔超過 ${select.selectedOptions[0].text} 的作答、結果歷史與瀏覽紀錄，之後每次開啟網站也會自動刪除。確定嗎？`)) {
+      select.value = String(current);
+      return;
+    }
+    Router.setSetting('retentionDays', days);
+    if (days) Router.applyRetention(days);
+  });
+  return el('p', { class: 'data-retention' }, [
+    el('span', { text: '自動刪除超過 ' }),
+    select,
+    el('span', { class: 'muted', text: locked ? '（隱私模式鎖定中，解鎖後才能變更）' : '（依目前的設定檔）' }),
+  ]);
+}
+
+export function renderDataPanel() {
+  const box = $('#dataPanel');
+  if (!box) return;
+  const entries = DataManager.inventory();
+  const sum = DataManager.summary(entries);
+
+  const btnExport = el('button', { class: 'btn ghost', text: '匯出全部資料' });
+  btnExport.addEventListener('click', () => {
+    try {
+      download(DataManager.exportAll(), DataManager.fileName());
+    } catch (err) {
+      console.error('[data] export failed:', err);
+      alert(`無法匯出資料：${err?.message || err}`);
+    }
+  });
+
+  const btnWipe = el('button', { class: 'btn danger', text: '刪除全部資料' });
+  btnWipe.addEventListener('click', async () => {
+    if (!confirm('確定要刪除這台裝置上本網站的所有資料嗎？所有設定檔的作答、結果歷史、設定與隱私模式都會刪除，無法復原。')) return;
+    btnWipe.disabled = true;
+    try {
+      const n = await DataManager.wipeAll();
+      alert(`已刪除 ${n} 筆資料。`);
+    } catch (err) {
+      console.error('[data] wipe failed:', err);
+      alert(`刪除失敗：${err?.message || err}`);
+    }
+    location.reload();
+  });
+
+  const body = [
+    el('summary', { text: `資料管理（${sum.count} 筆，${fmtSize(sum.size)}）` }),
+    el('p', { class: 'muted', text: '以下是本網站存在這台裝置上的所有資料，不會上傳到任何伺服器。' }),
+  ];
+  if (entries.length) {
+    body.push(renderTable(entries));
+    body.push(el('p', { class: 'muted', text: `最舊 ${fmtDate(sum.oldest)}｜最新 ${fmtDate(sum.newest)}` }));
+  } else {
+    body.push(el('p', { text: '目前沒有任何資料。' }));
+  }
+  body.push(renderRetention());
+  body.push(el('div', { class: 'actions' }, [btnExport, btnWipe]));
+
+  const open = box.open;
+  box.replaceChildren(...body);
+  box.open = open;
+}
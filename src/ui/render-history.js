@@ -0,0 +1,175 @@
+// src/ui/render-history.js
+// Results history page (history.html): past results, a diff between any two, and per-function trends.
+// 快照由結果頁寫入（Router.recordResult）；比較與趨勢的計算在 core/history.js。
+
+import { Router } from '../core/router.js';
+import { History } from '../core/history.js';
+import { Charts } from '../core/charts.js';
+import { Vendor } from '../core/vendor.js';
+
+// ------- DOM helpers -------
+const $ = (sel, root = document) => root.querySelector(sel);
+const el = (tag, attrs = {}, children = []) => {
+  const e = document.createElement(tag);
+  for (const [k, v] of Object.entries(attrs)) {
+    if (k === 'class') e.className = v;
+    else if (k === 'text') e.textContent = v;
+    else e.setAttribute(k, v);
+  }
+  children.forEach(c => e.appendChild(c));
+  return e;
+};
+const MODE_LABEL = { basic: '32 題', advA: '進階 A', advB: '進階 B', advC: '進階 C', adaptive: '自適應' };
+const AXIS_LABEL = { EI: 'E（外向）', NS: 'N（直覺）', TF: 'T（理性）', JP: 'J（規劃）' };
+
+// 目前勾選比較的兩筆（id）；null = 還沒勾選過，預設為最近兩次
+let _selected = null;
+
+function fmtDate(d) {
+  return d ? new Date(d).toLocaleString() : '—';
+}
+function fmtDelta(x) {
+  const n = Math.round(x);
+  return n > 0 ? `+${n}` : String(n);
+}
+function modesLabel(modes) {
+  return (modes || []).map(m => MODE_LABEL[m] || m).join(' + ');
+}
+
+// 結果頁：只有 basic → result_basic，其餘 → result_advanced（session 已刪除時結果頁會提示找不到）
+function resultHref(snap) {
+  const basicOnly = snap.modes.length === 1 && snap.modes[0] === 'basic';
+  const page = basicOnly ? 'result_basic.html' : 'result_advanced.html';
+  return `./${page}?sid=${encodeURIComponent(snap.sessionId)}`;
+}
+
+// ------- render blocks -------
+function renderList(root, list) {
+  const sec = el('section', { class: 'card' }, [el('h3', { text: '過去的結果' })]);
+  const ul = el('ul', { class: 'history-list' });
+  for (const snap of list) {
+    const box = el('input', { type: 'checkbox', 'aria-label': '加入比較' });
+    box.checked = _selected.includes(snap.id);
+    box.addEventListener('change', () => {
+      _selected = box.checked
+        ? _selected.filter(id => id !== snap.id).concat([snap.id]).slice(-2)
+        : _selected.filter(id => id !== snap.id);
+      render();
+    });
+    const btnDel = el('button', { class: 'btn danger ghost', text: '刪除' });
+    btnDel.addEventListener('click', () => {
+      if (!confirm('確定要從歷史中刪除這筆結果嗎？（作答紀錄本身不受影響）')) return;
+      _selected = _selected.filter(id => id !== snap.id);
+      Router.removeResult(snap.id);
+    });
+    ul.appendChild(el('li', {}, [
+      el('label', { class: 'pick' }, [box]),
+      el('span', { class: 'code', text: snap.type?.code || '—' }),
+      el('span', { class: 'label', text: modesLabel(snap.modes) }),
+      el('span', { class: 'when muted', text: fmtDate(snap.date) }),
+      el('span', { class: 'actions' }, [
+        el('a', { class: 'btn ghost', href: resultHref(snap), text: '查看' }),
+        btnDel,
+      ]),
+    ]));
+  }
+  sec.appendChild(ul);
+  sec.appendChild(el('p', { class: 'muted', text: '勾選兩筆結果即可比較。' }));
+  root.appendChild(sec);
+}
+
+function renderDiff(root, list) {
+  const picked = list.filter(s => _selected.includes(s.id));
+  if (picked.length !== 2) return;
+  // 由舊到新比較
+  const [a, b] = picked.slice().sort((x, y) => String(x.date).localeCompare(String(y.date)));
+  const d = History.diff(a, b);
+
+  const sec = el('section', { class: 'card' }, [
+    el('h3', { text: '兩次結果比較' }),
+    el('p', {
+      text: d.typeChanged
+        ? `推定類型由 ${a.type?.code || '—'} 變為 ${b.type?.code || '—'}。`
+        : `兩次的推定類型都是 ${b.type?.code || '—'}。`,
+    }),
+  ]);
+
+  const head = el('tr', {}, ['功能', fmtDate(a.date), fmtDate(b.date), '變化'].map(t => el('th', { text: t })));
+  const body = d.functions.map(f => el('tr', {}, [
+    el('td', { text: f.name || f.key }),
+    el('td', { text: `${Math.round(f.a)}%` }),
+    el('td', { text: `${Math.round(f.b)}%` }),
+    el('td', { class: Math.abs(f.delta) >= 10 ? 'delta big' : 'delta', text: fmtDelta(f.delta) }),
+  ]));
+  sec.appendChild(el('table', { class: 'history-diff' }, [el('thead', {}, [head]), el('tbody', {}, body)]));
+
+  if (d.axes.length) {
+    const ul = el('ul');
+    for (const ax of d.axes) {
+      ul.appendChild(el('li', { text: `${AXIS_LABEL[ax.axis] || ax.axis}：${Math.round(ax.a)}% → ${Math.round(ax.b)}%（${fmtDelta(ax.delta)}）` }));
+    }
+    sec.appendChild(ul);
+  }
+  root.appendChild(sec);
+}
+
+function renderTrend(root, list) {
+  if (list.length < 2) return;
+  const trend = History.trend(list);
+  const sec = el('section', { class: 'card' }, [
+    el('h3', { text: '各功能的重測趨勢' }),
+    el('div', { class: 'chart-wrap' }, [el('canvas', { id: 'historyTrend', width: '640', height: '320' })]),
+  ]);
+  // 穩定度：標準差由小到大
+  const rows = trend.series.slice().sort((x, y) => x.sd - y.sd).map(s => el('tr', {}, [
+    el('td', { text: s.name || s.key }),
+    el('td', { text: `${Math.round(s.mean)}%` }),
+    el('td', { text: String(s.sd) }),
+  ]));
+  sec.appendChild(el('table', { class: 'history-trend' }, [
+    el('thead', {}, [el('tr', {}, ['功能', '平均', '標準差'].map(t => el('th', { text: t })))]),
+    el('tbody', {}, rows),
+  ]));
+  sec.appendChild(el('p', { class: 'muted', text: '標準差越小，代表這個功能在多次作答之間越穩定。' }));
+  root.appendChild(sec);
+
+  try {
+    Charts.renderTrend(trend, $('#historyTrend'), { aspectRatio: 640 / 320 });
+  } catch (err) {
+    console.info('[history] trend chart skipped:', err?.message || err);
+  }
+}
+
+// ------- boot -------
+function render() {
+  const root = $('#history-root');
+  if (!root) return;
+  Charts.destroyAll();
+  root.replaceChildren(el('h1', { class: 'title', text: '結果歷史' }));
+
+  const list = Router.listResults();
+  if (!list.length) {
+    root.appendChild(el('section', { class: 'card' }, [
+      el('p', { text: '還沒有完成的結果。完成測驗並開啟結果頁後，結果會自動記錄在這台裝置。' }),
+      el('div', { class: 'actions' }, [el('a', { class: 'btn primary', href: './index.html', text: '回首頁' })]),
+    ]));
+    return;
+  }
+  if (_selected === null) _selected = list.slice(0, 2).map(s => s.id).reverse();
+  _selected = _selected.filter(id => list.some(s => s.id === id));
+
+  renderList(root, list);
+  renderDiff(root, list);
+  renderTrend(root, list);
+}
+
+export async function initHistoryUI() {
+  await Router.ready();
+  if (Router.privacy().locked) {
+    Router.go('home', {}, { replace: true }); // 隱私模式鎖定中：回首頁解鎖
+    return;
+  }
+  await Vendor.loadAll(['chart']); // 趨勢圖用；載入失敗時略過圖表
+  render();
+  Router.onChange(() => render());
+}
@@ -0,0 +1,286 @@
+// src/ui/render-home.js
+// Home page (index.html): start / continue / import buttons, profiles, privacy mode, session list and data panel.
+// 由 src/pages/home.js 呼叫 initHome()；不會載入計分、作答或圖表的程式碼。
+
+import { Router } from '../core/router.js';
+import { openSession, downloadSession, pickAndImportSession } from './session-transfer.js';
+import { renderDataPanel } from './render-data.js';
+
+// ---- 小工具 ----
+function $(sel) { return document.querySelector(sel); }
+function on(el, ev, fn) { el && el.addEventListener(ev, fn); }
+
+// 嘗試抓取 build manifest（僅用於顯示版本與時間戳）
+async function fetchManifest() {
+  try {
+    const url = new URL('assets/js/weights.manifest.json', document.baseURI).href;
+    const res = await fetch(url, { cache: 'no-cache' });
+    if (!res.ok) return null;
+    return await res.json();
+  } catch {
+    return null;
+  }
+}
+
+// 在 index 頁放一些便利功能
+export async function initHome() {
+  // 版本資訊（可選）
+  const verBox = $('#buildInfo');
+  if (verBox) {
+    const m = await fetchManifest();
+    if (m?.ts) {
+      const ts = new Date(m.ts);
+      verBox.textContent = `版號 v${m.version ?? 1}｜建置時間 ${ts.toLocaleString()}`;
+    }
+  }
+
+  // 沒有 Router 的情況下：退化成直接跳連結
+  const hasRouter = !!Router?.ensureSession && !!Router?.go && !!Router?.current;
+
+  // 按鈕：開始 32 題
+  on($('#btnStart32'), 'click', () => {
+    if (hasRouter) {
+      const sess = Router.ensureSession({ mode: 'basic' });
+      Router.go('quiz', { mode: 'basic', sid: sess.sessionId });
+    } else {
+      // 退化：直接換頁
+      location.href = './quiz.html?mode=basic';
+    }
+  });
+
+  // 按鈕：自適應測驗（依作答逐題挑選，題數不固定）
+  on($('#btnStartAdaptive'), 'click', () => {
+    if (hasRouter) {
+      const sess = Router.ensureSession({ mode: 'adaptive' });
+      Router.go('quiz', { mode: 'adaptive', sid: sess.sessionId });
+    } else {
+      location.href = './quiz.html?mode=adaptive';
+    }
+  });
+
+  // 先等 session 儲存層（IndexedDB）載入，才看得到其他分頁或先前關閉的測驗
+  if (hasRouter) {
+    try { await Router.ready(); } catch {}
+  }
+
+  // 按鈕：續上次測驗（所有分頁中最近更新、尚未完成的一份）
+  const btnContinue = $('#btnContinue');
+  if (btnContinue) {
+    const last = hasRouter ? Router.listSessions().find(s => !s.finished) : null;
+    if (!last) {
+      btnContinue.disabled = true;
+      btnContinue.title = '目前沒有進行中的作答';
+    } else {
+      btnContinue.disabled = false;
+      on(btnContinue, 'click', () => resumeSession(last));
+    }
+  }
+
+  // 按鈕：從檔案載入作答（其他裝置匯出的作答檔；驗證後續作或直接看結果）
+  on($('#btnImport'), 'click', () => {
+    if (hasRouter) pickAndImportSession();
+  });
+
+  // 按鈕：清除這個分頁開啟過的作答（其他分頁與先前的紀錄保留）
+  on($('#btnClearThisTab'), 'click', () => {
+    try {
+      const sids = [];
+      for (let i = 0; i < sessionStorage.length; i++) {
+        const k = sessionStorage.key(i);
+        if (k && k.startsWith('jung8v:sess:v')) sids.push(k.split(':').pop());
+      }
+      sids.forEach((sid) => {
+        if (hasRouter) Router.clearSession(sid);
+        else sessionStorage.removeItem(`jung8v:sess:v1:${sid}`);
+      });
+      alert('已清除此分頁的作答。');
+      location.reload();
+    } catch {
+      alert('清除失敗，請檢查瀏覽器權限。');
+    }
+  });
+
+  if (hasRouter) {
+    renderProfileBar();
+    renderPrivacyBox();
+    renderSessionList();
+    renderDataPanel();
+    // 其他分頁作答或刪除時同步更新列表
+    Router.onChange(() => {
+      renderSessionList();
+      renderDataPanel();
+    });
+  }
+}
+
+// ---- 本機設定檔（共用裝置時各自的作答、結果歷史與設定） ----
+// 切換 / 新增 / 刪除後重新整理頁面，讓續上次測驗與紀錄列表都改讀新的設定檔
+function renderProfileBar() {
+  const box = $('#profileBar');
+  if (!box) return;
+  const profiles = Router.listProfiles();
+  const active = profiles.find(p => p.active);
+
+  const select = el('select', { 'aria-label': '設定檔' });
+  for (const p of profiles) {
+    const opt = el('option', { value: p.id, text: p.name });
+    opt.selected = p.active;
+    select.appendChild(opt);
+  }
+  on(select, 'change', () => {
+    Router.switchProfile(select.value);
+    location.reload();
+  });
+
+  const btnNew = el('button', { class: 'btn ghost', text: '新增' });
+  on(btnNew, 'click', () => {
+    const name = prompt('新設定檔的名稱：');
+    if (!name?.trim()) return;
+    Router.switchProfile(Router.createProfile(name).id);
+    location.reload();
+  });
+
+  const btnRename = el('button', { class: 'btn ghost', text: '重新命名' });
+  on(btnRename, 'click', () => {
+    const name = prompt('設定檔名稱：', active.name);
+    if (!name?.trim()) return;
+    Router.renameProfile(active.id, name);
+    renderProfileBar();
+  });
+
+  const children = [el('span', { class: 'muted', text: '設定檔' }), select, btnNew, btnRename];
+  if (active.id !== 'default') {
+    const btnDel = el('button', { class: 'btn danger ghost', text: '刪除' });
+    on(btnDel, 'click', () => {
+      if (!confirm(`確定要刪除設定檔「${active.name}」嗎？它的所有作答、結果歷史與設定都會一併刪除，無法復原。`)) return;
+      Router.deleteProfile(active.id);
+      location.reload();
+    });
+    children.push(btnDel);
+  }
+  box.replaceChildren(...children);
+}
+
+// ---- 隱私模式（作答與結果以密碼加密儲存） ----
+// 鎖定時首頁的開始 / 續作 / 載入都停用；解鎖、鎖定或開關後重新整理頁面
+function renderPrivacyBox() {
+  const box = $('#privacyBox');
+  if (!box) return;
+  const { enabled, locked } = Router.privacy();
+  ['#btnStart32', '#btnStartAdaptive', '#btnContinue', '#btnImport'].forEach((sel) => {
+    const btn = $(sel);
+    if (btn && locked) {
+      btn.disabled = true;
+      btn.title = '隱私模式已鎖定，請先輸入密碼';
+    }
+  });
+
+  const pass = (label) => el('input', { type: 'password', autocomplete: 'current-password', placeholder: label, 'aria-label': label });
+  const msg = el('span', { class: 'muted', 'aria-live': 'polite' });
+  const busy = async (btn, fn) => {
+    btn.disabled = true;
+    msg.textContent = '處理中…';
+    try {
+      await fn();
+    } catch (err) {
+      msg.textContent = `失敗：${err?.message || err}`;
+    } finally {
+      btn.disabled = false;
+    }
+  };
+
+  if (locked) {
+    const input = pass('密碼');
+    const btnUnlock = el('button', { class: 'btn primary', text: '解鎖' });
+    const unlock = () => busy(btnUnlock, async () => {
+      if (await Router.unlock(input.value)) location.reload();
+      else msg.textContent = '密碼錯誤。';
+    });
+    on(btnUnlock, 'click', unlock);
+    on(input, 'keydown', (e) => { if (e.key === 'Enter') unlock(); });
+    box.replaceChildren(el('span', { text: '🔒 隱私模式已鎖定' }), input, btnUnlock, msg);
+    return;
+  }
+
+  if (enabled) {
+    const btnLock = el('button', { class: 'btn ghost', text: '鎖定' });
+    on(btnLock, 'click', () => busy(btnLock, async () => {
+      await Router.lock();
+      location.reload();
+    }));
+    const btnOff = el('button', { class: 'btn danger ghost', text: '關閉隱私模式' });
+    on(btnOff, 'click', () => busy(btnOff, async () => {
+      const input = prompt('輸入密碼以關閉隱私模式（資料會改回不加密儲存）：');
+      if (input === null) { msg.textContent = ''; return; }
+      if (await Router.disablePrivacy(input)) location.reload();
+      else msg.textContent = '密碼錯誤。';
+    }));
+    box.replaceChildren(el('span', { text: '🔓 隱私模式（已解鎖）' }), btnLock, btnOff, msg);
+    return;
+  }
+
+  const input = pass('設定密碼');
+  const again = pass('再輸入一次');
+  const btnOn = el('button', { class: 'btn ghost', text: '啟用隱私模式' });
+  on(btnOn, 'click', () => busy(btnOn, async () => {
+    if (!input.value) { msg.textContent = '請輸入密碼。'; return; }
+    if (input.value !== again.value) { msg.textContent = '兩次輸入的密碼不一致。'; return; }
+    if (!confirm('啟用後，作答與結果會以這組密碼加密儲存；忘記密碼將無法復原資料。確定要啟用嗎？')) { msg.textContent = ''; return; }
+    await Router.enablePrivacy(input.value);
+    location.reload();
+  }));
+  input.autocomplete = again.autocomplete = 'new-password';
+  box.replaceChildren(el('span', { class: 'muted', text: '隱私模式' }), input, again, btnOn, msg);
+}
+
+// ---- 測驗紀錄（進行中與已完成） ----
+const BANK_NAME = { basic: '32 題', advA: '進階 A', advB: '進階 B', advC: '進階 C', adaptive: '自適應' };
+
+function el(tag, attrs = {}, children = []) {
+  const e = document.createElement(tag);
+  for (const [k, v] of Object.entries(attrs)) {
+    if (k === 'class') e.className = v;
+    else if (k === 'text') e.textContent = v;
+    else e.setAttribute(k, v);
+  }
+  children.forEach(c => e.appendChild(c));
+  return e;
+}
+
+// 進行中 → 回到作答頁；已完成 → 對應的結果頁
+function resumeSession(info) {
+  openSession({ ...info.session, banks: info.banks }, info.finished);
+}
+
+function renderSessionList() {
+  const box = $('#sessionList');
+  if (!box) return;
+  const list = Router.listSessions();
+  box.replaceChildren();
+  if (!list.length) return;
+
+  box.appendChild(el('h2', { text: '我的測驗紀錄' }));
+  const ul = el('ul', { class: 'session-list' });
+  for (const info of list) {
+    const when = info.updatedAt ? new Date(info.updatedAt).toLocaleString() : '';
+    const label = info.banks.map(b => BANK_NAME[b] || b).join(' + ');
+    const status = info.finished ? '已完成' : `進行中 ${info.answered} / ${info.total}`;
+    const btnOpen = el('button', { class: 'btn ghost', text: info.finished ? '查看結果' : '繼續作答' });
+    const btnSave = el('button', { class: 'btn ghost', text: '下載' });
+    const btnDel = el('button', { class: 'btn danger ghost', text: '刪除' });
+    on(btnOpen, 'click', () => resumeSession(info));
+    on(btnSave, 'click', () => downloadSession(info.session));
+    on(btnDel, 'click', () => {
+      if (!confirm('確定要刪除這份作答紀錄嗎？')) return;
+      Router.clearSession(info.sessionId);
+      renderSessionList();
+    });
+    ul.appendChild(el('li', { class: info.finished ? 'done' : 'open' }, [
+      el('span', { class: 'label', text: label }),
+      el('span', { class: 'status muted', text: status }),
+      el('span', { class: 'when muted', text: when }),
+      el('span', { class: 'actions' }, [btnOpen, btnSave, btnDel]),
+    ]));
+  }
+  box.appendChild(ul);
+}
@@ -1,9 +1,12 @@
 // src/ui/render-quiz.js
 // Quiz page UI glue: render question, A/B fixed cards, centered 5-point scale, progress & navigation.
-// Works with Router + QuizEngine.
+// Works with Router + QuizEngine; the advanced-set panel asks Scorer + Advisor for a recommendation.
 
 import { Router } from '../core/router.js';
-import { QuizEngine } from '../core/quiz-engine.js';
+import { QuizEngine, toSignedAnswer, describeMigration } from '../core/quiz-engine.js';
+import { Scorer } from '../core/scorer.js';
+import { Advisor } from '../core/advisor.js';
+import { isBankError, renderBankError } from './bank-error.js';
 
 const IDS = {
   root: 'quiz-root',
@@ -20,6 +23,10 @@ const IDS = {
 };
 
 let _state = null; // cache of QuizEngine.getState()
+let _locked = false;   // 同一個 session 正在其他分頁作答 → 本分頁暫停（唯讀）
+let _adviceFor = null; // 已產生建議的 sessionId + 題組組合（每完成一組只分析一次）
+
+const ADV_BUTTONS = { advA: 'btnAdvA', advB: 'btnAdvB', advC: 'btnAdvC' };
 
 // ---------- DOM helpers ----------
 function $(selOrEl) {
@@ -65,6 +72,15 @@ function buildSkeleton() {
     h('h2', { id: IDS.title, text: '測驗進行中' }),
   ]);
 
+  // Lock notice（同一份測驗在其他分頁開啟時）
+  const lock = h('div', { id: 'quizLock', class: 'quiz-lock', style: 'display:none', role: 'status' }, [
+    h('p', { text: '這份測驗正在其他分頁作答；為避免互相覆蓋，這個分頁暫停作答。' }),
+    h('button', { class: 'btn primary', id: 'btnTakeOver', text: '改在這個分頁繼續' }),
+  ]);
+
+  // Migration notice（題庫更新後搬移了作答）
+  const notice = h('div', { id: 'quizNotice', class: 'quiz-notice', style: 'display:none', role: 'status' });
+
   // Question block
   const qBlock = h('div', { class: 'quiz-qblock' }, [
     h('div', { id: IDS.text, class: 'question', text: '' }),
@@ -88,18 +104,23 @@ function buildSkeleton() {
 
   // Advanced panel (after basic complete)
   const advPanel = h('div', { id: IDS.advPanel, class: 'quiz-adv-panel', style: 'display:none' }, [
-    h('h3', { text: '想要更完整的 56 題結果嗎？' }),
-    h('p', { class: 'muted', text: '你可以選擇接續進階題組，或直接查看 32 題結果。' }),
+    h('h3', { id: 'advTitle', text: '想要更完整的 56 題結果嗎？' }),
+    h('p', { id: 'advHint', class: 'muted', text: '你可以選擇接續進階題組，或直接查看 32 題結果。' }),
+    h('div', { id: 'advAdvice', class: 'adv-advice', 'aria-live': 'polite' }),
     h('div', { class: 'adv-actions' }, [
       h('button', { class: 'btn ghost', id: 'btnAdvA', text: '進階 A 組' }),
       h('button', { class: 'btn ghost', id: 'btnAdvB', text: '進階 B 組' }),
       h('button', { class: 'btn ghost', id: 'btnAdvC', text: '進階 C 組' }),
       h('button', { class: 'btn primary', id: 'btnSeeBasic', text: '直接看 32 題結果' }),
     ]),
+    h('label', { class: 'adv-auto muted' }, [
+      h('input', { type: 'checkbox', id: 'advAuto' }),
+      document.createTextNode(' 以後完成 32 題時，自動接續建議的題組'),
+    ]),
   ]);
 
   // Mount
-  root.replaceChildren(header, qBlock, nav, progress, advPanel);
+  root.replaceChildren(header, lock, notice, qBlock, nav, progress, advPanel);
   return root;
 }
 
@@ -127,15 +148,22 @@ function renderScale(selectedValue) {
   wrap.appendChild(scaleWrap);
 }
 
+// adaptive 題數不固定：顯示題數上限而非總題數
+function qidText(st) {
+  if (!st) return '第 ? 題';
+  if (st.adaptive && !st.adaptive.stop) return `第 ${st.step + 1} 題（最多 ${st.adaptive.maxItems} 題）`;
+  return `第 ${st.step + 1} 題 / 共 ${st.total} 題`;
+}
+
 function buildABCardsHTML(item) {
-  // 優先讀 items 的典型欄位：stem + options[0]/[1]
-  const stem = item?.stem ?? item?.text ?? item?.title ?? '';
-  // 支援多種欄位命名：options/opts/choices、或 A/B
-  const optA = item?.options?.[0] ?? item?.opts?.[0] ?? item?.choices?.[0] ?? item?.A ?? item?.a ?? '選項 A';
-  const optB = item?.options?.[1] ?? item?.opts?.[1] ?? item?.choices?.[1] ?? item?.B ?? item?.b ?? '選項 B';
+  // 題目欄位已在載入時依 item-schema.js 驗證：stem + 恰好兩個 options
+  const stem = item?.stem ?? '';
+  const [opt0, opt1] = item?.options ?? ['', ''];
+  // QuizEngine 依 seed 決定的左右對調：畫面上的 A/B 卡片交換內容（計分時由 Scorer 還原）
+  const [optA, optB] = item?.swapped ? [opt1, opt0] : [opt0, opt1];
 
   return `
-    <div class="qid">第 ${_state ? (_state.step + 1) : '?'} 題 / 共 ${_state?.total ?? '?' } 題</div>
+    <div class="qid">${qidText(_state)}</div>
     <div class="stem">${escapeHtml(stem)}</div>
     <div class="pair-cards" aria-hidden="true">
       <div class="pair-card A">
@@ -165,7 +193,8 @@ function renderQuestion() {
     st.mode === 'basic' ? '32 題' :
     st.mode === 'advA'  ? '進階 A 組' :
     st.mode === 'advB'  ? '進階 B 組' :
-    st.mode === 'advC'  ? '進階 C 組' : st.mode;
+    st.mode === 'advC'  ? '進階 C 組' :
+    st.mode === 'adaptive' ? '自適應' : st.mode;
 
   if (title) title.textContent = `榮格八維自測｜${modeName}`;
 
@@ -173,20 +202,25 @@ function renderQuestion() {
   const progText = $(IDS.progressText);
   const progBar = $(IDS.progressBar);
   const pct = Math.round(st.progress * 100);
-  if (progText) progText.textContent = `${Math.min(st.step + 1, st.total)} / ${st.total}（${pct}%）`;
+  if (progText) {
+    progText.textContent = st.adaptive && !st.adaptive.stop
+      ? `${st.step + 1} / 最多 ${st.adaptive.maxItems}（作答結果夠明確時會提前結束）`
+      : `${Math.min(st.step + 1, st.total)} / ${st.total}（${pct}%）`;
+  }
   if (progBar)  progBar.style.width = `${pct}%`;
 
   // Done?
   const advPanel = $(IDS.advPanel);
   if (st.done) {
-    if (st.mode === 'basic') {
-      // 顯示進階選單
+    if (canContinue(st)) {
+      // 顯示進階選單（只列出還沒做過的題組）
       setHidden(advPanel, false);
       setHidden($(IDS.answers), true);
+      syncAdvancedPanel(st);
       if (qText) {
-        qText.innerHTML = `
-          <div class="stem">你已完成 32 題。要不要接續進階，取得更細緻的 56 題分析？</div>
-        `;
+        qText.innerHTML = isBasicOnly(st)
+          ? `<div class="stem">你已完成 32 題。要不要接續進階，取得更細緻的 56 題分析？</div>`
+          : `<div class="stem">你已完成 ${escapeHtml(bankNames(st.banks))}。要不要再接續其他進階題組？</div>`;
       }
       if (btnPrev) btnPrev.disabled = true;
       if (btnNext) btnNext.disabled = true;
@@ -194,10 +228,11 @@ function renderQuestion() {
 
       // 滑到面板，避免行動裝置底部工具列卡住
       try { advPanel.scrollIntoView({ behavior: 'smooth', block: 'center' }); } catch {}
+      showAdvice(st);
       return;
     } else {
-      // 進階完成 → 直接導向進階結果
-      Router.go('result_advanced', { sid: st.sessionId, mode: st.mode });
+      // 沒有可接續的題組 → 直接導向進階結果
+      goResult('result_advanced', st);
       return;
     }
   } else {
@@ -217,23 +252,158 @@ function renderQuestion() {
   if (btnPrev)  btnPrev.disabled  = (st.step <= 0);
   if (btnNext)  btnNext.disabled  = false; // 若想強制作答才可下一題，可改為 (sel04 == null)
   if (btnClear) btnClear.disabled = (sel04 == null);
+  if (_locked) setLocked(true);
 
   // 行動裝置小優化：切換題目時微調捲動，避免底部工具列卡住無法上滑
   try { window.scrollBy({ top: 16, behavior: 'smooth' }); } catch {}
 }
 
+// ---------- Cross-tab editing lock ----------
+function setLocked(locked) {
+  const was = _locked;
+  _locked = locked;
+  setHidden($('#quizLock'), !locked);
+  if (locked) {
+    document.querySelectorAll(`#${IDS.root} .quiz-nav .btn, #${IDS.answers} .scale-btn, #${IDS.advPanel} .btn`)
+      .forEach((b) => { b.disabled = true; });
+  } else if (was) {
+    renderQuestion(); // 恢復按鈕狀態
+  }
+}
+
+// 取得本 session 的編輯權；steal=true 時從其他分頁接手（對方會收到 onLost 轉為唯讀）
+async function claimEditing(sid, steal = false) {
+  const ok = await Router.claimSession(sid, { steal, onLost: () => setLocked(true) });
+  setLocked(!ok);
+  return ok;
+}
+
+async function takeOver() {
+  const st = QuizEngine.getState();
+  if (!(await claimEditing(st.sessionId, true))) return;
+  // 其他分頁可能已更新作答：重新載入 session
+  await QuizEngine.bootstrap({ mode: st.mode, sid: st.sessionId });
+  _state = QuizEngine.getState();
+  renderQuestion();
+}
+
+// ---------- Advanced panel ----------
+const BANK_NAME = { basic: '32 題', advA: '進階 A 組', advB: '進階 B 組', advC: '進階 C 組' };
+
+function bankNames(banks) {
+  return (banks || []).map(b => BANK_NAME[b] || b).join('、');
+}
+function isBasicOnly(st) {
+  return st.banks?.length === 1 && st.banks[0] === 'basic';
+}
+// 題組作答完且還有沒做過的進階題組 → 顯示面板（adaptive 沒有 remaining）
+function canContinue(st) {
+  return st.remaining?.length > 0;
+}
+
+function syncAdvancedPanel(st) {
+  const title = $('#advTitle');
+  const hint = $('#advHint');
+  const seeResult = $('#btnSeeBasic');
+  if (isBasicOnly(st)) {
+    if (title) title.textContent = '想要更完整的 56 題結果嗎？';
+    if (hint) hint.textContent = '你可以選擇接續進階題組，或直接查看 32 題結果。';
+    if (seeResult) seeResult.textContent = '直接看 32 題結果';
+  } else {
+    if (title) title.textContent = '還要再接續其他進階題組嗎？';
+    if (hint) hint.textContent = `已完成：${bankNames(st.banks)}。可以再加一組，或直接查看目前的綜合結果。`;
+    if (seeResult) seeResult.textContent = '直接看結果';
+  }
+  Object.entries(ADV_BUTTONS).forEach(([mode, id]) => setHidden($(`#${id}`), !st.remaining.includes(mode)));
+}
+
+// ---------- Advanced-set advice ----------
+// 以目前所有作答計分，估計各剩餘進階題組的期望資訊量，交給 Advisor 產生建議與理由
+async function recommendAdvanced(st) {
+  // 直接由 session 存的 0..4 轉成 -2..2（同 extendAdaptive）；不經 exportAnswers 的 1..5 正規化
+  const exported = st.items.map((it, i) => ({ id: String(it.id), value: toSignedAnswer(st.answers?.[i]), swapped: !!it.swapped }));
+  const parts = st.segments.map(sg => ({ mode: sg.mode, answers: exported.slice(sg.start, sg.end) }));
+  let result;
+  if (parts.length === 1) {
+    await Scorer.init(parts[0].mode);
+    result = await Scorer.score({ mode: parts[0].mode, answers: parts[0].answers, seed: st.seed });
+  } else {
+    result = await Scorer.scoreBanks(parts, { seed: st.seed });
+  }
+  const banks = await Scorer.rankBanks({ answers: exported, modes: st.remaining });
+  return Advisor.recommend(result, banks);
+}
+
+function renderAdvice(rec) {
+  const box = $('#advAdvice');
+  Object.entries(ADV_BUTTONS).forEach(([mode, id]) => {
+    const btn = $(`#${id}`);
+    if (!btn) return;
+    const isRec = mode === rec?.mode;
+    btn.classList.toggle('recommended', isRec);
+    btn.textContent = btn.textContent.replace('（建議）', '') + (isRec ? '（建議）' : '');
+  });
+  if (!box) return;
+  if (!rec?.mode) {
+    box.innerHTML = '';
+    return;
+  }
+  const label = BANK_NAME[rec.mode] || rec.mode;
+  box.innerHTML = `
+    <p><strong>建議接續：${escapeHtml(label)}</strong></p>
+    <ul>${rec.reasons.map(r => `<li>${escapeHtml(r)}</li>`).join('')}</ul>
+  `;
+}
+
+async function showAdvice(st) {
+  const key = `${st.sessionId}:${st.banks.join('+')}`;
+  if (_adviceFor === key) return;
+  _adviceFor = key;
+  const box = $('#advAdvice');
+  if (box) box.textContent = `正在分析你的 ${bankNames(st.banks)} 結果…`;
+  const auto = $('#advAuto');
+  if (auto) auto.checked = !!Router.getSetting('autoAdvance', false);
+
+  let rec = null;
+  try {
+    rec = await recommendAdvanced(st);
+  } catch (err) {
+    console.warn('[quiz] advanced-set advice unavailable', err);
+  }
+  renderAdvice(rec);
+  // 自動接續只在剛完成 32 題時（設定的說明）；之後的題組由使用者自己選
+  const basicOnly = st.banks.length === 1 && st.banks[0] === 'basic';
+  if (rec?.mode && basicOnly && !_locked && Router.getSetting('autoAdvance', false)) {
+    await continueAdvanced(rec.mode);
+  }
+}
+
+async function continueAdvanced(kind) {
+  if (_locked) return;
+  try {
+    await QuizEngine.continueToAdvanced(kind);
+  } catch (err) {
+    if (!showBankError(err)) throw err;
+    return;
+  }
+  _state = QuizEngine.getState();
+  renderQuestion();
+  scrollToTop();
+}
+
 // ---------- Event handlers ----------
 function onAnswer(v /* internal -2..2 */) {
-  // QuizEngine 會把 -2..2 / 1..5 / 0..4 正規化為 0..4 儲存
-  _state = QuizEngine.answer(Number(v));
+  if (_locked) return;
+  // QuizEngine 只接受 1..5 或 0..4：量表 -2..2 轉成 1..5 交給引擎（存為 0..4，0 = 非常同意A）
+  _state = QuizEngine.answer(Number(v) + 3);
   renderQuestion();
 
   // 完成即導向或顯示面板
   if (_state.done) {
-    if (_state.mode === 'basic') {
+    if (canContinue(_state)) {
       renderQuestion(); // 顯示進階面板
     } else {
-      Router.go('result_advanced', { sid: _state.sessionId, mode: _state.mode });
+      goResult('result_advanced', _state);
     }
   }
 }
@@ -244,6 +414,7 @@ function bindNav() {
   const btnClear = $(IDS.navClear);
 
   btnPrev?.addEventListener('click', () => {
+    if (_locked) return;
     const st = QuizEngine.getState();
     const idx = Math.max(0, st.step - 1);
     _state = QuizEngine.go(idx);
@@ -252,17 +423,19 @@ function bindNav() {
   });
 
   btnNext?.addEventListener('click', () => {
+    if (_locked) return;
     const st = QuizEngine.getState();
     if (st.step < st.total) {
       _state = QuizEngine.go(st.step + 1);
       renderQuestion();
       try { window.scrollBy({ top: 24, behavior: 'smooth' }); } catch {}
     } else {
-      if (st.mode !== 'basic') Router.go('result_advanced', { sid: st.sessionId, mode: st.mode });
+      if (!canContinue(st)) goResult('result_advanced', st);
     }
   });
 
   btnClear?.addEventListener('click', () => {
+    if (_locked) return;
     const st = QuizEngine.getState();
     const ans = st.answers.slice();
     ans[st.step] = null;
@@ -277,27 +450,16 @@ function bindAdvancedPanel() {
   const advC = $('#btnAdvC');
   const seeBasic = $('#btnSeeBasic');
 
-  advA?.addEventListener('click', async () => {
-    await QuizEngine.continueToAdvanced('advA');
-    _state = QuizEngine.getState();
-    renderQuestion();
-    scrollToTop();
-  });
-  advB?.addEventListener('click', async () => {
-    await QuizEngine.continueToAdvanced('advB');
-    _state = QuizEngine.getState();
-    renderQuestion();
-    scrollToTop();
-  });
-  advC?.addEventListener('click', async () => {
-    await QuizEngine.continueToAdvanced('advC');
-    _state = QuizEngine.getState();
-    renderQuestion();
-    scrollToTop();
+  advA?.addEventListener('click', () => continueAdvanced('advA'));
+  advB?.addEventListener('click', () => continueAdvanced('advB'));
+  advC?.addEventListener('click', () => continueAdvanced('advC'));
+  $('#advAuto')?.addEventListener('change', (e) => {
+    Router.setSetting('autoAdvance', !!e.target.checked);
   });
   seeBasic?.addEventListener('click', () => {
     const st = QuizEngine.getState();
-    Router.go('result_basic', { sid: st.sessionId, mode: 'basic' });
+    if (isBasicOnly(st)) goResult('result_basic', { ...st, mode: 'basic' });
+    else goResult('result_advanced', st);
   });
 }
 
@@ -305,7 +467,7 @@ function bindKeyboard() {
   // 1..5 → 對應 -2..2；0..4 也接受；← → 導航；Backspace/R 清除
   document.addEventListener('keydown', (e) => {
     const st = QuizEngine.getState();
-    if (st.done) return;
+    if (st.done || _locked) return;
 
     const k = e.key;
     if (/^[1-5]$/.test(k)) {
@@ -343,16 +505,48 @@ function bindKeyboard() {
   });
 }
 
+// 前往結果頁：全部作答完才寫入 finishedAt；未完成也照常導向（結果頁會顯示未完成）
+function goResult(page, st) {
+  try { QuizEngine.finish(); } catch {}
+  Router.go(page, { sid: st.sessionId, mode: st.mode });
+}
+
 function scrollToTop() {
   try { window.scrollTo({ top: 0, behavior: 'smooth' }); } catch {}
 }
 
+function renderMigration(migration) {
+  const box = $('#quizNotice');
+  if (!box) return;
+  box.textContent = describeMigration(migration);
+  setHidden(box, !migration);
+}
+
+// 題庫格式錯誤：整頁換成錯誤說明（題庫、題目 id、欄位），不再作答
+function showBankError(err) {
+  if (!isBankError(err)) return false;
+  console.error('[quiz] item bank failed validation', err.errors);
+  Router.setLeaveGuard(false);
+  renderBankError($(IDS.root), err);
+  return true;
+}
+
 // ---------- Init ----------
 export async function initQuizUI() {
   buildSkeleton();
   bindNav();
   bindAdvancedPanel();
   bindKeyboard();
+  $('#btnTakeOver')?.addEventListener('click', () => {
+    takeOver().catch((err) => { console.error('[quiz] take over failed', err); });
+  });
+
+  // 隱私模式鎖定中：作答讀不到也存不了，回首頁解鎖
+  await Router.ready();
+  if (Router.privacy().locked) {
+    Router.go('home', {}, { replace: true });
+    return;
+  }
 
   // 啟用離開提醒
   Router.setLeaveGuard(true);
@@ -360,17 +554,17 @@ export async function initQuizUI() {
   // 啟動引擎
   const { query } = Router.current();
   const mode = query.mode || 'basic';
-  await QuizEngine.bootstrap({ mode, sid: query.sid });
+  try {
+    await QuizEngine.bootstrap({ mode, sid: query.sid });
+  } catch (err) {
+    if (!showBankError(err)) throw err;
+    return;
+  }
 
   _state = QuizEngine.getState();
+  renderMigration(_state.migration);
   renderQuestion();
-}
 
-// 自動初始化
-if (document.currentScript && document.readyState !== 'loading') {
-  initQuizUI().catch((err) => { console.error('[quiz] init failed', err); });
-} else {
-  document.addEventListener('DOMContentLoaded', () => {
-    initQuizUI().catch((err) => { console.error('[quiz] init failed', err); });
-  });
-}
\ No newline at end of file
+  // 同一份測驗可能已在其他分頁開啟：取得編輯權，拿不到時本分頁轉為唯讀
+  await claimEditing(_state.sessionId);
+}
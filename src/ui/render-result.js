@@ -1,12 +1,21 @@
 // src/ui/render-result.js
 // Render result pages (basic & advanced) using Scorer + Report.
 // - Basic (32): 八功能 + 四軸 + 一句話 + 建議 + 長條圖/雷達
-// - Advanced (56): 綜合 MBTI + 完成度提示
+// - Advanced (56): basic + 進階合併計分 + 各題組拆解 + 完成度提示
+// - 分享連結（#r=...）：依連結內的作答重新計分，唯讀顯示、不寫入儲存
 //
-// 需求：在 result_* 頁面 <script> 順序務必：chart.umd.js -> pako.min.js -> app.min.js
+// 由 src/pages/result.js 呼叫 initResultUI()；Chart.js 與 pako 在這裡按需載入（core/vendor.js）。
+// 頁面需先載入 assets/js/weights.js（權重 chunk 載入器）。
 
+import { Router } from '../core/router.js';
+import { rebuildSessionItems, sessionBankVersions, migrateSession, describeMigration, toSignedAnswer } from '../core/quiz-engine.js';
 import { Scorer } from '../core/scorer.js';
 import { Report } from '../core/report.js';
+import { Charts } from '../core/charts.js';
+import { History } from '../core/history.js';
+import { Vendor } from '../core/vendor.js';
+import { downloadSession, pickAndImportSession } from './session-transfer.js';
+import { isBankError, renderBankError } from './bank-error.js';
 
 // ------- DOM helpers -------
 const $ = (sel, root = document) => root.querySelector(sel);
@@ -22,55 +31,62 @@ const el = (tag, attrs = {}, children = []) => {
   return e;
 };
 const tidy = (x) => JSON.parse(JSON.stringify(x));
-
-// ------- fetch helpers -------
-async function fetchJSON(url) {
-  const res = await fetch(url, { cache: 'no-store' });
-  if (!res.ok) throw new Error(`HTTP ${res.status} @ ${url}`);
-  return res.json();
+const MODE_LABEL = { basic: '32 題', advA: '進階 A 組', advB: '進階 B 組', advC: '進階 C 組', adaptive: '自適應' };
+
+// ------- answer source：Router session（?sid=...）或分享連結（#r=...） -------
+// 作答存在 Router 的 session（IndexedDB，本分頁另有 sessionStorage 鏡像）；依 seed 重建出題順序後，把 answers 對回題目 id。
+// 回傳 { session, parts: [{ mode, answers:[{id,value,swapped}], answered, total, complete }], shared, migration? }，沒有 session 時回傳 null
+async function loadResultParts() {
+  const shared = Router.readShare();
+  return shared ? loadSharedParts(shared) : loadSessionParts();
 }
 
-// 讀 docs/data 的相對路徑
-function dataUrl(name) {
-  return new URL(`../data/${name}`, document.baseURI).href
-    .replace(/\/docs\/docs\//, '/docs/'); // GH Pages 容錯（某些 repo 結構會重複）
-}
+async function loadSessionParts() {
+  await Router.ready();
+  if (Router.privacy().locked) {
+    Router.go('home', {}, { replace: true }); // 隱私模式鎖定中：回首頁解鎖
+    return null;
+  }
+  const current = Router.current().session;
+  if (!current) return null;
 
-// ------- answer sources (從你現有儲存) -------
-// 你前面版本把 basic 存在 localStorage('jung8v:basicAnswers') = Array(32)
-function loadBasicFromLocal() {
-  try {
-    const raw = localStorage.getItem('jung8v:basicAnswers');
-    if (!raw) return null;
-    const arr = JSON.parse(raw);
-    return Array.isArray(arr) ? arr : null;
-  } catch { return null; }
-}
-// 進階：你先前存成 jung8v:advAnswers = {A:[..],B:[..],C:[..]}
-// 我們允許三組任一存在就算分數（A/B/C 有就吃；沒有的忽略）
-function loadAdvancedFromLocal() {
-  try {
-    const raw = localStorage.getItem('jung8v:advAnswers');
-    if (!raw) return null;
-    const obj = JSON.parse(raw) || {};
-    const A = Array.isArray(obj.A) ? obj.A : null;
-    const B = Array.isArray(obj.B) ? obj.B : null;
-    const C = Array.isArray(obj.C) ? obj.C : null;
-    return { A, B, C };
-  } catch { return null; }
+  // 題庫更新過：作答先依題目 id 搬到目前的題庫（與作答頁相同），再對回題目
+  const { session, migration } = await migrateSession(current);
+  const { items, segments } = await rebuildSessionItems(session);
+  return { session, parts: partsOf(session, items, segments), shared: false, migration };
 }
 
-// 把「依出題順序的答案陣列」→ 附上題目 id。
-// items: 來自 items_public_xxx.json（我們嘗試讀 item.id / item.qid，沒有就 fallback 用 index）
-function attachIds(items, answers) {
-  const arr = [];
-  for (let i = 0; i < Math.min(items.length, answers.length); i++) {
-    const item = items[i] || {};
-    const id = String(item.id ?? item.qid ?? i);
-    const v  = answers[i];
-    arr.push({ id, value: v });
+// 分享連結：題庫版本必須與連結一致，A/B 對調依連結內的逐題紀錄（session 只在記憶體）
+async function loadSharedParts({ session, swapped, bankVersions }) {
+  const { versions } = await sessionBankVersions(session);
+  const changed = Object.keys(versions).filter(m => bankVersions[m] !== versions[m]);
+  if (changed.length) {
+    throw new Error(`題庫已更新（${changed.map(m => MODE_LABEL[m] || m).join('、')}），這個分享連結的作答無法對回目前的題目。`);
   }
-  return arr;
+  const { items, segments } = await rebuildSessionItems(session);
+  if (items.length !== session.answers.length) throw new Error('分享連結的題數與題庫不符。');
+
+  const swaps = Object.fromEntries(items.map((it, i) => [String(it.id), !!swapped[i]]));
+  const sess = { ...session, swaps };
+  const withSwaps = items.map(it => ({ ...it, swapped: swaps[String(it.id)] }));
+  const parts = partsOf(sess, withSwaps, segments);
+  if (parts.some(p => !p.complete)) throw new Error('分享連結的作答不完整。');
+  return { session: sess, parts, shared: true };
+}
+
+function partsOf(session, items, segments) {
+  const stored = Array.isArray(session.answers) ? session.answers : [];
+  return segments.map(({ mode, start, end }) => {
+    const answers = [];
+    let answered = 0;
+    for (let i = start; i < end; i++) {
+      const value = toSignedAnswer(stored[i]);
+      if (value !== null) answered++;
+      answers.push({ id: String(items[i].id), value, swapped: !!items[i].swapped });
+    }
+    const total = end - start;
+    return { mode, answers, answered, total, complete: answered === total };
+  });
 }
 
 // ------- charts -------
@@ -104,27 +120,6 @@ function drawBars(canvas, rows) {
   });
 }
 
-function drawRadar(canvas, rows) {
-  if (!(window.Chart && canvas?.getContext)) return;
-  const ctx = canvas.getContext('2d');
-  const labels = rows.map(r => r.key);
-  const data   = rows.map(r => Math.round(r.pct));
-
-  return new Chart(ctx, {
-    type: 'radar',
-    data: {
-      labels,
-      datasets: [{ label: '八功能雷達', data }]
-    },
-    options: {
-      animation: false,
-      responsive: true,
-      plugins: { legend: { display: false } },
-      scales: { r: { angleLines: { display: true }, suggestedMin: 0, suggestedMax: 100 } }
-    }
-  });
-}
-
 // 型別徽章顏色群組（跟你 CSS 的 4 群對齊）
 function typeGroup(code) {
   if (!code) return 'nt';
@@ -154,7 +149,7 @@ function renderSummary(root, reportSummary) {
   root.appendChild(box);
 }
 
-function renderCharts(root, funcRows) {
+function renderCharts(root, funcRows, result) {
   const sec = el('section', { class: 'res-charts card' });
   sec.appendChild(el('div', { class: 'chart-wrap' }, [
     el('canvas', { id: 'funcBars', width: '560', height: '300' }),
@@ -165,7 +160,12 @@ function renderCharts(root, funcRows) {
   root.appendChild(sec);
 
   drawBars($('#funcBars'), funcRows);
-  drawRadar($('#funcRadar'), funcRows);
+  // 雷達圖交給 Charts（含 bootstrap 信賴區間帶）；沒有 Chart.js 時略過
+  try {
+    Charts.renderRadar(result, $('#funcRadar'), { label: '八功能雷達', aspectRatio: 560 / 300 });
+  } catch (err) {
+    console.info('[result] radar skipped:', err?.message || err);
+  }
 }
 
 function renderTable(root, funcRows) {
@@ -174,6 +174,59 @@ function renderTable(root, funcRows) {
   root.appendChild(sec);
 }
 
+function renderValidity(root, validity, { shared = false } = {}) {
+  if (!validity) return;
+  const poor = validity.severity === 'poor';
+  const sec = el('section', { class: `res-validity card${poor ? ' warn' : ''}` }, [
+    el('div', { html: Report.toHTML.validity(validity) }),
+  ]);
+  // 分享連結（#r=）看的是別人的結果：不提供重新作答
+  if (!shared) {
+    const btnRetake = el('button', { class: `btn ${poor ? 'primary' : 'ghost'}`, text: '重新作答 32 題' });
+    btnRetake.addEventListener('click', retakeBasic);
+    sec.appendChild(el('div', { class: 'actions' }, [btnRetake]));
+  }
+  root.appendChild(sec);
+}
+
+function retakeBasic() {
+  // 隱私模式鎖定中：建不了新 session，回首頁解鎖
+  if (Router.privacy().locked) {
+    Router.go('home', {}, { replace: true });
+    return;
+  }
+  let sess;
+  try {
+    sess = Router.ensureSession({ mode: 'basic' });
+  } catch (err) {
+    console.warn('[result] retake failed:', err?.message || err);
+    Router.go('home', {}, { replace: true });
+    return;
+  }
+  Router.go('quiz', { mode: 'basic', sid: sess.sessionId });
+}
+
+function renderPosterior(root, posterior) {
+  if (!posterior) return;
+  const sec = el('section', { class: 'res-posterior card' });
+  sec.innerHTML = Report.toHTML.posterior(posterior);
+  root.appendChild(sec);
+}
+
+function renderTemperament(root, temperament) {
+  if (!temperament) return;
+  const sec = el('section', { class: 'res-temperament card' });
+  sec.innerHTML = Report.toHTML.temperament(temperament);
+  root.appendChild(sec);
+}
+
+function renderBanks(root, breakdown) {
+  if (!breakdown) return;
+  const sec = el('section', { class: 'res-banks card' });
+  sec.innerHTML = Report.toHTML.bankBreakdown(breakdown);
+  root.appendChild(sec);
+}
+
 function renderNarrative(root, narrative) {
   const sec = el('section', { class: 'res-narrative card' });
   sec.innerHTML = Report.toHTML.typeNarrative(narrative);
@@ -187,7 +240,76 @@ function renderRecos(root, tips) {
   root.appendChild(sec);
 }
 
+// 結果歷史：完成的作答存一筆分數快照（分享連結開啟的結果不存）
+function recordHistory(loaded, result, modes) {
+  const sess = loaded.session;
+  if (loaded.shared || !sess?.meta?.finishedAt) return;
+  try {
+    Router.recordResult(History.snapshot(result, { sessionId: sess.sessionId, modes, date: sess.meta.finishedAt }));
+  } catch (err) {
+    console.warn('[result] history not saved:', err?.message || err);
+  }
+}
+
+// 分享連結：作答向量 + seed + 題庫版本（Router.shareLink），開在目前這個結果頁
+async function copyShareLink(loaded) {
+  const { session, parts } = loaded;
+  const swapped = parts.flatMap(p => p.answers.map(a => a.swapped));
+  const { versions } = await sessionBankVersions(session);
+  const page = pageFile().toLowerCase() === 'result_basic.html' ? 'result_basic' : 'result_advanced';
+  const url = new URL(Router.shareLink(page, session, { swapped, bankVersions: versions }), location.href).href;
+  try {
+    await navigator.clipboard.writeText(url);
+    alert('已複製分享連結。');
+  } catch {
+    prompt('複製這個分享連結：', url);
+  }
+}
+
+// 分享與作答檔：分享連結 / 備份 / 移到其他裝置（作答檔格式見 core/session-file.js）
+function renderTransfer(root, loaded) {
+  const btnShare = el('button', { class: 'btn primary', text: '複製分享連結' });
+  const btnSave = el('button', { class: 'btn ghost', text: '下載我的作答' });
+  const btnLoad = el('button', { class: 'btn ghost', text: '從檔案載入作答' });
+  btnShare.addEventListener('click', () => {
+    copyShareLink(loaded).catch((err) => alert(`無法產生分享連結：${err?.message || err}`));
+  });
+  btnSave.addEventListener('click', () => downloadSession(loaded.session));
+  btnLoad.addEventListener('click', () => pickAndImportSession());
+  root.appendChild(el('section', { class: 'card' }, [
+    el('h3', { text: '分享與作答檔' }),
+    el('p', { class: 'muted', text: '分享連結內含這次的作答，對方開啟後會在自己的瀏覽器重新計算、唯讀顯示；下載的檔案可在其他裝置載入。' }),
+    el('div', { class: 'actions' }, [btnShare, btnSave, btnLoad,
+      el('a', { class: 'btn ghost', href: './history.html', text: '結果歷史' }),
+    ]),
+  ]));
+}
+
+// 題庫更新後作答已依題目 id 遷移：說明保留 / 移除了哪些題目
+function renderMigration(root, loaded) {
+  if (!loaded?.migration) return;
+  root.appendChild(el('section', { class: 'card migration-notice', role: 'status' }, [
+    el('p', { text: describeMigration(loaded.migration) }),
+  ]));
+}
+
+// 分享連結開啟的結果：唯讀提示（不會存到這台裝置）
+function renderSharedBanner(root, sess) {
+  const when = sess.meta?.finishedAt ? new Date(sess.meta.finishedAt).toLocaleString() : null;
+  root.appendChild(el('section', { class: 'card shared-banner' }, [
+    el('h3', { text: '分享的結果（唯讀）' }),
+    el('p', { text: `這份結果依分享連結內的作答在你的瀏覽器重新計算${when ? `（作答完成於 ${when}）` : ''}，不會存到這台裝置。` }),
+    el('div', { class: 'actions' }, [
+      el('a', { class: 'btn ghost', href: './index.html', text: '我也要測驗' }),
+    ]),
+  ]));
+}
+
 function renderError(root, err) {
+  if (isBankError(err)) {
+    renderBankError(root, err);
+    return;
+  }
   const sec = el('section', { class: 'card warn' }, [
     el('h3', { text: '結果生成失敗' }),
     el('p', { text: String(err?.message || err) }),
@@ -195,90 +317,89 @@ function renderError(root, err) {
   root.appendChild(sec);
 }
 
+// 作答未完成（或找不到 session）：顯示完成度與回到作答的入口
+function renderIncomplete(root, title, sess, parts) {
+  const sec = el('section', { class: 'card' }, [
+    el('h1', { class: 'title', text: title }),
+  ]);
+  if (!sess) {
+    sec.appendChild(el('p', { text: '找不到這次的作答紀錄（可能已關閉分頁或網址缺少 sid）。請回首頁重新開始。' }));
+    sec.appendChild(el('div', { class: 'actions' }, [
+      el('a', { class: 'btn primary', href: './index.html', text: '回首頁' }),
+    ]));
+  } else {
+    sec.appendChild(el('p', { text: '這次作答尚未完成，完成後才會計算結果。' }));
+    const ul = el('ul');
+    for (const p of parts) {
+      ul.appendChild(el('li', { text: `${MODE_LABEL[p.mode] || p.mode}：${p.answered} / ${p.total}` }));
+    }
+    sec.appendChild(ul);
+    sec.appendChild(el('div', { class: 'actions' }, [
+      el('a', { class: 'btn primary', href: `./quiz.html?mode=${encodeURIComponent(sess.mode)}&sid=${encodeURIComponent(sess.sessionId)}`, text: '回到作答' }),
+    ]));
+  }
+  root.appendChild(sec);
+}
+
 // ------- pipelines -------
 async function runBasic(root) {
-  // 1) 讀使用者 32 題答案
-  const answers = loadBasicFromLocal();
-  if (!answers) throw new Error('找不到 32 題作答紀錄，請先完成測驗。');
-
-  // 2) 讀公開題庫以取得每題 id
-  const items = await fetchJSON(dataUrl('items_public_32.json'));
+  // 1) 讀 session，取出 basic 題組（已依 seed 對回題目 id）
+  const loaded = await loadResultParts();
+  renderMigration(root, loaded);
+  const basic = loaded?.parts.find(p => p.mode === 'basic');
+  if (!basic || !basic.complete) {
+    renderIncomplete(root, '初步結果（完成度）', loaded?.session, basic ? [basic] : []);
+    return;
+  }
 
-  // 3) 附 id 後丟給 Scorer
+  // 2) 丟給 Scorer
   await Scorer.init('basic');
-  const result = await Scorer.score({ mode: 'basic', answers: attachIds(items, answers) });
+  const result = await Scorer.score({ mode: 'basic', answers: basic.answers, seed: loaded.session.seed });
+  recordHistory(loaded, result, ['basic']);
 
-  // 4) Report
+  // 3) Report
   const rpt = Report.buildAll(result);
+  if (loaded.shared) renderSharedBanner(root, loaded.session);
+  renderValidity(root, rpt.validity, { shared: loaded.shared });
   renderSummary(root, rpt.summary);
-  renderCharts(root, rpt.table);
+  renderPosterior(root, rpt.posterior);
+  renderTemperament(root, rpt.temperament);
+  renderCharts(root, rpt.table, result);
   renderTable(root, rpt.table);
   renderNarrative(root, rpt.narrative);
   renderRecos(root, rpt.recos);
+  if (!loaded.shared) renderTransfer(root, loaded);
 }
 
 async function runAdvanced(root) {
-  // 允許任一組存在。缺的組別不影響已完成部分的分數（我們會分別畫，或合併）
-  const adv = loadAdvancedFromLocal();
-  if (!adv || !(adv.A || adv.B || adv.C)) {
-    // 退回完成度頁（你之前想顯示完成度）
-    const sec = el('section', { class: 'card' }, [
-      el('h1', { class: 'title', text: '進階結果（完成度）' }),
-      el('p', { text: '尚未有任何進階作答。請回到 32 題完成後再接續。' }),
-      el('div', { class: 'actions' }, [
-        el('a', { class: 'btn primary', href: './quiz.html?mode=basic', text: '回到作答' }),
-      ]),
-    ]);
-    root.appendChild(sec);
+  // session 內所有題組（basic 延伸進階時包含 32 題）一起計分
+  const loaded = await loadResultParts();
+  renderMigration(root, loaded);
+  const parts = loaded?.parts || [];
+  const hasAdv = parts.some(p => p.mode !== 'basic');
+  if (!hasAdv || parts.some(p => !p.complete)) {
+    renderIncomplete(root, '進階結果（完成度）', loaded?.session, parts);
     return;
   }
 
-  // 合併 A/B/C（哪一組有作答就納入）
-  let allRows = null;
-  let best = null;
-
-  for (const part of ['A','B','C']) {
-    const arr = adv[part];
-    if (!arr) continue;
-    const filename =
-      part === 'A' ? 'items_public_adv_A.json' :
-      part === 'B' ? 'items_public_adv_B.json' :
-                     'items_public_adv_C.json';
-    const items = await fetchJSON(dataUrl(filename));
-
-    await Scorer.init(part === 'A' ? 'advA' : part === 'B' ? 'advB' : 'advC');
-    const result = await Scorer.score({
-      mode: (part === 'A' ? 'advA' : part === 'B' ? 'advB' : 'advC'),
-      answers: attachIds(items, arr),
-    });
-
-    // 擇優顯示（誰的主輔差距更明顯，就拿誰的 code 做主敘述）
-    const rpt = Report.buildAll(result);
-    const confGap = rpt.summary?.confidence?.details?.gap1 ?? 0;
-    if (!best || confGap > best.gap) best = { gap: confGap, rpt };
-
-    // 合併功能分（平均）
-    const rows = rpt.table;
-    if (!allRows) {
-      allRows = rows.map(r => ({ idx: r.idx, key: r.key, name: r.name, sum: r.pct, n: 1 }));
-    } else {
-      for (let i = 0; i < allRows.length; i++) {
-        allRows[i].sum += rows[i].pct;
-        allRows[i].n += 1;
-      }
-    }
-  }
+  const result = await Scorer.scoreBanks(
+    parts.map(p => ({ mode: p.mode, answers: p.answers })),
+    { seed: loaded.session.seed },
+  );
+  recordHistory(loaded, result, parts.map(p => p.mode));
 
-  if (!best) throw new Error('進階作答格式不正確。');
-
-  // 平均功能分
-  const merged = allRows.map(r => ({ idx: r.idx, key: r.key, name: r.name, pct: Math.round(r.sum / r.n) }));
-  // Summary 仍用最佳組別 best.rpt
-  renderSummary(root, best.rpt.summary);
-  renderCharts(root, merged);
-  renderTable(root, merged);
-  renderNarrative(root, best.rpt.narrative);
-  renderRecos(root, best.rpt.recos);
+  const rpt = Report.buildAll(result);
+  if (loaded.shared) renderSharedBanner(root, loaded.session);
+  renderValidity(root, rpt.validity, { shared: loaded.shared });
+  renderSummary(root, rpt.summary);
+  renderPosterior(root, rpt.posterior);
+  renderTemperament(root, rpt.temperament);
+  renderCharts(root, rpt.table, result);
+  renderTable(root, rpt.table);
+  renderBanks(root, rpt.banks);
+  renderNarrative(root, rpt.narrative);
+  renderRecos(root, rpt.recos);
+  if (!loaded.shared) renderTransfer(root, loaded);
 }
 
 // ------- boot -------
@@ -287,7 +408,7 @@ function pageFile() {
   return parts[parts.length - 1] || 'index.html';
 }
 
-async function init() {
+export async function initResultUI() {
   const root = $('#result-root') || el('div', { id: 'result-root', class: 'result-root' });
   if (!root.isConnected) document.body.appendChild(root);
 
@@ -295,6 +416,9 @@ async function init() {
   const loading = el('section', { class: 'card' }, [ el('p', { text: '計算中…' }) ]);
   root.appendChild(loading);
 
+  // 圖表與分享連結解壓用；載入失敗時圖表略過（同沒有 Chart.js）
+  await Vendor.loadAll(['chart', 'pako']);
+
   try {
     const file = pageFile().toLowerCase();
     if (file === 'result_basic.html') {
@@ -311,9 +435,3 @@ async function init() {
     loading.remove();
   }
 }
-
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', init);
-} else {
-  init();
-}
\ No newline at end of file
@@ -0,0 +1,57 @@
+// src/ui/session-transfer.js
+// 作答檔的下載 / 載入（首頁與結果頁共用）。檔案格式與驗證見 core/session-file.js。
+
+import { Router } from '../core/router.js';
+
+// 作答檔的驗證 / 遷移會帶進題庫與計分模組：用到時才載入，首頁 bundle 不含這些程式碼
+const loadSessionFile = () => import('../core/session-file.js').then(m => m.SessionFile);
+
+// 完成的作答 → 對應的結果頁；未完成 → 回到作答頁
+export function openSession(sess, finished) {
+  const sid = sess.sessionId;
+  if (!finished) {
+    Router.go('quiz', { mode: sess.mode || 'basic', sid });
+    return;
+  }
+  const banks = Array.isArray(sess.banks) && sess.banks.length ? sess.banks : [sess.mode];
+  const basicOnly = banks.length === 1 && banks[0] === 'basic';
+  Router.go(basicOnly ? 'result_basic' : 'result_advanced', { sid, mode: sess.mode });
+}
+
+// 「下載我的作答」：session + 題庫版本 + checksum 存成 JSON 檔
+export async function downloadSession(sess) {
+  try {
+    const SessionFile = await loadSessionFile();
+    const file = await SessionFile.build(sess);
+    const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = SessionFile.fileName(sess);
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  } catch (err) {
+    console.error('[session-file] export failed:', err);
+    alert(`無法匯出作答：${err?.message || err}`);
+  }
+}
+
+// 「從檔案載入作答」：選檔 → 驗證並存成新的 session → 開啟作答頁或結果頁
+export function pickAndImportSession() {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = 'application/json,.json';
+  input.addEventListener('change', async () => {
+    const f = input.files?.[0];
+    if (!f) return;
+    try {
+      const SessionFile = await loadSessionFile();
+      const { session, finished } = await SessionFile.importText(await f.text());
+      openSession(session, finished);
+    } catch (err) {
+      console.warn('[session-file] import failed:', err);
+      alert(`無法載入作答檔：${err?.message || err}`);
+    }
+  });
+  input.click();
+}